@@ -50,16 +50,18 @@ pub fn build(b: *std.Build) void {
     wasm.entry = .disabled;
     wasm.root_module.export_symbol_names = &.{
         "init",
+        "allocString",
+        "freeString",
+        "resultPtr",
+        "resultLen",
+        "restore",
+        "snapshot",
         "addTask",
         "toggleTask",
-        "deleteTask",
+        "updateTasks",
+        "reorderTasks",
+        "deleteTasks",
         "getTaskCount",
-        "getTaskTitle",
-        "getTaskTitleLen",
-        "getTaskCompleted",
-        "getTaskId",
-        "allocString",
-        "freeString",
     };
 
     // Install WASM to public folder
@@ -75,4 +77,15 @@ pub fn build(b: *std.Build) void {
     });
     const run_exe_tests = b.addRunArtifact(exe_tests);
     test_step.dependOn(&run_exe_tests.step);
+
+    // The WASM task engine's tests run natively
+    const wasm_tests = b.addTest(.{
+        .root_module = b.createModule(.{
+            .root_source_file = b.path("frontend/src/main.zig"),
+            .target = target,
+            .optimize = optimize,
+        }),
+    });
+    const run_wasm_tests = b.addRunArtifact(wasm_tests);
+    test_step.dependOn(&run_wasm_tests.step);
 }
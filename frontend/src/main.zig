@@ -1,163 +1,338 @@
-// Frontend WASM - Task Manager Logic
+// Frontend WASM - Task engine for anonymous mode
+// Owns the tasks of a logged-out user. app.js restores it from localStorage on load and saves
+// snapshot() after every change; engine.js has a JS fallback with the same operations.
+//
+// Strings cross the boundary as (ptr, len) pairs of UTF-8 in WASM memory: JS copies arguments
+// into buffers from allocString() and frees them afterwards, and reads JSON results from
+// resultPtr()/resultLen(), which stay valid until the next call.
 const std = @import("std");
+const builtin = @import("builtin");
 
-// Task storage
-const MAX_TASKS = 100;
-const MAX_TITLE_LEN = 256;
+const is_wasm = builtin.cpu.arch.isWasm();
+const allocator = if (is_wasm) std.heap.wasm_allocator else std.heap.page_allocator;
 
-const Task = struct {
-    id: u32,
-    title: [MAX_TITLE_LEN]u8,
-    title_len: usize,
-    completed: bool,
-    active: bool,
+// Tasks are kept as JSON objects, so fields app.js adds (subtasks, tags, list_id...) need no
+// change here. Task values live in arenas[current]; snapshot() re-parses them into the other
+// arena, which drops whatever earlier updates left behind.
+var arenas = [2]std.heap.ArenaAllocator{
+    std.heap.ArenaAllocator.init(allocator),
+    std.heap.ArenaAllocator.init(allocator),
 };
-
-var tasks: [MAX_TASKS]Task = undefined;
-var task_count: u32 = 0;
-var next_id: u32 = 1;
+var current: usize = 0;
+var tasks: std.json.Array = undefined;
 var initialized: bool = false;
 
+var result: std.ArrayList(u8) = .empty;
+
+const EngineError = error{ InvalidTask, DuplicateId, NotFound, InvalidIds, InvalidChanges };
+
 // Extern functions - implemented in JavaScript
 extern fn js_log(ptr: [*]const u8, len: usize) void;
-extern fn js_renderTasks() void;
-extern fn js_alert(ptr: [*]const u8, len: usize) void;
 
 fn log(msg: []const u8) void {
-    js_log(msg.ptr, msg.len);
+    if (is_wasm) js_log(msg.ptr, msg.len);
 }
 
-// Exported functions for JavaScript to call
-export fn init() void {
-    if (initialized) return;
+fn fail(operation: []const u8, err: anyerror) void {
+    var buf: [128]u8 = undefined;
+    log(std.fmt.bufPrint(&buf, "{s} failed: {s}", .{ operation, @errorName(err) }) catch operation);
+}
 
-    for (&tasks) |*task| {
-        task.active = false;
-        task.completed = false;
-        task.title_len = 0;
-        task.id = 0;
-    }
-    task_count = 0;
-    next_id = 1;
-    initialized = true;
+fn setResult(bytes: []u8) void {
+    result.deinit(allocator);
+    result = .fromOwnedSlice(bytes);
+}
+
+fn parse(arena: std.mem.Allocator, json: []const u8) !std.json.Value {
+    // Copy every string: the argument buffer is freed as soon as the call returns
+    return std.json.parseFromSliceLeaky(std.json.Value, arena, json, .{ .allocate = .alloc_always });
+}
 
-    log("WASM initialized successfully!");
+/// IDs are numbers for tasks made in this browser (Date.now()) and may be strings once
+/// imported; JS always passes them as strings
+fn idText(id: std.json.Value, buf: []u8) ?[]const u8 {
+    return switch (id) {
+        .string, .number_string => |s| s,
+        .integer => |n| std.fmt.bufPrint(buf, "{d}", .{n}) catch null,
+        else => null,
+    };
 }
 
-export fn addTask(title_ptr: [*]const u8, title_len: usize) u32 {
-    if (task_count >= MAX_TASKS) {
-        log("Max tasks reached!");
-        return 0;
+fn hasId(task: std.json.Value, ids: []const []const u8) bool {
+    var buf: [32]u8 = undefined;
+    const text = idText(task.object.get("id") orelse return false, &buf) orelse return false;
+    for (ids) |id| {
+        if (std.mem.eql(u8, text, id)) return true;
     }
+    return false;
+}
 
-    const len = @min(title_len, MAX_TITLE_LEN - 1);
-
-    // Find empty slot
-    for (&tasks) |*task| {
-        if (!task.active) {
-            task.id = next_id;
-            next_id += 1;
-            task.active = true;
-            task.completed = false;
-            task.title_len = len;
-            @memcpy(task.title[0..len], title_ptr[0..len]);
-            task_count += 1;
-
-            js_renderTasks();
-            return task.id;
-        }
+fn validateTask(value: std.json.Value) EngineError!void {
+    if (value != .object) return error.InvalidTask;
+    var buf: [32]u8 = undefined;
+    _ = idText(value.object.get("id") orelse return error.InvalidTask, &buf) orelse return error.InvalidTask;
+    const title = value.object.get("title") orelse return error.InvalidTask;
+    if (title != .string or title.string.len == 0) return error.InvalidTask;
+}
+
+/// A JSON array of ID strings
+fn parseIds(arena: std.mem.Allocator, json: []const u8) ![]const []const u8 {
+    const value = try parse(arena, json);
+    if (value != .array) return error.InvalidIds;
+    const ids = try arena.alloc([]const u8, value.array.items.len);
+    for (value.array.items, ids) |item, *id| {
+        if (item != .string) return error.InvalidIds;
+        id.* = item.string;
     }
+    return ids;
+}
 
-    return 0;
+fn restoreTasks(json: []const u8) !void {
+    const spare = 1 - current;
+    _ = arenas[spare].reset(.free_all);
+    const value = try parse(arenas[spare].allocator(), json);
+    if (value != .array) return error.InvalidTask;
+    for (value.array.items) |task| try validateTask(task);
+    tasks = value.array;
+    current = spare;
 }
 
-export fn toggleTask(id: u32) bool {
-    for (&tasks) |*task| {
-        if (task.active and task.id == id) {
-            task.completed = !task.completed;
-            js_renderTasks();
-            return true;
-        }
+fn addOne(json: []const u8) !void {
+    const task = try parse(arenas[current].allocator(), json);
+    try validateTask(task);
+    var buf: [32]u8 = undefined;
+    const id = idText(task.object.get("id").?, &buf).?;
+    for (tasks.items) |existing| {
+        if (hasId(existing, &.{id})) return error.DuplicateId;
     }
-    return false;
+    try tasks.append(task);
 }
 
-export fn deleteTask(id: u32) bool {
-    for (&tasks) |*task| {
-        if (task.active and task.id == id) {
-            task.active = false;
-            task_count -= 1;
-            js_renderTasks();
-            return true;
-        }
+fn toggleOne(id: []const u8) !void {
+    for (tasks.items) |*task| {
+        if (!hasId(task.*, &.{id})) continue;
+        const completed = task.object.get("completed") orelse std.json.Value{ .bool = false };
+        try task.object.put("completed", .{ .bool = completed != .bool or !completed.bool });
+        return;
     }
-    return false;
+    return error.NotFound;
 }
 
-export fn getTaskCount() u32 {
-    return task_count;
+/// Sets every field of changes (a JSON object) on the tasks with those IDs
+fn updateMany(ids_json: []const u8, changes_json: []const u8) !usize {
+    var scratch = std.heap.ArenaAllocator.init(allocator);
+    defer scratch.deinit();
+    const ids = try parseIds(scratch.allocator(), ids_json);
+
+    const changes = try parse(arenas[current].allocator(), changes_json);
+    if (changes != .object or changes.object.contains("id")) return error.InvalidChanges;
+
+    var count: usize = 0;
+    for (tasks.items) |*task| {
+        if (!hasId(task.*, ids)) continue;
+        var it = changes.object.iterator();
+        while (it.next()) |entry| try task.object.put(entry.key_ptr.*, entry.value_ptr.*);
+        count += 1;
+    }
+    return count;
 }
 
-// Get task at index (for iteration)
-export fn getTaskId(index: u32) u32 {
-    var count: u32 = 0;
-    for (tasks) |task| {
-        if (task.active) {
-            if (count == index) {
-                return task.id;
-            }
+/// ids is the active list in its new order; task i gets position i
+fn reorder(ids_json: []const u8) !usize {
+    var scratch = std.heap.ArenaAllocator.init(allocator);
+    defer scratch.deinit();
+    const ids = try parseIds(scratch.allocator(), ids_json);
+
+    var count: usize = 0;
+    for (ids, 0..) |id, index| {
+        for (tasks.items) |*task| {
+            if (!hasId(task.*, &.{id})) continue;
+            try task.object.put("position", .{ .integer = @intCast(index) });
             count += 1;
         }
     }
-    return 0;
+    return count;
 }
 
-export fn getTaskCompleted(id: u32) bool {
-    for (tasks) |task| {
-        if (task.active and task.id == id) {
-            return task.completed;
+/// Removes the tasks and returns them as JSON (app.js moves them to the trash)
+fn removeMany(ids_json: []const u8, count: *usize) ![]u8 {
+    var scratch = std.heap.ArenaAllocator.init(allocator);
+    defer scratch.deinit();
+    const ids = try parseIds(scratch.allocator(), ids_json);
+
+    var removed = std.json.Array.init(scratch.allocator());
+    var i: usize = 0;
+    while (i < tasks.items.len) {
+        if (hasId(tasks.items[i], ids)) {
+            try removed.append(tasks.orderedRemove(i));
+        } else {
+            i += 1;
         }
     }
-    return false;
+    count.* = removed.items.len;
+    return std.json.Stringify.valueAlloc(allocator, std.json.Value{ .array = removed }, .{});
 }
 
-// Returns pointer and length to task title
-var title_buffer: [MAX_TITLE_LEN]u8 = undefined;
+fn snapshotJson() ![]u8 {
+    const json = try std.json.Stringify.valueAlloc(allocator, std.json.Value{ .array = tasks }, .{});
+    errdefer allocator.free(json);
+    try restoreTasks(json);
+    return json;
+}
 
-export fn getTaskTitle(id: u32) [*]const u8 {
-    for (tasks) |task| {
-        if (task.active and task.id == id) {
-            @memcpy(title_buffer[0..task.title_len], task.title[0..task.title_len]);
-            title_buffer[task.title_len] = 0; // null terminate
-            return &title_buffer;
-        }
-    }
-    title_buffer[0] = 0;
-    return &title_buffer;
+// Exported functions for JavaScript to call
+export fn init() void {
+    if (initialized) return;
+    tasks = std.json.Array.init(arenas[current].allocator());
+    initialized = true;
+    log("WASM task engine ready");
 }
 
-export fn getTaskTitleLen(id: u32) usize {
-    for (tasks) |task| {
-        if (task.active and task.id == id) {
-            return task.title_len;
-        }
-    }
-    return 0;
+export fn allocString(len: usize) ?[*]u8 {
+    const buf = allocator.alloc(u8, len) catch return null;
+    return buf.ptr;
+}
+
+export fn freeString(ptr: [*]u8, len: usize) void {
+    allocator.free(ptr[0..len]);
+}
+
+export fn resultPtr() [*]const u8 {
+    return result.items.ptr;
+}
+
+export fn resultLen() usize {
+    return result.items.len;
+}
+
+/// Replaces every task with a JSON array (from localStorage); the state is kept if it's invalid
+export fn restore(ptr: [*]const u8, len: usize) bool {
+    restoreTasks(ptr[0..len]) catch |err| {
+        fail("restore", err);
+        return false;
+    };
+    return true;
 }
 
-// String allocation for JS interop
-var string_buffer: [4096]u8 = undefined;
-var string_offset: usize = 0;
+/// The whole task array as JSON, in resultPtr()/resultLen()
+export fn snapshot() bool {
+    const json = snapshotJson() catch |err| {
+        fail("snapshot", err);
+        return false;
+    };
+    setResult(json);
+    return true;
+}
 
-export fn allocString(len: usize) [*]u8 {
-    if (string_offset + len > string_buffer.len) {
-        string_offset = 0;
+/// Appends a task object; it needs an id and a non-empty title
+export fn addTask(ptr: [*]const u8, len: usize) bool {
+    addOne(ptr[0..len]) catch |err| {
+        fail("addTask", err);
+        return false;
+    };
+    return true;
+}
+
+export fn toggleTask(id_ptr: [*]const u8, id_len: usize) bool {
+    toggleOne(id_ptr[0..id_len]) catch |err| {
+        fail("toggleTask", err);
+        return false;
+    };
+    return true;
+}
+
+/// Returns how many tasks changed, or -1 when the IDs or changes are invalid
+export fn updateTasks(ids_ptr: [*]const u8, ids_len: usize, changes_ptr: [*]const u8, changes_len: usize) i32 {
+    const count = updateMany(ids_ptr[0..ids_len], changes_ptr[0..changes_len]) catch |err| {
+        fail("updateTasks", err);
+        return -1;
+    };
+    return @intCast(count);
+}
+
+export fn reorderTasks(ids_ptr: [*]const u8, ids_len: usize) i32 {
+    const count = reorder(ids_ptr[0..ids_len]) catch |err| {
+        fail("reorderTasks", err);
+        return -1;
+    };
+    return @intCast(count);
+}
+
+/// Returns how many tasks were removed; the removed tasks are in resultPtr()/resultLen()
+export fn deleteTasks(ids_ptr: [*]const u8, ids_len: usize) i32 {
+    var count: usize = 0;
+    const removed = removeMany(ids_ptr[0..ids_len], &count) catch |err| {
+        fail("deleteTasks", err);
+        return -1;
+    };
+    setResult(removed);
+    return @intCast(count);
+}
+
+export fn getTaskCount() u32 {
+    return @intCast(tasks.items.len);
+}
+
+// Tests
+fn resetForTest() !void {
+    init();
+    try restoreTasks("[]");
+}
+
+test "add, toggle and snapshot" {
+    try resetForTest();
+    try addOne("{\"id\":1734000000000,\"title\":\"Buy milk\",\"completed\":false,\"tags\":[\"home\"]}");
+    try addOne("{\"id\":\"imported-1\",\"title\":\"Call mom\"}");
+    try std.testing.expectError(error.DuplicateId, addOne("{\"id\":1734000000000,\"title\":\"Again\"}"));
+    try std.testing.expectError(error.InvalidTask, addOne("{\"id\":2,\"title\":\"\"}"));
+
+    try toggleOne("1734000000000");
+    try toggleOne("imported-1");
+    try std.testing.expectError(error.NotFound, toggleOne("404"));
+
+    const json = try snapshotJson();
+    defer allocator.free(json);
+    try std.testing.expectEqualStrings(
+        "[{\"id\":1734000000000,\"title\":\"Buy milk\",\"completed\":true,\"tags\":[\"home\"]},{\"id\":\"imported-1\",\"title\":\"Call mom\",\"completed\":true}]",
+        json,
+    );
+}
+
+test "more than a hundred tasks" {
+    try resetForTest();
+    var buf: [64]u8 = undefined;
+    for (0..250) |i| {
+        try addOne(try std.fmt.bufPrint(&buf, "{{\"id\":{d},\"title\":\"Task {d}\"}}", .{ i + 1, i + 1 }));
     }
-    const ptr = string_buffer[string_offset..].ptr;
-    string_offset += len;
-    return ptr;
+    try std.testing.expectEqual(@as(usize, 250), tasks.items.len);
+}
+
+test "update, reorder and delete" {
+    try resetForTest();
+    try restoreTasks("[{\"id\":1,\"title\":\"A\"},{\"id\":2,\"title\":\"B\"},{\"id\":3,\"title\":\"C\"}]");
+
+    try std.testing.expectEqual(@as(usize, 2), try updateMany("[\"1\",\"3\"]", "{\"priority\":\"high\"}"));
+    try std.testing.expectError(error.InvalidChanges, updateMany("[\"1\"]", "{\"id\":9}"));
+    try std.testing.expectEqual(@as(usize, 3), try reorder("[\"3\",\"1\",\"2\"]"));
+
+    var count: usize = 0;
+    const removed = try removeMany("[\"2\"]", &count);
+    defer allocator.free(removed);
+    try std.testing.expectEqual(@as(usize, 1), count);
+    try std.testing.expectEqualStrings("[{\"id\":2,\"title\":\"B\",\"position\":2}]", removed);
+
+    const json = try snapshotJson();
+    defer allocator.free(json);
+    try std.testing.expectEqualStrings(
+        "[{\"id\":1,\"title\":\"A\",\"priority\":\"high\",\"position\":1},{\"id\":3,\"title\":\"C\",\"priority\":\"high\",\"position\":0}]",
+        json,
+    );
 }
 
-export fn freeString() void {
-    string_offset = 0;
+test "restore keeps the state when the JSON is invalid" {
+    try resetForTest();
+    try addOne("{\"id\":1,\"title\":\"Keep me\"}");
+    try std.testing.expectError(error.InvalidTask, restoreTasks("[{\"title\":\"No id\"}]"));
+    try std.testing.expect(std.meta.isError(restoreTasks("not json")));
+    try std.testing.expectEqual(@as(usize, 1), tasks.items.len);
 }
@@ -0,0 +1,209 @@
+// Zig Task Manager - API client
+// Single place that talks to /api: attaches the session token, parses JSON,
+// and turns error responses into typed errors. On 401 for an authenticated request
+// it first tries to refresh the session silently, then asks the app to re-authenticate,
+// and retries the pending request once.
+
+const Api = (() => {
+    class ApiError extends Error {
+        constructor(message, status = 0, data = null) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+            this.data = data;
+        }
+    }
+
+    // fetch itself failed: offline, DNS, server down
+    class NetworkError extends ApiError {
+        constructor(cause) {
+            super('Connection error', 0);
+            this.name = 'NetworkError';
+            this.cause = cause;
+        }
+    }
+
+    class ValidationError extends ApiError {
+        constructor(message, status, data) {
+            super(message, status, data);
+            this.name = 'ValidationError';
+        }
+    }
+
+    class UnauthorizedError extends ApiError {
+        constructor(message, data) {
+            super(message, 401, data);
+            this.name = 'UnauthorizedError';
+        }
+    }
+
+    class ForbiddenError extends ApiError {
+        constructor(message, data) {
+            super(message, 403, data);
+            this.name = 'ForbiddenError';
+        }
+    }
+
+    class NotFoundError extends ApiError {
+        constructor(message, data) {
+            super(message, 404, data);
+            this.name = 'NotFoundError';
+        }
+    }
+
+    // 429 from util/rate_limiter.zig; retryAfter is in seconds (Retry-After header)
+    class RateLimitError extends ApiError {
+        constructor(message, retryAfter, data) {
+            super(message, 429, data);
+            this.name = 'RateLimitError';
+            this.retryAfter = retryAfter;
+            this.retryAt = new Date(Date.now() + retryAfter * 1000);
+        }
+    }
+
+    class ServerError extends ApiError {
+        constructor(message, status, data) {
+            super(message, status, data);
+            this.name = 'ServerError';
+        }
+    }
+
+    const DEFAULT_RETRY_AFTER_S = 60;
+
+    let getToken = () => null;
+    let onUnauthorized = null;
+    let refreshSession = null;
+    let defaultHeaders = {};
+    let reauthPromise = null;
+
+    /**
+     * @param {Object} options
+     * @param {() => string|null} options.getToken - current session token
+     * @param {() => Promise<void>} options.onUnauthorized - resolves once the user logged in again,
+     *        rejects if they gave up; the failed request is retried only on resolve
+     * @param {(rejectedToken: string) => Promise<boolean>} [options.refreshSession] - trades the refresh token for a new
+     *        access token; resolves true when it did, so the failed request can be retried without a prompt
+     * @param {Object} [options.headers] - sent with every request (e.g. X-Client-Id)
+     */
+    function configure(options) {
+        if (options.getToken) getToken = options.getToken;
+        if (options.onUnauthorized) onUnauthorized = options.onUnauthorized;
+        if (options.refreshSession) refreshSession = options.refreshSession;
+        if (options.headers) defaultHeaders = { ...defaultHeaders, ...options.headers };
+    }
+
+    async function parseBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return { error: text };
+        }
+    }
+
+    function toError(response, data) {
+        const message = (data && data.error) || `Request failed (HTTP ${response.status})`;
+        switch (response.status) {
+            case 400:
+            case 422:
+                return new ValidationError(message, response.status, data);
+            case 401:
+                return new UnauthorizedError(message, data);
+            case 403:
+                return new ForbiddenError(message, data);
+            case 404:
+                return new NotFoundError(message, data);
+            case 429: {
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+                return new RateLimitError(message, Number.isNaN(retryAfter) ? DEFAULT_RETRY_AFTER_S : retryAfter, data);
+            }
+            default:
+                return response.status >= 500
+                    ? new ServerError(message, response.status, data)
+                    : new ApiError(message, response.status, data);
+        }
+    }
+
+    // Concurrent 401s share one re-login prompt
+    function reauthenticate() {
+        if (!reauthPromise) {
+            reauthPromise = Promise.resolve()
+                .then(() => onUnauthorized())
+                .finally(() => {
+                    reauthPromise = null;
+                });
+        }
+        return reauthPromise;
+    }
+
+    /**
+     * Send a request and resolve with the parsed JSON body (null when empty).
+     * @param {string} path - e.g. '/api/tasks'
+     * @param {Object} [options]
+     * @param {string} [options.method='GET']
+     * @param {*} [options.body] - serialized as JSON
+     * @param {boolean} [options.auth=true] - attach the token and treat 401 as an expired session
+     * @param {boolean} [options.refresh=true] - on 401, try refreshing the session and retry
+     * @param {boolean} [options.reauth=true] - on 401, prompt for login and retry (false: just throw)
+     * @param {Object} [options.headers]
+     * @throws {ApiError} one of the typed subclasses
+     */
+    async function request(path, options = {}) {
+        const { method = 'GET', body, auth = true, headers = {} } = options;
+        const token = auth ? getToken() : null;
+
+        const finalHeaders = { ...defaultHeaders, ...headers };
+        if (body !== undefined) finalHeaders['Content-Type'] = 'application/json';
+        if (token) finalHeaders['Authorization'] = `Bearer ${token}`;
+
+        let response;
+        try {
+            response = await fetch(path, {
+                method,
+                headers: finalHeaders,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new NetworkError(error);
+        }
+
+        const data = await parseBody(response);
+        if (response.ok) return data;
+
+        const error = toError(response, data);
+        if (!(error instanceof UnauthorizedError) || !token || options.isRetry) throw error;
+
+        const canRefresh = options.refresh !== false && refreshSession;
+        if (canRefresh && await refreshSession(token).catch(() => false)) {
+            return request(path, { ...options, isRetry: true });
+        }
+        if (onUnauthorized && options.reauth !== false) {
+            try {
+                await reauthenticate();
+            } catch {
+                throw error;
+            }
+            return request(path, { ...options, isRetry: true });
+        }
+        throw error;
+    }
+
+    return {
+        configure,
+        request,
+        get: (path, options = {}) => request(path, { ...options, method: 'GET' }),
+        post: (path, body, options = {}) => request(path, { ...options, method: 'POST', body }),
+        put: (path, body, options = {}) => request(path, { ...options, method: 'PUT', body }),
+        patch: (path, body, options = {}) => request(path, { ...options, method: 'PATCH', body }),
+        del: (path, options = {}) => request(path, { ...options, method: 'DELETE' }),
+        ApiError,
+        NetworkError,
+        ValidationError,
+        UnauthorizedError,
+        ForbiddenError,
+        NotFoundError,
+        RateLimitError,
+        ServerError
+    };
+})();
@@ -1,8 +1,6 @@
 // Zig Task Manager - JavaScript with Auth
 // Logged users: tasks in DB | Anonymous: tasks in localStorage
 
-let wasm = null;
-let wasmMemory = null;
 let currentUser = null;
 
 // DOM Elements
@@ -31,7 +29,8 @@ function setButtonLoading(btn, loading) {
         btn.classList.add('loading');
     } else {
         btn.textContent = btn.dataset.originalText || btn.textContent;
-        btn.disabled = false;
+        // Stays disabled while a rate limit (see showApiError) is running
+        btn.disabled = Number(btn.dataset.retryAt || 0) > Date.now();
         btn.classList.remove('loading');
     }
 }
@@ -40,16 +39,91 @@ function getFormButton(form) {
     return form.querySelector('button[type="submit"]');
 }
 
+// The access token expires after expires_in seconds (15 minutes); the HttpOnly refresh_token
+// cookie, scoped to /api/auth, trades it for a new pair until the 30-day session ends.
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshTimer = null;
+let refreshPromise = null;
+
 function getToken() {
     return localStorage.getItem('token');
 }
 
-function setToken(token) {
+function getTokenExpiry() {
+    return Number(localStorage.getItem('tokenExpiresAt') || 0);
+}
+
+function setToken(token, expiresIn) {
     localStorage.setItem('token', token);
+    localStorage.setItem('tokenExpiresAt', String(Date.now() + expiresIn * 1000));
+    scheduleTokenRefresh();
 }
 
 function removeToken() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
     localStorage.removeItem('token');
+    localStorage.removeItem('tokenExpiresAt');
+    localStorage.removeItem('cachedUser');
+    localStorage.removeItem('cachedLists');
+}
+
+// Refresh a minute before the token expires. Tokens from before refresh existed have no
+// expiry stored; those are only refreshed once a request gets a 401.
+function scheduleTokenRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    const expiresAt = getTokenExpiry();
+    if (!getToken() || !expiresAt) return;
+    refreshTimer = setTimeout(keepSessionAlive, Math.max(expiresAt - REFRESH_MARGIN_MS - Date.now(), 0));
+}
+
+/**
+ * Trade the refresh cookie for a new access token. Resolves true on success, false when the
+ * server refused (session revoked or expired); rejects with Api.NetworkError when offline.
+ * One refresh at a time per tab, and navigator.locks makes tabs take turns: refresh tokens
+ * are single-use, so a tab that waited picks up the token the other tab just stored.
+ * @param {string|null} rejectedToken - the token the server turned down, if any
+ */
+function refreshSession(rejectedToken = getToken()) {
+    if (!refreshPromise) {
+        const refresh = () => refreshSessionNow(rejectedToken);
+        refreshPromise = (navigator.locks ? navigator.locks.request('session-refresh', refresh) : refresh())
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+}
+
+async function refreshSessionNow(rejectedToken) {
+    const token = getToken();
+    if (!token) return false;
+    if (token !== rejectedToken && getTokenExpiry() - Date.now() > REFRESH_MARGIN_MS) {
+        scheduleTokenRefresh();
+        return true;
+    }
+
+    try {
+        const data = await Api.post('/api/auth/refresh', undefined, { auth: false });
+        setToken(data.token, data.expires_in);
+        return true;
+    } catch (error) {
+        if (error instanceof Api.NetworkError) throw error;
+        return false;
+    }
+}
+
+// Timer and tab-focus refreshes. A refused refresh means the session is over, so the tab
+// stops showing account data right away instead of waiting for the next request to fail.
+async function keepSessionAlive() {
+    try {
+        if (await refreshSession()) return;
+    } catch {
+        return; // offline: the next request refreshes once the connection is back
+    }
+    if (isLoggedIn()) showSessionExpired();
 }
 
 function isLoggedIn() {
@@ -64,29 +138,40 @@ async function checkAuth() {
     }
 
     try {
-        const response = await fetch('/api/auth/me', {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
-
-        if (response.ok) {
-            currentUser = await response.json();
+        // An expired token is refreshed first; a dead session at startup just means "logged out"
+        currentUser = await Api.get('/api/auth/me', { reauth: false });
+        scheduleTokenRefresh();
+        showLoggedIn(currentUser);
+    } catch (error) {
+        console.error('Auth check failed:', error);
+        const cached = localStorage.getItem('cachedUser');
+        if (error instanceof Api.NetworkError && cached) {
+            // Offline: keep the last known user so queued changes stay attached to the account
+            currentUser = JSON.parse(cached);
             showLoggedIn(currentUser);
         } else {
-            removeToken();
+            if (!(error instanceof Api.NetworkError)) removeToken();
             showLoggedOut();
         }
-    } catch (error) {
-        console.error('Auth check failed:', error);
-        showLoggedOut();
     }
 }
 
 function showLoggedIn(user) {
+    // Remembered so the app can start logged in while offline
+    localStorage.setItem('cachedUser', JSON.stringify(user));
+
+    applyLocale();
     authButtons.classList.add('hidden');
     userMenu.classList.remove('hidden');
     userName.textContent = user.name;
     userEmail.textContent = user.email;
     userAvatar.textContent = user.name.charAt(0).toUpperCase();
+    updateReminderControls();
+    updateNewTaskPositionControl();
+    connectTaskEvents();
+    Promise.all([loadTagColors(), loadLists()]).then(() => renderTasks(taskStore.tasks));
+    loadInvitations();
+    hideToast();
 
     // Update Profile Modal
     document.getElementById('profileName').textContent = user.name;
@@ -107,57 +192,251 @@ function showLoggedIn(user) {
 
 function showLoggedOut() {
     currentUser = null;
+    applyLocale();
     authButtons.classList.remove('hidden');
     userMenu.classList.add('hidden');
+    updateReminderControls();
+    updateNewTaskPositionControl();
+    disconnectTaskEvents();
+    tagColors = new Map();
+    loadLists();
+    loadInvitations();
+    hideToast();
+}
+
+// ============ API SESSION ============
+// Api (api.js) reports a 401 on an authenticated request as an expired session once
+// refreshSession() couldn't renew it: we log out, reopen loginModal, and the pending request resumes once the same user logs back in.
+
+let pendingSession = null; // { resolve, reject, userId } while the login prompt is open
+
+function showSessionExpired() {
+    if (isLoggedIn()) {
+        removeToken();
+        showLoggedOut();
+        loadTasks();
+    }
+    showModal('loginModal');
+    document.getElementById('loginError').textContent = 'Your session expired. Log in again to continue.';
+}
+
+function handleSessionExpired() {
+    const userId = currentUser ? currentUser.id : null;
+    showSessionExpired();
+
+    return new Promise((resolve, reject) => {
+        pendingSession = { resolve, reject, userId };
+    });
+}
+
+function resumePendingRequests() {
+    if (!pendingSession) return;
+    const { resolve, reject, userId } = pendingSession;
+    pendingSession = null;
+
+    // Never replay one account's request with another account's session
+    if (userId && userId !== currentUser.id) {
+        reject(new Error('Logged in as a different user'));
+    } else {
+        resolve();
+    }
+}
+
+function abandonPendingRequests() {
+    if (!pendingSession) return;
+    const { reject } = pendingSession;
+    pendingSession = null;
+    reject(new Error('Login cancelled'));
+}
+
+// User-facing text for an Api error
+function apiErrorMessage(error) {
+    if (error instanceof Api.RateLimitError) {
+        return `${error.message} (try again in ${error.retryAfter}s)`;
+    }
+    if (error instanceof Api.NetworkError) return 'Connection error';
+    return error.message || 'Something went wrong';
+}
+
+// Show an Api error in a form; on 429 the submit button stays disabled until the retry time
+function showApiError(errorEl, error, btn) {
+    errorEl.textContent = apiErrorMessage(error);
+    if (!(error instanceof Api.RateLimitError) || !btn) return;
+
+    btn.dataset.retryAt = String(error.retryAt.getTime());
+    btn.disabled = true;
+    const interval = setInterval(() => {
+        const remaining = Math.ceil((error.retryAt.getTime() - Date.now()) / 1000);
+        const showingThisError = errorEl.textContent.startsWith(error.message);
+        if (remaining > 0) {
+            if (showingThisError) errorEl.textContent = `${error.message} (try again in ${remaining}s)`;
+            return;
+        }
+        clearInterval(interval);
+        delete btn.dataset.retryAt;
+        btn.disabled = false;
+        if (showingThisError) errorEl.textContent = '';
+    }, 1000);
 }
 
 // ============ LOCAL STORAGE TASKS ============
+// Anonymous tasks live in TaskEngine (engine.js: the Zig WASM engine, or its JS fallback).
+// localStorage keeps a copy, written after every change and read back on load (see initWasm).
 
-function getLocalTasks() {
+function readStoredLocalTasks() {
     const stored = localStorage.getItem('localTasks');
     return stored ? JSON.parse(stored) : [];
 }
 
+function getLocalTasks() {
+    return TaskEngine.snapshot();
+}
+
+// Throws, changing nothing, when storage is full
 function saveLocalTasks(tasks) {
     localStorage.setItem('localTasks', JSON.stringify(tasks));
+    TaskEngine.restore(tasks);
+}
+
+// Runs a TaskEngine change and stores the result. If that throws (storage full),
+// the engine goes back to what's stored, so the two never disagree.
+function changeLocalTasks(change) {
+    try {
+        const result = change();
+        localStorage.setItem('localTasks', JSON.stringify(TaskEngine.snapshot()));
+        return result;
+    } catch (error) {
+        TaskEngine.restore(readStoredLocalTasks());
+        throw error;
+    }
+}
+
+// Date.now(), bumped past any ID already taken (imports use consecutive ones)
+function newLocalTaskId() {
+    const taken = new Set(getLocalTasks().map(t => String(t.id)));
+    let id = Date.now();
+    while (taken.has(String(id))) id++;
+    return id;
 }
 
-function addLocalTask(title) {
-    const tasks = getLocalTasks();
+// fields: position, subtasks, recurrence, priority, tags, list_id (all optional)
+function addLocalTask(title, dueDate = null, fields = {}) {
     const newTask = {
-        id: Date.now(),
+        id: newLocalTaskId(),
         title: title,
-        completed: false
+        completed: false,
+        created_at: new Date().toISOString(),
+        due_date: dueDate,
+        position: fields.position ?? null,
+        subtasks: fields.subtasks || [],
+        recurrence: fields.recurrence || null,
+        priority: fields.priority || null,
+        tags: fields.tags || [],
+        list_id: fields.list_id || null
     };
-    tasks.push(newTask);
-    saveLocalTasks(tasks);
+    changeLocalTasks(() => {
+        if (!TaskEngine.add(newTask)) throw new Error('Could not add the task');
+    });
     return newTask;
 }
 
+// IDs from data-id attributes are strings, localStorage IDs are numbers
+function sameId(a, b) {
+    return String(a) === String(b);
+}
+
 function toggleLocalTask(id) {
-    const tasks = getLocalTasks();
-    const task = tasks.find(t => t.id === id);
-    if (task) {
-        task.completed = !task.completed;
-        saveLocalTasks(tasks);
-    }
+    changeLocalTasks(() => TaskEngine.toggle(id));
+}
+
+function updateLocalTask(id, changes) {
+    updateLocalTasks([id], changes);
+}
+
+function updateLocalTasks(ids, changes) {
+    changeLocalTasks(() => TaskEngine.update(ids, changes));
+}
+
+// ids is the active list in its new order; task i gets position i
+function reorderLocalTasks(ids) {
+    changeLocalTasks(() => TaskEngine.reorder(ids));
 }
 
 function deleteLocalTask(id) {
-    let tasks = getLocalTasks();
-    tasks = tasks.filter(t => t.id !== id);
-    saveLocalTasks(tasks);
+    deleteLocalTasks([id]);
+}
+
+// Deleted anonymous tasks move to their own key, so everything reading localTasks ignores them
+function deleteLocalTasks(ids) {
+    const deletedAt = new Date().toISOString();
+    changeLocalTasks(() => {
+        const trashed = TaskEngine.remove(ids).map(t => ({ ...t, deleted_at: deletedAt }));
+        if (trashed.length > 0) saveLocalTrash([...getLocalTrash(), ...trashed]);
+    });
+}
+
+// Trashed tasks, minus those past the retention period
+function getLocalTrash() {
+    const stored = localStorage.getItem('localTrash');
+    const trash = stored ? JSON.parse(stored) : [];
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * DAY_MS;
+    const kept = trash.filter(t => new Date(t.deleted_at).getTime() > cutoff);
+    if (kept.length !== trash.length) saveLocalTrash(kept);
+    return kept;
+}
+
+function saveLocalTrash(trash) {
+    localStorage.setItem('localTrash', JSON.stringify(trash));
+}
+
+function restoreLocalTask(id) {
+    restoreLocalTasks([id]);
+}
+
+function restoreLocalTasks(ids) {
+    const trash = getLocalTrash();
+    const isRestored = t => ids.some(id => sameId(id, t.id));
+    const restored = trash.filter(isRestored).map(({ deleted_at, ...task }) => task);
+    if (restored.length === 0) return;
+    saveLocalTasks([...getLocalTasks(), ...restored]);
+    saveLocalTrash(trash.filter(t => !isRestored(t)));
+}
+
+function purgeLocalTask(id) {
+    saveLocalTrash(getLocalTrash().filter(t => !sameId(t.id, id)));
+}
+
+// Anonymous lists: [{ id: 'list-<timestamp>', name, created_at }]
+function getLocalLists() {
+    const stored = localStorage.getItem('localLists');
+    return stored ? JSON.parse(stored) : [];
+}
+
+function saveLocalLists(lists) {
+    localStorage.setItem('localLists', JSON.stringify(lists));
+}
+
+// The list's tasks, trashed ones included, move to the Inbox
+function deleteLocalList(id) {
+    const unlist = t => t.list_id === id ? { ...t, list_id: null } : t;
+    saveLocalTasks(getLocalTasks().map(unlist));
+    saveLocalTrash(getLocalTrash().map(unlist));
+    saveLocalLists(getLocalLists().filter(l => l.id !== id));
 }
 
 // ============ MODAL FUNCTIONS ============
 
+// Focus, Escape and scroll lock are handled by Dialog (dialog.js)
 function showModal(id) {
-    document.getElementById(id).classList.add('active');
+    Dialog.open(document.getElementById(id));
 }
 
 function hideModal(id) {
     const modal = document.getElementById(id);
-    modal.classList.remove('active');
+    Dialog.close(modal);
+
+    // Closing the re-login prompt without logging in gives up on the pending request
+    if (id === 'loginModal' && !isLoggedIn()) abandonPendingRequests();
     
     // Reset any forms in the modal
     const form = modal.querySelector('form');
@@ -187,41 +466,20 @@ async function handleSignup(e) {
 
     setButtonLoading(btn, true);
     try {
-        console.log('📤 Sending signup request...');
-        const response = await fetch('/api/auth/signup', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, email, password })
-        });
+        const data = await Api.post('/api/auth/signup', { name, email, password }, { auth: false });
 
-        console.log('📥 Response status:', response.status);
-        const text = await response.text();
-        console.log('📥 Response text:', text);
+        setToken(data.token, data.expires_in);
+        currentUser = data.user;
+        showLoggedIn(currentUser);
+        hideModal('signupModal');
+        await offerLocalTaskImport();
+        loadTasks();
         
-        let data;
-        try {
-            data = JSON.parse(text);
-        } catch (parseError) {
-            console.error('❌ JSON parse error:', parseError);
-            errorEl.textContent = 'Server returned invalid response';
-            return;
-        }
-
-        if (response.ok) {
-            setToken(data.token);
-            currentUser = data.user;
-            showLoggedIn(currentUser);
-            hideModal('signupModal');
-            loadTasks();
-            
-            // Show verify modal
-            showModal('verifyModal');
-        } else {
-            errorEl.textContent = data.error || 'Signup failed';
-        }
+        // Show verify modal
+        showModal('verifyModal');
     } catch (error) {
         console.error('❌ Signup error:', error);
-        errorEl.textContent = 'Connection error: ' + error.message;
+        showApiError(errorEl, error, btn);
     } finally {
         setButtonLoading(btn, false);
     }
@@ -237,43 +495,219 @@ async function handleLogin(e) {
 
     setButtonLoading(btn, true);
     try {
-        const response = await fetch('/api/auth/login', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ email, password })
-        });
+        const data = await Api.post('/api/auth/login', { email, password }, { auth: false });
 
-        const data = await response.json();
-
-        if (response.ok) {
-            setToken(data.token);
-            currentUser = data.user;
-            showLoggedIn(currentUser);
-            hideModal('loginModal');
-            document.getElementById('loginForm').reset();
-            loadTasks();
-        } else {
-            errorEl.textContent = data.error || 'Invalid credentials';
-        }
+        setToken(data.token, data.expires_in);
+        currentUser = data.user;
+        showLoggedIn(currentUser);
+        resumePendingRequests();
+        hideModal('loginModal');
+        document.getElementById('loginForm').reset();
+        await offerLocalTaskImport();
+        loadTasks();
     } catch (error) {
-        errorEl.textContent = 'Connection error';
+        showApiError(errorEl, error, btn);
     } finally {
         setButtonLoading(btn, false);
     }
 }
 
 function logout() {
+    const token = getToken();
     removeToken();
     showLoggedOut();
     loadTasks(); // Will now load from localStorage
+
+    // Ends the session on the server as well; the cookies go along, the header covers older sessions
+    if (!token) return;
+    Api.post('/api/auth/logout', undefined, { auth: false, headers: { Authorization: `Bearer ${token}` } })
+        .catch(error => console.error('Server logout failed:', error));
+}
+
+// ============ SESSIONS ============
+// Profile > Sessions: every device logged in to the account. Tokens never reach the page,
+// sessions are revoked by ID; revoking this device's session is the same as logging out.
+
+async function loadSessions() {
+    const list = document.getElementById('sessionList');
+    const errorEl = document.getElementById('sessionError');
+    errorEl.textContent = '';
+    list.innerHTML = `<li class="session-empty">${escapeHtml(I18n.t('sessions.loading'))}</li>`;
+    try {
+        renderSessions(await Api.get('/api/auth/sessions'));
+    } catch (error) {
+        list.innerHTML = '';
+        showApiError(errorEl, error);
+    }
+}
+
+function renderSessions(sessions) {
+    const others = sessions.filter(session => !session.current).length;
+    document.getElementById('revokeOtherSessionsBtn').disabled = others === 0;
+    document.getElementById('sessionList').innerHTML = sessions.map(session => `
+        <li class="session-row${session.current ? ' current' : ''}">
+            <div class="session-info">
+                <span class="session-device">${escapeHtml(session.device)}</span>
+                ${session.current ? `<span class="badge badge-success">${escapeHtml(I18n.t('sessions.this_device'))}</span>` : ''}
+                <span class="session-meta">
+                    ${session.ip ? `${escapeHtml(session.ip)} · ` : ''}${escapeHtml(I18n.t('sessions.last_used', { when: I18n.formatRelative(session.last_used_at) }))}
+                </span>
+            </div>
+            <button type="button" class="toolbar-btn bulk-danger session-revoke" data-id="${escapeAttr(session.id)}" data-current="${session.current}">
+                ${escapeHtml(I18n.t(session.current ? 'sessions.log_out' : 'sessions.revoke'))}
+            </button>
+        </li>`).join('');
+}
+
+async function revokeSession(sessionId, current) {
+    if (current) {
+        hideModal('profileModal');
+        logout();
+        return;
+    }
+    try {
+        await Api.del(`/api/auth/sessions/${sessionId}`);
+    } catch (error) {
+        // Already gone (expired, or revoked from another device) is what the user wanted
+        if (!(error instanceof Api.NotFoundError)) {
+            showApiError(document.getElementById('sessionError'), error);
+            return;
+        }
+    }
+    loadSessions();
+}
+
+async function revokeOtherSessions() {
+    const btn = document.getElementById('revokeOtherSessionsBtn');
+    setButtonLoading(btn, true);
+    try {
+        await Api.del('/api/auth/sessions');
+        await loadSessions();
+    } catch (error) {
+        showApiError(document.getElementById('sessionError'), error, btn);
+    } finally {
+        setButtonLoading(btn, false);
+    }
+}
+
+// ============ LOCAL TASK IMPORT ============
+// After login/signup, offer to move anonymous localStorage tasks into the account.
+// localTasks is only cleared for tasks the server confirmed (imported or duplicate).
+// Local lists go along (the server reuses a list with the same name) and tasks keep their list.
+// Tasks are sent in chunks of IMPORT_CHUNK_SIZE, the most POST /api/tasks/import accepts at once.
+
+const IMPORT_CHUNK_SIZE = 500;
+
+let resolveLocalImport = null;
+
+function offerLocalTaskImport() {
+    const localTasks = getLocalTasks();
+    if (localTasks.length === 0) return Promise.resolve();
+
+    document.getElementById('importCount').textContent = localTasks.length;
+    document.getElementById('importPreview').innerHTML = localTasks
+        .slice(0, 5)
+        .map(t => `<li>${escapeHtml(t.title)}</li>`)
+        .join('') + (localTasks.length > 5 ? `<li class="import-more">…and ${localTasks.length - 5} more</li>` : '');
+    document.getElementById('importError').textContent = '';
+    document.getElementById('importFailures').innerHTML = '';
+    document.getElementById('importActions').classList.remove('hidden');
+    document.getElementById('importDoneBtn').classList.add('hidden');
+    showModal('importModal');
+
+    return new Promise(resolve => {
+        resolveLocalImport = resolve;
+    });
+}
+
+function finishLocalImport() {
+    hideModal('importModal');
+    if (resolveLocalImport) {
+        resolveLocalImport();
+        resolveLocalImport = null;
+    }
+}
+
+async function confirmLocalImport() {
+    const btn = document.getElementById('importConfirmBtn');
+    const errorEl = document.getElementById('importError');
+    const localTasks = getLocalTasks();
+    const localLists = getLocalLists();
+    const lists = localLists.map(l => ({ id: l.id, name: l.name }));
+
+    const failed = [];   // { index, title, error }, index into localTasks
+    let imported = 0;
+    let skipped = 0;
+    let serverLists = null;
+    let sent = 0;
+
+    // Keep only the tasks the server could not import or never got, so the user can retry later
+    const saveRemaining = () => {
+        const failedIndexes = new Set(failed.map(f => f.index));
+        saveLocalTasks(localTasks.filter((_, i) => failedIndexes.has(i) || i >= sent));
+    };
+
+    setButtonLoading(btn, true);
+    try {
+        for (let start = 0; start < localTasks.length; start += IMPORT_CHUNK_SIZE) {
+            const chunk = localTasks.slice(start, start + IMPORT_CHUNK_SIZE);
+            const data = await Api.post('/api/tasks/import', {
+                lists,
+                tasks: chunk.map(t => ({
+                    title: t.title,
+                    completed: !!t.completed,
+                    created_at: t.created_at || null,
+                    due_date: t.due_date || null,
+                    position: t.position ?? null,
+                    subtasks: t.subtasks || [],
+                    recurrence: t.recurrence || null,
+                    priority: t.priority || null,
+                    tags: t.tags || [],
+                    list_id: t.list_id || null
+                }))
+            });
+            sent = start + chunk.length;
+            imported += data.imported.length;
+            skipped += data.skipped;
+            failed.push(...data.failed.map(f => ({ ...f, index: start + f.index })));
+            serverLists = data.lists;
+        }
+    } catch (error) {
+        showApiError(errorEl, error, btn);
+        // Chunks that went through before the error stay imported
+        if (sent > 0) loadLists();
+        return;
+    } finally {
+        if (sent > 0) saveRemaining();
+        setButtonLoading(btn, false);
+    }
+
+    // A retry sends the lists again; until then the remaining tasks still point at them
+    if (failed.length === 0) saveLocalLists([]);
+
+    // Keep showing the list that was open, under its new ID
+    const shownIndex = localLists.findIndex(l => l.id === viewState.list);
+    if (shownIndex !== -1 && serverLists) setView({ list: serverLists[shownIndex].id });
+    await loadLists();
+
+    if (failed.length === 0) {
+        finishLocalImport();
+        return;
+    }
+
+    errorEl.textContent = `Imported ${imported}, skipped ${skipped} duplicate(s), ${failed.length} failed:`;
+    document.getElementById('importFailures').innerHTML = failed
+        .map(f => `<li><strong>${escapeHtml(f.title)}</strong> — ${escapeHtml(f.error)}</li>`)
+        .join('');
+    document.getElementById('importActions').classList.add('hidden');
+    document.getElementById('importDoneBtn').classList.remove('hidden');
 }
 
 // ============ PROFILE & VERIFICATION HANDLERS ============
 
 function switchProfileTab(tabName) {
     // Buttons
-    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-    event.target.classList.add('active');
+    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tabName));
     
     // Content
     document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
@@ -281,9 +715,25 @@ function switchProfileTab(tabName) {
         document.getElementById('tabEdit').classList.add('active');
     } else if (tabName === 'password') {
         document.getElementById('tabPassword').classList.add('active');
+    } else if (tabName === 'tags') {
+        document.getElementById('tabTags').classList.add('active');
+        openTagManager();
+    } else if (tabName === 'sessions') {
+        document.getElementById('tabSessions').classList.add('active');
+        loadSessions();
     }
 }
 
+function openProfileTab(tabName) {
+    showModal('profileModal');
+    switchProfileTab(tabName);
+}
+
+function isProfileTabOpen(tabName) {
+    const button = document.querySelector(`.tab-btn[data-tab="${tabName}"]`);
+    return document.getElementById('profileModal').classList.contains('active') && button.classList.contains('active');
+}
+
 async function handleUpdateProfile(e) {
     e.preventDefault();
     const name = document.getElementById('profileNameInput').value;
@@ -291,27 +741,14 @@ async function handleUpdateProfile(e) {
     const successEl = document.getElementById('profileSuccess');
     
     try {
-        const response = await fetch('/api/profile', {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${getToken()}`
-            },
-            body: JSON.stringify({ name })
-        });
-        
-        if (response.ok) {
-            const user = await response.json();
-            currentUser = user;
-            showLoggedIn(user); // Update UI
-            successEl.classList.remove('hidden');
-            errorEl.textContent = '';
-            setTimeout(() => successEl.classList.add('hidden'), 3000);
-        } else {
-            errorEl.textContent = 'Failed to update profile';
-        }
+        const user = await Api.put('/api/profile', { name });
+        currentUser = user;
+        showLoggedIn(user); // Update UI
+        successEl.classList.remove('hidden');
+        errorEl.textContent = '';
+        setTimeout(() => successEl.classList.add('hidden'), 3000);
     } catch (error) {
-        errorEl.textContent = 'Connection error';
+        showApiError(errorEl, error);
     }
 }
 
@@ -319,36 +756,17 @@ async function handleChangePassword(e) {
     e.preventDefault();
     const currentPassword = document.getElementById('currentPassword').value;
     const newPassword = document.getElementById('newPassword').value;
-    const confirmPassword = document.getElementById('confirmPassword').value;
     const errorEl = document.getElementById('passwordError');
     const successEl = document.getElementById('passwordSuccess');
     
-    if (newPassword !== confirmPassword) {
-        errorEl.textContent = 'Passwords do not match';
-        return;
-    }
-    
     try {
-        const response = await fetch('/api/profile/password', {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${getToken()}`
-            },
-            body: JSON.stringify({ old_password: currentPassword, new_password: newPassword })
-        });
-        
-        if (response.ok) {
-            successEl.classList.remove('hidden');
-            errorEl.textContent = '';
-            document.getElementById('passwordForm').reset();
-            setTimeout(() => successEl.classList.add('hidden'), 3000);
-        } else {
-            const data = await response.json();
-            errorEl.textContent = data.error || 'Failed to change password';
-        }
+        await Api.put('/api/profile/password', { old_password: currentPassword, new_password: newPassword });
+        successEl.classList.remove('hidden');
+        errorEl.textContent = '';
+        document.getElementById('passwordForm').reset();
+        setTimeout(() => successEl.classList.add('hidden'), 3000);
     } catch (error) {
-        errorEl.textContent = 'Connection error';
+        showApiError(errorEl, error);
     }
 }
 
@@ -362,85 +780,53 @@ async function handleForgotPassword(e) {
     
     setButtonLoading(btn, true);
     try {
-        const response = await fetch('/api/auth/forgot-password', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ email })
-        });
+        await Api.post('/api/auth/forgot-password', { email }, { auth: false });
         
         // Always show success
         successEl.classList.remove('hidden');
         errorEl.textContent = '';
         document.getElementById('forgotForm').reset();
     } catch (error) {
-        errorEl.textContent = 'Connection error';
+        // The server never reveals whether the email exists, so only transport errors land here
+        showApiError(errorEl, error, btn);
     } finally {
         setButtonLoading(btn, false);
     }
 }
 
-// Verification Code Logic
-function handleCodeInput(input, index) {
-    // Auto-focus next input
-    if (input.value.length === 1) {
-        input.classList.add('filled');
-        const next = document.querySelectorAll('.code-input')[index + 1];
-        if (next) next.focus();
-    } else {
-        input.classList.remove('filled');
-    }
-    
-    // Handle backspace
-    input.addEventListener('keydown', (e) => {
-        if (e.key === 'Backspace' && input.value.length === 0) {
-            const prev = document.querySelectorAll('.code-input')[index - 1];
-            if (prev) {
-                prev.focus();
-                prev.value = '';
-                prev.classList.remove('filled');
-            }
-        }
-    });
-}
+// Verification code boxes (see codeinput.js)
+const verifyCode = CodeInput.create(
+    document.getElementById('codeInputGroup'),
+    document.getElementById('codeStatus')
+);
 
 async function handleVerifyEmail(e) {
     e.preventDefault();
     const form = e.target;
     const btn = getFormButton(form);
-    const inputs = document.querySelectorAll('.code-input');
-    let code = '';
-    inputs.forEach(input => code += input.value);
+    const code = verifyCode.value();
     
     const errorEl = document.getElementById('verifyError');
     const successEl = document.getElementById('verifySuccess');
     
-    if (code.length !== 6) {
-        errorEl.textContent = 'Please enter the full 6-digit code';
+    if (code.length !== verifyCode.length) {
+        errorEl.textContent = I18n.t('code.incomplete', { count: verifyCode.length });
+        verifyCode.focusFirstEmpty();
         return;
     }
     
     setButtonLoading(btn, true);
     try {
-        const response = await fetch('/api/auth/verify', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ code })
-        });
-        
-        if (response.ok) {
-            successEl.classList.remove('hidden');
-            errorEl.textContent = '';
-            setTimeout(() => {
-                hideModal('verifyModal');
-                // Refresh user data
-                checkAuth();
-            }, 2000);
-        } else {
-            const data = await response.json();
-            errorEl.textContent = data.error || 'Verification failed';
-        }
+        await Api.post('/api/auth/verify', { code }, { auth: false });
+        successEl.classList.remove('hidden');
+        errorEl.textContent = '';
+        setTimeout(() => {
+            hideModal('verifyModal');
+            // Refresh user data
+            checkAuth();
+        }, 2000);
     } catch (error) {
-        errorEl.textContent = 'Connection error';
+        showApiError(errorEl, error, btn);
     } finally {
         setButtonLoading(btn, false);
     }
@@ -464,20 +850,11 @@ async function handleResendCode(e) {
     timer.textContent = `Resend in ${resendCooldown}s`;
     
     try {
-        const response = await fetch('/api/auth/resend-verification', {
-            method: 'POST',
-            headers: { 'Authorization': `Bearer ${getToken()}` }
-        });
-        
-        if (response.ok) {
-            errorEl.textContent = '';
-            timer.textContent = `Code sent! Resend in ${resendCooldown}s`;
-        } else {
-            const data = await response.json();
-            errorEl.textContent = data.error || 'Failed to resend code';
-        }
+        await Api.post('/api/auth/resend-verification');
+        errorEl.textContent = '';
+        timer.textContent = `Code sent! Resend in ${resendCooldown}s`;
     } catch (error) {
-        errorEl.textContent = 'Connection error';
+        showApiError(errorEl, error);
     }
     
     // Countdown timer
@@ -493,220 +870,3105 @@ async function handleResendCode(e) {
     }, 1000);
 }
 
+// ============ TASK STORE ============
+// In-memory copy of what is on screen. Mutations update it first (optimistic),
+// then get confirmed by the server / localStorage or rolled back with an inline error.
+
+const taskStore = {
+    tasks: [],
+    errors: new Map(),      // task id -> inline error shown on the row
+    renderedIds: new Set()  // rows already on screen, so only new rows animate in
+};
+
+const TASK_ERROR_MS = 5000;
+
+function setStoreTasks(tasks) {
+    taskStore.tasks = tasks;
+    renderTasks(tasks);
+    scheduleReminders();
+}
+
+function showTaskError(id, message) {
+    const key = String(id);
+    taskStore.errors.set(key, message);
+    renderTasks(taskStore.tasks);
+
+    setTimeout(() => {
+        if (taskStore.errors.get(key) !== message) return;
+        taskStore.errors.delete(key);
+        renderTasks(taskStore.tasks);
+    }, TASK_ERROR_MS);
+}
+
+// For failures that have no row to attach to (e.g. a rolled back create)
+function showFormError(message) {
+    const errorEl = document.getElementById('taskError');
+    errorEl.textContent = message;
+    setTimeout(() => {
+        if (errorEl.textContent === message) errorEl.textContent = '';
+    }, TASK_ERROR_MS);
+}
+
+// Anonymous mode: show the change, then write localStorage; undo it if the write throws.
+// Returns whether the change was saved.
+function applyLocalChange(id, nextTasks, persist) {
+    const previous = taskStore.tasks;
+    setStoreTasks(nextTasks);
+    try {
+        persist();
+        return true;
+    } catch (error) {
+        console.error('Failed to save local tasks:', error);
+        setStoreTasks(previous);
+        showTaskError(id, 'Could not save on this device');
+        return false;
+    }
+}
+
 // ============ TASK FUNCTIONS ============
 
+// Logged in, tasks come in pages of TASK_PAGE_SIZE: the first one is shown right away, the rest
+// as they arrive. Pages follow record ID order, so until the last one is in the tasks shown are
+// only some of them (see tasksStillLoading).
+const TASK_PAGE_SIZE = 200;
+let taskLoadGeneration = 0;
+let taskCursor = null; // next_cursor of the last page fetched; null once there are no more
+
 async function loadTasks() {
+    // A newer load (another event, a login) makes this one stop
+    const generation = ++taskLoadGeneration;
+    const isCurrent = () => generation === taskLoadGeneration;
+    taskCursor = null;
     let tasks = [];
 
     if (isLoggedIn()) {
-        // Logged in: get from API
+        // Logged in: get from API, fall back to the last cached snapshot when offline
         try {
-            const response = await fetch('/api/tasks', {
-                headers: { 'Authorization': `Bearer ${getToken()}` }
-            });
-            tasks = await response.json();
+            await fetchTaskPage(null, isCurrent);
+            while (taskCursor && isCurrent() && isLoggedIn()) {
+                const partial = await tasksWithQueuedMutations(null);
+                if (!isCurrent()) return;
+                setStoreTasks(partial);
+                await fetchTaskPage(taskCursor, isCurrent);
+            }
         } catch (error) {
             console.error('Failed to load tasks from API:', error);
-            tasks = [];
+            if (!(error instanceof Api.NetworkError)) showFormError(apiErrorMessage(error));
+            // The pages that didn't come stay as cached
+            if (isCurrent()) taskCursor = null;
         }
+        // The session expired and the user didn't log back in; local tasks are already shown
+        if (!isLoggedIn() || !isCurrent()) return;
+        tasks = await tasksWithQueuedMutations(null);
     } else {
         // Anonymous: get from localStorage
         tasks = getLocalTasks();
     }
 
-    renderTasks(tasks);
+    if (isCurrent()) setStoreTasks(tasks);
 }
 
-function renderTasks(tasks) {
-    taskList.innerHTML = '';
-    
-    // Get completed task list element
-    const completedTaskList = document.getElementById('completedTaskList');
+/**
+ * Fetch the page after the cursor task (null: the first page) into the offline snapshot.
+ * Resolves false, without touching the snapshot, when isCurrent() says it came too late.
+ */
+async function fetchTaskPage(cursor, isCurrent) {
+    const userId = currentUser.id;
+    const query = `limit=${TASK_PAGE_SIZE}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+    const page = await Api.get(`/api/tasks?${query}`);
+    if (!isCurrent() || !currentUser || currentUser.id !== userId) return false;
+
+    const snapshot = await OfflineStore.loadSnapshot(userId) || [];
+    await OfflineStore.saveSnapshot(userId, mergeTaskPage(snapshot, page.tasks, cursor, page.next_cursor));
+    taskCursor = page.next_cursor;
+    return true;
+}
+
+// A page replaces the cached tasks in its ID range, so the snapshot stays whole while the
+// pages come: those after it stay as cached until their page does
+function mergeTaskPage(snapshot, pageTasks, after, until) {
+    const inPage = t => (after === null || t.id > after) && (until === null || t.id <= until);
+    return [...snapshot.filter(t => !inPage(t)), ...pageTasks];
+}
+
+/**
+ * Whether pages are still coming, saying so if they are. Reordering, select all and export
+ * wait for them: an order saved now would number only the tasks fetched so far.
+ */
+function tasksStillLoading() {
+    if (!taskCursor || !isLoggedIn()) return false;
+    showFormError(I18n.t('tasks.still_loading'));
+    return true;
+}
+
+function renderTasks(allTasks) {
+    const listTasks = allTasks.filter(inShownList);
+    const tasks = applyView(listTasks);
+    const focus = captureTaskFocus();
     const completedSection = document.getElementById('completedSection');
-    completedTaskList.innerHTML = '';
-    
-    // Date formatting helper
-    function formatDate(dateStr) {
-        if (!dateStr) return '';
-        try {
-            const date = new Date(dateStr);
-            return date.toLocaleDateString('ro-RO', { 
-                day: '2-digit', 
-                month: 'short',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-        } catch {
-            return dateStr;
-        }
-    }
-    
+
     // Separate active and completed tasks
     const activeTasks = tasks.filter(t => !t.completed);
     const completedTasks = tasks.filter(t => t.completed);
-    
+    activeRows.update(activeTasks);
+    completedRows.update(completedTasks);
+
     if (activeTasks.length === 0 && completedTasks.length === 0) {
+        document.getElementById('emptyMessage').textContent = listTasks.length > 0
+            ? I18n.t('tasks.no_match')
+            : I18n.t('tasks.empty');
         emptyState.classList.add('visible');
-        completedSection.style.display = 'none';
     } else {
         emptyState.classList.remove('visible');
-        
-        // Render active tasks
-        activeTasks.forEach(task => {
-            const li = document.createElement('li');
-            li.className = 'task-item';
-            
-            const createdDate = formatDate(task.created_at);
-            const dueDate = task.due_date ? formatDate(task.due_date) : '';
-            const dueDateHtml = dueDate ? `<span class="task-due">📅 ${dueDate}</span>` : '';
-            const createdHtml = createdDate ? `<span class="task-created">🕐 ${createdDate}</span>` : '';
-            
-            li.innerHTML = `
-                <input type="checkbox" class="task-checkbox" data-id="${task.id}">
-                <div class="task-content">
-                    <span class="task-title">${escapeHtml(task.title)}</span>
-                    <div class="task-meta">${createdHtml}${dueDateHtml}</div>
-                </div>
-                <button class="btn-delete" data-id="${task.id}" title="Delete task">🗑️</button>
-            `;
-            taskList.appendChild(li);
+    }
+    completedSection.style.display = completedTasks.length > 0 ? 'block' : 'none';
+    
+    // Counts are for the list being shown, whatever the search or filter
+    totalCount.textContent = listTasks.length;
+    completedCount.textContent = listTasks.filter(t => t.completed).length;
+    renderListSwitcher(allTasks);
+    updateViewSummary(tasks.length, listTasks.length);
+    taskStore.renderedIds = new Set(tasks.map(t => String(t.id)));
+    scheduleDueRefresh(allTasks);
+    pruneSelection(tasks);
+    // Rows that didn't change kept their focus; only a rewritten or removed row needs it back
+    if (!focusedTaskRow()) restoreTaskFocus(focus);
+}
+
+// One row, the same for both lists: completed rows have no drag handle and are checked
+function taskRow(task) {
+    const readOnly = !canEditTask(task);
+    const createdDate = I18n.formatDateTime(task.created_at);
+    const dueDate = task.due_date ? I18n.formatDateTime(task.due_date) : '';
+    const createdHtml = createdDate ? `<span class="task-created">🕐 ${createdDate}</span>` : '';
+
+    return {
+        className: `task-item${task.completed ? ' completed' : dueClass(task)}${syncClass(task)}${enterClass(task)}${selectedClass(task)}${readOnly ? ' task-readonly' : ''}`,
+        html: `
+            ${task.completed ? '' : dragHandleHtml(task)}
+            ${selectCheckboxHtml(task)}
+            <input type="checkbox" class="task-checkbox"${task.completed ? ' checked' : ''} data-id="${task.id}"${readOnly ? ' disabled' : ''}>
+            <div class="task-content">
+                <span class="task-title" tabindex="0" data-edit-id="${task.id}" title="Double-click or press Enter to edit">${escapeHtml(task.title)}</span>
+                <div class="task-meta">${createdHtml}${dueDateMetaHtml(task, dueDate)}${priorityBadgeHtml(task)}${recurrenceBadgeHtml(task)}${subtaskProgressHtml(task)}${tagChipsHtml(task)}${listSelectHtml(task)}${authorshipHtml(task)}${syncBadgeHtml(task)}</div>
+                ${subtaskPanelHtml(task)}
+                ${taskErrorHtml(task)}
+            </div>
+            ${readOnly ? '' : `<button class="btn-delete" data-id="${task.id}" title="Delete task">🗑️</button>`}
+        `
+    };
+}
+
+// Rows are patched by task ID; long lists only keep the rows near the viewport (rowlist.js)
+const activeRows = RowList.create(taskList, { key: task => String(task.id), render: taskRow });
+const completedRows = RowList.create(document.getElementById('completedTaskList'), { key: task => String(task.id), render: taskRow });
+
+// A row changed outside renderTasks (an inline edit, a clicked checkbox) is rewritten next time
+function invalidateTaskRow(el) {
+    activeRows.invalidate(el);
+    completedRows.invalidate(el);
+}
+
+function dueDateMetaHtml(task, formatted) {
+    if (formatted) {
+        // Spelled out too, so the state isn't conveyed by color alone
+        const state = { ' task-overdue': I18n.t('tasks.overdue'), ' task-due-soon': I18n.t('tasks.due_soon') }[dueClass(task)];
+        const relative = task.completed ? '' : ` (${I18n.formatRelative(task.due_date)})`;
+        return `<span class="task-due" tabindex="0" data-edit-id="${task.id}" title="Double-click or press Enter to change">📅 ${formatted}${relative}${state ? ` · ${state}` : ''}</span>`;
+    }
+    return `<span class="task-due task-due-empty" tabindex="0" data-edit-id="${task.id}" title="${I18n.t('form.set_due_date')}">📅 ${I18n.t('tasks.add_date')}</span>`;
+}
+
+function enterClass(task) {
+    return taskStore.renderedIds.has(String(task.id)) ? '' : ' task-enter';
+}
+
+function taskErrorHtml(task) {
+    const message = taskStore.errors.get(String(task.id));
+    return message ? `<div class="task-error" role="alert">${escapeHtml(message)}</div>` : '';
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// extras: subtasks, recurrence, priority, tags, position (by default from the new-task setting)
+// and list_id (by default the list being shown)
+async function addTask(title, dueDate = null, extras = {}) {
+    const fields = {
+        position: 'position' in extras ? extras.position : newTaskPosition(),
+        subtasks: extras.subtasks || [],
+        recurrence: extras.recurrence || null,
+        priority: extras.priority || null,
+        tags: extras.tags || [],
+        list_id: 'list_id' in extras ? extras.list_id : currentListId()
+    };
+    if (!canEditList(taskLists.find(l => l.id === fields.list_id))) {
+        showFormError(I18n.t('tasks.view_only'));
+        return;
+    }
+    if (isLoggedIn()) {
+        // Logged in: queue for the API (survives offline), show it right away as pending
+        await OfflineStore.enqueue({
+            userId: currentUser.id,
+            type: 'create',
+            taskId: newTempId(),
+            payload: { title, due_date: dueDate, created_at: new Date().toISOString(), ...fields },
+            status: 'pending',
+            error: null,
+            deferred: !navigator.onLine
         });
-        
-        // Render completed tasks
-        if (completedTasks.length > 0) {
-            completedSection.style.display = 'block';
-            completedTasks.forEach(task => {
-                const li = document.createElement('li');
-                li.className = 'task-item completed';
-                
-                const createdDate = formatDate(task.created_at);
-                const dueDate = task.due_date ? formatDate(task.due_date) : '';
-                const createdHtml = createdDate ? `<span class="task-created">🕐 ${createdDate}</span>` : '';
-                const dueDateHtml = dueDate ? `<span class="task-due">📅 ${dueDate}</span>` : '';
-                
-                li.innerHTML = `
-                    <input type="checkbox" class="task-checkbox" checked data-id="${task.id}">
-                    <div class="task-content">
-                        <span class="task-title">${escapeHtml(task.title)}</span>
-                        <div class="task-meta">${createdHtml}${dueDateHtml}</div>
-                    </div>
-                    <button class="btn-delete" data-id="${task.id}" title="Delete task">🗑️</button>
-                `;
-                completedTaskList.appendChild(li);
+        await renderFromCache();
+        syncPendingMutations();
+    } else {
+        // Anonymous: save to localStorage
+        try {
+            const task = addLocalTask(title, dueDate, fields);
+            setStoreTasks([...taskStore.tasks, task]);
+        } catch (error) {
+            console.error('Failed to save local task:', error);
+            showFormError('Could not save on this device');
+        }
+    }
+}
+
+async function toggleTask(id) {
+    const task = findTask(id);
+    if (!canEditTask(task)) {
+        showTaskError(id, I18n.t('tasks.view_only'));
+        return;
+    }
+    // Logged in, the server creates the next occurrence of a recurring task
+    if (task && !task.completed && task.recurrence && !isLoggedIn()) {
+        await completeRecurringTask(task);
+        return;
+    }
+
+    if (isLoggedIn()) {
+        await queueTaskMutation('toggle', id);
+    } else {
+        const next = taskStore.tasks.map(t => sameId(t.id, id) ? { ...t, completed: !t.completed } : t);
+        applyLocalChange(id, next, () => toggleLocalTask(id));
+    }
+}
+
+// Partial update: any of title, due_date (null clears it), completed, subtasks,
+// recurrence (null stops it), priority (null clears it), tags, list_id (null is the Inbox)
+async function updateTask(id, changes) {
+    if (!canEditTask(findTask(id))) {
+        showTaskError(id, I18n.t('tasks.view_only'));
+        return;
+    }
+    if (isLoggedIn()) {
+        await queueTaskMutation('update', id, changes);
+    } else {
+        const next = taskStore.tasks.map(t => sameId(t.id, id) ? { ...t, ...changes } : t);
+        applyLocalChange(id, next, () => updateLocalTask(id, changes));
+    }
+}
+
+// Deletes are soft: the task goes to the trash, and the toast offers to undo right away
+async function deleteTask(id) {
+    const task = taskStore.tasks.find(t => sameId(t.id, id));
+    if (!task) return;
+    if (!canEditTask(task)) {
+        showTaskError(id, I18n.t('tasks.view_only'));
+        return;
+    }
+
+    if (isLoggedIn()) {
+        // A task that never reached the server: just drop its queued mutations (undo queues them again)
+        if (isTempId(id)) {
+            const dropped = await discardMutations(id);
+            await renderFromCache();
+            showUndoToast(I18n.t('tasks.deleted', { title: task.title }), () => requeueMutations(dropped));
+            return;
+        }
+        await queueTaskMutation('delete', id);
+    } else {
+        const next = taskStore.tasks.filter(t => !sameId(t.id, id));
+        if (!applyLocalChange(id, next, () => deleteLocalTask(id))) return;
+    }
+    showUndoToast(I18n.t('tasks.deleted', { title: task.title }), () => restoreTask(task));
+}
+
+// Logged in this goes through the queue, so undo works offline and reaches other devices
+async function restoreTask(task) {
+    if (isLoggedIn()) {
+        const { syncState, syncError, ...saved } = task;
+        await queueTaskMutation('restore', task.id, { task: saved });
+    } else {
+        const next = upsertTask(taskStore.tasks, task);
+        applyLocalChange(task.id, next, () => restoreLocalTask(task.id));
+    }
+}
+
+async function queueTaskMutation(type, taskId, payload = {}) {
+    await enqueueMutation(type, taskId, payload);
+    await renderFromCache();
+    syncPendingMutations();
+}
+
+// Queue without re-rendering, for callers that queue several mutations at once
+function enqueueMutation(type, taskId, payload = {}) {
+    return OfflineStore.enqueue({
+        userId: currentUser.id,
+        type,
+        taskId,
+        payload,
+        status: 'pending',
+        error: null,
+        deferred: !navigator.onLine
+    });
+}
+
+// ============ OFFLINE QUEUE ============
+// Logged-in mutations go through an IndexedDB queue (see offline.js) and are
+// replayed in order against the API. New tasks get a temporary "tmp-" ID until
+// the server assigns the real SurrealDB record ID.
+
+let replayInProgress = false;
+
+function newTempId() {
+    return `tmp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function isTempId(id) {
+    return String(id).startsWith('tmp-');
+}
+
+// Overlay queued mutations on top of the server (or cached) task list
+async function tasksWithQueuedMutations(serverTasks) {
+    const base = serverTasks || await OfflineStore.loadSnapshot(currentUser.id) || [];
+    const mutations = await OfflineStore.getMutations(currentUser.id);
+    updateSyncStatus(mutations);
+
+    const tasks = base.map(t => ({ ...t }));
+    for (const m of mutations) {
+        if (m.type === 'create') {
+            tasks.push({
+                id: m.taskId,
+                title: m.payload.title,
+                completed: false,
+                created_at: m.payload.created_at,
+                due_date: m.payload.due_date,
+                position: m.payload.position ?? null,
+                subtasks: m.payload.subtasks || [],
+                recurrence: m.payload.recurrence || null,
+                priority: m.payload.priority || null,
+                tags: m.payload.tags || [],
+                list_id: m.payload.list_id || null,
+                syncState: m.status,
+                syncError: m.error
             });
+            continue;
+        }
+
+        if (m.type === 'batch') {
+            overlayBatch(tasks, m);
+            continue;
+        }
+
+        if (m.type === 'reorder') {
+            applyPositions(tasks, m.payload.ids);
+            continue;
+        }
+
+        if (m.type === 'restore') {
+            // Back from the trash: the snapshot no longer has it, the payload does
+            if (!tasks.some(t => t.id === m.taskId)) {
+                tasks.push({ ...m.payload.task, syncState: m.status, syncError: m.error });
+            }
+            continue;
+        }
+
+        const task = tasks.find(t => t.id === m.taskId);
+        if (!task) continue;
+
+        if (m.type === 'toggle') {
+            task.completed = !task.completed;
+        } else if (m.type === 'update') {
+            Object.assign(task, m.payload);
+        } else if (m.type === 'delete' && m.status === 'pending') {
+            tasks.splice(tasks.indexOf(task), 1);
+            continue;
+        }
+        // A failed mutation wins over a pending one when showing row state
+        if (task.syncState !== 'failed') {
+            task.syncState = m.status;
+            task.syncError = m.error;
+        }
+    }
+    return tasks;
+}
+
+// A batch mutation (taskId null) touches every task in payload.ids
+function overlayBatch(tasks, m) {
+    const { action, ids } = m.payload;
+    if (action === 'restore') {
+        for (const saved of m.payload.tasks) {
+            if (!tasks.some(t => t.id === saved.id)) {
+                tasks.push({ ...saved, syncState: m.status, syncError: m.error });
+            }
+        }
+        return;
+    }
+
+    for (const id of ids) {
+        const index = tasks.findIndex(t => t.id === id);
+        if (index === -1) continue;
+        if (action === 'delete') {
+            if (m.status === 'pending') tasks.splice(index, 1);
+            continue;
+        }
+        const task = tasks[index];
+        Object.assign(task, bulkChanges(action, m.payload));
+        if (task.syncState !== 'failed') {
+            task.syncState = m.status;
+            task.syncError = m.error;
+        }
+    }
+}
+
+// Re-render from snapshot + queue without hitting the network
+async function renderFromCache() {
+    setStoreTasks(await tasksWithQueuedMutations(null));
+}
+
+// Resolves with the server's task (null for deletes); throws Api errors
+function sendMutation(m) {
+    if (m.type === 'create') {
+        const taskData = { title: m.payload.title };
+        if (m.payload.due_date) {
+            taskData.due_date = m.payload.due_date;
+        }
+        if (m.payload.position !== undefined && m.payload.position !== null) {
+            taskData.position = m.payload.position;
+        }
+        if (m.payload.subtasks && m.payload.subtasks.length > 0) {
+            taskData.subtasks = m.payload.subtasks;
+        }
+        if (m.payload.recurrence) {
+            taskData.recurrence = m.payload.recurrence;
+        }
+        if (m.payload.priority) {
+            taskData.priority = m.payload.priority;
+        }
+        if (m.payload.tags && m.payload.tags.length > 0) {
+            taskData.tags = m.payload.tags;
+        }
+        if (m.payload.list_id) {
+            taskData.list_id = m.payload.list_id;
+        }
+        return Api.post('/api/tasks', taskData);
+    }
+    if (m.type === 'update') {
+        return Api.patch(`/api/tasks/${m.taskId}`, m.payload);
+    }
+    if (m.type === 'toggle') {
+        return Api.put(`/api/tasks/${m.taskId}`);
+    }
+    if (m.type === 'restore') {
+        return Api.post(`/api/tasks/${m.taskId}/restore`);
+    }
+    if (m.type === 'batch') {
+        const { action, ids, due_date, list_id } = m.payload;
+        return Api.post('/api/tasks/batch', { action, ids, due_date, list_id });
+    }
+    if (m.type === 'reorder') {
+        return Api.put('/api/tasks/order', { ids: m.payload.ids });
+    }
+    return Api.del(`/api/tasks/${m.taskId}`);
+}
+
+// Replay queued mutations in order. Stops at the first network error (still offline),
+// marks server rejections as failed so the row can offer retry/discard.
+async function replayQueue() {
+    if (replayInProgress || !isLoggedIn() || !navigator.onLine) return;
+    replayInProgress = true;
+    // The queue belongs to this user; a logout while replaying must not touch someone else's
+    const userId = currentUser.id;
+
+    try {
+        // Tabs share the IndexedDB queue, so only one of them may replay it at a time
+        if (navigator.locks) {
+            await navigator.locks.request('zig-tasks-replay', () => replayMutations(userId));
+        } else {
+            await replayMutations(userId);
+        }
+    } finally {
+        replayInProgress = false;
+    }
+}
+
+async function replayMutations(userId) {
+    const stillLoggedIn = () => currentUser !== null && currentUser.id === userId;
+    if (!stillLoggedIn()) return;
+    const mutations = await OfflineStore.getMutations(userId);
+    const resolvedIds = new Map(); // temp ID -> server ID, for mutations loaded before the create went through
+    for (const [index, m] of mutations.entries()) {
+        if (!stillLoggedIn()) break;
+        if (m.status === 'failed') continue;
+        if (resolvedIds.has(m.taskId)) {
+            m.taskId = resolvedIds.get(m.taskId);
+        }
+
+        // The create for this task has not succeeded yet, so it has no server ID
+        if (m.type !== 'create' && isTempId(m.taskId)) {
+            m.status = 'failed';
+            m.error = 'Task was not saved on the server';
+            await OfflineStore.updateMutation(m);
+            continue;
+        }
+
+        let body;
+        try {
+            body = await sendMutation(m);
+        } catch (error) {
+            // Still offline, or the session expired and the user didn't log back in
+            if (error instanceof Api.NetworkError || error instanceof Api.UnauthorizedError || !stillLoggedIn()) {
+                console.warn('Replay paused:', error.message);
+                await deferMutations(mutations.slice(index));
+                break;
+            }
+            await rejectMutation(m, apiErrorMessage(error));
+            await renderFromCache();
+            continue;
+        }
+
+        if (m.type === 'create') {
+            await reconcileTempId(userId, m.taskId, body);
+            resolvedIds.set(m.taskId, body.id);
+        }
+        if (m.type === 'batch' && body.failed.length > 0) {
+            showFormError(I18n.t('bulk.partly_failed', { count: body.failed.length, error: body.failed[0].error }));
+        }
+        await applyToSnapshot(userId, m, body);
+        await OfflineStore.removeMutation(m.seq);
+        if (stillLoggedIn()) await renderFromCache();
+    }
+}
+
+// Changes made while online are rolled back on the spot with an inline error.
+// Changes made offline stay visible as "failed" so the user can retry or discard them.
+async function rejectMutation(m, message) {
+    // Batches have no single row to offer retry/discard on, so they are always rolled back
+    if (m.type === 'batch') {
+        await OfflineStore.removeMutation(m.seq);
+        showFormError(I18n.t('bulk.failed', { count: m.payload.ids.length, error: message }));
+        return;
+    }
+    if (m.type === 'reorder') {
+        await OfflineStore.removeMutation(m.seq);
+        showFormError(`Couldn't save the new order: ${message}`);
+        return;
+    }
+
+    if (m.deferred) {
+        m.status = 'failed';
+        m.error = message;
+        await OfflineStore.updateMutation(m);
+        return;
+    }
+
+    await OfflineStore.removeMutation(m.seq);
+    if (m.type === 'create') {
+        await discardMutations(m.taskId);
+        showFormError(`Couldn't add "${m.payload.title}": ${message}`);
+    } else if (m.type === 'restore') {
+        // No row to attach the error to; the task is still in the trash
+        showFormError(`Couldn't restore "${m.payload.task.title}": ${message}`);
+    } else {
+        showTaskError(m.taskId, message);
+    }
+}
+
+// Mark mutations that could not be sent as offline changes
+async function deferMutations(mutations) {
+    for (const m of mutations) {
+        if (m.status === 'pending' && !m.deferred) {
+            m.deferred = true;
+            await OfflineStore.updateMutation(m);
+        }
+    }
+}
+
+// Point later queued mutations at the server-assigned ID
+async function reconcileTempId(userId, tempId, serverTask) {
+    const mutations = await OfflineStore.getMutations(userId);
+    for (const m of mutations) {
+        if (m.taskId === tempId && m.type !== 'create') {
+            m.taskId = serverTask.id;
+            await OfflineStore.updateMutation(m);
+        }
+    }
+    // Same row, new ID: don't replay the enter animation or close its checklist
+    taskStore.renderedIds.add(String(serverTask.id));
+    if (expandedSubtasks.delete(tempId)) expandedSubtasks.add(String(serverTask.id));
+}
+
+// Fold a confirmed mutation into the cached snapshot so it survives going offline again.
+// serverTask is the response body: the task, or for batches { updated, deleted, created, failed }.
+async function applyToSnapshot(userId, m, serverTask) {
+    let snapshot = await OfflineStore.loadSnapshot(userId) || [];
+    if (m.type === 'create') {
+        // Another device's event may have delivered this task already
+        snapshot = upsertTask(snapshot, serverTask);
+    } else if (m.type === 'toggle' || m.type === 'update') {
+        const { next_occurrence: next, ...task } = serverTask;
+        snapshot = snapshot.map(t => t.id === m.taskId ? task : t);
+        // It completed a recurring task, and the server created the next one
+        if (next) snapshot = upsertTask(snapshot, next);
+    } else if (m.type === 'restore') {
+        snapshot = upsertTask(snapshot, serverTask);
+    } else if (m.type === 'batch') {
+        for (const task of [...serverTask.updated, ...serverTask.created]) {
+            snapshot = upsertTask(snapshot, task);
+        }
+        snapshot = snapshot.filter(t => !serverTask.deleted.includes(t.id));
+    } else if (m.type === 'reorder') {
+        applyPositions(snapshot, m.payload.ids);
+    } else if (m.type === 'delete') {
+        snapshot = snapshot.filter(t => t.id !== m.taskId);
+    }
+    await OfflineStore.saveSnapshot(userId, snapshot);
+}
+
+function upsertTask(tasks, task) {
+    return tasks.some(t => sameId(t.id, task.id))
+        ? tasks.map(t => sameId(t.id, task.id) ? task : t)
+        : [...tasks, task];
+}
+
+async function syncPendingMutations() {
+    await replayQueue();
+    if (isLoggedIn()) await renderFromCache();
+}
+
+async function retryMutations(taskId) {
+    const mutations = await OfflineStore.getMutations(currentUser.id);
+    for (const m of mutations) {
+        if (m.taskId === taskId && m.status === 'failed') {
+            m.status = 'pending';
+            m.error = null;
+            await OfflineStore.updateMutation(m);
+        }
+    }
+    syncPendingMutations();
+}
+
+// Resolves with the removed mutations
+async function discardMutations(taskId) {
+    const mutations = await OfflineStore.getMutations(currentUser.id);
+    const removed = mutations.filter(m => m.taskId === taskId);
+    for (const m of removed) {
+        await OfflineStore.removeMutation(m.seq);
+    }
+    return removed;
+}
+
+// Put back mutations dropped by discardMutations (keeping their seq keeps their place in the queue)
+async function requeueMutations(mutations) {
+    if (!isLoggedIn()) return;
+    for (const m of mutations) {
+        await OfflineStore.enqueue(m);
+    }
+    await renderFromCache();
+    syncPendingMutations();
+}
+
+function syncClass(task) {
+    return task.syncState ? ` sync-${task.syncState}` : '';
+}
+
+function syncBadgeHtml(task) {
+    if (task.syncState === 'pending') {
+        return '<span class="task-sync">⏳ Pending</span>';
+    }
+    if (task.syncState === 'failed') {
+        return `
+            <span class="task-sync task-sync-failed" title="${escapeHtml(task.syncError || '')}">⚠️ Sync failed</span>
+            <button class="btn-sync" data-id="${task.id}" data-action="retry">Retry</button>
+            <button class="btn-sync" data-id="${task.id}" data-action="discard">Discard</button>
+        `;
+    }
+    return '';
+}
+
+function updateSyncStatus(mutations) {
+    const statusEl = document.getElementById('syncStatus');
+    const pending = mutations.filter(m => m.status === 'pending').length;
+    const failed = mutations.filter(m => m.status === 'failed').length;
+
+    if (!navigator.onLine) {
+        statusEl.textContent = `📴 Offline${pending ? ` • ${pending} change(s) will sync when you reconnect` : ''}`;
+    } else if (failed) {
+        statusEl.textContent = `⚠️ ${failed} change(s) failed to sync`;
+    } else if (pending) {
+        statusEl.textContent = `⏳ Syncing ${pending} change(s)…`;
+    } else {
+        statusEl.textContent = '';
+    }
+    statusEl.classList.toggle('hidden', statusEl.textContent === '');
+}
+
+// ============ REAL-TIME SYNC ============
+// Logged in: a WebSocket on /api/tasks/events pushes changes made in other tabs and devices.
+// Anonymous: other tabs' localTasks writes arrive through the storage event.
+// Each tab sends its CLIENT_ID with task requests so it can ignore the echo of its own changes.
+
+const CLIENT_ID = window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `tab-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+let eventSocket = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+
+function connectTaskEvents() {
+    if (!isLoggedIn() || eventSocket || !('WebSocket' in window)) return;
+    clearTimeout(reconnectTimer);
+
+    // Authenticated by the session cookie, which the browser sends with the upgrade request
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${location.host}/api/tasks/events`);
+    eventSocket = socket;
+
+    socket.onopen = () => {
+        // Events sent while we were disconnected are gone; catch up with a full load
+        if (reconnectAttempts > 0) loadTasks();
+        reconnectAttempts = 0;
+    };
+    socket.onmessage = (e) => applyTaskEvent(e.data);
+    socket.onclose = () => {
+        if (eventSocket !== socket) return; // closed on purpose by disconnectTaskEvents
+        eventSocket = null;
+        scheduleReconnect();
+    };
+}
+
+function disconnectTaskEvents() {
+    const socket = eventSocket;
+    eventSocket = null;
+    clearTimeout(reconnectTimer);
+    reconnectAttempts = 0;
+    if (socket) socket.close();
+}
+
+function scheduleReconnect() {
+    // While offline the 'online' listener reconnects instead
+    if (!isLoggedIn() || !navigator.onLine) return;
+
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+    reconnectAttempts++;
+    // Jitter, so every open tab doesn't hit a restarted server at the same instant
+    reconnectTimer = setTimeout(connectTaskEvents, delay / 2 + Math.random() * delay / 2);
+}
+
+// Events update the cached snapshot; queued local changes stay layered on top
+async function applyTaskEvent(data) {
+    let event;
+    try {
+        event = JSON.parse(data);
+    } catch {
+        return;
+    }
+    if (!isLoggedIn() || event.origin === CLIENT_ID) return;
+
+    // A rename or merge rewrote tasks on the server: reload them along with the colors
+    if (event.type === 'tags.changed') {
+        await loadTagColors();
+        if (isProfileTabOpen('tags')) openTagManager();
+        loadTasks();
+        return;
+    }
+    // Deleting a list moved its tasks to the Inbox on the server, and joining or leaving
+    // a shared one adds or drops its tasks
+    if (event.type === 'lists.changed') {
+        await loadLists();
+        refreshShareModalIfOpen();
+        loadTasks();
+        return;
+    }
+    if (event.type === 'invitations.changed') {
+        loadInvitations();
+        return;
+    }
+
+    let snapshot = await OfflineStore.loadSnapshot(currentUser.id) || [];
+    if (event.type === 'task.deleted') {
+        snapshot = snapshot.filter(t => !sameId(t.id, event.id));
+    } else if (['task.created', 'task.updated', 'task.restored'].includes(event.type) && event.task) {
+        snapshot = upsertTask(snapshot, event.task);
+    } else if (event.type === 'tasks.reordered' && event.ids) {
+        applyPositions(snapshot, event.ids);
+    } else {
+        return;
+    }
+    await OfflineStore.saveSnapshot(currentUser.id, snapshot);
+    await renderFromCache();
+    if (event.type === 'task.deleted' || event.type === 'task.restored') refreshTrashIfOpen();
+}
+
+// ============ LISTS ============
+// Every task is in one of the user's lists, or in the Inbox (list_id null), which can't be
+// renamed or deleted. The list being shown is part of the view (#list=<id>, or "all") and
+// new tasks go into it. Logged in, lists are kept on the server (and cached for offline
+// starts; creating, renaming and deleting them needs a connection, moving tasks doesn't).
+// Anonymous lists live in localLists and move into the account with the tasks.
+// Lists shared with the user (see SHARING) come after their own, and may be read only.
+
+const INBOX = 'inbox';
+const ALL_LISTS = 'all';
+const MAX_LIST_NAME = 100;
+
+// [{ id, name, created_at, role, owner_id, owner_name, member_id, members }], own lists
+// first, then the ones shared with the user, each oldest first. Local lists only have the first three.
+let taskLists = [];
+
+async function loadLists() {
+    if (!isLoggedIn()) {
+        taskLists = getLocalLists();
+    } else {
+        try {
+            taskLists = await Api.get('/api/lists');
+            localStorage.setItem('cachedLists', JSON.stringify(taskLists));
+        } catch (error) {
+            console.error('Failed to load lists:', error);
+            const cached = localStorage.getItem('cachedLists');
+            taskLists = cached ? JSON.parse(cached) : [];
+        }
+    }
+    renderListSwitcher();
+}
+
+// The list being shown, or null for the Inbox and "All lists".
+// An unknown ID (deleted, or from another account) shows the Inbox.
+function shownList() {
+    return taskLists.find(l => l.id === viewState.list) || null;
+}
+
+function shownListKey() {
+    if (viewState.list === ALL_LISTS) return ALL_LISTS;
+    const list = shownList();
+    return list ? list.id : INBOX;
+}
+
+function shownListName() {
+    if (viewState.list === ALL_LISTS) return I18n.t('lists.all');
+    const list = shownList();
+    return list ? list.name : I18n.t('lists.inbox');
+}
+
+// Where a task added right now goes
+function currentListId() {
+    const list = shownList();
+    return list ? list.id : null;
+}
+
+// Tasks pointing at a list that is gone count as Inbox tasks
+function taskListId(task) {
+    return task.list_id && taskLists.some(l => l.id === task.list_id) ? task.list_id : null;
+}
+
+function listOf(task) {
+    const id = taskListId(task);
+    return id ? taskLists.find(l => l.id === id) : null;
+}
+
+// Lists shared with the user name their owner; their own (and local) lists don't
+function ownsList(list) {
+    return !list.owner_id;
+}
+
+function isSharedList(list) {
+    return !ownsList(list) || (list.members || []).length > 0;
+}
+
+// Viewers can't add, change or delete the tasks of a shared list. The Inbox is always the user's own.
+function canEditList(list) {
+    return !list || list.role !== 'viewer';
+}
+
+function canEditTask(task) {
+    return !task || canEditList(listOf(task));
+}
+
+function editableLists() {
+    return taskLists.filter(canEditList);
+}
+
+function inShownList(task) {
+    return viewState.list === ALL_LISTS || taskListId(task) === currentListId();
+}
+
+function showList(key) {
+    setView({ list: key });
+}
+
+// Names are compared case-insensitively, like the server does. Shared lists may have any name.
+function listNameError(name, ownId = null) {
+    if (name.length === 0 || name.length > MAX_LIST_NAME) return `List names must be between 1 and ${MAX_LIST_NAME} characters`;
+    if (name.toLowerCase() === 'inbox') return 'Inbox is already a list';
+    const taken = taskLists.some(l => ownsList(l) && l.id !== ownId && l.name.toLowerCase() === name.toLowerCase());
+    return taken ? 'A list with that name already exists' : null;
+}
+
+function showListError(message) {
+    const errorEl = document.getElementById('listError');
+    errorEl.textContent = message;
+    setTimeout(() => {
+        if (errorEl.textContent === message) errorEl.textContent = '';
+    }, TASK_ERROR_MS);
+}
+
+// Tabs with each list's open task count, plus the list pickers on rows and in the bulk bar
+function renderListSwitcher(tasks = taskStore.tasks) {
+    const open = new Map(); // list ID (null for the Inbox) -> open tasks
+    for (const task of tasks) {
+        if (task.completed) continue;
+        const id = taskListId(task);
+        open.set(id, (open.get(id) || 0) + 1);
+    }
+
+    const listTab = (l) => ({ key: l.id, name: l.name, count: open.get(l.id) || 0, shared: isSharedList(l), owner: l.owner_name });
+    const tabHtml = (tab) => `
+        <button type="button" class="list-tab" data-list="${escapeAttr(tab.key)}"${tab.key === shown ? ' aria-current="page"' : ''}${tab.owner ? ` title="Shared by ${escapeAttr(tab.owner)}"` : ''}>
+            ${escapeHtml(tab.name)}${tab.shared ? '<span class="list-shared" aria-label="shared">👥</span>' : ''}<span class="list-count" aria-label="${tab.count} open">${tab.count}</span>
+        </button>`;
+
+    const shown = shownListKey();
+    const sharedWithMe = taskLists.filter(l => !ownsList(l));
+    let html = [{ key: INBOX, name: I18n.t('lists.inbox'), count: open.get(null) || 0 }, ...taskLists.filter(ownsList).map(listTab)]
+        .map(tabHtml).join('');
+    if (sharedWithMe.length > 0) {
+        html += `<span class="list-group-label">${I18n.t('lists.shared_with_me')}</span>${sharedWithMe.map(listTab).map(tabHtml).join('')}`;
+    }
+    if (taskLists.length > 0) {
+        html += tabHtml({ key: ALL_LISTS, name: I18n.t('lists.all'), count: tasks.filter(t => !t.completed).length });
+    }
+    document.getElementById('listTabs').innerHTML = html;
+
+    // Only the owner renames, deletes and shares a list; members can leave it
+    const list = shownList();
+    const owned = list !== null && ownsList(list);
+    document.getElementById('listActions').classList.toggle('hidden', list === null);
+    document.getElementById('renameListBtn').classList.toggle('hidden', !owned);
+    document.getElementById('deleteListBtn').classList.toggle('hidden', !owned);
+    document.getElementById('shareListBtn').classList.toggle('hidden', !owned || !isLoggedIn());
+    document.getElementById('leaveListBtn').classList.toggle('hidden', list === null || owned);
+    document.getElementById('statsListName').textContent = I18n.t('stats.in_list', { list: shownListName() });
+
+    // Rebuilt on every render, so keep the list already picked there
+    const bulkSelect = document.getElementById('bulkListSelect');
+    bulkSelect.innerHTML = listOptionsHtml(bulkSelect.value || null);
+    bulkSelect.classList.toggle('hidden', editableLists().length === 0);
+    document.querySelector('#bulkBar [data-bulk="move"]').classList.toggle('hidden', editableLists().length === 0);
+}
+
+// Tasks can only go into lists the user may edit
+function listOptionsHtml(selectedId) {
+    return [{ id: '', name: I18n.t('lists.inbox') }, ...editableLists()]
+        .map(l => `<option value="${escapeAttr(l.id)}"${(l.id || null) === selectedId ? ' selected' : ''}>${escapeHtml(l.name)}</option>`)
+        .join('');
+}
+
+// Only once the user has lists to move tasks between, and not on read-only tasks
+function listSelectHtml(task) {
+    if (editableLists().length === 0 || !canEditTask(task)) return '';
+    return `<select class="task-list-select" data-id="${task.id}" aria-label="List of ${escapeAttr(task.title)}">${listOptionsHtml(taskListId(task))}</select>`;
+}
+
+// The task usually leaves the view, so the toast says where it went
+async function moveTaskToList(id, listId) {
+    const task = findTask(id);
+    if (!task || taskListId(task) === listId) return;
+    const previous = taskListId(task);
+    await updateTask(id, { list_id: listId });
+    const target = taskLists.find(l => l.id === listId);
+    showUndoToast(`Moved "${task.title}" to ${target ? target.name : I18n.t('lists.inbox')}`, () => updateTask(id, { list_id: previous }));
+}
+
+async function createList(name) {
+    name = name.trim();
+    const problem = listNameError(name);
+    if (problem) {
+        showListError(problem);
+        return false;
+    }
+
+    let list;
+    if (isLoggedIn()) {
+        try {
+            list = await Api.post('/api/lists', { name });
+        } catch (error) {
+            showListError(apiErrorMessage(error));
+            return false;
+        }
+        taskLists = [...taskLists, list];
+        localStorage.setItem('cachedLists', JSON.stringify(taskLists));
+    } else {
+        list = { id: `list-${Date.now()}`, name, created_at: new Date().toISOString() };
+        try {
+            saveLocalLists([...getLocalLists(), list]);
+        } catch (error) {
+            console.error('Failed to save local list:', error);
+            showListError('Could not save on this device');
+            return false;
+        }
+        taskLists = getLocalLists();
+    }
+    showList(list.id);
+    return true;
+}
+
+async function renameShownList() {
+    const list = shownList();
+    if (!list) return;
+    const input = prompt('Rename list', list.name);
+    if (input === null) return;
+    const name = input.trim();
+    if (name === list.name) return;
+    const problem = listNameError(name, list.id);
+    if (problem) {
+        showListError(problem);
+        return;
+    }
+
+    if (isLoggedIn()) {
+        try {
+            const renamed = await Api.patch(`/api/lists/${list.id}`, { name });
+            taskLists = taskLists.map(l => l.id === renamed.id ? renamed : l);
+            localStorage.setItem('cachedLists', JSON.stringify(taskLists));
+        } catch (error) {
+            showListError(apiErrorMessage(error));
+            return;
+        }
+    } else {
+        try {
+            saveLocalLists(getLocalLists().map(l => l.id === list.id ? { ...l, name } : l));
+        } catch (error) {
+            console.error('Failed to save local list:', error);
+            showListError('Could not save on this device');
+            return;
+        }
+        taskLists = getLocalLists();
+    }
+    renderTasks(taskStore.tasks);
+}
+
+// The list's tasks are kept: they move to the Inbox
+async function deleteShownList() {
+    const list = shownList();
+    if (!list) return;
+    const count = taskStore.tasks.filter(t => t.list_id === list.id).length;
+    const moved = count > 0 ? ` Its ${count} task(s) will move to the Inbox.` : '';
+    if (!confirm(`Delete the list "${list.name}"?${moved}`)) return;
+
+    if (isLoggedIn()) {
+        try {
+            await Api.del(`/api/lists/${list.id}`);
+        } catch (error) {
+            showListError(apiErrorMessage(error));
+            return;
+        }
+        taskLists = taskLists.filter(l => l.id !== list.id);
+        localStorage.setItem('cachedLists', JSON.stringify(taskLists));
+        showList(INBOX);
+        await loadTasks();
+    } else {
+        try {
+            deleteLocalList(list.id);
+        } catch (error) {
+            console.error('Failed to delete local list:', error);
+            showListError('Could not save on this device');
+            return;
+        }
+        taskLists = getLocalLists();
+        showList(INBOX);
+        setStoreTasks(getLocalTasks());
+    }
+}
+
+// ============ SHARING ============
+// The owner shares a list by email, with viewers (read only) or editors (who add, change,
+// complete and delete its tasks). The invitee is emailed and answers from the banner once
+// logged in with that address, which has to be verified to accept. Members can leave a list;
+// tasks in it say who added and who completed them. Needs an account and a connection.
+
+const MEMBER_ROLES = [['editor', 'Can edit'], ['viewer', 'Can view']];
+
+let invitations = []; // [{ id, list_id, list_name, role, invited_by_name, created_at }], newest first
+
+async function loadInvitations() {
+    if (!isLoggedIn()) {
+        invitations = [];
+    } else {
+        try {
+            invitations = await Api.get('/api/invitations');
+        } catch (error) {
+            // Offline: answering needs a connection anyway, so hide them until the next load
+            console.error('Failed to load invitations:', error);
+            invitations = [];
+        }
+    }
+    renderInvitations();
+}
+
+function renderInvitations() {
+    document.getElementById('invitationsBanner').classList.toggle('hidden', invitations.length === 0);
+    document.getElementById('invitationList').innerHTML = invitations.map(invitation => `
+        <li class="invitation">
+            <span class="invitation-text">${escapeHtml(invitation.invited_by_name || 'Someone')} invited you to ${invitation.role === 'viewer' ? 'view' : 'edit'} <strong>${escapeHtml(invitation.list_name)}</strong></span>
+            <button type="button" class="toolbar-btn" data-invitation="${escapeAttr(invitation.id)}" data-answer="accept">Accept</button>
+            <button type="button" class="toolbar-btn" data-invitation="${escapeAttr(invitation.id)}" data-answer="decline">Decline</button>
+        </li>`).join('');
+}
+
+async function answerInvitation(id, accept) {
+    const invitation = invitations.find(i => i.id === id);
+    if (!invitation) return;
+    const errorEl = document.getElementById('invitationError');
+    errorEl.textContent = '';
+
+    try {
+        if (accept) {
+            await Api.post(`/api/invitations/${id}/accept`);
+        } else {
+            await Api.del(`/api/invitations/${id}`);
+        }
+    } catch (error) {
+        errorEl.textContent = apiErrorMessage(error);
+        return;
+    }
+
+    await loadInvitations();
+    if (accept) {
+        await loadLists();
+        showList(invitation.list_id);
+        await loadTasks();
+    }
+}
+
+// "you" for the current user; someone who left the list is no longer known by name
+function memberName(list, userId) {
+    if (currentUser && userId === currentUser.id) return 'you';
+    if (userId === list.owner_id) return list.owner_name || 'the owner';
+    const member = (list.members || []).find(m => m.user_id === userId);
+    return member ? member.name || member.email : 'a former member';
+}
+
+// Only on tasks of shared lists: elsewhere it's always "you"
+function authorshipHtml(task) {
+    const list = listOf(task);
+    if (!list || !isSharedList(list) || !task.created_by) return '';
+    const added = `<span class="task-author">👤 Added by ${escapeHtml(memberName(list, task.created_by))}</span>`;
+    const completed = task.completed && task.completed_by
+        ? `<span class="task-author">✔ Completed by ${escapeHtml(memberName(list, task.completed_by))}</span>`
+        : '';
+    return added + completed;
+}
+
+function openShareModal() {
+    const list = shownList();
+    if (!list || !ownsList(list) || !isLoggedIn()) return;
+    renderShareModal();
+    showModal('shareModal');
+    document.getElementById('shareEmailInput').focus();
+}
+
+function refreshShareModalIfOpen() {
+    if (document.getElementById('shareModal').classList.contains('active')) renderShareModal();
+}
+
+// Always about the list being shown; it may have been deleted or unshared meanwhile
+function renderShareModal() {
+    const list = shownList();
+    if (!list || !ownsList(list)) {
+        hideModal('shareModal');
+        return;
+    }
+    const members = list.members || [];
+    document.getElementById('shareListName').textContent = list.name;
+    document.getElementById('shareEmpty').classList.toggle('hidden', members.length > 0);
+    document.getElementById('shareMemberList').innerHTML = members.map(member => {
+        const label = member.name || member.email;
+        return `
+            <li class="share-member" data-member-id="${escapeAttr(member.id)}">
+                <span class="share-member-name">${escapeHtml(label)}${member.name ? `<span class="share-member-email">${escapeHtml(member.email)}</span>` : ''}</span>
+                ${member.status === 'pending' ? '<span class="badge badge-warning">Invited</span>' : ''}
+                <select class="share-role-select" aria-label="Role of ${escapeAttr(label)}">
+                    ${MEMBER_ROLES.map(([role, name]) => `<option value="${role}"${role === member.role ? ' selected' : ''}>${name}</option>`).join('')}
+                </select>
+                <button type="button" class="share-remove" aria-label="Remove ${escapeAttr(label)}" title="Remove">×</button>
+            </li>`;
+    }).join('');
+}
+
+async function shareShownList(email, role) {
+    const list = shownList();
+    if (!list) return false;
+    const errorEl = document.getElementById('shareError');
+    errorEl.textContent = '';
+    try {
+        await Api.post(`/api/lists/${list.id}/members`, { email, role });
+    } catch (error) {
+        errorEl.textContent = apiErrorMessage(error);
+        return false;
+    }
+    await loadLists();
+    renderShareModal();
+    return true;
+}
+
+async function changeMemberRole(memberId, role) {
+    const list = shownList();
+    if (!list) return;
+    const errorEl = document.getElementById('shareError');
+    errorEl.textContent = '';
+    try {
+        await Api.patch(`/api/lists/${list.id}/members/${memberId}`, { role });
+    } catch (error) {
+        errorEl.textContent = apiErrorMessage(error);
+    }
+    // On failure too, so the picker shows the role that is actually stored
+    await loadLists();
+    renderShareModal();
+}
+
+// Also withdraws a pending invitation. Tasks the member added stay in the list.
+async function removeMember(memberId) {
+    const list = shownList();
+    if (!list) return;
+    const errorEl = document.getElementById('shareError');
+    errorEl.textContent = '';
+    try {
+        await Api.del(`/api/lists/${list.id}/members/${memberId}`);
+    } catch (error) {
+        errorEl.textContent = apiErrorMessage(error);
+        return;
+    }
+    await loadLists();
+    renderShareModal();
+}
+
+async function leaveShownList() {
+    const list = shownList();
+    if (!list || ownsList(list) || !list.member_id) return;
+    if (!confirm(`Leave "${list.name}"? Its tasks, including the ones you added, will stay with ${list.owner_name || 'its owner'}.`)) return;
+
+    try {
+        await Api.del(`/api/lists/${list.id}/members/${list.member_id}`);
+    } catch (error) {
+        showListError(apiErrorMessage(error));
+        return;
+    }
+    showList(INBOX);
+    await loadLists();
+    await loadTasks();
+}
+
+// ============ VIEW: SEARCH / FILTER / SORT ============
+// The view state lives in the URL hash (#list=all&q=rent&filter=overdue&sort=due&tag=work)
+// so filtered views can be bookmarked and survive reloads.
+
+const DEFAULT_VIEW = { list: INBOX, q: '', filter: 'all', sort: 'default', tag: '', priority: '' };
+const VIEW_FILTERS = ['all', 'overdue', 'today', 'week', 'nodate'];
+const VIEW_SORTS = ['default', 'due', 'priority', 'created', 'alpha'];
+
+let viewState = { ...DEFAULT_VIEW };
+
+function readViewFromHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const filter = params.get('filter');
+    const sort = params.get('sort');
+    viewState = {
+        list: params.get('list') || DEFAULT_VIEW.list,
+        q: params.get('q') || '',
+        filter: VIEW_FILTERS.includes(filter) ? filter : DEFAULT_VIEW.filter,
+        sort: VIEW_SORTS.includes(sort) ? sort : DEFAULT_VIEW.sort,
+        tag: params.get('tag') || '',
+        priority: PRIORITIES.includes(params.get('priority')) ? params.get('priority') : ''
+    };
+
+    document.getElementById('searchInput').value = viewState.q;
+    document.getElementById('filterSelect').value = viewState.filter;
+    document.getElementById('sortSelect').value = viewState.sort;
+}
+
+function writeViewToHash() {
+    const params = new URLSearchParams();
+    for (const key of Object.keys(DEFAULT_VIEW)) {
+        if (viewState[key] !== DEFAULT_VIEW[key]) params.set(key, viewState[key]);
+    }
+    const hash = params.toString();
+    // replaceState: typing in the search box shouldn't flood the history
+    history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+}
+
+function setView(changes) {
+    viewState = { ...viewState, ...changes };
+    writeViewToHash();
+    renderTasks(taskStore.tasks);
+}
+
+// Case- and diacritic-insensitive ("sedinta" finds "Ședință")
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function matchesFilter(task, filter, now) {
+    if (filter === 'all') return true;
+    if (filter === 'nodate') return !task.due_date;
+    if (!task.due_date) return false;
+
+    if (filter === 'overdue') {
+        return !task.completed && new Date(task.due_date) < now;
+    }
+    // "Today" and "this week" are calendar days in the chosen timezone
+    const due = I18n.toWallClock(task.due_date);
+    const today = startOfDay(I18n.toWallClock(now));
+    if (filter === 'today') {
+        return startOfDay(due).getTime() === today.getTime();
+    }
+    if (filter === 'week') {
+        // Calendar week, Monday to Sunday
+        const weekStart = new Date(today);
+        weekStart.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekStart.getDate() + 7);
+        return due >= weekStart && due < weekEnd;
+    }
+    return true;
+}
+
+function compareTasks(a, b, sort) {
+    if (sort === 'due') {
+        // Tasks without a due date go last
+        if (!a.due_date && !b.due_date) return 0;
+        if (!a.due_date) return 1;
+        if (!b.due_date) return -1;
+        return new Date(a.due_date) - new Date(b.due_date);
+    }
+    if (sort === 'priority') {
+        // High first, tasks without a priority last; ties keep the manual order
+        const rank = t => t.priority ? PRIORITIES.indexOf(t.priority) : PRIORITIES.length;
+        return rank(a) - rank(b) || comparePositions(a, b);
+    }
+    if (sort === 'created') {
+        return new Date(b.created_at || 0) - new Date(a.created_at || 0);
+    }
+    if (sort === 'alpha') {
+        return a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+    }
+    return comparePositions(a, b);
+}
+
+function applyView(tasks) {
+    const query = normalizeSearchText(viewState.q.trim());
+    const now = new Date();
+
+    const visible = tasks.filter(t =>
+        (!query || normalizeSearchText(t.title).includes(query)) &&
+        matchesFilter(t, viewState.filter, now) &&
+        (!viewState.tag || (t.tags || []).includes(viewState.tag)) &&
+        (!viewState.priority || t.priority === viewState.priority)
+    );
+    // Stable sort: ties keep the server's (creation) order
+    return visible.sort((a, b) => compareTasks(a, b, viewState.sort));
+}
+
+function updateViewSummary(shown, total) {
+    const summaryEl = document.getElementById('viewSummary');
+    const filtered = viewState.q.trim() !== '' || viewState.filter !== 'all' || viewState.tag !== '' || viewState.priority !== '';
+    summaryEl.classList.toggle('hidden', !filtered);
+    if (filtered) {
+        const labels = [
+            viewState.tag ? `tagged <strong>#${escapeHtml(viewState.tag)}</strong>` : '',
+            viewState.priority ? `with <strong>${viewState.priority}</strong> priority` : ''
+        ].filter(Boolean).join(' ');
+        summaryEl.innerHTML = `Showing ${shown} of ${total} tasks${labels ? ` ${labels}` : ''} · <a href="#" id="clearViewLink">Clear filters</a>`;
+    }
+}
+
+// ============ MANUAL ORDER ============
+// In "Manual order" view, active tasks are dragged by their ⠿ handle, or moved with ↑/↓ while
+// the handle has focus. The whole active list is saved at once as positions 0..n-1: one
+// PUT /api/tasks/order, or localTasks when anonymous. Tasks never ordered have no position and go last.
+
+const DEFAULT_NEW_TASK_POSITION = 'bottom';
+let drag = null; // { id, pointerId, row, targetId, after } while a row is being dragged
+
+function comparePositions(a, b) {
+    const pa = a.position ?? null;
+    const pb = b.position ?? null;
+    if (pa === null && pb === null) return 0;
+    if (pa === null) return 1;
+    if (pb === null) return -1;
+    return pa - pb;
+}
+
+// Changes tasks in place: ids is the active list in its new order
+function applyPositions(tasks, ids) {
+    ids.forEach((id, index) => {
+        const task = tasks.find(t => sameId(t.id, id));
+        if (task) task.position = index;
+    });
+}
+
+function getNewTaskPosition() {
+    if (isLoggedIn()) {
+        return currentUser.new_task_position || DEFAULT_NEW_TASK_POSITION;
+    }
+    return localStorage.getItem('newTaskPosition') || DEFAULT_NEW_TASK_POSITION;
+}
+
+// Position for a task added from the form: above every ordered task, or none so it goes last
+function newTaskPosition() {
+    if (getNewTaskPosition() !== 'top') return null;
+    const positions = taskStore.tasks
+        .filter(t => !t.completed && typeof t.position === 'number')
+        .map(t => t.position);
+    return Math.min(0, ...positions) - 1;
+}
+
+function updateNewTaskPositionControl() {
+    document.getElementById('newTaskPositionSelect').value = getNewTaskPosition();
+}
+
+async function changeNewTaskPosition(value) {
+    if (!isLoggedIn()) {
+        localStorage.setItem('newTaskPosition', value);
+        updateNewTaskPositionControl();
+        return;
+    }
+
+    const previous = getNewTaskPosition();
+    currentUser.new_task_position = value;
+    updateNewTaskPositionControl();
+
+    try {
+        currentUser = await Api.put('/api/profile/preferences', { new_task_position: value });
+        showLoggedIn(currentUser);
+    } catch (error) {
+        console.error('Failed to save new task position:', error);
+        if (currentUser) currentUser.new_task_position = previous;
+        updateNewTaskPositionControl();
+        showFormError(`Could not save where new tasks go: ${apiErrorMessage(error)}`);
+    }
+}
+
+// Only in manual order, and not for tasks the server hasn't saved yet
+function dragHandleHtml(task) {
+    if (viewState.sort !== 'default' || isTempId(task.id) || !canEditTask(task)) return '';
+    return `<button type="button" class="drag-handle" data-drag-id="${task.id}" aria-label="Reorder ${escapeHtml(task.title)}" aria-keyshortcuts="ArrowUp ArrowDown" title="Drag or use ↑/↓ to reorder">⠿</button>`;
+}
+
+function activeTaskIds() {
+    return taskStore.tasks
+        .filter(t => !t.completed)
+        .sort(comparePositions)
+        .map(t => String(t.id));
+}
+
+// Including rows a long list keeps out of the DOM
+function visibleActiveIds() {
+    return activeRows.keys();
+}
+
+// Put task id right before (or after) targetId in the active list and save the new order
+async function moveTask(id, targetId, after = false) {
+    if (tasksStillLoading()) return;
+    const current = activeTaskIds();
+    const ids = current.filter(x => x !== String(id));
+    const index = ids.indexOf(String(targetId));
+    if (index === -1) return;
+    ids.splice(after ? index + 1 : index, 0, String(id));
+    if (ids.every((x, i) => x === current[i])) return;
+
+    await saveOrder(ids, id);
+    announceOrder(id);
+}
+
+async function saveOrder(ids, movedId) {
+    if (isLoggedIn()) {
+        // Only the newest order matters: drop one still waiting to be sent
+        const mutations = await OfflineStore.getMutations(currentUser.id);
+        for (const m of mutations) {
+            if (m.type === 'reorder' && m.status === 'pending') await OfflineStore.removeMutation(m.seq);
+        }
+        await queueTaskMutation('reorder', null, { ids: ids.filter(id => !isTempId(id)) });
+    } else {
+        const next = taskStore.tasks.map(t => ({ ...t }));
+        applyPositions(next, ids);
+        applyLocalChange(movedId, next, () => reorderLocalTasks(ids));
+    }
+}
+
+function announceOrder(id) {
+    const ids = visibleActiveIds();
+    const index = ids.indexOf(String(id));
+    const task = taskStore.tasks.find(t => sameId(t.id, id));
+    if (index === -1 || !task) return;
+    document.getElementById('reorderStatus').textContent = `"${task.title}" moved to position ${index + 1} of ${ids.length}`;
+}
+
+function handleDragHandleKeys(e) {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+
+    const ids = visibleActiveIds();
+    const id = handle.dataset.dragId;
+    const target = ids[ids.indexOf(id) + (e.key === 'ArrowUp' ? -1 : 1)];
+    if (target) moveTask(id, target, e.key === 'ArrowDown');
+}
+
+function startDrag(e) {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle || e.button !== 0 || tasksStillLoading()) return;
+    e.preventDefault();
+    handle.setPointerCapture(e.pointerId);
+    const row = handle.closest('.task-item');
+    row.classList.add('dragging');
+    drag = { id: handle.dataset.dragId, pointerId: e.pointerId, row, targetId: null, after: false };
+}
+
+function clearDropIndicator() {
+    taskList.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+        row.classList.remove('drop-before', 'drop-after');
+    });
+}
+
+// The drop goes before the first row whose middle is below the pointer, else after the last row
+function moveDrag(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const rows = [...taskList.querySelectorAll('.task-item')].filter(row => row !== drag.row);
+    if (rows.length === 0) return;
+
+    const below = rows.find(row => {
+        const box = row.getBoundingClientRect();
+        return e.clientY < box.top + box.height / 2;
+    });
+    const target = below || rows[rows.length - 1];
+    clearDropIndicator();
+    target.classList.add(below ? 'drop-before' : 'drop-after');
+    drag.targetId = rowTaskId(target);
+    drag.after = !below;
+}
+
+function endDrag(e, commit) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const { id, row, targetId, after } = drag;
+    drag = null;
+    row.classList.remove('dragging');
+    clearDropIndicator();
+    if (commit && targetId) moveTask(id, targetId, after);
+}
+
+// ============ DUE DATES & REMINDERS ============
+// Rows are marked overdue / due soon; reminders fire through the Notification API
+// (see reminders.js). The lead time is a profile setting, or a localStorage one when anonymous.
+
+const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+const DUE_RECHECK_MS = 30 * 1000;
+const DEFAULT_REMINDER_LEAD = 15;
+let dueRefreshTimer = null;
+
+function dueClass(task) {
+    if (task.completed || !task.due_date) return '';
+    const due = new Date(task.due_date).getTime();
+    const now = Date.now();
+    if (due < now) return ' task-overdue';
+    if (due - now <= DUE_SOON_MS) return ' task-due-soon';
+    return '';
+}
+
+// Re-render when the next task crosses into "due soon" or "overdue"
+function scheduleDueRefresh(tasks) {
+    clearTimeout(dueRefreshTimer);
+    const now = Date.now();
+    let next = Infinity;
+    for (const task of tasks) {
+        if (task.completed || !task.due_date) continue;
+        const due = new Date(task.due_date).getTime();
+        for (const boundary of [due - DUE_SOON_MS, due]) {
+            if (boundary > now && boundary < next) next = boundary;
+        }
+    }
+    if (next === Infinity) return;
+
+    // setTimeout overflows past ~24 days; an hourly re-check is plenty at that range
+    const delay = Math.min(next - now + 1000, 60 * 60 * 1000);
+    dueRefreshTimer = setTimeout(refreshDueStyles, delay);
+}
+
+function refreshDueStyles() {
+    // Don't throw away an inline edit in progress
+    if (document.activeElement && document.activeElement.classList.contains('task-edit-input')) {
+        dueRefreshTimer = setTimeout(refreshDueStyles, DUE_RECHECK_MS);
+        return;
+    }
+    renderTasks(taskStore.tasks);
+}
+
+function getReminderLead() {
+    if (isLoggedIn()) {
+        return currentUser.reminder_lead_minutes ?? DEFAULT_REMINDER_LEAD;
+    }
+    const stored = parseInt(localStorage.getItem('reminderLeadMinutes'), 10);
+    return Number.isNaN(stored) ? DEFAULT_REMINDER_LEAD : stored;
+}
+
+function scheduleReminders() {
+    // Temp ids change once the server confirms the task, which would re-arm the reminder
+    Reminders.schedule(taskStore.tasks.filter(t => !isTempId(t.id)), getReminderLead());
+}
+
+function updateReminderControls() {
+    const toggleBtn = document.getElementById('reminderToggleBtn');
+    const leadSelect = document.getElementById('reminderLeadSelect');
+    if (!Reminders.isSupported()) {
+        toggleBtn.classList.add('hidden');
+        leadSelect.classList.add('hidden');
+        return;
+    }
+
+    const enabled = Reminders.isEnabled();
+    toggleBtn.textContent = I18n.t(enabled ? 'reminders.on' : 'reminders.off');
+    toggleBtn.setAttribute('aria-pressed', String(enabled));
+    toggleBtn.title = Notification.permission === 'denied'
+        ? 'Notifications are blocked in your browser settings'
+        : 'Get a notification before tasks are due';
+
+    // A lead time set through the API may not be one of the presets
+    const lead = String(getReminderLead());
+    if (![...leadSelect.options].some(o => o.value === lead)) {
+        leadSelect.add(new Option(`${lead} min before`, lead));
+    }
+    leadSelect.value = lead;
+    leadSelect.disabled = !enabled;
+}
+
+async function toggleReminders() {
+    if (Reminders.isEnabled()) {
+        Reminders.disable();
+    } else if (!(await Reminders.enable())) {
+        showFormError('Notifications are blocked. Allow them in your browser settings to get reminders.');
+    }
+    updateReminderControls();
+    scheduleReminders();
+}
+
+async function changeReminderLead(minutes) {
+    if (!isLoggedIn()) {
+        localStorage.setItem('reminderLeadMinutes', String(minutes));
+        scheduleReminders();
+        return;
+    }
+
+    const previous = getReminderLead();
+    currentUser.reminder_lead_minutes = minutes;
+    scheduleReminders();
+
+    try {
+        currentUser = await Api.put('/api/profile/preferences', { reminder_lead_minutes: minutes });
+        showLoggedIn(currentUser);
+    } catch (error) {
+        console.error('Failed to save reminder lead time:', error);
+        if (currentUser) currentUser.reminder_lead_minutes = previous;
+        updateReminderControls();
+        scheduleReminders();
+        showFormError(`Could not save the reminder setting: ${apiErrorMessage(error)}`);
+    }
+}
+
+// ============ LOCALE & TIMEZONE ============
+// Language and timezone are preferences like the new-task position: on the profile when logged in,
+// in localStorage otherwise. Dates are shown, typed and counted in days in that timezone (see i18n.js).
+
+function getLocale() {
+    if (isLoggedIn()) {
+        return currentUser.locale || I18n.DEFAULT_LOCALE;
+    }
+    return localStorage.getItem('locale') || I18n.detectLocale(navigator.languages);
+}
+
+function getTimeZone() {
+    if (isLoggedIn() && currentUser.timezone) return currentUser.timezone;
+    return localStorage.getItem('timeZone') || I18n.browserTimeZone();
+}
+
+// Call before rendering anything that shows text or dates
+function applyLocale() {
+    I18n.configure({ locale: getLocale(), timeZone: getTimeZone() });
+    // The server works out the next occurrence of a recurring task in this zone
+    Api.configure({ headers: { 'X-Timezone': I18n.getTimeZone() } });
+    document.documentElement.lang = I18n.getLocale();
+    I18n.translatePage(document);
+    updateLocaleControls();
+}
+
+function updateLocaleControls() {
+    const localeSelect = document.getElementById('localeSelect');
+    if (localeSelect.options.length === 0) {
+        for (const locale of I18n.supportedLocales()) localeSelect.add(new Option(I18n.LOCALE_NAMES[locale], locale));
+    }
+    localeSelect.value = I18n.getLocale();
+
+    const zoneSelect = document.getElementById('timeZoneSelect');
+    const zone = I18n.getTimeZone();
+    if (![...zoneSelect.options].some(o => o.value === zone)) {
+        zoneSelect.innerHTML = I18n.timeZones().map(z => `<option value="${escapeAttr(z)}">${escapeHtml(z.replace(/_/g, ' '))}</option>`).join('');
+    }
+    zoneSelect.value = zone;
+}
+
+// Everything already on screen was rendered with the old strings and dates
+function rerenderLocalized() {
+    applyLocale();
+    Validation.refreshAll();
+    updateReminderControls();
+    renderTasks(taskStore.tasks);
+    refreshTrashIfOpen();
+}
+
+async function changeLocale(value) {
+    await changeRegionPreference('locale', 'locale', value, 'your language');
+}
+
+async function changeTimeZone(value) {
+    await changeRegionPreference('timezone', 'timeZone', value, 'your time zone');
+}
+
+async function changeRegionPreference(field, storageKey, value, label) {
+    if (!isLoggedIn()) {
+        localStorage.setItem(storageKey, value);
+        rerenderLocalized();
+        return;
+    }
+
+    const previous = currentUser[field];
+    currentUser[field] = value;
+    rerenderLocalized();
+
+    try {
+        currentUser = await Api.put('/api/profile/preferences', { [field]: value });
+        showLoggedIn(currentUser);
+    } catch (error) {
+        console.error(`Failed to save ${field}:`, error);
+        if (currentUser) currentUser[field] = previous;
+        rerenderLocalized();
+        showFormError(`Could not save ${label}: ${apiErrorMessage(error)}`);
+    }
+}
+
+// ============ SELECTION & BULK ACTIONS ============
+// Selection mode adds a checkbox to each visible row. Shift-click selects a range.
+// Logged in, one bulk action is one "batch" mutation (POST /api/tasks/batch);
+// tasks not yet saved on the server get their own mutations, which follow the temp ID.
+
+const selection = {
+    active: false,
+    ids: new Set(),  // String task IDs
+    anchor: null     // last clicked row, start of a shift-click range
+};
+
+function setSelectionMode(active) {
+    selection.active = active;
+    selection.ids.clear();
+    selection.anchor = null;
+    document.getElementById('selectModeBtn').setAttribute('aria-pressed', String(active));
+    document.getElementById('bulkBar').classList.toggle('hidden', !active);
+    renderTasks(taskStore.tasks);
+}
+
+function selectCheckboxHtml(task) {
+    if (!selection.active) return '';
+    const checked = selection.ids.has(String(task.id)) ? 'checked' : '';
+    return `<input type="checkbox" class="task-select" data-id="${task.id}" ${checked} aria-label="Select ${escapeHtml(task.title)}">`;
+}
+
+function selectedClass(task) {
+    return selection.active && selection.ids.has(String(task.id)) ? ' task-selected' : '';
+}
+
+// Row order as shown: active list, then completed list (rows a long list keeps out of the DOM too)
+function visibleTaskIds() {
+    return [...activeRows.keys(), ...completedRows.keys()];
+}
+
+function toggleSelection(id, checked, extendRange) {
+    const order = visibleTaskIds();
+    const from = order.indexOf(selection.anchor);
+    const to = order.indexOf(id);
+    const ids = extendRange && from !== -1 && to !== -1
+        ? order.slice(Math.min(from, to), Math.max(from, to) + 1)
+        : [id];
+
+    for (const selectedId of ids) {
+        if (checked) selection.ids.add(selectedId);
+        else selection.ids.delete(selectedId);
+    }
+    selection.anchor = id;
+    renderTasks(taskStore.tasks);
+
+    // The row was rewritten; keep keyboard focus on its checkbox
+    const box = document.querySelector(`.task-select[data-id="${CSS.escape(id)}"]`);
+    if (box) box.focus();
+}
+
+function selectAllVisible() {
+    if (tasksStillLoading()) return;
+    const order = visibleTaskIds();
+    const allSelected = order.length > 0 && order.every(id => selection.ids.has(id));
+    selection.ids = allSelected ? new Set() : new Set(order);
+    renderTasks(taskStore.tasks);
+}
+
+// Tasks that left the view (filtered out, deleted elsewhere) drop out of the selection
+function pruneSelection(visibleTasks) {
+    if (!selection.active) return;
+    const visible = new Set(visibleTasks.map(t => String(t.id)));
+    for (const id of selection.ids) {
+        if (!visible.has(id)) selection.ids.delete(id);
+    }
+    updateBulkBar();
+}
+
+function updateBulkBar() {
+    const count = selection.ids.size;
+    document.getElementById('bulkCount').textContent = I18n.t('bulk.selected', { count });
+    document.querySelectorAll('#bulkBar [data-needs-selection]').forEach(el => {
+        el.disabled = count === 0;
+    });
+}
+
+function selectedTasks() {
+    return taskStore.tasks.filter(t => selection.ids.has(String(t.id)));
+}
+
+// params: due_date for set_due_date, list_id for move (missing or null clears it / is the Inbox)
+function bulkChanges(action, params) {
+    if (action === 'complete') return { completed: true };
+    if (action === 'uncomplete') return { completed: false };
+    if (action === 'set_due_date') return { due_date: params.due_date ?? null };
+    if (action === 'move') return { list_id: params.list_id ?? null };
+    return {};
+}
+
+// action: complete | uncomplete | set_due_date | move | delete; see bulkChanges for params
+async function runBulkAction(action, tasks, params = {}) {
+    // Read-only tasks of shared lists are left alone: one of them would fail the whole batch
+    tasks = tasks.filter(canEditTask);
+    // Anonymous recurring tasks are completed one by one, so each gets its next occurrence;
+    // logged in, the server creates them
+    if (action === 'complete' && !isLoggedIn()) {
+        const recurring = tasks.filter(t => t.recurrence && !t.completed);
+        for (const task of recurring) {
+            await completeRecurringTask(task);
+        }
+        tasks = tasks.filter(t => !recurring.includes(t));
+    }
+    if (tasks.length === 0) return;
+    const ids = tasks.map(t => t.id);
+    const changes = bulkChanges(action, params);
+    let droppedMutations = [];
+
+    if (isLoggedIn()) {
+        for (const id of ids.filter(isTempId)) {
+            if (action === 'delete') {
+                droppedMutations.push(...await discardMutations(id));
+            } else {
+                await enqueueMutation('update', id, changes);
+            }
+        }
+        const serverIds = ids.filter(id => !isTempId(id));
+        if (serverIds.length > 0) {
+            await enqueueMutation('batch', null, { action, ids: serverIds, ...changes });
+        }
+        await renderFromCache();
+        syncPendingMutations();
+    } else {
+        const isTarget = t => ids.some(id => sameId(id, t.id));
+        const saved = action === 'delete'
+            ? applyLocalChange(ids[0], taskStore.tasks.filter(t => !isTarget(t)), () => deleteLocalTasks(ids))
+            : applyLocalChange(ids[0], taskStore.tasks.map(t => isTarget(t) ? { ...t, ...changes } : t), () => updateLocalTasks(ids, changes));
+        if (!saved) return;
+    }
+
+    if (action === 'delete') {
+        showUndoToast(I18n.t('bulk.deleted', { count: tasks.length }), () => restoreTasks(tasks, droppedMutations));
+    }
+}
+
+// Only the list being shown, like the Completed section
+function clearCompleted() {
+    return runBulkAction('delete', taskStore.tasks.filter(t => t.completed && inShownList(t)));
+}
+
+async function restoreTasks(tasks, droppedMutations = []) {
+    if (isLoggedIn()) {
+        const saved = tasks
+            .filter(t => !isTempId(t.id))
+            .map(({ syncState, syncError, ...task }) => task);
+        if (saved.length > 0) {
+            await enqueueMutation('batch', null, { action: 'restore', ids: saved.map(t => t.id), tasks: saved });
+        }
+        await requeueMutations(droppedMutations);
+    } else {
+        const ids = tasks.map(t => t.id);
+        const next = tasks.reduce((list, task) => upsertTask(list, task), taskStore.tasks);
+        applyLocalChange(ids[0], next, () => restoreLocalTasks(ids));
+    }
+}
+
+async function handleBulkBarClick(e) {
+    const button = e.target.closest('[data-bulk]');
+    if (!button) return;
+    const action = button.dataset.bulk;
+
+    if (action === 'done') {
+        setSelectionMode(false);
+        return;
+    }
+    if (action === 'select-all') {
+        selectAllVisible();
+        return;
+    }
+
+    const params = {};
+    if (action === 'set_due_date') {
+        params.due_date = I18n.inputToUtc(document.getElementById('bulkDueInput').value);
+        if (!params.due_date) {
+            showFormError(I18n.t('bulk.pick_date'));
+            return;
+        }
+    }
+    if (action === 'move') {
+        params.list_id = document.getElementById('bulkListSelect').value || null;
+    }
+
+    const tasks = selectedTasks();
+    selection.ids.clear();
+    selection.anchor = null;
+    // clear_due_date is set_due_date with no date
+    await runBulkAction(action === 'clear_due_date' ? 'set_due_date' : action, tasks, params);
+    renderTasks(taskStore.tasks);
+}
+
+// ============ UNDO TOAST & TRASH ============
+// Deleted tasks stay in the trash for TRASH_RETENTION_DAYS (server: GET /api/tasks/trash,
+// anonymous: the localTrash key). The toast is a shortcut for restoring the last one.
+
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNDO_TOAST_MS = 6000;
+
+let toastTimer = null;
+
+// One toast at a time; a newer delete replaces the older toast (that task stays in the trash)
+function showUndoToast(message, undo) {
+    showActionToast(message, I18n.t('toast.undo'), undo);
+}
+
+function showActionToast(message, actionLabel, action) {
+    const toast = document.getElementById('toast');
+    clearTimeout(toastTimer);
+    toast.innerHTML = `
+        <span class="toast-message">${escapeHtml(message)}</span>
+        <button type="button" class="toast-action">${escapeHtml(actionLabel)}</button>
+    `;
+    toast.querySelector('.toast-action').addEventListener('click', () => {
+        hideToast();
+        action();
+    });
+    toast.classList.add('visible');
+    toastTimer = setTimeout(hideToast, UNDO_TOAST_MS);
+}
+
+function hideToast() {
+    clearTimeout(toastTimer);
+    toastTimer = null;
+    const toast = document.getElementById('toast');
+    toast.classList.remove('visible');
+    toast.innerHTML = '';
+}
+
+async function openTrash() {
+    showModal('trashModal');
+    await loadTrash();
+}
+
+async function loadTrash() {
+    const errorEl = document.getElementById('trashError');
+    errorEl.textContent = '';
+
+    let tasks = [];
+    if (isLoggedIn()) {
+        try {
+            tasks = await Api.get('/api/tasks/trash');
+        } catch (error) {
+            errorEl.textContent = apiErrorMessage(error);
+            return;
+        }
+    } else {
+        tasks = getLocalTrash()
+            .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+    }
+    renderTrash(tasks);
+}
+
+function refreshTrashIfOpen() {
+    if (document.getElementById('trashModal').classList.contains('active')) loadTrash();
+}
+
+function renderTrash(tasks) {
+    const list = document.getElementById('trashList');
+    document.getElementById('trashEmpty').classList.toggle('hidden', tasks.length > 0);
+    list.innerHTML = tasks.map(task => {
+        const deletedAt = new Date(task.deleted_at);
+        const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS));
+        const deleted = I18n.formatDateTime(deletedAt, { day: '2-digit', month: 'short' });
+        return `
+            <li class="trash-item">
+                <div class="trash-info">
+                    <span class="trash-title">${escapeHtml(task.title)}</span>
+                    <span class="trash-meta">Deleted ${deleted} · removed in ${daysLeft} day(s)</span>
+                </div>
+                <button type="button" class="btn-trash" data-id="${task.id}" data-trash-action="restore">Restore</button>
+                <button type="button" class="btn-trash btn-trash-danger" data-id="${task.id}" data-trash-action="purge" title="Delete permanently">Delete</button>
+            </li>
+        `;
+    }).join('');
+}
+
+async function restoreFromTrash(id) {
+    if (isLoggedIn()) {
+        try {
+            const task = await Api.post(`/api/tasks/${id}/restore`);
+            const snapshot = await OfflineStore.loadSnapshot(currentUser.id) || [];
+            await OfflineStore.saveSnapshot(currentUser.id, upsertTask(snapshot, task));
+            await renderFromCache();
+        } catch (error) {
+            document.getElementById('trashError').textContent = apiErrorMessage(error);
+            return;
+        }
+    } else {
+        try {
+            restoreLocalTask(id);
+        } catch (error) {
+            document.getElementById('trashError').textContent = 'Could not save on this device';
+            return;
+        }
+        setStoreTasks(getLocalTasks());
+    }
+    await loadTrash();
+}
+
+async function purgeFromTrash(id) {
+    if (!confirm('Delete this task permanently? This cannot be undone.')) return;
+
+    if (isLoggedIn()) {
+        try {
+            await Api.del(`/api/tasks/${id}/permanent`);
+        } catch (error) {
+            document.getElementById('trashError').textContent = apiErrorMessage(error);
+            return;
+        }
+    } else {
+        purgeLocalTask(id);
+    }
+    await loadTrash();
+}
+
+// ============ FILE IMPORT / EXPORT ============
+// Formats live in transfer.js. Exports the whole task set (not just the filtered view);
+// imports are previewed first, then sent in batches to /api/tasks/import (or appended to localTasks).
+
+const IMPORT_BATCH_SIZE = 100;
+let pendingFileImport = null; // normalized tasks waiting for confirmation
+
+function downloadTasks(format) {
+    if (tasksStillLoading()) return;
+    const { content, mime, filename } = TaskTransfer.exportTasks(taskStore.tasks, format);
+    const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function previewFileImport(file) {
+    const summaryEl = document.getElementById('fileImportSummary');
+    const previewEl = document.getElementById('fileImportPreview');
+    const errorsEl = document.getElementById('fileImportErrors');
+    const confirmBtn = document.getElementById('fileImportConfirmBtn');
+
+    previewEl.innerHTML = '';
+    errorsEl.innerHTML = '';
+    document.getElementById('fileImportProgress').textContent = '';
+    document.getElementById('fileImportActions').classList.remove('hidden');
+    document.getElementById('fileImportDoneBtn').classList.add('hidden');
+    showModal('fileImportModal');
+
+    let result;
+    try {
+        result = TaskTransfer.parseImport(await file.text(), file.name);
+    } catch (error) {
+        pendingFileImport = null;
+        summaryEl.textContent = `Could not read ${file.name}: ${error.message}`;
+        confirmBtn.disabled = true;
+        return;
+    }
+
+    pendingFileImport = result.tasks;
+    summaryEl.innerHTML = `<strong>${result.tasks.length}</strong> task(s) will be created from ${escapeHtml(file.name)} (${result.format.toUpperCase()}).`
+        + (isLoggedIn() ? ' Duplicates of existing tasks are skipped.' : '');
+    previewEl.innerHTML = result.tasks
+        .slice(0, 10)
+        .map(t => `<li>${t.completed ? '✅ ' : ''}${escapeHtml(t.title)}${t.due_date ? ` <span class="import-due">📅 ${escapeHtml(t.due_date.replace('T', ' '))}</span>` : ''}</li>`)
+        .join('') + (result.tasks.length > 10 ? `<li class="import-more">…and ${result.tasks.length - 10} more</li>` : '');
+    errorsEl.innerHTML = result.errors
+        .map(e => `<li><strong>Item ${e.row}</strong> — ${escapeHtml(e.error)} (not imported)</li>`)
+        .join('');
+
+    confirmBtn.textContent = `Import ${result.tasks.length} task(s)`;
+    confirmBtn.disabled = result.tasks.length === 0;
+}
+
+async function confirmFileImport() {
+    const tasks = pendingFileImport;
+    if (!tasks || tasks.length === 0) return;
+
+    const btn = document.getElementById('fileImportConfirmBtn');
+    const progressEl = document.getElementById('fileImportProgress');
+    const errorEl = document.getElementById('fileImportError');
+    errorEl.textContent = '';
+
+    if (!isLoggedIn()) {
+        const baseId = Date.now();
+        const imported = tasks.map((t, i) => ({
+            ...t,
+            id: baseId + i,
+            created_at: t.created_at || new Date().toISOString()
+        }));
+        try {
+            saveLocalTasks([...getLocalTasks(), ...imported]);
+        } catch (error) {
+            errorEl.textContent = 'Not enough space on this device to import these tasks';
+            return;
+        }
+        setStoreTasks(getLocalTasks());
+        finishFileImport(`Imported ${imported.length} task(s).`);
+        return;
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    const failed = [];
+
+    setButtonLoading(btn, true);
+    try {
+        for (let start = 0; start < tasks.length; start += IMPORT_BATCH_SIZE) {
+            const batch = tasks.slice(start, start + IMPORT_BATCH_SIZE);
+            progressEl.textContent = `Importing ${start + 1}–${start + batch.length} of ${tasks.length}…`;
+            try {
+                const data = await Api.post('/api/tasks/import', { tasks: batch });
+                imported += data.imported.length;
+                skipped += data.skipped;
+                failed.push(...data.failed.map(f => ({ ...f, index: f.index + start })));
+            } catch (error) {
+                // Keep what's left so the button retries only the remaining batches
+                pendingFileImport = tasks.slice(start);
+                progressEl.textContent = `Imported ${imported} task(s) before the error.`;
+                errorEl.textContent = apiErrorMessage(error);
+                btn.dataset.originalText = `Retry remaining ${pendingFileImport.length}`;
+                return;
+            }
+        }
+    } finally {
+        setButtonLoading(btn, false);
+        if (imported > 0) loadTasks();
+    }
+
+    pendingFileImport = null;
+    document.getElementById('fileImportErrors').innerHTML = failed
+        .map(f => `<li><strong>${escapeHtml(f.title)}</strong> — ${escapeHtml(f.error)}</li>`)
+        .join('');
+    finishFileImport(`Imported ${imported}, skipped ${skipped} duplicate(s)${failed.length ? `, ${failed.length} failed` : ''}.`);
+}
+
+function finishFileImport(message) {
+    pendingFileImport = null;
+    document.getElementById('fileImportProgress').textContent = message;
+    document.getElementById('fileImportPreview').innerHTML = '';
+    document.getElementById('fileImportActions').classList.add('hidden');
+    document.getElementById('fileImportDoneBtn').classList.remove('hidden');
+}
+
+// ============ RECURRING TASKS ============
+// A task can carry a rule, in the API's shape:
+//   { freq: 'daily' | 'weekdays' | 'weekly' | 'monthly' | 'interval', days?, day_of_month?, interval? }
+// Completing it keeps the done instance (without the rule) in the completed list and adds
+// the next occurrence, which carries the rule on. Both are ordinary updateTask / addTask
+// calls, so this works offline and in localStorage mode.
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_DUE_TIME = { hour: 9, minute: 0 };
+const repeatFreq = document.getElementById('repeatFreq');
+
+// QuickAdd spells day_of_month as dayOfMonth
+function toQuickAddRule(rule) {
+    return { ...rule, dayOfMonth: rule.day_of_month };
+}
+
+function fromQuickAddRule(rule) {
+    const result = { freq: rule.freq };
+    if (rule.freq === 'weekly') result.days = rule.days;
+    if (rule.freq === 'monthly') result.day_of_month = rule.dayOfMonth;
+    if (rule.freq === 'interval') result.interval = rule.interval;
+    return result;
+}
+
+function describeRecurrence(rule) {
+    if (rule.freq === 'daily') return 'Every day';
+    if (rule.freq === 'weekdays') return 'Every weekday';
+    if (rule.freq === 'weekly') {
+        // Monday first
+        const days = [...rule.days].sort((a, b) => (a + 6) % 7 - (b + 6) % 7);
+        return `Weekly on ${days.map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+    }
+    if (rule.freq === 'monthly') return `Monthly on day ${rule.day_of_month}`;
+    if (rule.freq === 'interval') return `Every ${rule.interval} days`;
+    return '';
+}
+
+function recurrenceBadgeHtml(task) {
+    if (!task.recurrence) return '';
+    const text = escapeHtml(describeRecurrence(task.recurrence));
+    return `<button type="button" class="task-recurrence" data-id="${task.id}" title="${text} - click to stop repeating" aria-label="Repeats ${text}. Stop repeating">🔁 ${text}</button>`;
+}
+
+// Calendar rules count from now when the task is overdue, so a missed chore isn't followed
+// by a string of overdue copies. "Every N days" keeps its rhythm from the due date.
+// Works on wall-clock Dates in the chosen timezone (see I18n.toWallClock).
+function nextDueDate(task) {
+    const rule = toQuickAddRule(task.recurrence);
+    const now = I18n.toWallClock(new Date());
+    if (!task.due_date) return QuickAdd.firstOccurrence(rule, now, DEFAULT_DUE_TIME);
+
+    const due = I18n.toWallClock(task.due_date);
+    if (rule.freq === 'interval') {
+        let next = QuickAdd.nextOccurrence(rule, due);
+        while (next <= now) next = QuickAdd.nextOccurrence(rule, next);
+        return next;
+    }
+    return due > now
+        ? QuickAdd.nextOccurrence(rule, due)
+        : QuickAdd.firstOccurrence(rule, now, { hour: due.getHours(), minute: due.getMinutes() });
+}
+
+// Anonymous tasks only: logged in, the server does this (src/util/recurrence.zig)
+async function completeRecurringTask(task) {
+    const dueDate = I18n.wallClockToUtc(nextDueDate(task));
+    await updateTask(task.id, { completed: true, recurrence: null });
+    await addTask(task.title, dueDate, {
+        position: task.position ?? null,
+        recurrence: task.recurrence,
+        subtasks: (task.subtasks || []).map(s => ({ ...s, id: newSubtaskId(), completed: false })),
+        priority: task.priority || null,
+        tags: task.tags || [],
+        list_id: taskListId(task)
+    });
+}
+
+function stopRecurring(id) {
+    const task = findTask(id);
+    if (!task || !confirm(`Stop repeating "${task.title}"? It stays on your list.`)) return;
+    updateTask(task.id, { recurrence: null });
+}
+
+// ----- Rule picker next to the date picker -----
+
+function checkedRepeatDays() {
+    return [...document.querySelectorAll('#repeatDays input:checked')].map(input => Number(input.value));
+}
+
+// The rule set in the form, or null. Missing details default to the due date (or today).
+function formRecurrence(dueDate) {
+    const freq = repeatFreq.value;
+    if (!freq) return null;
+
+    const base = dueDate ? new Date(dueDate) : new Date();
+    if (freq === 'weekly') {
+        const days = checkedRepeatDays();
+        return { freq, days: days.length > 0 ? days.sort() : [base.getDay()] };
+    }
+    if (freq === 'monthly') {
+        const day = parseInt(document.getElementById('repeatDayOfMonth').value, 10);
+        return { freq, day_of_month: day >= 1 && day <= 31 ? day : base.getDate() };
+    }
+    if (freq === 'interval') {
+        const every = parseInt(document.getElementById('repeatInterval').value, 10);
+        return { freq, interval: Math.min(365, Math.max(1, every || 1)) };
+    }
+    return { freq };
+}
+
+function updateRepeatControls() {
+    const freq = repeatFreq.value;
+    document.getElementById('repeatDays').classList.toggle('hidden', freq !== 'weekly');
+    document.getElementById('repeatDayOfMonthField').classList.toggle('hidden', freq !== 'monthly');
+    document.getElementById('repeatIntervalField').classList.toggle('hidden', freq !== 'interval');
+
+    const rule = formRecurrence(document.getElementById('taskDueDate').value || null);
+    const text = rule ? describeRecurrence(rule) : '';
+    document.getElementById('repeatPreview').textContent = text;
+    document.getElementById('repeatBtn').setAttribute('aria-label', `Repeat: ${text || 'never'}`);
+    document.getElementById('repeatMenu').classList.toggle('has-repeat', rule !== null);
+}
+
+function resetRepeatControls() {
+    repeatFreq.value = '';
+    document.querySelectorAll('#repeatDays input').forEach(input => { input.checked = false; });
+    document.getElementById('repeatDayOfMonth').value = '';
+    document.getElementById('repeatMenu').open = false;
+    updateRepeatControls();
+}
+
+// ============ TAGS & PRIORITIES ============
+// Tasks carry a priority (null, 'low', 'medium', 'high') and any number of tags.
+// Both can be typed inline ("Call the bank #finance !high", see QuickAdd.parseLabels)
+// or picked from the 🏷️ menu. Tag chips filter the lists; the profile modal's Tags tab
+// renames, recolors and merges tags (logged in only: colors are stored on the server).
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const PRIORITY_LABELS = { high: '▲ High', medium: '■ Medium', low: '▼ Low' };
+const MAX_TAGS_PER_TASK = 20;
+// Tags nobody picked a color for get one of these, chosen from the name
+const TAG_PALETTE = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+let tagColors = new Map(); // tag -> #rrggbb picked in the tag manager
+
+function tagColor(tag) {
+    if (tagColors.has(tag)) return tagColors.get(tag);
+    let hash = 0;
+    for (const ch of tag) hash = (hash * 31 + ch.codePointAt(0)) | 0;
+    return TAG_PALETTE[Math.abs(hash) % TAG_PALETTE.length];
+}
+
+// escapeHtml leaves quotes alone, which is fine for text but not for attribute values
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+function priorityBadgeHtml(task) {
+    if (!task.priority) return '';
+    return `<button type="button" class="task-priority priority-${task.priority}" data-filter-priority="${task.priority}" title="Show ${task.priority} priority tasks">${PRIORITY_LABELS[task.priority]}</button>`;
+}
+
+function tagChipsHtml(task) {
+    return (task.tags || []).map(tag => `
+        <span class="tag-chip" style="--tag-color: ${tagColor(tag)}">
+            <button type="button" class="tag-chip-filter" data-filter-tag="${escapeAttr(tag)}" title="Show tasks tagged #${escapeAttr(tag)}">#${escapeHtml(tag)}</button>
+            <button type="button" class="tag-chip-remove" data-id="${task.id}" data-remove-tag="${escapeAttr(tag)}" aria-label="Remove tag ${escapeAttr(tag)}">×</button>
+        </span>`).join('');
+}
+
+// Every tag on a loaded task, plus colored ones from the tag manager, A → Z
+function knownTags() {
+    const tags = new Set(tagColors.keys());
+    for (const task of taskStore.tasks) {
+        for (const tag of task.tags || []) tags.add(tag);
+    }
+    return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+function removeTaskTag(id, tag) {
+    const task = findTask(id);
+    if (!task) return;
+    updateTask(id, { tags: (task.tags || []).filter(t => t !== tag) });
+}
+
+// Labels typed into a title are added to the task's own (used by inline editing)
+function mergeLabels(task, labels) {
+    const changes = {};
+    if (labels.priority && labels.priority !== task.priority) changes.priority = labels.priority;
+    const tags = [...(task.tags || [])];
+    for (const tag of labels.tags) {
+        if (!tags.includes(tag)) tags.push(tag);
+    }
+    if (tags.length !== (task.tags || []).length) changes.tags = tags.slice(0, MAX_TAGS_PER_TASK);
+    return changes;
+}
+
+function filterByTag(tag) {
+    setView({ tag });
+    document.getElementById('taskList').scrollIntoView({ block: 'nearest' });
+}
+
+// Logged in only; anonymous tags keep their palette colors
+async function loadTagColors() {
+    if (!isLoggedIn()) {
+        tagColors = new Map();
+        return [];
+    }
+    try {
+        const tags = await Api.get('/api/tags');
+        setTagColors(tags);
+        return tags;
+    } catch (error) {
+        console.error('Failed to load tags:', error);
+        return null;
+    }
+}
+
+function setTagColors(tags) {
+    tagColors = new Map(tags.filter(t => t.color).map(t => [t.name, t.color]));
+}
+
+// ---- 🏷️ menu on the task form ----
+
+function chosenPriority() {
+    return document.getElementById('labelPriority').value || null;
+}
+
+function chosenTags() {
+    return [...document.querySelectorAll('#labelTagList input:checked')].map(input => input.value);
+}
+
+// Rebuilt each time the menu opens, so it lists the tags in use right now
+function renderLabelMenu() {
+    const chosen = new Set(chosenTags());
+    const tags = [...new Set([...knownTags(), ...chosen])];
+    const list = document.getElementById('labelTagList');
+    list.innerHTML = tags.length === 0
+        ? '<span class="label-empty">No tags yet</span>'
+        : tags.map(tag => `
+            <label class="label-tag-option" style="--tag-color: ${tagColor(tag)}">
+                <input type="checkbox" value="${escapeAttr(tag)}"${chosen.has(tag) ? ' checked' : ''}>#${escapeHtml(tag)}
+            </label>`).join('');
+}
+
+function addChosenTag() {
+    const input = document.getElementById('labelNewTag');
+    const { tags } = QuickAdd.parseLabels(`#${input.value.trim().replace(/^#/, '')}`);
+    if (tags.length === 0) {
+        input.setCustomValidity('Tags are up to 32 characters, without spaces, # or ,');
+        input.reportValidity();
+        return;
+    }
+    input.setCustomValidity('');
+    input.value = '';
+
+    const list = document.getElementById('labelTagList');
+    const existing = [...list.querySelectorAll('input')].find(el => el.value === tags[0]);
+    if (existing) {
+        existing.checked = true;
+    } else {
+        if (!list.querySelector('input')) list.innerHTML = '';
+        list.insertAdjacentHTML('beforeend', `
+            <label class="label-tag-option" style="--tag-color: ${tagColor(tags[0])}">
+                <input type="checkbox" value="${escapeAttr(tags[0])}" checked>#${escapeHtml(tags[0])}
+            </label>`);
+    }
+    updateLabelPreview();
+}
+
+// Inline labels from the title plus the menu's choices; an inline priority wins
+function formLabels(inline) {
+    const tags = [...new Set([...inline.tags, ...chosenTags()])].slice(0, MAX_TAGS_PER_TASK);
+    return { priority: inline.priority || chosenPriority(), tags };
+}
+
+function updateLabelPreview() {
+    const labels = formLabels(QuickAdd.parseLabels(taskInput.value));
+    const parts = [];
+    if (labels.priority) parts.push(`!${labels.priority}`);
+    parts.push(...labels.tags.map(tag => `#${tag}`));
+    document.getElementById('labelPreview').textContent = parts.join(' ');
+    document.getElementById('labelMenu').classList.toggle('has-labels', parts.length > 0);
+    document.getElementById('labelBtn').setAttribute('aria-label', parts.length ? `Labels: ${parts.join(' ')}` : 'Labels: none');
+}
+
+function resetLabelMenu() {
+    const menu = document.getElementById('labelMenu');
+    menu.open = false;
+    document.getElementById('labelPriority').value = '';
+    document.getElementById('labelNewTag').value = '';
+    document.querySelectorAll('#labelTagList input:checked').forEach(input => { input.checked = false; });
+    updateLabelPreview();
+}
+
+// ---- Tag manager (profile modal, Tags tab) ----
+
+async function openTagManager() {
+    const list = document.getElementById('tagManagerList');
+    document.getElementById('tagManagerError').textContent = '';
+    list.innerHTML = '<li class="tag-manager-empty">Loading…</li>';
+    const tags = await loadTagColors();
+    if (tags === null) {
+        list.innerHTML = '';
+        document.getElementById('tagManagerError').textContent = "Couldn't load your tags. Check your connection and try again.";
+        return;
+    }
+    renderTagManager(tags);
+}
+
+function renderTagManager(tags) {
+    const list = document.getElementById('tagManagerList');
+    if (tags.length === 0) {
+        list.innerHTML = '<li class="tag-manager-empty">No tags yet. Type #tag in a task to add one.</li>';
+        return;
+    }
+    list.innerHTML = tags.map(tag => `
+        <li class="tag-manager-row" data-tag="${escapeAttr(tag.name)}">
+            <input type="color" class="tag-color-input" value="${tag.color || tagColor(tag.name)}" aria-label="Color of #${escapeAttr(tag.name)}">
+            <input type="text" class="tag-name-input" value="${escapeAttr(tag.name)}" maxlength="32" aria-label="Rename #${escapeAttr(tag.name)}">
+            <span class="tag-manager-count">${tag.count} ${tag.count === 1 ? 'task' : 'tasks'}</span>
+        </li>`).join('');
+}
+
+// Renaming onto an existing tag merges the two, so that asks first
+async function handleTagManagerChange(e) {
+    const row = e.target.closest('.tag-manager-row');
+    if (!row) return;
+    const name = row.dataset.tag;
+    const errorEl = document.getElementById('tagManagerError');
+    errorEl.textContent = '';
+
+    let body;
+    if (e.target.classList.contains('tag-color-input')) {
+        body = { name, color: e.target.value };
+    } else if (e.target.classList.contains('tag-name-input')) {
+        const { tags } = QuickAdd.parseLabels(`#${e.target.value.trim().replace(/^#/, '')}`);
+        const renameTo = tags[0];
+        if (!renameTo) {
+            errorEl.textContent = 'Tags are up to 32 characters, without spaces, # or ,';
+            e.target.value = name;
+            return;
+        }
+        if (renameTo === name) {
+            e.target.value = name;
+            return;
+        }
+        const target = document.querySelector(`.tag-manager-row[data-tag="${CSS.escape(renameTo)}"]`);
+        if (target && !confirm(`Merge #${name} into #${renameTo}? Tasks tagged #${name} will be tagged #${renameTo} instead.`)) {
+            e.target.value = name;
+            return;
+        }
+        body = { name, rename_to: renameTo };
+    } else {
+        return;
+    }
+
+    try {
+        const tags = await Api.patch('/api/tags', body);
+        setTagColors(tags);
+        renderTagManager(tags);
+        if (body.rename_to && viewState.tag === name) setView({ tag: body.rename_to });
+        // Renames rewrite tasks on the server; other tabs hear about it over the socket
+        if (body.rename_to) {
+            await loadTasks();
         } else {
-            completedSection.style.display = 'none';
+            renderTasks(taskStore.tasks);
         }
+    } catch (error) {
+        const message = apiErrorMessage(error);
+        await openTagManager();
+        errorEl.textContent = message;
+    }
+}
+
+// ============ SUBTASKS ============
+// Each task holds an ordered checklist: task.subtasks = [{ id, title, completed }].
+// Every change saves the whole list through updateTask, so it is queued offline (or
+// written to localTasks) like any other edit. Step IDs are made here so they work offline.
+
+const MAX_SUBTASKS = 100;
+const expandedSubtasks = new Set(); // IDs of tasks whose checklist is open
+
+function newSubtaskId() {
+    return window.crypto && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// "3/5" in .task-meta; it also opens and closes the checklist
+function subtaskProgressHtml(task) {
+    const subtasks = task.subtasks || [];
+    const done = subtasks.filter(s => s.completed).length;
+    const expanded = expandedSubtasks.has(String(task.id));
+    const label = subtasks.length > 0 ? `☑ ${done}/${subtasks.length}` : '☑ Add steps';
+    const description = subtasks.length > 0 ? `${done} of ${subtasks.length} steps done` : 'Add steps';
+    const classes = `subtask-toggle${subtasks.length === 0 ? ' subtask-toggle-empty' : ''}${subtasks.length > 0 && done === subtasks.length ? ' subtask-toggle-done' : ''}`;
+    return `<button type="button" class="${classes}" data-subtasks-id="${task.id}" aria-expanded="${expanded}" aria-controls="subtasks-${task.id}" aria-label="${description}">${label}</button>`;
+}
+
+function subtaskPanelHtml(task) {
+    if (!expandedSubtasks.has(String(task.id))) return '';
+    const items = (task.subtasks || []).map(s => `
+        <li class="subtask-item${s.completed ? ' completed' : ''}">
+            <input type="checkbox" class="subtask-checkbox" data-task-id="${task.id}" data-subtask-id="${s.id}"${s.completed ? ' checked' : ''} aria-label="${escapeHtml(s.title)}">
+            <span class="subtask-title" tabindex="0" data-edit-id="${task.id}" data-subtask-id="${s.id}" title="Double-click or press Enter to rename">${escapeHtml(s.title)}</span>
+            <button type="button" class="subtask-delete" data-task-id="${task.id}" data-subtask-id="${s.id}" aria-label="Remove step: ${escapeHtml(s.title)}">×</button>
+        </li>
+    `).join('');
+    return `
+        <div class="subtask-panel" id="subtasks-${task.id}">
+            <ul class="subtask-list">${items}</ul>
+            <form class="subtask-form" data-task-id="${task.id}">
+                <input type="text" class="subtask-input" maxlength="500" placeholder="Add a step…" aria-label="New step for ${escapeHtml(task.title)}" autocomplete="off">
+            </form>
+        </div>
+    `;
+}
 
-        completedCount.textContent = completedTasks.length;
+function toggleSubtaskPanel(taskId) {
+    const key = String(taskId);
+    if (expandedSubtasks.has(key)) {
+        expandedSubtasks.delete(key);
+    } else {
+        expandedSubtasks.add(key);
     }
-    
-    totalCount.textContent = tasks.length;
+    renderTasks(taskStore.tasks);
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function findTask(taskId) {
+    return taskStore.tasks.find(t => sameId(t.id, taskId));
 }
 
-async function addTask(title, dueDate = null) {
-    if (isLoggedIn()) {
-        // Logged in: save to API
-        try {
-            const taskData = { title };
-            if (dueDate) {
-                taskData.due_date = dueDate;
-            }
-            
-            const response = await fetch('/api/tasks', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${getToken()}`
-                },
-                body: JSON.stringify(taskData)
-            });
+async function addSubtask(taskId, title) {
+    const task = findTask(taskId);
+    if (!task) return;
+    const subtasks = task.subtasks || [];
+    if (subtasks.length >= MAX_SUBTASKS) {
+        showTaskError(task.id, `A task can have at most ${MAX_SUBTASKS} steps`);
+        return;
+    }
+    await updateTask(task.id, { subtasks: [...subtasks, { id: newSubtaskId(), title, completed: false }] });
+}
 
-            if (response.ok) {
-                loadTasks();
-            }
-        } catch (error) {
-            console.error('Failed to add task:', error);
+// Checking off the last open step offers to complete the task too
+async function toggleSubtask(taskId, subtaskId, completed) {
+    const task = findTask(taskId);
+    if (!task) return;
+    const subtasks = (task.subtasks || []).map(s => s.id === subtaskId ? { ...s, completed } : s);
+    await updateTask(task.id, { subtasks });
+
+    if (completed && !task.completed && subtasks.every(s => s.completed)) {
+        showActionToast(`All steps of "${task.title}" are done`, 'Complete task', () => {
+            const current = findTask(task.id);
+            if (current && !current.completed) toggleTask(current.id);
+        });
+    }
+}
+
+async function renameSubtask(taskId, subtaskId, title) {
+    const task = findTask(taskId);
+    if (!task) return;
+    const subtasks = (task.subtasks || []).map(s => s.id === subtaskId ? { ...s, title } : s);
+    await updateTask(task.id, { subtasks });
+}
+
+async function removeSubtask(taskId, subtaskId) {
+    const task = findTask(taskId);
+    if (!task) return;
+    await updateTask(task.id, { subtasks: (task.subtasks || []).filter(s => s.id !== subtaskId) });
+}
+
+// Same keys as the task title: Enter / blur saves, Escape cancels
+function startSubtaskEdit(el, task) {
+    const subtaskId = el.dataset.subtaskId;
+    const subtask = (task.subtasks || []).find(s => s.id === subtaskId);
+    if (!subtask) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 500;
+    input.value = subtask.title;
+    input.className = 'task-edit-input subtask-edit-input';
+    input.setAttribute('aria-label', 'Step title');
+    invalidateTaskRow(el);
+    el.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        const title = input.value.trim();
+        if (save && title && title !== subtask.title) {
+            renameSubtask(task.id, subtaskId, title);
+        } else {
+            renderTasks(taskStore.tasks);
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
         }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+function handleSubtaskClick(e) {
+    const target = e.target;
+    if (target.dataset.subtasksId) {
+        toggleSubtaskPanel(target.dataset.subtasksId);
+    } else if (target.classList.contains('subtask-checkbox')) {
+        toggleSubtask(target.dataset.taskId, target.dataset.subtaskId, target.checked);
+    } else if (target.classList.contains('subtask-delete')) {
+        removeSubtask(target.dataset.taskId, target.dataset.subtaskId);
+    }
+}
+
+function handleSubtaskSubmit(e) {
+    const form = e.target.closest('.subtask-form');
+    if (!form) return;
+    e.preventDefault();
+    const input = form.querySelector('.subtask-input');
+    const title = input.value.trim();
+    if (!title) return;
+    input.value = '';
+    addSubtask(form.dataset.taskId, title);
+}
+
+// ============ INLINE EDITING ============
+// Double-click (or Enter) on a title or 📅 label swaps it for an input.
+// Enter / blur saves, Escape cancels.
+
+function startInlineEdit(el) {
+    const id = el.dataset.editId;
+    const task = taskStore.tasks.find(t => sameId(t.id, id));
+    if (!task) return;
+    if (!canEditTask(task)) {
+        showTaskError(id, I18n.t('tasks.view_only'));
+        return;
+    }
+    if (el.dataset.subtaskId) {
+        startSubtaskEdit(el, task);
+        return;
+    }
+
+    const isTitle = el.classList.contains('task-title');
+    const input = document.createElement('input');
+    if (isTitle) {
+        input.type = 'text';
+        input.maxLength = 500;
+        input.value = task.title;
     } else {
-        // Anonymous: save to localStorage
-        addLocalTask(title);
-        loadTasks();
+        input.type = 'datetime-local';
+        input.value = I18n.toInputValue(task.due_date);
+    }
+    input.className = `task-edit-input${isTitle ? '' : ' task-edit-due'}`;
+    input.setAttribute('aria-label', isTitle ? 'Task title' : 'Due date');
+    invalidateTaskRow(el);
+    el.replaceWith(input);
+    input.focus();
+    if (isTitle) input.select();
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+
+        const changes = {};
+        if (save && isTitle) {
+            // "#tag" and "!high" typed while editing become labels, not part of the title
+            const raw = input.value.trim();
+            const labels = QuickAdd.parseLabels(raw);
+            // Nothing but labels typed: the title stays as it was
+            const title = labels.matches.length === 0 ? raw : (labels.title === raw ? task.title : labels.title);
+            if (title && title !== task.title) changes.title = title;
+            Object.assign(changes, mergeLabels(task, labels));
+        } else if (save) {
+            if (input.value !== I18n.toInputValue(task.due_date)) changes.due_date = I18n.inputToUtc(input.value);
+        }
+
+        if (Object.keys(changes).length > 0) {
+            updateTask(id, changes);
+        } else {
+            renderTasks(taskStore.tasks);
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+function handleTaskListEditKeys(e) {
+    if (e.key === 'Enter' && e.target.dataset.editId) {
+        e.preventDefault();
+        startInlineEdit(e.target);
     }
 }
 
-async function toggleTask(id) {
-    if (isLoggedIn()) {
-        try {
-            await fetch(`/api/tasks/${id}`, {
-                method: 'PUT',
-                headers: { 'Authorization': `Bearer ${getToken()}` }
-            });
-            loadTasks();
-        } catch (error) {
-            console.error('Failed to toggle task:', error);
+function handleTaskListDoubleClick(e) {
+    const el = e.target.closest('[data-edit-id]');
+    if (el) startInlineEdit(el);
+}
+
+// ============ KEYBOARD SHORTCUTS & COMMAND PALETTE ============
+// Single-key shortcuts act on the task row that has focus (j/k move it).
+// They are off while typing in a field or while a modal is open.
+// Ctrl/⌘+K also works from fields, since it can't collide with typing.
+
+// Row controls that keep focus across a re-render (anything else falls back to the title)
+const FOCUSABLE_ROW_CONTROLS = [
+    'drag-handle', 'task-select', 'task-checkbox', 'btn-delete',
+    'subtask-toggle', 'subtask-checkbox', 'subtask-title', 'subtask-delete', 'subtask-input',
+    'task-priority', 'tag-chip-filter', 'tag-chip-remove', 'task-list-select'
+];
+const PALETTE_FILTERS = [
+    ['all', 'Show all tasks'],
+    ['overdue', 'Show overdue tasks'],
+    ['today', 'Show tasks due today'],
+    ['week', 'Show tasks due this week'],
+    ['nodate', 'Show tasks without a due date']
+];
+const PALETTE_SORTS = [
+    ['default', 'Sort: manual order'],
+    ['due', 'Sort by due date'],
+    ['priority', 'Sort by priority'],
+    ['created', 'Sort: newest first'],
+    ['alpha', 'Sort A → Z']
+];
+
+function isModalOpen() {
+    return document.querySelector('.modal.active') !== null;
+}
+
+// Checkboxes and buttons take focus but not text, so shortcuts still apply there
+function isTypingTarget(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    return el.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(el.type);
+}
+
+function taskRows() {
+    return [...document.querySelectorAll('#taskList .task-item, #completedTaskList .task-item')];
+}
+
+function rowTaskId(row) {
+    return row.querySelector('.task-checkbox').dataset.id;
+}
+
+function focusedTaskRow() {
+    const active = document.activeElement;
+    return active && active.closest ? active.closest('.task-item') : null;
+}
+
+// Re-rendering may rewrite or drop the focused row; remember which row (and which control in it) had focus
+function captureTaskFocus() {
+    const row = focusedTaskRow();
+    if (!row) return null;
+    const active = document.activeElement;
+    return {
+        id: rowTaskId(row),
+        index: taskRows().indexOf(row),
+        control: FOCUSABLE_ROW_CONTROLS.find(c => active.classList.contains(c)) || 'task-title',
+        subtaskId: active.dataset.subtaskId || null,
+        draft: active.classList.contains('subtask-input') ? active.value : null
+    };
+}
+
+// A row that is gone (deleted, filtered out) hands focus to the one now in its place
+function restoreTaskFocus(focus) {
+    if (!focus) return;
+    const rows = taskRows();
+    if (rows.length === 0) return;
+    const row = rows.find(r => rowTaskId(r) === focus.id) || rows[Math.min(focus.index, rows.length - 1)];
+    const selector = focus.subtaskId ? `.${focus.control}[data-subtask-id="${focus.subtaskId}"]` : `.${focus.control}`;
+    // A removed step hands focus to the "Add a step" field of its task
+    const control = row.querySelector(selector) ||
+        (focus.subtaskId && row.querySelector('.subtask-input')) ||
+        row.querySelector('.task-title');
+    if (focus.draft !== null && rowTaskId(row) === focus.id && control.classList.contains('subtask-input')) {
+        control.value = focus.draft;
+    }
+    control.focus();
+}
+
+function moveTaskFocus(step) {
+    const rows = taskRows();
+    if (rows.length === 0) return;
+    const current = rows.indexOf(focusedTaskRow());
+    const next = current === -1
+        ? (step > 0 ? 0 : rows.length - 1)
+        : Math.max(0, Math.min(rows.length - 1, current + step));
+    const title = rows[next].querySelector('.task-title');
+    title.focus();
+    title.scrollIntoView({ block: 'nearest' });
+}
+
+function handleGlobalKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        if (CommandPalette.isOpen()) {
+            e.preventDefault();
+            CommandPalette.close();
+        } else if (!isModalOpen()) {
+            e.preventDefault();
+            openCommandPalette();
         }
-    } else {
-        toggleLocalTask(id);
-        loadTasks();
+        return;
     }
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    if (isModalOpen() || isTypingTarget(e.target)) return;
+
+    // Inside a checklist, x / Delete / e would hit the parent task
+    const inChecklist = e.target.closest && e.target.closest('.subtask-panel');
+    const row = inChecklist ? null : focusedTaskRow();
+    switch (e.key) {
+        case 'n':
+            taskInput.focus();
+            break;
+        case '/':
+            document.getElementById('searchInput').focus();
+            break;
+        case 'j':
+            moveTaskFocus(1);
+            break;
+        case 'k':
+            moveTaskFocus(-1);
+            break;
+        case 'x':
+            if (!row) return;
+            toggleTask(rowTaskId(row));
+            break;
+        case 'Delete':
+            if (!row) return;
+            deleteTask(rowTaskId(row));
+            break;
+        case 'e':
+            if (!row) return;
+            startInlineEdit(row.querySelector('.task-title'));
+            break;
+        case '?':
+            showModal('shortcutsModal');
+            break;
+        case 'Escape':
+            if (!selection.active) return;
+            setSelectionMode(false);
+            break;
+        default:
+            return;
+    }
+    // Keeps "n" and "/" from being typed into the field they just focused
+    e.preventDefault();
 }
 
-async function deleteTask(id) {
+// Built on every open so it only lists what applies right now (logged in or not, etc.)
+function paletteCommands() {
+    const setFilter = (filter) => {
+        document.getElementById('filterSelect').value = filter;
+        setView({ filter });
+    };
+    const setSort = (sort) => {
+        document.getElementById('sortSelect').value = sort;
+        setView({ sort });
+    };
+
+    const commands = [
+        { label: 'New task', shortcut: 'N', run: () => taskInput.focus() },
+        { label: 'Search tasks', shortcut: '/', run: () => document.getElementById('searchInput').focus() },
+        ...PALETTE_FILTERS.map(([filter, label]) => ({ label, run: () => setFilter(filter) })),
+        ...PALETTE_SORTS.map(([sort, label]) => ({ label, run: () => setSort(sort) })),
+        { label: selection.active ? 'Stop selecting tasks' : 'Select tasks', run: () => setSelectionMode(!selection.active) },
+        { label: 'Clear completed tasks', run: clearCompleted },
+        { label: 'Open trash', run: openTrash },
+        ...Object.keys(TaskTransfer.FORMATS).map(format => ({
+            label: `Export tasks as ${format.toUpperCase()}`,
+            run: () => downloadTasks(format)
+        })),
+        { label: 'Import tasks from file', run: () => document.getElementById('importFileInput').click() },
+        ...PRIORITIES.map(priority => ({
+            label: `Show ${priority} priority tasks`,
+            run: () => setView({ priority })
+        })),
+        ...knownTags().map(tag => ({ label: `Show tasks tagged #${tag}`, run: () => filterByTag(tag) })),
+        { label: 'Go to Inbox', run: () => showList(INBOX) },
+        ...taskLists.map(list => ({ label: `Go to list: ${list.name}`, run: () => showList(list.id) })),
+        { label: 'New list', run: () => document.getElementById('newListInput').focus() }
+    ];
+    if (taskLists.length > 0) {
+        commands.push({ label: 'Show all lists', run: () => showList(ALL_LISTS) });
+    }
+    const list = shownList();
+    if (list && ownsList(list)) {
+        commands.push(
+            { label: `Rename list "${list.name}"`, run: renameShownList },
+            { label: `Delete list "${list.name}"`, run: deleteShownList }
+        );
+        if (isLoggedIn()) commands.push({ label: `Share list "${list.name}"`, run: openShareModal });
+    } else if (list) {
+        commands.push({ label: `Leave list "${list.name}"`, run: leaveShownList });
+    }
+
+    commands.push(getNewTaskPosition() === 'top'
+        ? { label: 'Add new tasks at the bottom', run: () => changeNewTaskPosition('bottom') }
+        : { label: 'Add new tasks at the top', run: () => changeNewTaskPosition('top') });
+
+    if (Reminders.isSupported()) {
+        commands.push({
+            label: Reminders.isEnabled() ? 'Turn off reminders' : 'Turn on reminders',
+            run: toggleReminders
+        });
+    }
+    if (viewState.tag || viewState.priority) {
+        commands.push({ label: 'Stop filtering by tag and priority', run: () => setView({ tag: '', priority: '' }) });
+    }
     if (isLoggedIn()) {
-        try {
-            await fetch(`/api/tasks/${id}`, {
-                method: 'DELETE',
-                headers: { 'Authorization': `Bearer ${getToken()}` }
-            });
-            loadTasks();
-        } catch (error) {
-            console.error('Failed to delete task:', error);
-        }
+        commands.push(
+            { label: 'Open profile', run: () => showModal('profileModal') },
+            { label: 'Manage tags', run: () => openProfileTab('tags') },
+            { label: 'Log out', run: logout }
+        );
     } else {
-        deleteLocalTask(id);
-        loadTasks();
+        commands.push(
+            { label: 'Log in', run: () => showModal('loginModal') },
+            { label: 'Sign up', run: () => showModal('signupModal') }
+        );
     }
+    commands.push({ label: 'Keyboard shortcuts', shortcut: '?', run: () => showModal('shortcutsModal') });
+    return commands;
+}
+
+function openCommandPalette() {
+    CommandPalette.open(paletteCommands());
 }
 
 // ============ WASM INIT ============
 
+// Loads the Zig task engine (or settles for its JS fallback) and hands it the stored anonymous tasks
 async function initWasm() {
-    try {
-        const importObject = {
-            env: {
-                js_log: (ptr, len) => {
-                    const bytes = new Uint8Array(wasmMemory.buffer, ptr, len);
-                    console.log('[WASM]', new TextDecoder().decode(bytes));
-                },
-                js_renderTasks: () => loadTasks(),
-                js_alert: (ptr, len) => {
-                    const bytes = new Uint8Array(wasmMemory.buffer, ptr, len);
-                    alert(new TextDecoder().decode(bytes));
-                }
-            }
-        };
-
-        const response = await fetch('/app.wasm');
-        if (!response.ok) throw new Error('WASM fetch failed');
-        
-        const bytes = await response.arrayBuffer();
-        const result = await WebAssembly.instantiate(bytes, importObject);
-        
-        wasm = result.instance.exports;
-        wasmMemory = wasm.memory;
-        wasm.init();
-        
-        console.log('✅ WASM initialized');
-    } catch (error) {
-        console.log('Running without WASM');
-    }
+    const loaded = await TaskEngine.load('/app.wasm');
+    console.log(loaded ? '✅ WASM task engine initialized' : 'Running without WASM');
+    TaskEngine.restore(readStoredLocalTasks());
 }
 
 // ============ EVENT LISTENERS ============
@@ -720,8 +3982,7 @@ const datePickerWrapper = document.querySelector('.date-picker-wrapper');
 function updateDatePreview() {
     const dueDateInput = document.getElementById('taskDueDate');
     if (dueDateInput.value) {
-        const date = new Date(dueDateInput.value);
-        const formatted = date.toLocaleDateString('ro-RO', {
+        const formatted = I18n.formatDateTime(I18n.inputToUtc(dueDateInput.value), {
             day: 'numeric',
             month: 'short',
             hour: '2-digit',
@@ -741,75 +4002,354 @@ function clearDatePicker() {
     const dueDateInput = document.getElementById('taskDueDate');
     dueDateInput.value = '';
     updateDatePreview();
+    updateQuickAddPreview();
 }
 
 // Open native picker on button click
 datePickerBtn.addEventListener('click', () => {
     const dueDateInput = document.getElementById('taskDueDate');
     
-    // Set minimum date to now (prevent past dates)
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    dueDateInput.min = `${year}-${month}-${day}T${hours}:${minutes}`;
+    // Set minimum date to now in the chosen timezone (prevent past dates)
+    dueDateInput.min = I18n.toInputValue(new Date());
     
     dueDateInput.showPicker();
 });
 
 // Update preview when date changes
-document.getElementById('taskDueDate').addEventListener('change', updateDatePreview);
+document.getElementById('taskDueDate').addEventListener('change', () => {
+    updateDatePreview();
+    updateQuickAddPreview();
+    updateRepeatControls();
+});
 
 // Clear date
 dateClearBtn.addEventListener('click', clearDatePicker);
 
+// Repeat rule
+document.getElementById('repeatMenu').addEventListener('input', updateRepeatControls);
+
+// Quick add: "Pay rent tomorrow 9am" -> title "Pay rent", due tomorrow 09:00
+const quickAddChip = document.getElementById('quickAddChip');
+let quickAddDismissed = false;
+
+// Parsed phrase from the task input, or null when the picker is set or the user ignored it
+function parseTaskInput() {
+    const dueDateInput = document.getElementById('taskDueDate');
+    if (quickAddDismissed || dueDateInput.value) return null;
+
+    // Phrases like "tomorrow 9am" mean the wall clock in the chosen timezone
+    const parsed = QuickAdd.parseQuickAdd(QuickAdd.parseLabels(taskInput.value.trim()).title, { now: I18n.toWallClock(new Date()) });
+    return parsed.dueDate ? parsed : null;
+}
+
+function updateQuickAddPreview() {
+    const parsed = parseTaskInput();
+    if (!parsed) {
+        quickAddChip.textContent = '';
+        quickAddChip.classList.add('hidden');
+        return;
+    }
+
+    const formatted = I18n.formatDateTime(I18n.wallClockToUtc(parsed.dueDate), {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    quickAddChip.textContent = `✨ ${formatted}${parsed.recurrence ? ' 🔁' : ''} ×`;
+    quickAddChip.title = `Detected "${parsed.matches.join(' ')}" - click to ignore`;
+    quickAddChip.classList.remove('hidden');
+}
+
+taskInput.addEventListener('input', () => {
+    if (!taskInput.value.trim()) quickAddDismissed = false;
+    updateQuickAddPreview();
+    updateLabelPreview();
+});
+
+quickAddChip.addEventListener('click', () => {
+    quickAddDismissed = true;
+    updateQuickAddPreview();
+    taskInput.focus();
+});
+
+// Priority and tags
+document.getElementById('labelMenu').addEventListener('toggle', (e) => {
+    if (e.target.open) renderLabelMenu();
+});
+document.getElementById('labelMenu').addEventListener('change', updateLabelPreview);
+document.getElementById('labelNewTag').addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault(); // Don't submit the task form
+    addChosenTag();
+});
+
 taskForm.addEventListener('submit', (e) => {
     e.preventDefault();
-    const title = taskInput.value.trim();
-    if (!title) return;
+    if (!taskInput.value.trim()) return;
+    const inlineLabels = QuickAdd.parseLabels(taskInput.value.trim());
+    const labels = formLabels(inlineLabels);
+    let title = inlineLabels.title;
     
     const dueDateInput = document.getElementById('taskDueDate');
-    const dueDate = dueDateInput.value || null;
+    let dueDate = dueDateInput.value || null;
+    let recurrence = formRecurrence(dueDate);
+
+    const parsed = parseTaskInput();
+    if (parsed) {
+        title = parsed.title;
+        dueDate = QuickAdd.toDateTimeLocal(parsed.dueDate);
+        if (!recurrence && parsed.recurrence) recurrence = fromQuickAddRule(parsed.recurrence);
+    }
+    // Checked before the input is cleared, so a title the server would refuse can be fixed
+    const titleError = Validation.taskTitle(title);
+    if (titleError) {
+        showFormError(titleError);
+        return;
+    }
+    // A repeating task starts on the first day that matches its rule
+    if (recurrence && !dueDate) {
+        dueDate = QuickAdd.toDateTimeLocal(QuickAdd.firstOccurrence(toQuickAddRule(recurrence), I18n.toWallClock(new Date()), DEFAULT_DUE_TIME));
+    }
     
-    addTask(title, dueDate);
+    // Until here dueDate is a wall-clock time in the chosen timezone; the server gets the instant
+    addTask(title, I18n.inputToUtc(dueDate), { recurrence, ...labels });
     taskInput.value = '';
+    quickAddDismissed = false;
     clearDatePicker();
+    resetRepeatControls();
+    resetLabelMenu();
     taskInput.focus();
 });
 
-taskList.addEventListener('click', (e) => {
+async function handleTaskListClick(e) {
     const target = e.target;
     const id = target.dataset.id;  // Use string ID directly for SurrealDB
+
+    if (target.dataset.filterTag) {
+        filterByTag(target.dataset.filterTag);
+        return;
+    }
+    if (target.dataset.filterPriority) {
+        setView({ priority: target.dataset.filterPriority });
+        return;
+    }
     
     if (!id) return;  // No ID on this element
     
-    if (target.classList.contains('task-checkbox')) {
+    if (target.classList.contains('task-select')) {
+        toggleSelection(id, target.checked, e.shiftKey);
+    } else if (target.classList.contains('task-checkbox')) {
         toggleTask(id);
     } else if (target.classList.contains('btn-delete')) {
         deleteTask(id);
+    } else if (target.classList.contains('task-recurrence')) {
+        stopRecurring(id);
+    } else if (target.classList.contains('tag-chip-remove')) {
+        removeTaskTag(id, target.dataset.removeTag);
+    } else if (target.classList.contains('btn-sync')) {
+        if (target.dataset.action === 'retry') {
+            retryMutations(id);
+        } else {
+            await discardMutations(id);
+            loadTasks();
+        }
     }
-});
+}
+
+function handleTaskListChange(e) {
+    if (e.target.classList.contains('task-list-select')) {
+        moveTaskToList(e.target.dataset.id, e.target.value || null);
+    }
+}
+
+// A checkbox or select the user changed no longer matches its row's markup
+taskList.addEventListener('change', (e) => invalidateTaskRow(e.target), true);
+taskList.addEventListener('click', handleTaskListClick);
+taskList.addEventListener('change', handleTaskListChange);
+taskList.addEventListener('click', handleSubtaskClick);
+taskList.addEventListener('submit', handleSubtaskSubmit);
+taskList.addEventListener('dblclick', handleTaskListDoubleClick);
+taskList.addEventListener('keydown', handleTaskListEditKeys);
+taskList.addEventListener('keydown', handleDragHandleKeys);
+taskList.addEventListener('pointerdown', startDrag);
+taskList.addEventListener('pointermove', moveDrag);
+taskList.addEventListener('pointerup', (e) => endDrag(e, true));
+taskList.addEventListener('pointercancel', (e) => endDrag(e, false));
 
 // Also handle click events on completed task list
-document.getElementById('completedTaskList').addEventListener('click', (e) => {
-    const target = e.target;
-    const id = target.dataset.id;
-    
+document.getElementById('completedTaskList').addEventListener('change', (e) => invalidateTaskRow(e.target), true);
+document.getElementById('completedTaskList').addEventListener('click', handleTaskListClick);
+document.getElementById('completedTaskList').addEventListener('change', handleTaskListChange);
+document.getElementById('completedTaskList').addEventListener('click', handleSubtaskClick);
+document.getElementById('completedTaskList').addEventListener('submit', handleSubtaskSubmit);
+document.getElementById('completedTaskList').addEventListener('dblclick', handleTaskListDoubleClick);
+document.getElementById('completedTaskList').addEventListener('keydown', handleTaskListEditKeys);
+
+// List switcher
+document.getElementById('listTabs').addEventListener('click', (e) => {
+    const tab = e.target.closest('.list-tab');
+    if (tab) showList(tab.dataset.list);
+});
+document.getElementById('newListForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('newListInput');
+    if (!input.value.trim()) return;
+    if (await createList(input.value)) input.value = '';
+});
+document.getElementById('renameListBtn').addEventListener('click', renameShownList);
+document.getElementById('deleteListBtn').addEventListener('click', deleteShownList);
+document.getElementById('shareListBtn').addEventListener('click', openShareModal);
+document.getElementById('leaveListBtn').addEventListener('click', leaveShownList);
+
+// Sharing
+document.getElementById('invitationList').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-invitation]');
+    if (button) answerInvitation(button.dataset.invitation, button.dataset.answer === 'accept');
+});
+document.getElementById('shareForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('shareEmailInput');
+    const email = input.value.trim();
+    if (!email) return;
+    if (await shareShownList(email, document.getElementById('shareRoleSelect').value)) input.value = '';
+});
+document.getElementById('shareMemberList').addEventListener('change', (e) => {
+    const row = e.target.closest('.share-member');
+    if (row && e.target.classList.contains('share-role-select')) changeMemberRole(row.dataset.memberId, e.target.value);
+});
+document.getElementById('shareMemberList').addEventListener('click', (e) => {
+    const row = e.target.closest('.share-member');
+    if (row && e.target.classList.contains('share-remove')) removeMember(row.dataset.memberId);
+});
+
+// Tag manager (profile modal)
+document.getElementById('tagManagerList').addEventListener('change', handleTagManagerChange);
+document.getElementById('sessionList').addEventListener('click', (e) => {
+    const btn = e.target.closest('.session-revoke');
+    if (btn) revokeSession(btn.dataset.id, btn.dataset.current === 'true');
+});
+document.getElementById('revokeOtherSessionsBtn').addEventListener('click', revokeOtherSessions);
+document.getElementById('tagManagerList').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.classList.contains('tag-name-input')) e.target.blur();
+});
+// Search / filter / sort toolbar
+document.getElementById('searchInput').addEventListener('input', (e) => setView({ q: e.target.value }));
+document.getElementById('filterSelect').addEventListener('change', (e) => setView({ filter: e.target.value }));
+document.getElementById('sortSelect').addEventListener('change', (e) => setView({ sort: e.target.value }));
+document.getElementById('newTaskPositionSelect').addEventListener('change', (e) => changeNewTaskPosition(e.target.value));
+document.getElementById('localeSelect').addEventListener('change', (e) => changeLocale(e.target.value));
+document.getElementById('timeZoneSelect').addEventListener('change', (e) => changeTimeZone(e.target.value));
+document.getElementById('viewSummary').addEventListener('click', (e) => {
+    if (e.target.id !== 'clearViewLink') return;
+    e.preventDefault();
+    viewState = { ...DEFAULT_VIEW, list: viewState.list };
+    writeViewToHash();
+    readViewFromHash();
+    renderTasks(taskStore.tasks);
+});
+window.addEventListener('hashchange', () => {
+    readViewFromHash();
+    renderTasks(taskStore.tasks);
+});
+
+// Keyboard shortcuts & command palette
+document.addEventListener('keydown', handleGlobalKeydown);
+document.getElementById('paletteBtn').addEventListener('click', openCommandPalette);
+CommandPalette.init();
+
+// Selection & bulk actions
+document.getElementById('selectModeBtn').addEventListener('click', () => setSelectionMode(!selection.active));
+document.getElementById('bulkBar').addEventListener('click', handleBulkBarClick);
+document.getElementById('clearCompletedBtn').addEventListener('click', clearCompleted);
+
+// Trash
+document.getElementById('trashBtn').addEventListener('click', openTrash);
+document.getElementById('trashList').addEventListener('click', (e) => {
+    const { id, trashAction } = e.target.dataset;
     if (!id) return;
-    
-    if (target.classList.contains('task-checkbox')) {
-        toggleTask(id);
-    } else if (target.classList.contains('btn-delete')) {
-        deleteTask(id);
+    if (trashAction === 'restore') {
+        restoreFromTrash(id);
+    } else if (trashAction === 'purge') {
+        purgeFromTrash(id);
+    }
+});
+
+// Import / export menu
+document.getElementById('transferMenu').addEventListener('click', (e) => {
+    const format = e.target.dataset.export;
+    if (format) {
+        downloadTasks(format);
+        document.getElementById('transferMenu').open = false;
+    } else if (e.target.id === 'importFileBtn') {
+        document.getElementById('importFileInput').click();
+        document.getElementById('transferMenu').open = false;
+    }
+});
+document.getElementById('importFileInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // picking the same file again should still fire change
+    if (file) previewFileImport(file);
+});
+
+// Verification code boxes
+document.getElementById('verifyForm').addEventListener('reset', () => verifyCode.reset());
+
+// Reminders
+document.getElementById('reminderToggleBtn').addEventListener('click', toggleReminders);
+document.getElementById('reminderLeadSelect').addEventListener('change', (e) => changeReminderLead(parseInt(e.target.value, 10)));
+
+// Another tab logged out, refreshed the session, or changed anonymous tasks
+window.addEventListener('storage', (e) => {
+    if (e.key === 'token' && e.newValue === null && isLoggedIn()) {
+        removeToken();
+        showLoggedOut();
+        loadTasks();
+        return;
     }
+    if (e.key === 'tokenExpiresAt' && isLoggedIn()) scheduleTokenRefresh();
+
+    // The engine always follows storage, so logging out in this tab shows the latest tasks
+    if (e.key === 'localTasks') TaskEngine.restore(readStoredLocalTasks());
+    if (isLoggedIn()) return;
+    if (e.key === 'localTasks') setStoreTasks(getLocalTasks());
+    if (e.key === 'localLists') loadLists().then(() => renderTasks(taskStore.tasks));
+    if (e.key === 'localTrash') refreshTrashIfOpen();
+});
+
+// Replay queued changes as soon as connectivity comes back
+window.addEventListener('online', async () => {
+    // Started offline with a token but no cached user: find out who that is now
+    if (!isLoggedIn() && getToken()) await checkAuth();
+    if (!isLoggedIn()) return;
+    connectTaskEvents();
+    await replayQueue();
+    loadTasks();
+});
+window.addEventListener('offline', () => {
+    if (isLoggedIn()) renderFromCache();
+});
+
+// Timers are throttled in background tabs, so check the token when the tab comes back
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible' || !isLoggedIn()) return;
+    const expiresAt = getTokenExpiry();
+    if (expiresAt && expiresAt - Date.now() <= REFRESH_MARGIN_MS) keepSessionAlive();
 });
 
 // ============ INIT ============
 
 document.addEventListener('DOMContentLoaded', async () => {
+    Api.configure({
+        getToken,
+        refreshSession,
+        onUnauthorized: handleSessionExpired,
+        headers: { 'X-Client-Id': CLIENT_ID }
+    });
+    readViewFromHash();
     await initWasm();
     await checkAuth();
-    loadTasks();
+    await loadTasks();
+    if (isLoggedIn()) syncPendingMutations();
 });
@@ -0,0 +1,108 @@
+// Zig Task Manager - Verification code boxes
+// One-digit boxes for a verification code. A paste or an autofilled code (autocomplete=
+// "one-time-code" on the first box) is spread over them; arrows, Home/End and Backspace move
+// between boxes. Progress is read out through a polite live region.
+
+const CodeInput = (() => {
+    /**
+     * @param {HTMLElement} group - element holding the .code-input boxes
+     * @param {HTMLElement} status - aria-live region for progress announcements
+     */
+    function create(group, status) {
+        const inputs = () => [...group.querySelectorAll('.code-input')];
+        const length = inputs().length;
+
+        function value() {
+            return inputs().map(input => input.value).join('');
+        }
+
+        function setDigit(input, digit) {
+            input.value = digit;
+            input.classList.toggle('filled', digit !== '');
+        }
+
+        function announce() {
+            const count = value().length;
+            status.textContent = count === length
+                ? I18n.t('code.complete')
+                : I18n.t('code.progress', { entered: count, count: length });
+        }
+
+        // Fill boxes from index on with digits; focus lands on the box after the last one filled
+        function fill(index, digits) {
+            const boxes = inputs();
+            const chars = digits.slice(0, length - index).split('');
+            chars.forEach((digit, i) => setDigit(boxes[index + i], digit));
+            boxes[Math.min(index + chars.length, length - 1)].focus();
+            announce();
+        }
+
+        function handleInput(e) {
+            const input = e.target;
+            const index = inputs().indexOf(input);
+            const digits = input.value.replace(/\D/g, '');
+            if (digits.length > 1) {
+                // Autofill (or a paste the paste handler didn't see) put the whole code in one box
+                fill(digits.length >= length ? 0 : index, digits);
+                return;
+            }
+            setDigit(input, digits);
+            if (digits && index < length - 1) inputs()[index + 1].focus();
+            if (value().length === length) announce();
+        }
+
+        function handlePaste(e) {
+            const input = e.target.closest('.code-input');
+            if (!input) return;
+            e.preventDefault();
+            const digits = e.clipboardData.getData('text').replace(/\D/g, '');
+            if (!digits) return;
+            // A whole code goes in from the start, wherever it was pasted
+            fill(digits.length >= length ? 0 : inputs().indexOf(input), digits);
+        }
+
+        function handleKeydown(e) {
+            const boxes = inputs();
+            const index = boxes.indexOf(e.target);
+            if (index === -1) return;
+            let target = null;
+            if (e.key === 'Backspace' && e.target.value === '' && index > 0) {
+                target = boxes[index - 1];
+                setDigit(target, '');
+            } else if (e.key === 'ArrowLeft') {
+                target = boxes[index - 1];
+            } else if (e.key === 'ArrowRight') {
+                target = boxes[index + 1];
+            } else if (e.key === 'Home') {
+                target = boxes[0];
+            } else if (e.key === 'End') {
+                target = boxes[length - 1];
+            }
+            if (!target) return;
+            e.preventDefault();
+            target.focus();
+        }
+
+        group.addEventListener('input', handleInput);
+        group.addEventListener('paste', handlePaste);
+        group.addEventListener('keydown', handleKeydown);
+        // Typing into a filled box replaces its digit
+        group.addEventListener('focusin', (e) => e.target.select());
+
+        /** Focus the first empty box (the first box when all are filled) */
+        function focusFirstEmpty() {
+            const boxes = inputs();
+            (boxes.find(input => !input.value) || boxes[0]).focus();
+        }
+
+        /** Drop the filled styling and the announcement; the form's reset clears the values */
+        function reset() {
+            inputs().forEach(input => input.classList.remove('filled'));
+            status.textContent = '';
+        }
+
+        return { length, value, focusFirstEmpty, reset };
+    }
+
+    return { create };
+})();
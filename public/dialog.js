@@ -0,0 +1,120 @@
+// Zig Task Manager - Dialogs
+// Every .modal in index.html opens and closes through here: focus moves into the dialog and
+// goes back to whatever opened it, Tab stays inside, Escape closes, and the page behind stops
+// scrolling. The ARIA (role="dialog", aria-modal, aria-labelledby) is in the markup.
+//
+// Escape clicks the dialog's .modal-close button, so it does exactly what that button does
+// (hideModal, finishLocalImport, ...). A dialog without one handles Escape itself.
+
+const Dialog = (() => {
+    const FOCUSABLE = [
+        'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+
+    const stack = []; // { modal, opener } in opening order; the last one is on top
+
+    function topModal() {
+        return stack.length > 0 ? stack[stack.length - 1].modal : null;
+    }
+
+    function isOpen(modal) {
+        return stack.some(entry => entry.modal === modal);
+    }
+
+    // Rendered controls only: skips hidden tabs, .hidden sections and the like
+    function focusableIn(modal) {
+        return [...modal.querySelectorAll(FOCUSABLE)].filter(el => el.getClientRects().length > 0);
+    }
+
+    function content(modal) {
+        return modal.querySelector('[role="dialog"]') || modal;
+    }
+
+    // The first field, else the first control that isn't the close button, else the dialog itself
+    function focusInto(modal, initialFocus) {
+        const target = initialFocus ||
+            modal.querySelector('[autofocus]') ||
+            focusableIn(modal).find(el => !el.classList.contains('modal-close')) ||
+            content(modal);
+        target.focus();
+    }
+
+    /**
+     * @param {HTMLElement} modal - a .modal element
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.initialFocus] - what gets focus (default: the first field)
+     */
+    function open(modal, options = {}) {
+        if (isOpen(modal)) return;
+        stack.push({ modal, opener: document.activeElement });
+        // Lets dialogs without controls (e.g. the shortcuts list) take focus themselves
+        if (!content(modal).hasAttribute('tabindex')) content(modal).tabIndex = -1;
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+        focusInto(modal, options.initialFocus);
+    }
+
+    function close(modal) {
+        modal.classList.remove('active');
+        const index = stack.findIndex(entry => entry.modal === modal);
+        if (index === -1) return;
+        const [{ opener }] = stack.splice(index, 1);
+
+        // A dialog opened from inside this one now returns focus to where this one came from
+        for (const entry of stack) {
+            if (entry.opener && modal.contains(entry.opener)) entry.opener = opener;
+        }
+        if (stack.length === 0) document.body.classList.remove('modal-open');
+
+        // Only take focus back when it was in this dialog (or got lost); another dialog may have it
+        const active = document.activeElement;
+        if (active && active !== document.body && !modal.contains(active)) return;
+        const next = topModal();
+        if (next) {
+            focusInto(next);
+        } else if (opener && opener.isConnected && opener !== document.body) {
+            opener.focus();
+        }
+    }
+
+    function trapTab(e, modal) {
+        const items = focusableIn(modal);
+        if (items.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = items[0];
+        const last = items[items.length - 1];
+        const active = document.activeElement;
+        const outside = !modal.contains(active) || active === content(modal);
+        if (e.shiftKey && (active === first || outside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || outside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    document.addEventListener('keydown', (e) => {
+        const modal = topModal();
+        if (!modal || e.defaultPrevented) return;
+        if (e.key === 'Escape') {
+            const closeButton = modal.querySelector('.modal-close');
+            if (!closeButton) return;
+            e.preventDefault();
+            closeButton.click();
+        } else if (e.key === 'Tab') {
+            trapTab(e, modal);
+        }
+    });
+
+    // Focus that escapes anyway (a click on something layered above, assistive tech) comes back
+    document.addEventListener('focusin', (e) => {
+        const modal = topModal();
+        if (modal && !modal.contains(e.target)) focusInto(modal);
+    });
+
+    return { open, close, isOpen };
+})();
@@ -0,0 +1,160 @@
+// Zig Task Manager - Anonymous task engine
+// A logged-out user's tasks live in the Zig engine compiled to /app.wasm (frontend/src/main.zig).
+// When WASM can't be loaded the same operations run in JavaScript, so app.js never needs to know.
+// Either way the engine only holds state: app.js saves snapshot() to localStorage after each change.
+//
+// Tasks cross the boundary as JSON. Strings are copied into WASM memory with allocString() and
+// freed after the call; results are read back from resultPtr()/resultLen().
+
+const TaskEngine = (() => {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    let wasm = null;        // the instance's exports, or null while running the JS fallback
+    let jsTasks = [];       // the fallback's state
+
+    // JSON round trip, so both engines drop the same undefined fields
+    const copy = value => JSON.parse(JSON.stringify(value));
+
+    // ----- String marshalling -----
+
+    function readString(ptr, len) {
+        // Views go stale whenever WASM memory grows, so make a new one each time
+        return decoder.decode(new Uint8Array(wasm.memory.buffer, ptr, len));
+    }
+
+    // Copies the strings into WASM memory, calls fn with a (ptr, len) pair for each, then frees them
+    function withStrings(strings, fn) {
+        const buffers = [];
+        try {
+            for (const string of strings) {
+                const bytes = encoder.encode(string);
+                const ptr = wasm.allocString(bytes.length);
+                if (!ptr) throw new Error('The WASM task engine is out of memory');
+                buffers.push({ ptr, len: bytes.length });
+                if (bytes.length > 0) new Uint8Array(wasm.memory.buffer, ptr, bytes.length).set(bytes);
+            }
+            return fn(...buffers.flatMap(b => [b.ptr, b.len]));
+        } finally {
+            for (const b of buffers) wasm.freeString(b.ptr, b.len);
+        }
+    }
+
+    function readResult() {
+        return JSON.parse(readString(wasm.resultPtr(), wasm.resultLen()));
+    }
+
+    const idStrings = ids => JSON.stringify(ids.map(String));
+
+    // ----- Loading -----
+
+    /** Resolves to true when the WASM engine is in use, false when running the JS fallback */
+    async function load(url) {
+        try {
+            const importObject = {
+                env: {
+                    js_log: (ptr, len) => console.log('[WASM]', readString(ptr, len))
+                }
+            };
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`WASM fetch failed (${response.status})`);
+            const { instance } = await WebAssembly.instantiate(await response.arrayBuffer(), importObject);
+
+            wasm = instance.exports;
+            wasm.init();
+            // Anything restored before the module arrived moves over
+            if (!withStrings([JSON.stringify(jsTasks)], wasm.restore)) throw new Error('WASM restore failed');
+            return true;
+        } catch (error) {
+            console.warn('WASM task engine unavailable, using the JavaScript one:', error);
+            wasm = null;
+            return false;
+        }
+    }
+
+    function isWasm() {
+        return wasm !== null;
+    }
+
+    // ----- Operations -----
+
+    /** Replace every task (e.g. with what localStorage holds) */
+    function restore(tasks) {
+        if (wasm && withStrings([JSON.stringify(tasks)], wasm.restore)) return;
+        if (wasm) {
+            // Data the Zig engine rejects must not be lost: keep it in the fallback instead
+            console.warn('WASM task engine rejected the stored tasks, using the JavaScript one');
+            wasm = null;
+        }
+        jsTasks = copy(tasks);
+    }
+
+    function snapshot() {
+        if (!wasm) return copy(jsTasks);
+        if (!wasm.snapshot()) throw new Error('WASM snapshot failed');
+        return readResult();
+    }
+
+    /** Append a task; false when it has no id or title, or the id is taken */
+    function add(task) {
+        if (wasm) return withStrings([JSON.stringify(task)], wasm.addTask);
+        if (task.id == null || !task.title || jsTasks.some(t => String(t.id) === String(task.id))) return false;
+        jsTasks.push(copy(task));
+        return true;
+    }
+
+    function toggle(id) {
+        if (wasm) return withStrings([String(id)], wasm.toggleTask);
+        const task = jsTasks.find(t => String(t.id) === String(id));
+        if (!task) return false;
+        task.completed = !task.completed;
+        return true;
+    }
+
+    /** Set the fields of changes on the tasks with those IDs; returns how many changed */
+    function update(ids, changes) {
+        if ('id' in changes) throw new Error('A task ID cannot be changed');
+        if (wasm) return checkCount(withStrings([idStrings(ids), JSON.stringify(changes)], wasm.updateTasks), 'update');
+        const wanted = new Set(ids.map(String));
+        const matching = jsTasks.filter(t => wanted.has(String(t.id)));
+        for (const task of matching) Object.assign(task, copy(changes));
+        return matching.length;
+    }
+
+    /** ids is the active list in its new order; task i gets position i */
+    function reorder(ids) {
+        if (wasm) return checkCount(withStrings([idStrings(ids)], wasm.reorderTasks), 'reorder');
+        let count = 0;
+        ids.forEach((id, index) => {
+            const task = jsTasks.find(t => String(t.id) === String(id));
+            if (task) {
+                task.position = index;
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /** Remove the tasks with those IDs and return them */
+    function remove(ids) {
+        if (wasm) {
+            checkCount(withStrings([idStrings(ids)], wasm.deleteTasks), 'delete');
+            return readResult();
+        }
+        const wanted = new Set(ids.map(String));
+        const removed = jsTasks.filter(t => wanted.has(String(t.id)));
+        jsTasks = jsTasks.filter(t => !wanted.has(String(t.id)));
+        return removed;
+    }
+
+    function count() {
+        return wasm ? wasm.getTaskCount() : jsTasks.length;
+    }
+
+    function checkCount(result, operation) {
+        if (result < 0) throw new Error(`WASM ${operation} failed`);
+        return result;
+    }
+
+    return { load, isWasm, restore, snapshot, add, toggle, update, reorder, remove, count };
+})();
@@ -0,0 +1,459 @@
+// Zig Task Manager - Locale and timezone
+// UI strings in English and Romanian, and dates shown in the user's chosen locale and timezone.
+// Due dates travel as UTC instants ("2025-12-25T07:00:00.000Z"); <input type="datetime-local">
+// holds a wall-clock time, which is read and written in the chosen timezone (not the browser's).
+// Loaded with a <script> tag in the browser, or with require('./public/i18n.js') from Node;
+// only translatePage touches the DOM.
+//
+// Static markup opts in with data-i18n="key" (text), data-i18n-placeholder, data-i18n-title
+// and data-i18n-aria-label. Messages take {name} placeholders: t('stats.in_list', { list }).
+// A message that depends on a number has one form per plural category of its locale
+// ({ one, few, other } in Romanian) and is picked by params.count: t('bulk.deleted', { count }).
+
+(function (root) {
+    const DEFAULT_LOCALE = 'en';
+
+    const MESSAGES = {
+        en: {
+            'nav.login': 'Login',
+            'nav.signup': 'Sign Up',
+            'nav.profile': '👤 Profile',
+            'nav.logout': '🚪 Logout',
+            'lists.inbox': 'Inbox',
+            'lists.all': 'All lists',
+            'lists.shared_with_me': 'Shared with me',
+            'lists.new_placeholder': '+ New list',
+            'lists.share': '👥 Share',
+            'lists.rename': '✏️ Rename list',
+            'lists.delete': 'Delete list',
+            'lists.leave': 'Leave list',
+            'form.placeholder': 'What needs to be done? (#tag, !high)',
+            'form.add': 'Add',
+            'form.set_due_date': 'Set due date',
+            'form.clear_date': 'Clear date',
+            'stats.tasks': 'tasks',
+            'stats.completed': 'completed',
+            'stats.in_list': 'in {list}',
+            'toolbar.search': '🔍 Search tasks...',
+            'filter.all': 'All tasks',
+            'filter.overdue': 'Overdue',
+            'filter.today': 'Due today',
+            'filter.week': 'Due this week',
+            'filter.nodate': 'No due date',
+            'sort.default': 'Manual order',
+            'sort.due': 'Due date',
+            'sort.priority': 'Priority',
+            'sort.created': 'Newest first',
+            'sort.alpha': 'A → Z',
+            'position.bottom': 'New tasks at bottom',
+            'position.top': 'New tasks at top',
+            'reminders.on': '🔔 Reminders on',
+            'reminders.off': '🔕 Reminders off',
+            'lead.0': 'At due time',
+            'lead.5': '5 min before',
+            'lead.15': '15 min before',
+            'lead.30': '30 min before',
+            'lead.60': '1 hour before',
+            'lead.1440': '1 day before',
+            'toolbar.commands': '⌘ Commands',
+            'toolbar.select': '☑️ Select',
+            'toolbar.trash': '🗑️ Trash',
+            'toolbar.transfer': '⇅ Import / Export',
+            'bulk.selected': '{count} selected',
+            'bulk.select_all': 'Select all',
+            'bulk.complete': '✓ Complete',
+            'bulk.uncomplete': '↺ Uncomplete',
+            'bulk.set_date': '📅 Set date',
+            'bulk.clear_date': 'Clear date',
+            'bulk.move': '📂 Move',
+            'bulk.delete': '🗑️ Delete',
+            'bulk.done': 'Done',
+            'bulk.deleted': { one: 'Deleted {count} task', other: 'Deleted {count} tasks' },
+            'bulk.pick_date': 'Pick a date to set on the selected tasks',
+            'bulk.failed': { one: "Couldn't change {count} task: {error}", other: "Couldn't change {count} tasks: {error}" },
+            'bulk.partly_failed': { one: '{count} task could not be changed: {error}', other: '{count} tasks could not be changed: {error}' },
+            'tasks.empty': 'No tasks yet. Add one above!',
+            'tasks.no_match': 'No tasks match your search or filter.',
+            'tasks.completed_title': '✅ Completed Tasks',
+            'tasks.clear_completed': 'Clear completed',
+            'tasks.delete': 'Delete task',
+            'tasks.add_date': 'Add date',
+            'tasks.overdue': 'Overdue',
+            'tasks.due_soon': 'Due soon',
+            'tasks.deleted': 'Deleted "{title}"',
+            'tasks.view_only': 'You can only view this list',
+            'tasks.still_loading': 'Still loading your tasks, try again in a moment',
+            'toast.undo': 'Undo',
+            'validation.email': 'Enter a valid email address, like you@example.com',
+            'validation.name_too_long': { one: 'Names can be at most {count} character', other: 'Names can be at most {count} characters' },
+            'validation.name_chars': "Names can't contain {chars}",
+            'validation.password_too_short': { one: 'Password must be at least {count} character', other: 'Password must be at least {count} characters' },
+            'validation.password_too_long': { one: 'Password must be at most {count} character', other: 'Password must be at most {count} characters' },
+            'validation.password_mismatch': 'Passwords do not match',
+            'validation.title_length': { one: 'Title must be between {min} and {count} character', other: 'Title must be between {min} and {count} characters' },
+            'strength.label': 'Password strength',
+            'strength.too_short': 'Too short',
+            'strength.too_long': 'Too long',
+            'strength.weak': 'Weak',
+            'strength.fair': 'Fair',
+            'strength.good': 'Good',
+            'strength.strong': 'Strong',
+            'strength.guessable': 'Too easy to guess',
+            'strength.mix': 'Mix letters and numbers',
+            'strength.longer': 'A longer password is stronger',
+            'profile.tab_edit': 'Edit Profile',
+            'profile.tab_password': 'Change Password',
+            'profile.tab_tags': 'Tags',
+            'profile.tab_sessions': 'Sessions',
+            'sessions.hint': "Devices logged in to your account. Revoke any you don't recognize.",
+            'sessions.loading': 'Loading…',
+            'sessions.this_device': 'This device',
+            'sessions.last_used': 'Last used {when}',
+            'sessions.log_out': 'Log out',
+            'sessions.revoke': 'Revoke',
+            'sessions.revoke_others': 'Log out all other devices',
+            'code.progress': { one: '{entered} of {count} digit entered', other: '{entered} of {count} digits entered' },
+            'code.complete': 'Code complete. Press Verify Account to continue.',
+            'code.incomplete': { one: 'Please enter the full {count}-digit code', other: 'Please enter the full {count}-digit code' },
+            'region.language': 'Language',
+            'region.timezone': 'Time zone'
+        },
+        ro: {
+            'nav.login': 'Autentificare',
+            'nav.signup': 'Cont nou',
+            'nav.profile': '👤 Profil',
+            'nav.logout': '🚪 Ieșire',
+            'lists.inbox': 'Inbox',
+            'lists.all': 'Toate listele',
+            'lists.shared_with_me': 'Partajate cu mine',
+            'lists.new_placeholder': '+ Listă nouă',
+            'lists.share': '👥 Partajează',
+            'lists.rename': '✏️ Redenumește lista',
+            'lists.delete': 'Șterge lista',
+            'lists.leave': 'Părăsește lista',
+            'form.placeholder': 'Ce ai de făcut? (#etichetă, !high)',
+            'form.add': 'Adaugă',
+            'form.set_due_date': 'Alege termenul',
+            'form.clear_date': 'Șterge data',
+            'stats.tasks': 'sarcini',
+            'stats.completed': 'finalizate',
+            'stats.in_list': 'în {list}',
+            'toolbar.search': '🔍 Caută sarcini...',
+            'filter.all': 'Toate sarcinile',
+            'filter.overdue': 'Întârziate',
+            'filter.today': 'Scadente azi',
+            'filter.week': 'Scadente săptămâna asta',
+            'filter.nodate': 'Fără termen',
+            'sort.default': 'Ordine manuală',
+            'sort.due': 'Termen',
+            'sort.priority': 'Prioritate',
+            'sort.created': 'Cele mai noi',
+            'sort.alpha': 'A → Z',
+            'position.bottom': 'Sarcinile noi la final',
+            'position.top': 'Sarcinile noi la început',
+            'reminders.on': '🔔 Mementouri pornite',
+            'reminders.off': '🔕 Mementouri oprite',
+            'lead.0': 'La termen',
+            'lead.5': 'Cu 5 min înainte',
+            'lead.15': 'Cu 15 min înainte',
+            'lead.30': 'Cu 30 min înainte',
+            'lead.60': 'Cu o oră înainte',
+            'lead.1440': 'Cu o zi înainte',
+            'toolbar.commands': '⌘ Comenzi',
+            'toolbar.select': '☑️ Selectează',
+            'toolbar.trash': '🗑️ Coș',
+            'toolbar.transfer': '⇅ Import / Export',
+            'bulk.selected': { one: '{count} selectată', few: '{count} selectate', other: '{count} selectate' },
+            'bulk.select_all': 'Selectează tot',
+            'bulk.complete': '✓ Finalizează',
+            'bulk.uncomplete': '↺ Redeschide',
+            'bulk.set_date': '📅 Setează data',
+            'bulk.clear_date': 'Șterge data',
+            'bulk.move': '📂 Mută',
+            'bulk.delete': '🗑️ Șterge',
+            'bulk.done': 'Gata',
+            'bulk.deleted': { one: 'Ai șters {count} sarcină', few: 'Ai șters {count} sarcini', other: 'Ai șters {count} de sarcini' },
+            'bulk.pick_date': 'Alege o dată pentru sarcinile selectate',
+            'bulk.failed': {
+                one: 'Nu s-a putut modifica {count} sarcină: {error}',
+                few: 'Nu s-au putut modifica {count} sarcini: {error}',
+                other: 'Nu s-au putut modifica {count} de sarcini: {error}'
+            },
+            'bulk.partly_failed': {
+                one: '{count} sarcină nu a putut fi modificată: {error}',
+                few: '{count} sarcini nu au putut fi modificate: {error}',
+                other: '{count} de sarcini nu au putut fi modificate: {error}'
+            },
+            'tasks.empty': 'Nicio sarcină încă. Adaugă una mai sus!',
+            'tasks.no_match': 'Nicio sarcină nu se potrivește căutării sau filtrului.',
+            'tasks.completed_title': '✅ Sarcini finalizate',
+            'tasks.clear_completed': 'Șterge finalizatele',
+            'tasks.delete': 'Șterge sarcina',
+            'tasks.add_date': 'Adaugă dată',
+            'tasks.overdue': 'Întârziată',
+            'tasks.due_soon': 'Scadentă curând',
+            'tasks.deleted': 'Ai șters „{title}”',
+            'tasks.view_only': 'Poți doar să vezi această listă',
+            'tasks.still_loading': 'Sarcinile încă se încarcă, încearcă din nou imediat',
+            'toast.undo': 'Anulează',
+            'validation.email': 'Introdu o adresă de email validă, de exemplu tu@exemplu.ro',
+            'validation.name_too_long': {
+                one: 'Numele poate avea cel mult {count} caracter',
+                few: 'Numele poate avea cel mult {count} caractere',
+                other: 'Numele poate avea cel mult {count} de caractere'
+            },
+            'validation.name_chars': 'Numele nu poate conține {chars}',
+            'validation.password_too_short': {
+                one: 'Parola trebuie să aibă cel puțin {count} caracter',
+                few: 'Parola trebuie să aibă cel puțin {count} caractere',
+                other: 'Parola trebuie să aibă cel puțin {count} de caractere'
+            },
+            'validation.password_too_long': {
+                one: 'Parola poate avea cel mult {count} caracter',
+                few: 'Parola poate avea cel mult {count} caractere',
+                other: 'Parola poate avea cel mult {count} de caractere'
+            },
+            'validation.password_mismatch': 'Parolele nu se potrivesc',
+            'validation.title_length': {
+                one: 'Titlul trebuie să aibă între {min} și {count} caracter',
+                few: 'Titlul trebuie să aibă între {min} și {count} caractere',
+                other: 'Titlul trebuie să aibă între {min} și {count} de caractere'
+            },
+            'strength.label': 'Puterea parolei',
+            'strength.too_short': 'Prea scurtă',
+            'strength.too_long': 'Prea lungă',
+            'strength.weak': 'Slabă',
+            'strength.fair': 'Acceptabilă',
+            'strength.good': 'Bună',
+            'strength.strong': 'Puternică',
+            'strength.guessable': 'Prea ușor de ghicit',
+            'strength.mix': 'Combină litere și cifre',
+            'strength.longer': 'O parolă mai lungă e mai puternică',
+            'profile.tab_edit': 'Editează profilul',
+            'profile.tab_password': 'Schimbă parola',
+            'profile.tab_tags': 'Etichete',
+            'profile.tab_sessions': 'Sesiuni',
+            'sessions.hint': 'Dispozitivele conectate la contul tău. Revocă-le pe cele pe care nu le recunoști.',
+            'sessions.loading': 'Se încarcă…',
+            'sessions.this_device': 'Acest dispozitiv',
+            'sessions.last_used': 'Folosită ultima dată {when}',
+            'sessions.log_out': 'Ieșire',
+            'sessions.revoke': 'Revocă',
+            'sessions.revoke_others': 'Deconectează toate celelalte dispozitive',
+            'code.progress': {
+                one: '{entered} din {count} cifră introdusă',
+                few: '{entered} din {count} cifre introduse',
+                other: '{entered} din {count} de cifre introduse'
+            },
+            'code.complete': 'Cod complet. Apasă Verify Account pentru a continua.',
+            'code.incomplete': {
+                one: 'Introdu codul complet, de {count} cifră',
+                few: 'Introdu codul complet, de {count} cifre',
+                other: 'Introdu codul complet, de {count} de cifre'
+            },
+            'region.language': 'Limbă',
+            'region.timezone': 'Fus orar'
+        }
+    };
+
+    const LOCALE_NAMES = { en: 'English', ro: 'Română' };
+
+    let locale = DEFAULT_LOCALE;
+    let timeZone = browserTimeZone();
+    const formatters = new Map();
+
+    function supportedLocales() {
+        return Object.keys(MESSAGES);
+    }
+
+    function isSupportedLocale(value) {
+        return Object.prototype.hasOwnProperty.call(MESSAGES, value);
+    }
+
+    /** The first of the browser's languages that we have messages for */
+    function detectLocale(languages) {
+        for (const language of languages || []) {
+            const base = String(language).toLowerCase().split('-')[0];
+            if (isSupportedLocale(base)) return base;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    function browserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch {
+            return 'UTC';
+        }
+    }
+
+    function isValidTimeZone(value) {
+        if (!value) return false;
+        try {
+            new Intl.DateTimeFormat('en', { timeZone: value });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /** Unknown locales and timezones fall back to English and the browser's zone */
+    function configure(options) {
+        if (options.locale !== undefined) locale = isSupportedLocale(options.locale) ? options.locale : DEFAULT_LOCALE;
+        if (options.timeZone !== undefined) timeZone = isValidTimeZone(options.timeZone) ? options.timeZone : browserTimeZone();
+        formatters.clear();
+    }
+
+    function getLocale() {
+        return locale;
+    }
+
+    function getTimeZone() {
+        return timeZone;
+    }
+
+    /** Translate a key, falling back to English and then to the key itself */
+    function t(key, params = {}) {
+        let message = (MESSAGES[locale] && MESSAGES[locale][key]) ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+        if (typeof message === 'object') {
+            // An English fallback has no "few": that falls through to "other"
+            message = message[pluralRules().select(params.count)] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    function translatePage(rootEl) {
+        for (const el of rootEl.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+        for (const el of rootEl.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+        for (const el of rootEl.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+        for (const el of rootEl.querySelectorAll('[data-i18n-aria-label]')) el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    }
+
+    function pluralRules() {
+        if (!formatters.has('plural')) formatters.set('plural', new Intl.PluralRules(locale));
+        return formatters.get('plural');
+    }
+
+    function formatter(kind, options) {
+        const key = `${kind}|${JSON.stringify(options)}`;
+        if (!formatters.has(key)) {
+            formatters.set(key, kind === 'relative'
+                ? new Intl.RelativeTimeFormat(locale, options)
+                : new Intl.DateTimeFormat(locale, { ...options, timeZone }));
+        }
+        return formatters.get(key);
+    }
+
+    /** "25 Dec, 09:00" in the chosen locale and timezone; '' for a missing or invalid date */
+    function formatDateTime(value, options = { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) {
+        if (!value) return '';
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        return formatter('date', options).format(date);
+    }
+
+    /**
+     * "in 2 hours", "5 minutes ago", "yesterday", "in 3 weeks". Under a day apart it counts
+     * hours; beyond that, calendar days in the chosen timezone, so "yesterday" means yesterday there.
+     */
+    function formatRelative(value, now = new Date()) {
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        const rtf = formatter('relative', { numeric: 'auto' });
+        const diffMs = date.getTime() - now.getTime();
+        const minutes = Math.round(diffMs / 60000);
+
+        if (Math.abs(minutes) < 1) return rtf.format(0, 'second');
+        if (Math.abs(minutes) < 60) return rtf.format(minutes, 'minute');
+        if (Math.abs(minutes) < 24 * 60) return rtf.format(Math.round(minutes / 60), 'hour');
+
+        const days = Math.round((startOfWallDay(date) - startOfWallDay(now)) / 86400000);
+        if (Math.abs(days) < 7) return rtf.format(days, 'day');
+        if (Math.abs(days) < 30) return rtf.format(Math.round(days / 7), 'week');
+        if (Math.abs(days) < 365) return rtf.format(Math.round(days / 30), 'month');
+        return rtf.format(Math.round(days / 365), 'year');
+    }
+
+    // Wall-clock fields of an instant in the chosen timezone
+    function zonedParts(date) {
+        const parts = {};
+        const fmt = new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+        for (const part of fmt.formatToParts(date)) parts[part.type] = Number(part.value);
+        return parts;
+    }
+
+    // Milliseconds the chosen timezone is ahead of UTC at that instant
+    function zoneOffset(ms) {
+        const p = zonedParts(new Date(ms));
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+    }
+
+    function startOfWallDay(date) {
+        const p = zonedParts(date);
+        return Date.UTC(p.year, p.month - 1, p.day);
+    }
+
+    /**
+     * A Date whose local (browser) fields read like the wall clock in the chosen timezone.
+     * For calendar arithmetic (QuickAdd, "due today"); turn it back with wallClockToUtc.
+     */
+    function toWallClock(value) {
+        const p = zonedParts(new Date(value));
+        return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    }
+
+    /** Format an instant for <input type="datetime-local"> ("2025-12-25T09:00") in the chosen timezone */
+    function toInputValue(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        const p = zonedParts(date);
+        const pad = n => String(n).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+    }
+
+    /**
+     * The UTC instant ("…Z") of a datetime-local value read in the chosen timezone; null if empty.
+     * A time skipped by a DST change moves forward, one that happens twice takes the first.
+     */
+    function inputToUtc(inputValue) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(inputValue || '');
+        if (!match) return null;
+        const [, y, mo, d, h, mi, s] = match.map(Number);
+        const asUtc = Date.UTC(y, mo - 1, d, h, mi, s || 0);
+        // The offsets a day either side bracket any DST change at that time
+        const before = asUtc - zoneOffset(asUtc - 86400000);
+        const after = asUtc - zoneOffset(asUtc + 86400000);
+        const valid = [before, after].filter(instant => asUtc - zoneOffset(instant) === instant);
+        // In a gap neither is valid, and the offset from before the gap lands after it
+        return new Date(valid.length > 0 ? Math.min(...valid) : before).toISOString();
+    }
+
+    /** The UTC instant of a wall-clock Date (see toWallClock) */
+    function wallClockToUtc(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return inputToUtc(`${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`);
+    }
+
+    /** IANA zones the browser knows, for a picker; at least the current one and UTC */
+    function timeZones() {
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        return [...new Set([...zones, timeZone, 'UTC'])].sort();
+    }
+
+    const I18n = {
+        MESSAGES, LOCALE_NAMES, DEFAULT_LOCALE,
+        supportedLocales, isSupportedLocale, detectLocale, browserTimeZone, isValidTimeZone,
+        configure, getLocale, getTimeZone, t, translatePage,
+        formatDateTime, formatRelative, toWallClock, toInputValue, inputToUtc, wallClockToUtc, timeZones
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = I18n;
+    } else {
+        root.I18n = I18n;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,121 @@
+// Zig Task Manager - Offline storage (IndexedDB)
+// Persists the mutation queue and the last /api/tasks snapshot for logged-in users.
+// Falls back to in-memory storage when IndexedDB is unavailable (private mode, old browsers).
+
+const OfflineStore = (() => {
+    const DB_NAME = 'zig-tasks-offline';
+    const DB_VERSION = 1;
+    const MUTATIONS = 'mutations';
+    const SNAPSHOTS = 'snapshots';
+
+    let dbPromise = null;
+
+    // In-memory fallback
+    let memoryMutations = [];
+    let memorySeq = 0;
+    const memorySnapshots = new Map();
+
+    function openDb() {
+        if (!('indexedDB' in window)) return Promise.resolve(null);
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(MUTATIONS)) {
+                    const store = db.createObjectStore(MUTATIONS, { keyPath: 'seq', autoIncrement: true });
+                    store.createIndex('userId', 'userId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+                    db.createObjectStore(SNAPSHOTS, { keyPath: 'userId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, using memory:', request.error);
+                resolve(null);
+            };
+        });
+        return dbPromise;
+    }
+
+    // Run a single request against a store and resolve with its result
+    async function run(storeName, mode, action) {
+        const db = await openDb();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async function enqueue(mutation) {
+        const db = await openDb();
+        if (!db) {
+            const stored = { ...mutation, seq: ++memorySeq };
+            memoryMutations.push(stored);
+            return stored.seq;
+        }
+        return run(MUTATIONS, 'readwrite', store => store.add(mutation));
+    }
+
+    // Mutations for a user, oldest first
+    async function getMutations(userId) {
+        const db = await openDb();
+        if (!db) {
+            return memoryMutations.filter(m => m.userId === userId).map(m => ({ ...m }));
+        }
+        const all = await run(MUTATIONS, 'readonly', store => store.index('userId').getAll(userId));
+        return (all || []).sort((a, b) => a.seq - b.seq);
+    }
+
+    async function updateMutation(mutation) {
+        const db = await openDb();
+        if (!db) {
+            memoryMutations = memoryMutations.map(m => m.seq === mutation.seq ? { ...mutation } : m);
+            return;
+        }
+        await run(MUTATIONS, 'readwrite', store => store.put(mutation));
+    }
+
+    async function removeMutation(seq) {
+        const db = await openDb();
+        if (!db) {
+            memoryMutations = memoryMutations.filter(m => m.seq !== seq);
+            return;
+        }
+        await run(MUTATIONS, 'readwrite', store => store.delete(seq));
+    }
+
+    async function saveSnapshot(userId, tasks) {
+        const db = await openDb();
+        if (!db) {
+            memorySnapshots.set(userId, tasks);
+            return;
+        }
+        await run(SNAPSHOTS, 'readwrite', store => store.put({ userId, tasks, savedAt: Date.now() }));
+    }
+
+    async function loadSnapshot(userId) {
+        const db = await openDb();
+        if (!db) return memorySnapshots.get(userId) || null;
+
+        const record = await run(SNAPSHOTS, 'readonly', store => store.get(userId));
+        return record ? record.tasks : null;
+    }
+
+    return {
+        enqueue,
+        getMutations,
+        updateMutation,
+        removeMutation,
+        saveSnapshot,
+        loadSnapshot
+    };
+})();
@@ -0,0 +1,135 @@
+// Zig Task Manager - Command palette
+// Ctrl+K list of every action, filtered as you type. The app passes the commands
+// in when opening, so only the ones that make sense right now are listed.
+// Opens as a Dialog (dialog.js) but handles Escape itself, since it has no close button.
+
+const CommandPalette = (() => {
+    const MAX_RESULTS = 12;
+
+    let commands = [];   // [{ label, shortcut?, run }]
+    let results = [];
+    let activeIndex = 0;
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function isOpen() {
+        return el('commandPalette').classList.contains('active');
+    }
+
+    function open(availableCommands) {
+        commands = availableCommands;
+        el('paletteInput').value = '';
+        update('');
+        Dialog.open(el('commandPalette'), { initialFocus: el('paletteInput') });
+    }
+
+    function close() {
+        Dialog.close(el('commandPalette'));
+    }
+
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Every word of the query has to appear in the label; labels starting with the query rank first
+    function match(query) {
+        const q = normalize(query.trim());
+        if (!q) return commands.slice(0, MAX_RESULTS);
+
+        const words = q.split(/\s+/);
+        return commands
+            .map(command => ({ command, label: normalize(command.label) }))
+            .filter(({ label }) => words.every(w => label.includes(w)))
+            .sort((a, b) => Number(b.label.startsWith(q)) - Number(a.label.startsWith(q)))
+            .slice(0, MAX_RESULTS)
+            .map(({ command }) => command);
+    }
+
+    function update(query) {
+        results = match(query);
+        activeIndex = 0;
+        render();
+    }
+
+    function render() {
+        const list = el('paletteList');
+        list.innerHTML = '';
+        results.forEach((command, index) => {
+            const li = document.createElement('li');
+            li.id = `palette-option-${index}`;
+            li.className = `palette-option${index === activeIndex ? ' active' : ''}`;
+            li.setAttribute('role', 'option');
+            li.setAttribute('aria-selected', String(index === activeIndex));
+            li.dataset.index = index;
+
+            const label = document.createElement('span');
+            label.textContent = command.label;
+            li.appendChild(label);
+            if (command.shortcut) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = command.shortcut;
+                li.appendChild(kbd);
+            }
+            list.appendChild(li);
+        });
+
+        if (results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'palette-empty';
+            empty.textContent = 'No matching commands';
+            list.appendChild(empty);
+        }
+
+        const input = el('paletteInput');
+        if (results.length > 0) {
+            input.setAttribute('aria-activedescendant', `palette-option-${activeIndex}`);
+            const active = list.children[activeIndex];
+            if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function run(index) {
+        const command = results[index];
+        if (!command) return;
+        // Close first: close() restores focus, and commands that move it should win
+        close();
+        command.run();
+    }
+
+    function handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + results.length) % results.length;
+            render();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            run(activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        }
+    }
+
+    function init() {
+        el('paletteInput').addEventListener('input', (e) => update(e.target.value));
+        el('paletteInput').addEventListener('keydown', handleKeydown);
+        el('paletteList').addEventListener('click', (e) => {
+            const option = e.target.closest('.palette-option');
+            if (option) run(Number(option.dataset.index));
+        });
+        el('paletteOverlay').addEventListener('click', close);
+    }
+
+    return {
+        init,
+        open,
+        close,
+        isOpen
+    };
+})();
@@ -0,0 +1,502 @@
+// Zig Task Manager - Natural-language quick add
+// Turns "Pay rent tomorrow 9am" into { title: 'Pay rent', dueDate: <tomorrow 09:00> }.
+// Pure functions, no DOM access: loaded with a <script> tag in the browser,
+// or with require('./public/quickadd.js') from Node (test/quickadd.test.js, run with npm test).
+//
+// Recognised (English and Romanian):
+//   days       today, tomorrow, day after tomorrow, [next|on|by] friday, 25 dec, dec 25, 25.12, 1/11/2027
+//              azi, mâine, poimâine, [pe|până] vineri, vinerea viitoare, 25 decembrie
+//   times      at 9, 9am, 9:30pm, 21:00, noon, tonight / la 9, ora 14:30, prânz, diseară
+//   relative   in 3 days, in an hour / în 3 zile, peste 2 ore, într-o săptămână
+//   recurrence every day, every weekday, every mon and thu, every week, every month on the 15th,
+//              every 3 days / zilnic, în fiecare zi lucrătoare, în fiecare luni și joi, lunar, la fiecare 3 zile
+//   labels     #tag (any number), !high / !medium / !low (parseLabels, run before parseQuickAdd)
+
+(function (root) {
+    const DEFAULT_HOUR = 9;
+    const TONIGHT_HOUR = 20;
+    const EVENING_HOUR = 18;
+
+    const VOCABULARIES = {
+        en: {
+            today: ['today'],
+            tonight: ['tonight'],
+            tomorrow: ['tomorrow', 'tmrw', 'tmr'],
+            dayAfterTomorrow: ['the day after tomorrow', 'day after tomorrow'],
+            dayPrefixes: ['on', 'by', 'this', 'due', 'until'],
+            nextPrefixes: ['next'],
+            nextSuffixes: [],
+            weekdays: [
+                // No "sun", "sat" or "wed": too common as plain words in titles
+                ['sunday'],
+                ['monday', 'mon'],
+                ['tuesday', 'tues', 'tue'],
+                ['wednesday'],
+                ['thursday', 'thurs', 'thu'],
+                ['friday', 'fri'],
+                ['saturday']
+            ],
+            months: [
+                ['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'],
+                ['may'], ['june', 'jun'], ['july', 'jul'], ['august', 'aug'],
+                ['september', 'sept', 'sep'], ['october', 'oct'], ['november', 'nov'], ['december', 'dec']
+            ],
+            relativePrefixes: ['in', 'within'],
+            numberWords: { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ten: 10 },
+            units: {
+                minute: ['minutes', 'minute', 'mins', 'min'],
+                hour: ['hours', 'hour', 'hrs', 'hr', 'h'],
+                day: ['days', 'day'],
+                week: ['weeks', 'week'],
+                month: ['months', 'month']
+            },
+            timePrefixes: ['at', 'by', '@'],
+            noon: ['noon', 'midday'],
+            midnight: ['midnight'],
+            morning: ['in the morning', 'morning'],
+            evening: ['in the evening', 'evening'],
+            every: ['every', 'each'],
+            and: ['and', '&', ','],
+            daily: ['daily', 'every day', 'each day'],
+            workdays: ['every weekday', 'every workday', 'weekdays', 'on weekdays'],
+            weekly: ['weekly', 'every week', 'each week'],
+            monthly: ['monthly', 'every month', 'each month'],
+            onThe: ['on the', 'on'],
+            intervalDays: { prefix: ['every', 'each'], unit: ['days'] }
+        },
+        ro: {
+            today: ['astăzi', 'astazi', 'azi'],
+            tonight: ['diseară', 'diseara', 'deseară', 'deseara', 'la noapte'],
+            tomorrow: ['mâine', 'maine'],
+            dayAfterTomorrow: ['poimâine', 'poimaine'],
+            dayPrefixes: ['până pe', 'pana pe', 'până', 'pana', 'pe'],
+            nextPrefixes: [],
+            nextSuffixes: ['viitoare', 'viitor'],
+            weekdays: [
+                ['duminică', 'duminica'],
+                ['lunea', 'luni'],
+                ['marțea', 'martea', 'marți', 'marti'],
+                ['miercurea', 'miercuri'],
+                ['joia', 'joi'],
+                ['vinerea', 'vineri'],
+                ['sâmbătă', 'sâmbăta', 'sambata']
+            ],
+            months: [
+                ['ianuarie', 'ian'], ['februarie', 'feb'], ['martie', 'mar'], ['aprilie', 'apr'],
+                ['mai'], ['iunie', 'iun'], ['iulie', 'iul'], ['august', 'aug'],
+                ['septembrie', 'sept', 'sep'], ['octombrie', 'oct'], ['noiembrie', 'nov'], ['decembrie', 'dec']
+            ],
+            relativePrefixes: ['peste', 'în', 'in'],
+            numberWords: { o: 1, un: 1, una: 1, 'două': 2, doua: 2, doi: 2, trei: 3, patru: 4, cinci: 5, zece: 10 },
+            units: {
+                minute: ['minute', 'minut', 'min'],
+                hour: ['ore', 'oră', 'ora', 'h'],
+                day: ['zile', 'zi'],
+                week: ['săptămâni', 'saptamani', 'săptămână', 'saptamana'],
+                month: ['luni', 'lună', 'luna']
+            },
+            timePrefixes: ['la ora', 'la', 'ora', 'până la', 'pana la'],
+            noon: ['prânz', 'pranz', 'la prânz', 'la pranz'],
+            midnight: ['miezul nopții', 'miezul noptii'],
+            morning: ['dimineața', 'dimineata', 'dimineață', 'dimineata'],
+            evening: ['seara', 'seară'],
+            every: ['în fiecare', 'in fiecare', 'la fiecare', 'fiecare'],
+            and: ['și', 'si', ','],
+            daily: ['zilnic', 'în fiecare zi', 'in fiecare zi'],
+            workdays: [
+                'în fiecare zi lucrătoare', 'in fiecare zi lucratoare',
+                'în zilele lucrătoare', 'in zilele lucratoare', 'zilnic lucrător'
+            ],
+            weekly: ['săptămânal', 'saptamanal', 'în fiecare săptămână', 'in fiecare saptamana'],
+            monthly: ['lunar', 'în fiecare lună', 'in fiecare luna'],
+            onThe: ['pe', 'în', 'in'],
+            intervalDays: { prefix: ['la fiecare', 'din'], unit: ['zile'] }
+        }
+    };
+
+    // Letters/digits on either side mean we're inside a word ("mon" in "money")
+    const L = '(?<![\\p{L}\\p{N}])';
+    const R = '(?![\\p{L}\\p{N}])';
+
+    function escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Alternation of phrases, longest first, with flexible whitespace
+    function alt(words) {
+        return [...words]
+            .sort((a, b) => b.length - a.length)
+            .map(w => escapeRegex(w).replace(/\s+/g, '\\s+'))
+            .join('|');
+    }
+
+    function merge(locales, key) {
+        return locales.flatMap(l => VOCABULARIES[l][key]);
+    }
+
+    // Build the regexes once per locale combination
+    const patternCache = new Map();
+
+    function buildPatterns(locales) {
+        const cacheKey = locales.join(',');
+        if (patternCache.has(cacheKey)) return patternCache.get(cacheKey);
+
+        const weekdayIndex = new Map();
+        const monthIndex = new Map();
+        const numberWords = {};
+        const unitIndex = new Map();
+        for (const l of locales) {
+            const v = VOCABULARIES[l];
+            v.weekdays.forEach((names, i) => names.forEach(n => weekdayIndex.set(n, i)));
+            v.months.forEach((names, i) => names.forEach(n => monthIndex.set(n, i)));
+            Object.assign(numberWords, v.numberWords);
+            for (const [unit, names] of Object.entries(v.units)) {
+                names.forEach(n => unitIndex.set(n, unit));
+            }
+        }
+
+        const weekday = alt([...weekdayIndex.keys()]);
+        const month = alt([...monthIndex.keys()]);
+        const number = `\\d+|${alt(Object.keys(numberWords))}`;
+        const and = alt(merge(locales, 'and'));
+        const ordinal = '(?:st|nd|rd|th|-?lea|-a)?';
+
+        const patterns = {
+            weekdayIndex,
+            monthIndex,
+            numberWords,
+            unitIndex,
+
+            intervalDays: new RegExp(`${L}(?:${alt(locales.flatMap(l => VOCABULARIES[l].intervalDays.prefix))})\\s+(\\d+)\\s+(?:${alt(locales.flatMap(l => VOCABULARIES[l].intervalDays.unit))})(?:\\s+(?:în|in)\\s+\\d+\\s+zile)?${R}`, 'iu'),
+            workdays: new RegExp(`${L}(?:${alt(merge(locales, 'workdays'))})${R}`, 'iu'),
+            daily: new RegExp(`${L}(?:${alt(merge(locales, 'daily'))})${R}`, 'iu'),
+            everyWeekdays: new RegExp(`${L}(?:${alt(merge(locales, 'every'))})\\s+((?:${weekday})(?:\\s*(?:${and})\\s*(?:${weekday}))*)${R}`, 'iu'),
+            weekdayList: new RegExp(`${L}(?:${weekday})${R}`, 'giu'),
+            weekly: new RegExp(`${L}(?:${alt(merge(locales, 'weekly'))})${R}`, 'iu'),
+            monthly: new RegExp(`${L}(?:${alt(merge(locales, 'monthly'))})(?:\\s+(?:${alt(merge(locales, 'onThe'))})\\s+(\\d{1,2})${ordinal})?${R}`, 'iu'),
+
+            relative: new RegExp(`${L}(?:(?:${alt(merge(locales, 'relativePrefixes'))})\\s+(${number})|într-(o|un)|intr-(o|un))\\s+(${alt([...unitIndex.keys()])})${R}`, 'iu'),
+
+            dayAfterTomorrow: new RegExp(`${L}(?:${alt(merge(locales, 'dayAfterTomorrow'))})${R}`, 'iu'),
+            tomorrow: new RegExp(`${L}(?:${alt(merge(locales, 'tomorrow'))})${R}`, 'iu'),
+            tonight: new RegExp(`${L}(?:${alt(merge(locales, 'tonight'))})${R}`, 'iu'),
+            today: new RegExp(`${L}(?:${alt(merge(locales, 'today'))})${R}`, 'iu'),
+            weekday: new RegExp(`${L}(?:(${alt(merge(locales, 'nextPrefixes'))})\\s+|(?:${alt(merge(locales, 'dayPrefixes'))})\\s+)?(${weekday})(?:\\s+(${alt(merge(locales, 'nextSuffixes')) || '(?!)'}))?${R}`, 'iu'),
+            dayMonth: new RegExp(`${L}(?:(?:${alt(merge(locales, 'dayPrefixes'))})\\s+)?(\\d{1,2})${ordinal}\\s+(${month})${R}`, 'iu'),
+            monthDay: new RegExp(`${L}(?:(?:${alt(merge(locales, 'dayPrefixes'))})\\s+)?(${month})\\s+(\\d{1,2})${ordinal}${R}`, 'iu'),
+            numericDate: new RegExp(`(?<![\\p{L}\\p{N}.:/])(?:(?:${alt(merge(locales, 'dayPrefixes'))})\\s+)?(\\d{1,2})[./](\\d{1,2})(?:[./](\\d{2,4}))?(?![\\p{L}\\p{N}.:/])`, 'iu'),
+
+            noon: new RegExp(`${L}(?:(?:${alt(merge(locales, 'timePrefixes'))})\\s+)?(?:${alt(merge(locales, 'noon'))})${R}`, 'iu'),
+            midnight: new RegExp(`${L}(?:(?:${alt(merge(locales, 'timePrefixes'))})\\s+)?(?:${alt(merge(locales, 'midnight'))})${R}`, 'iu'),
+            prefixedTime: new RegExp(`${L}(?:${alt(merge(locales, 'timePrefixes'))})\\s*(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?(?![\\p{L}\\p{N}])`, 'iu'),
+            meridiemTime: new RegExp(`${L}(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)(?![\\p{L}\\p{N}])`, 'iu'),
+            clockTime: new RegExp(`(?<![\\p{L}\\p{N}.:/])(\\d{1,2}):(\\d{2})(?![\\p{L}\\p{N}.:/])`, 'iu'),
+            morning: new RegExp(`${L}(?:${alt(merge(locales, 'morning'))})${R}`, 'iu'),
+            evening: new RegExp(`${L}(?:${alt(merge(locales, 'evening'))})${R}`, 'iu')
+        };
+
+        patternCache.set(cacheKey, patterns);
+        return patterns;
+    }
+
+    // ---------- Date helpers ----------
+
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    function addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    function atTime(date, time) {
+        const result = new Date(date);
+        result.setHours(time.hour, time.minute, 0, 0);
+        return result;
+    }
+
+    function daysInMonth(year, month) {
+        return new Date(year, month + 1, 0).getDate();
+    }
+
+    /**
+     * First date matching a recurrence rule at the given time, not in the past.
+     * rule: { freq: 'daily' | 'weekdays' | 'weekly' | 'monthly' | 'interval', days?, dayOfMonth?, interval? }
+     */
+    function firstOccurrence(rule, now, time) {
+        const today = startOfDay(now);
+
+        if (rule.freq === 'monthly') {
+            for (let offset = 0; offset < 13; offset++) {
+                const year = today.getFullYear();
+                const month = today.getMonth() + offset;
+                const first = new Date(year, month, 1);
+                const day = Math.min(rule.dayOfMonth, daysInMonth(first.getFullYear(), first.getMonth()));
+                const candidate = atTime(new Date(first.getFullYear(), first.getMonth(), day), time);
+                if (candidate > now) return candidate;
+            }
+        }
+
+        for (let offset = 0; offset < 8; offset++) {
+            const candidate = atTime(addDays(today, offset), time);
+            if (candidate <= now) continue;
+
+            const dow = candidate.getDay();
+            if (rule.freq === 'weekdays' && (dow === 0 || dow === 6)) continue;
+            if (rule.freq === 'weekly' && !rule.days.includes(dow)) continue;
+            return candidate;
+        }
+        return atTime(addDays(today, 1), time);
+    }
+
+    /**
+     * Occurrence that follows `after`, at the same time of day. 'interval' counts whole
+     * days from `after`; the other rules take the next date matching their pattern.
+     */
+    function nextOccurrence(rule, after) {
+        if (rule.freq === 'interval') return addDays(after, rule.interval);
+        return firstOccurrence(rule, after, { hour: after.getHours(), minute: after.getMinutes() });
+    }
+
+    // ---------- Parser ----------
+
+    /**
+     * Parse a quick-add phrase.
+     * @param {string} text - raw input ("Pay rent tomorrow 9am")
+     * @param {Object} [options]
+     * @param {Date} [options.now] - reference time (defaults to new Date())
+     * @param {string[]} [options.locales] - vocabularies to use (default ['en', 'ro'])
+     * @param {boolean} [options.recurrence] - recognise "every ..." phrases (default true)
+     * @returns {{ title: string, dueDate: Date|null, recurrence: Object|null, matches: string[] }}
+     */
+    function parseQuickAdd(text, options = {}) {
+        const now = options.now || new Date();
+        const locales = (options.locales || ['en', 'ro']).filter(l => VOCABULARIES[l]);
+        const p = buildPatterns(locales);
+
+        // Matched spans are blanked out so later patterns can't reuse them. A match is only taken
+        // once convert() makes something of it (not null); the text of one it rejects stays put.
+        let working = text;
+        const matches = [];
+        function take(regex, convert = m => m) {
+            for (const m of working.matchAll(new RegExp(regex.source, `${regex.flags}g`))) {
+                const value = convert(m);
+                if (value === null) continue;
+                matches.push(m[0].trim());
+                working = working.slice(0, m.index) + ' '.repeat(m[0].length) + working.slice(m.index + m[0].length);
+                return value;
+            }
+            return null;
+        }
+
+        // 1. Recurrence
+        let recurrence = null;
+        let m;
+        if (options.recurrence !== false) {
+            if ((m = take(p.intervalDays))) {
+                recurrence = { freq: 'interval', interval: Math.max(1, parseInt(m[1], 10)) };
+            } else if (take(p.workdays)) {
+                recurrence = { freq: 'weekdays' };
+            } else if ((m = take(p.everyWeekdays))) {
+                const days = [...m[1].matchAll(p.weekdayList)].map(d => p.weekdayIndex.get(d[0].toLowerCase()));
+                recurrence = { freq: 'weekly', days: [...new Set(days)].sort() };
+            } else if (take(p.daily)) {
+                recurrence = { freq: 'daily' };
+            } else if (take(p.weekly)) {
+                recurrence = { freq: 'weekly', days: null }; // filled in from the first due date below
+            } else if ((m = take(p.monthly))) {
+                recurrence = { freq: 'monthly', dayOfMonth: m[1] ? parseInt(m[1], 10) : null };
+            }
+        }
+
+        // 2. Relative offsets ("in 3 days")
+        let relative = null;
+        if ((m = take(p.relative))) {
+            const rawCount = (m[1] || m[2] || m[3] || '1').toLowerCase();
+            const count = /^\d+$/.test(rawCount) ? parseInt(rawCount, 10) : (p.numberWords[rawCount] || 1);
+            relative = { count, unit: p.unitIndex.get(m[4].toLowerCase()) };
+        }
+
+        // 3. Day
+        let day = null;
+        let defaultTime = null;
+        let isWeekday = false;
+        if (take(p.dayAfterTomorrow)) {
+            day = addDays(startOfDay(now), 2);
+        } else if (take(p.tomorrow)) {
+            day = addDays(startOfDay(now), 1);
+        } else if (take(p.tonight)) {
+            day = startOfDay(now);
+            defaultTime = { hour: TONIGHT_HOUR, minute: 0 };
+        } else if (take(p.today)) {
+            day = startOfDay(now);
+        } else if ((m = take(p.weekday))) {
+            const target = p.weekdayIndex.get(m[2].toLowerCase());
+            let ahead = (target - now.getDay() + 7) % 7;
+            if (m[3]) {
+                // "vinerea viitoare": that day in next week (weeks start on Monday)
+                const toNextMonday = (8 - now.getDay()) % 7 || 7;
+                ahead = toNextMonday + (target + 6) % 7;
+            } else if (ahead === 0 && m[1]) {
+                ahead = 7; // "next friday" on a Friday
+            }
+            day = addDays(startOfDay(now), ahead);
+            isWeekday = true;
+        } else {
+            day = take(p.dayMonth, d => resolveCalendarDate(parseInt(d[1], 10), p.monthIndex.get(d[2].toLowerCase()), null, now))
+                || take(p.monthDay, d => resolveCalendarDate(parseInt(d[2], 10), p.monthIndex.get(d[1].toLowerCase()), null, now))
+                || take(p.numericDate, d => resolveNumericDate(d[1], d[2], d[3], now));
+        }
+
+        // 4. Time of day
+        let time = null;
+        if (take(p.noon)) {
+            time = { hour: 12, minute: 0 };
+        } else if (take(p.midnight)) {
+            time = { hour: 0, minute: 0 };
+        } else {
+            const clock = t => toTime(t[1], t[2], t[3]);
+            time = take(p.prefixedTime, clock) || take(p.meridiemTime, clock) || take(p.clockTime, clock);
+        }
+        if (take(p.morning)) {
+            time = time || { hour: DEFAULT_HOUR, minute: 0 };
+        } else if (take(p.evening)) {
+            if (time && time.hour < 12) time.hour += 12;
+            time = time || { hour: EVENING_HOUR, minute: 0 };
+        }
+
+        // 5. Combine
+        const effectiveTime = time || defaultTime || { hour: DEFAULT_HOUR, minute: 0 };
+        let dueDate = null;
+
+        if (relative) {
+            dueDate = applyRelative(now, relative, time);
+        } else if (day) {
+            dueDate = atTime(day, effectiveTime);
+            // "Monday" said on a Monday after that time means next Monday
+            if (isWeekday && dueDate <= now) dueDate = addDays(dueDate, 7);
+        } else if (recurrence) {
+            if (recurrence.freq === 'weekly' && !recurrence.days) recurrence.days = [now.getDay()];
+            if (recurrence.freq === 'monthly' && !recurrence.dayOfMonth) recurrence.dayOfMonth = now.getDate();
+            dueDate = firstOccurrence(recurrence, now, effectiveTime);
+        } else if (time) {
+            dueDate = atTime(startOfDay(now), time);
+            if (dueDate <= now) dueDate = addDays(dueDate, 1);
+        }
+
+        if (recurrence && dueDate) {
+            if (recurrence.freq === 'weekly' && !recurrence.days) recurrence.days = [dueDate.getDay()];
+            if (recurrence.freq === 'monthly' && !recurrence.dayOfMonth) recurrence.dayOfMonth = dueDate.getDate();
+        }
+
+        let title = working.replace(/\s+/g, ' ').replace(/^[\s,;:–-]+|[\s,;:–-]+$/g, '').trim();
+        if (!title) title = text.trim();
+
+        return { title, dueDate, recurrence, matches };
+    }
+
+    // ---------- Labels ----------
+
+    const PRIORITY_WORDS = { high: 'high', hi: 'high', medium: 'medium', med: 'medium', low: 'low', lo: 'low' };
+    // Same rules as the server: up to 32 characters, no whitespace, '#' or ','
+    const TAG_PATTERN = /(^|\s)#([^\s#,;]{1,32})(?=[\s,;]|$)/g;
+    const PRIORITY_PATTERN = /(^|\s)!(high|hi|medium|med|low|lo)(?=\s|$)/gi;
+
+    /**
+     * Pull "#tag" and "!high" labels out of a task title.
+     * Tags are lowercased and deduplicated; the last priority wins.
+     * @param {string} text - raw input ("Call the bank #finance !high")
+     * @returns {{ title: string, tags: string[], priority: string|null, matches: string[] }}
+     */
+    function parseLabels(text) {
+        const tags = [];
+        const matches = [];
+        let priority = null;
+
+        let working = text.replace(TAG_PATTERN, (match, lead, tag) => {
+            const name = tag.toLowerCase();
+            if (!tags.includes(name)) tags.push(name);
+            matches.push(match.trim());
+            return lead;
+        });
+        working = working.replace(PRIORITY_PATTERN, (match, lead, word) => {
+            priority = PRIORITY_WORDS[word.toLowerCase()];
+            matches.push(match.trim());
+            return lead;
+        });
+
+        let title = working.replace(/\s+/g, ' ').replace(/ ([,;])/g, '$1').replace(/^[\s,;]+|[\s,;]+$/g, '');
+        if (!title) title = text.trim();
+        return { title, tags, priority, matches };
+    }
+
+    function toTime(hourText, minuteText, meridiem) {
+        let hour = parseInt(hourText, 10);
+        const minute = minuteText ? parseInt(minuteText, 10) : 0;
+        if (meridiem) {
+            const pm = meridiem.toLowerCase().startsWith('p');
+            if (hour === 12) hour = pm ? 12 : 0;
+            else if (pm) hour += 12;
+        }
+        if (hour > 23 || minute > 59) return null;
+        return { hour, minute };
+    }
+
+    // Day-first dates; past dates without a year roll over to next year
+    function resolveCalendarDate(dayOfMonth, month, year, now) {
+        if (month < 0 || month > 11 || dayOfMonth < 1) return null;
+        let fullYear = year === null ? now.getFullYear() : (year < 100 ? 2000 + year : year);
+        if (dayOfMonth > daysInMonth(fullYear, month)) return null;
+
+        let date = new Date(fullYear, month, dayOfMonth);
+        if (year === null && date < startOfDay(now)) {
+            fullYear += 1;
+            date = new Date(fullYear, month, dayOfMonth);
+        }
+        return date;
+    }
+
+    // "25.12", "1/11/2027". Without a year the month has to be written with two digits, so
+    // "2.5 kg" and "chapter 3/4" stay numbers; null when it isn't a date
+    function resolveNumericDate(dayText, monthText, yearText, now) {
+        if (!yearText && monthText.length < 2) return null;
+        return resolveCalendarDate(parseInt(dayText, 10), parseInt(monthText, 10) - 1, yearText ? parseInt(yearText, 10) : null, now);
+    }
+
+    function applyRelative(now, relative, time) {
+        const result = new Date(now);
+        switch (relative.unit) {
+            case 'minute':
+                result.setMinutes(result.getMinutes() + relative.count);
+                return result;
+            case 'hour':
+                result.setHours(result.getHours() + relative.count);
+                return result;
+            case 'week':
+                result.setDate(result.getDate() + relative.count * 7);
+                break;
+            case 'month':
+                result.setMonth(result.getMonth() + relative.count);
+                break;
+            default:
+                result.setDate(result.getDate() + relative.count);
+        }
+        return atTime(result, time || { hour: DEFAULT_HOUR, minute: 0 });
+    }
+
+    /** Format a Date for <input type="datetime-local"> ("2025-12-25T09:00") */
+    function toDateTimeLocal(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    const QuickAdd = { parseQuickAdd, parseLabels, firstOccurrence, nextOccurrence, toDateTimeLocal, VOCABULARIES };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QuickAdd;
+    } else {
+        root.QuickAdd = QuickAdd;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
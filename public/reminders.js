@@ -0,0 +1,135 @@
+// Zig Task Manager - Due-date reminders
+// Fires browser notifications a lead time before tasks are due, while the tab is open.
+// Fired reminders are remembered in localStorage, so reloads and other tabs don't repeat them.
+
+const Reminders = (() => {
+    const FIRED_KEY = 'firedReminders';
+    const ENABLED_KEY = 'remindersEnabled';
+    const FIRED_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+    const LATE_GRACE_MS = 60 * 1000;          // still fire if the timer wakes up just after the due time
+    const MAX_TIMER_MS = 60 * 60 * 1000;      // re-check hourly; long timeouts drift while the laptop sleeps
+
+    let timer = null;
+    let pending = [];  // [{ key, at, due, title }] sorted by fire time
+
+    function isSupported() {
+        return 'Notification' in window;
+    }
+
+    function isEnabled() {
+        return isSupported()
+            && Notification.permission === 'granted'
+            && localStorage.getItem(ENABLED_KEY) === 'true';
+    }
+
+    async function enable() {
+        if (!isSupported()) return false;
+        const permission = await Notification.requestPermission();
+        localStorage.setItem(ENABLED_KEY, permission === 'granted' ? 'true' : 'false');
+        return permission === 'granted';
+    }
+
+    function disable() {
+        localStorage.setItem(ENABLED_KEY, 'false');
+        clearTimeout(timer);
+        timer = null;
+        pending = [];
+    }
+
+    function loadFired() {
+        try {
+            return JSON.parse(localStorage.getItem(FIRED_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    function saveFired(fired) {
+        const cutoff = Date.now() - FIRED_TTL_MS;
+        for (const key of Object.keys(fired)) {
+            if (fired[key] < cutoff) delete fired[key];
+        }
+        localStorage.setItem(FIRED_KEY, JSON.stringify(fired));
+    }
+
+    // One reminder per task per due date: moving the due date re-arms it
+    function reminderKey(task) {
+        return `${task.id}|${task.due_date}`;
+    }
+
+    /**
+     * Replace the schedule with reminders for the given tasks.
+     * Call whenever tasks load or change; already fired reminders are skipped.
+     */
+    function schedule(tasks, leadMinutes) {
+        clearTimeout(timer);
+        timer = null;
+        pending = [];
+        if (!isEnabled()) return;
+
+        const now = Date.now();
+        const fired = loadFired();
+        pending = tasks
+            .filter(t => !t.completed && t.due_date)
+            .map(t => {
+                const due = new Date(t.due_date).getTime();
+                return { key: reminderKey(t), due, at: due - leadMinutes * 60 * 1000, title: t.title };
+            })
+            .filter(r => !Number.isNaN(r.due) && r.due + LATE_GRACE_MS > now && !fired[r.key])
+            .sort((a, b) => a.at - b.at);
+
+        tick();
+    }
+
+    function tick() {
+        timer = null;
+        const now = Date.now();
+        const ready = pending.filter(r => r.at <= now);
+        pending = pending.filter(r => r.at > now);
+
+        if (ready.length > 0) {
+            // Re-read right before firing: another tab may have fired these already
+            const fired = loadFired();
+            for (const reminder of ready) {
+                if (fired[reminder.key] || reminder.due + LATE_GRACE_MS <= now) continue;
+                fired[reminder.key] = now;
+                notify(reminder);
+            }
+            saveFired(fired);
+        }
+
+        if (pending.length > 0) {
+            timer = setTimeout(tick, Math.min(pending[0].at - now, MAX_TIMER_MS));
+        }
+    }
+
+    function notify(reminder) {
+        const when = I18n.formatDateTime(reminder.due, {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        try {
+            // The tag makes the OS collapse duplicates if two tabs race
+            const notification = new Notification(reminder.due <= Date.now() ? '⏰ Task due now' : '⏰ Task due soon', {
+                body: `${reminder.title}\n📅 ${when}`,
+                tag: reminder.key
+            });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        } catch (error) {
+            console.error('Failed to show notification:', error);
+        }
+    }
+
+    return {
+        isSupported,
+        isEnabled,
+        enable,
+        disable,
+        schedule
+    };
+})();
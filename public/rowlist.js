@@ -0,0 +1,194 @@
+// Zig Task Manager - Keyed row rendering
+// Keeps a <ul> in step with a list of items. Rows are matched by key and only rewritten when
+// their markup changed, so focus, scroll position and an inline edit in an untouched row
+// survive a re-render. Events should be delegated to the <ul>: row elements come and go.
+//
+// Past VIRTUAL_THRESHOLD items only the rows near the viewport are in the DOM. Two spacer
+// rows stand in for the others, sized from each row's measured height (rows not seen yet
+// count as the average), and scrolling brings rows in and out.
+
+const RowList = (() => {
+    const VIRTUAL_THRESHOLD = 200;
+    const OVERSCAN_PX = 800;        // rendered above and below the viewport
+    const ESTIMATED_PITCH_PX = 72;  // row height plus gap, until a row has been measured
+
+    const virtualLists = new Set();
+    let framePending = false;
+
+    function onViewportChange() {
+        if (framePending || virtualLists.size === 0) return;
+        framePending = true;
+        requestAnimationFrame(() => {
+            framePending = false;
+            for (const list of virtualLists) list.paint();
+        });
+    }
+
+    window.addEventListener('scroll', onViewportChange, { passive: true });
+    window.addEventListener('resize', onViewportChange);
+
+    function createSpacer() {
+        const li = document.createElement('li');
+        li.className = 'row-spacer';
+        li.setAttribute('aria-hidden', 'true');
+        li.hidden = true;
+        return li;
+    }
+
+    /**
+     * @param {HTMLUListElement} container
+     * @param {Object} options
+     * @param {(item: *) => string} options.key - stable and unique per item
+     * @param {(item: *) => {className: string, html: string}} options.render - called only for
+     *        rows in the DOM, so it can stay cheap for lists of thousands
+     */
+    function create(container, { key, render }) {
+        const topSpacer = createSpacer();
+        const bottomSpacer = createSpacer();
+        container.append(topSpacer, bottomSpacer);
+
+        let items = [];
+        let keys = [];
+        const rows = new Map();     // key -> { el, className, html, stale }
+        const pitches = new Map();  // key -> measured height plus the list's gap, in px
+
+        const list = { paint };
+
+        function averagePitch() {
+            if (pitches.size === 0) return ESTIMATED_PITCH_PX;
+            let total = 0;
+            for (const value of pitches.values()) total += value;
+            return total / pitches.size;
+        }
+
+        // [start, end) of the items to put in the DOM
+        function windowRange() {
+            if (items.length <= VIRTUAL_THRESHOLD) return [0, items.length];
+            const average = averagePitch();
+            const pitchOf = k => pitches.get(k) ?? average;
+
+            // Viewport edges, relative to the top of the list
+            const listTop = container.getBoundingClientRect().top;
+            const from = -listTop - OVERSCAN_PX;
+            const to = -listTop + window.innerHeight + OVERSCAN_PX;
+
+            let start = 0;
+            let offset = 0;
+            while (start < items.length - 1 && offset + pitchOf(keys[start]) < from) {
+                offset += pitchOf(keys[start]);
+                start++;
+            }
+            let end = start;
+            while (end < items.length && (end === start || offset < to)) {
+                offset += pitchOf(keys[end]);
+                end++;
+            }
+            return [start, end];
+        }
+
+        function sumPitches(from, to, average) {
+            let total = 0;
+            for (let i = from; i < to; i++) total += pitches.get(keys[i]) ?? average;
+            return total;
+        }
+
+        // A spacer takes the place of rows, but adds only one gap where they had one each
+        function sizeSpacer(spacer, height, gap) {
+            spacer.hidden = height <= 0;
+            spacer.style.height = `${Math.max(height - gap, 0)}px`;
+        }
+
+        function paint() {
+            const [start, end] = windowRange();
+            const virtual = end - start < items.length;
+            const wanted = new Set(keys.slice(start, end));
+
+            for (const [k, row] of rows) {
+                if (wanted.has(k)) continue;
+                row.el.remove();
+                rows.delete(k);
+            }
+
+            // Walk the wanted rows in order; a row is only moved when it isn't already in place
+            let cursor = topSpacer.nextSibling;
+            for (let i = start; i < end; i++) {
+                const k = keys[i];
+                const { className, html } = render(items[i]);
+                let row = rows.get(k);
+                if (!row) {
+                    row = { el: document.createElement('li'), className: null, html: null, stale: false };
+                    row.el.dataset.rowKey = k;
+                    rows.set(k, row);
+                }
+                if (row.html !== html || row.stale) {
+                    row.el.innerHTML = html;
+                    row.html = html;
+                    row.stale = false;
+                }
+                if (row.className !== className) {
+                    row.el.className = className;
+                    row.className = className;
+                }
+                if (virtual) {
+                    row.el.setAttribute('aria-posinset', String(i + 1));
+                    row.el.setAttribute('aria-setsize', String(items.length));
+                } else {
+                    row.el.removeAttribute('aria-posinset');
+                    row.el.removeAttribute('aria-setsize');
+                }
+
+                if (row.el === cursor) {
+                    cursor = cursor.nextSibling;
+                } else {
+                    container.insertBefore(row.el, cursor);
+                }
+            }
+
+            if (virtual) {
+                virtualLists.add(list);
+                const gap = parseFloat(getComputedStyle(container).rowGap) || 0;
+                for (let i = start; i < end; i++) {
+                    const height = rows.get(keys[i]).el.offsetHeight;
+                    if (height > 0) pitches.set(keys[i], height + gap); // 0 while the list is hidden
+                }
+                const average = averagePitch();
+                sizeSpacer(topSpacer, sumPitches(0, start, average), gap);
+                sizeSpacer(bottomSpacer, sumPitches(end, items.length, average), gap);
+            } else {
+                virtualLists.delete(list);
+                topSpacer.hidden = true;
+                bottomSpacer.hidden = true;
+            }
+        }
+
+        /** Show these items, in this order */
+        function update(nextItems) {
+            items = nextItems;
+            keys = items.map(key);
+            const present = new Set(keys);
+            for (const k of pitches.keys()) {
+                if (!present.has(k)) pitches.delete(k);
+            }
+            paint();
+        }
+
+        /**
+         * Rewrite the row holding el on the next update even if its markup is unchanged,
+         * e.g. after an inline edit swapped part of it out or a checkbox was clicked
+         */
+        function invalidate(el) {
+            const rowEl = el.closest('[data-row-key]');
+            const row = rowEl && rows.get(rowEl.dataset.rowKey);
+            if (row) row.stale = true;
+        }
+
+        /** Every item's key in display order, including rows scrolled out of the DOM */
+        function allKeys() {
+            return keys.slice();
+        }
+
+        return { update, invalidate, keys: allKeys };
+    }
+
+    return { create };
+})();
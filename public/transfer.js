@@ -0,0 +1,360 @@
+// Zig Task Manager - Task import / export formats
+// Converts tasks to and from JSON, CSV and iCalendar (one VTODO per task).
+// Pure functions, no DOM access: loaded with a <script> tag in the browser,
+// or with require('./public/transfer.js') from Node for testing.
+//
+// Tasks on the way in are normalized to { title, completed, due_date, created_at },
+// with due_date as a local "YYYY-MM-DDTHH:MM" string (what the date picker produces).
+
+(function (root) {
+    const FORMATS = {
+        json: { extension: 'json', mime: 'application/json' },
+        csv: { extension: 'csv', mime: 'text/csv' },
+        ics: { extension: 'ics', mime: 'text/calendar' }
+    };
+
+    const CSV_COLUMNS = ['title', 'completed', 'due_date', 'created_at'];
+
+    // Header names other tools use for our columns
+    const CSV_ALIASES = {
+        title: ['title', 'name', 'task', 'subject', 'summary', 'content'],
+        completed: ['completed', 'done', 'status', 'complete', 'is_completed'],
+        due_date: ['due_date', 'due', 'due date', 'deadline', 'due_at'],
+        created_at: ['created_at', 'created', 'created date', 'date added']
+    };
+
+    // Spreadsheets run a cell starting with one of these as a formula ("CSV injection"); a
+    // leading ' keeps it text. fromCSV drops the ' again.
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    const TRUTHY = ['true', '1', 'yes', 'y', 'x', 'done', 'completed', 'complete'];
+    const MAX_TITLE_LENGTH = 500;
+
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    function toLocalDateTime(date) {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // "20251225T120000Z"
+    function toICalUtc(date) {
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    function parseDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    // ---------- Export ----------
+
+    function exportTask(task) {
+        return {
+            title: task.title,
+            completed: !!task.completed,
+            due_date: task.due_date || null,
+            created_at: task.created_at || null
+        };
+    }
+
+    function toJSON(tasks, now = new Date()) {
+        return JSON.stringify({
+            version: 1,
+            exported_at: now.toISOString(),
+            tasks: tasks.map(exportTask)
+        }, null, 2);
+    }
+
+    function csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (FORMULA_START.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCSV(tasks) {
+        const rows = tasks.map(exportTask).map(t => CSV_COLUMNS.map(c => csvField(t[c])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    function icsEscape(text) {
+        return text
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // RFC 5545: lines longer than 75 octets continue on the next line after a space
+    function icsFold(line) {
+        const bytes = new TextEncoder().encode(line);
+        if (bytes.length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const size = new TextEncoder().encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+            if (currentBytes + size > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    function toICS(tasks, now = new Date()) {
+        const stamp = toICalUtc(now);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Zig Task Manager//Tasks//EN',
+            'CALSCALE:GREGORIAN'
+        ];
+
+        tasks.forEach((task, index) => {
+            const created = parseDate(task.created_at);
+            const due = parseDate(task.due_date);
+            const uid = `${String(task.id ?? index).replace(/[^\w.:-]/g, '-')}@zig-taskmanager`;
+
+            lines.push('BEGIN:VTODO');
+            lines.push(`UID:${uid}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            if (created) lines.push(`CREATED:${toICalUtc(created)}`);
+            lines.push(`SUMMARY:${icsEscape(task.title || '')}`);
+            if (due) lines.push(`DUE:${toICalUtc(due)}`);
+            lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+            lines.push('END:VTODO');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(icsFold).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Serialize tasks in one of FORMATS.
+     * @returns {{ content: string, mime: string, filename: string }}
+     */
+    function exportTasks(tasks, format, now = new Date()) {
+        const spec = FORMATS[format];
+        if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+        const content = format === 'json' ? toJSON(tasks, now)
+            : format === 'csv' ? toCSV(tasks)
+            : toICS(tasks, now);
+        const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        return { content, mime: spec.mime, filename: `tasks-${date}.${spec.extension}` };
+    }
+
+    // ---------- Import ----------
+
+    // One imported row: a clean task, or an error message for the preview
+    function normalizeTask(raw) {
+        const title = String(raw.title ?? '').replace(/\s+/g, ' ').trim();
+        if (!title) return { error: 'Missing title' };
+        // The server limit is in bytes, not characters
+        if (new TextEncoder().encode(title).length > MAX_TITLE_LENGTH) {
+            return { error: `Title longer than ${MAX_TITLE_LENGTH} bytes` };
+        }
+
+        let dueDate = null;
+        if (raw.due_date) {
+            const due = raw.due_date instanceof Date ? raw.due_date : parseDate(raw.due_date);
+            if (!due) return { error: `Unrecognized due date "${raw.due_date}"` };
+            dueDate = toLocalDateTime(due);
+        }
+
+        const created = raw.created_at instanceof Date ? raw.created_at : parseDate(raw.created_at);
+        const completed = typeof raw.completed === 'boolean'
+            ? raw.completed
+            : TRUTHY.includes(String(raw.completed ?? '').trim().toLowerCase());
+
+        return {
+            task: {
+                title,
+                completed,
+                due_date: dueDate,
+                created_at: created ? created.toISOString() : null
+            }
+        };
+    }
+
+    function fromJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data && Array.isArray(data.tasks) ? data.tasks : null;
+        if (!list) throw new Error('Expected an array of tasks or an object with a "tasks" array');
+        return list.map(item => (item && typeof item === 'object') ? item : { title: item });
+    }
+
+    // RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+    function parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    }
+
+    // A cell as written by csvField: without the ' that guards a formula-like value
+    function csvValue(cell) {
+        return (cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell).trim();
+    }
+
+    function fromCSV(text) {
+        const rows = parseCSVRows(text.replace(/^\uFEFF/, ''));
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(h => h.trim().toLowerCase());
+        const columns = {};
+        for (const [column, aliases] of Object.entries(CSV_ALIASES)) {
+            const index = header.findIndex(h => aliases.includes(h));
+            if (index !== -1) columns[column] = index;
+        }
+
+        // No recognizable header: treat every row as "title[,completed,due_date,created_at]"
+        const hasHeader = columns.title !== undefined;
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+        const indexOf = hasHeader ? columns : { title: 0, completed: 1, due_date: 2, created_at: 3 };
+
+        return dataRows.map(cells => {
+            const item = {};
+            for (const [column, index] of Object.entries(indexOf)) {
+                if (index !== undefined && cells[index] !== undefined) item[column] = csvValue(cells[index]);
+            }
+            return item;
+        });
+    }
+
+    function icsUnescape(text) {
+        return text.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N') ? '\n' : c);
+    }
+
+    // DUE / DTSTART values: 20251225, 20251225T120000, 20251225T120000Z (TZID is read as local time)
+    function parseICalDate(value) {
+        const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!m) return null;
+        const [, y, mo, d, h = '00', mi = '00', s = '00', utc] = m;
+        return utc
+            ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s))
+            : new Date(+y, +mo - 1, +d, +h, +mi, +s);
+    }
+
+    function fromICS(text) {
+        // Unfold continuation lines first
+        const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+        const items = [];
+        let current = null;
+
+        for (const line of lines) {
+            if (/^BEGIN:(VTODO|VEVENT)$/i.test(line)) {
+                current = { kind: line.slice(6).toUpperCase(), props: {} };
+                continue;
+            }
+            if (/^END:(VTODO|VEVENT)$/i.test(line)) {
+                if (current) items.push(current);
+                current = null;
+                continue;
+            }
+            if (!current) continue;
+
+            const colon = line.indexOf(':');
+            if (colon === -1) continue;
+            const name = line.slice(0, colon).split(';')[0].toUpperCase();
+            current.props[name] = line.slice(colon + 1);
+        }
+
+        return items.map(({ kind, props }) => {
+            const dueValue = props.DUE || (kind === 'VEVENT' ? props.DTSTART : null);
+            const due = dueValue ? parseICalDate(dueValue) : null;
+            return {
+                title: icsUnescape(props.SUMMARY || ''),
+                completed: (props.STATUS || '').toUpperCase() === 'COMPLETED' || !!props.COMPLETED,
+                due_date: dueValue ? (due || dueValue) : null,
+                created_at: props.CREATED ? parseICalDate(props.CREATED) : null
+            };
+        });
+    }
+
+    function detectFormat(filename, text) {
+        const extension = (filename || '').split('.').pop().toLowerCase();
+        if (FORMATS[extension]) return extension;
+        if (extension === 'ical' || extension === 'ifb') return 'ics';
+
+        const start = text.trimStart();
+        if (start.startsWith('{') || start.startsWith('[')) return 'json';
+        if (/^BEGIN:VCALENDAR/i.test(start)) return 'ics';
+        return 'csv';
+    }
+
+    /**
+     * Parse an imported file.
+     * @param {string} text - file contents
+     * @param {string} [filename] - used to pick the format, falls back to sniffing the content
+     * @returns {{ format: string, tasks: Object[], errors: { row: number, error: string }[] }}
+     * @throws {Error} when the file as a whole can't be read (e.g. invalid JSON)
+     */
+    function parseImport(text, filename) {
+        const format = detectFormat(filename, text);
+        const rawItems = format === 'json' ? fromJSON(text)
+            : format === 'ics' ? fromICS(text)
+            : fromCSV(text);
+
+        const tasks = [];
+        const errors = [];
+        rawItems.forEach((raw, index) => {
+            const result = normalizeTask(raw);
+            if (result.task) {
+                tasks.push(result.task);
+            } else {
+                errors.push({ row: index + 1, error: result.error });
+            }
+        });
+        return { format, tasks, errors };
+    }
+
+    const TaskTransfer = { FORMATS, exportTasks, parseImport, toJSON, toCSV, toICS };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TaskTransfer;
+    } else {
+        root.TaskTransfer = TaskTransfer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,242 @@
+// Zig Task Manager - Form validation
+// The same rules the server applies (src/util/validation.zig), checked as the user types so a
+// form is only sent when the server will accept it. The limits come from GET /api/validation-rules;
+// until that answers (or when offline) the defaults below, which match the server, are used.
+//
+// Fields opt in with data-validate="email|name|password|confirm". A confirm field names
+// the field it repeats with data-match="<id>", and a password field with data-strength gets a
+// strength meter. Messages show once a field has been left or the form submitted, and an
+// invalid field keeps the form from submitting at all (setCustomValidity). A task title is only
+// known once the quick-add date and labels are taken out of what was typed, so the task form's
+// submit handler (app.js) checks it with taskTitle() instead. Messages come from i18n.js, in the
+// locale current when the field was last checked (refreshAll after a change).
+
+const Validation = (() => {
+    let rules = {
+        email: { min_length: 5, max_length: 254 },
+        name: { min_length: 1, max_length: 100, forbidden_chars: '<>"\'\\;&' },
+        password: { min_length: 8, max_length: 128 },
+        task_title: { min_length: 1, max_length: 500 }
+    };
+
+    const STRENGTH_LABELS = ['strength.too_short', 'strength.weak', 'strength.fair', 'strength.good', 'strength.strong'];
+    const COMMON_PASSWORDS = new Set([
+        'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+        'qwerty123', 'qwertyuiop', 'iloveyou', 'letmein1', 'welcome1', 'abc12345', '11111111'
+    ]);
+
+    // Lengths are checked in UTF-8 bytes, like the server does
+    const encoder = new TextEncoder();
+    const byteLength = value => encoder.encode(value).length;
+
+    async function load() {
+        try {
+            rules = { ...rules, ...(await Api.get('/api/validation-rules', { auth: false })) };
+            refreshAll();
+        } catch (error) {
+            // Offline or failed: the defaults already match the server
+        }
+    }
+
+    // ----- Rules -----
+    // Each returns the message to show, or '' when the value is acceptable. Empty values pass:
+    // whether a field may be empty is up to its required attribute.
+
+    function email(value) {
+        if (value === '') return '';
+        const { min_length, max_length } = rules.email;
+        const length = byteLength(value);
+        const at = value.indexOf('@');
+        const domain = value.slice(at + 1);
+        const dot = domain.indexOf('.');
+        const valid = length >= min_length && length <= max_length &&
+            at > 0 && at === value.lastIndexOf('@') && domain !== '' &&
+            dot > 0 && dot < domain.length - 1 && !value.includes(' ');
+        return valid ? '' : I18n.t('validation.email');
+    }
+
+    function name(value) {
+        if (value === '') return '';
+        const { max_length, forbidden_chars } = rules.name;
+        if (byteLength(value) > max_length) return I18n.t('validation.name_too_long', { count: max_length });
+        if ([...value].some(c => forbidden_chars.includes(c))) {
+            return I18n.t('validation.name_chars', { chars: [...forbidden_chars].join(' ') });
+        }
+        return '';
+    }
+
+    function password(value) {
+        if (value === '') return '';
+        const { min_length, max_length } = rules.password;
+        const length = byteLength(value);
+        if (length < min_length) return I18n.t('validation.password_too_short', { count: min_length });
+        if (length > max_length) return I18n.t('validation.password_too_long', { count: max_length });
+        return '';
+    }
+
+    function confirm(value, original) {
+        return value !== '' && value !== original ? I18n.t('validation.password_mismatch') : '';
+    }
+
+    /** Titles are trimmed before they are checked, as the server does */
+    function taskTitle(value) {
+        const { min_length, max_length } = rules.task_title;
+        const length = byteLength(value.trim());
+        return length < min_length || length > max_length
+            ? I18n.t('validation.title_length', { min: min_length, count: max_length })
+            : '';
+    }
+
+    /**
+     * How hard the password would be to guess. The server only enforces the length; letters
+     * plus digits is what it recommends, and the rest is rewarded here.
+     * @returns {{score: number, label: string, hint: string}} score 0 (unusable) to 4
+     */
+    function passwordStrength(value) {
+        if (value === '') return { score: 0, label: '', hint: '' };
+        // The field's own message says what is wrong
+        if (password(value)) {
+            const label = byteLength(value) > rules.password.max_length ? 'strength.too_long' : STRENGTH_LABELS[0];
+            return { score: 0, label: I18n.t(label), hint: '' };
+        }
+
+        const hasLetter = /[a-z]/i.test(value);
+        const hasDigit = /\d/.test(value);
+        let score = 1;
+        if (hasLetter && hasDigit) score++;
+        if ((/[a-z]/.test(value) && /[A-Z]/.test(value)) || /[^a-z\d]/i.test(value)) score++;
+        if (value.length >= 12) score++;
+        if (value.length >= 16) score++;
+        if (/^(.)\1*$/.test(value) || COMMON_PASSWORDS.has(value.toLowerCase())) score = 1;
+        score = Math.min(score, 4);
+
+        let hint = '';
+        if (score === 1 && hasLetter && hasDigit) hint = I18n.t('strength.guessable');
+        else if (!hasLetter || !hasDigit) hint = I18n.t('strength.mix');
+        else if (score < 4) hint = I18n.t('strength.longer');
+        return { score, label: I18n.t(STRENGTH_LABELS[score]), hint };
+    }
+
+    // ----- Fields -----
+
+    function messageFor(input) {
+        const value = input.value;
+        switch (input.dataset.validate) {
+            case 'email': return email(value);
+            case 'name': return name(value);
+            case 'password': return password(value);
+            case 'confirm': {
+                const original = document.getElementById(input.dataset.match);
+                return original ? confirm(value, original.value) : '';
+            }
+            default: return '';
+        }
+    }
+
+    function feedbackFor(input) {
+        const id = `${input.id}Feedback`;
+        let feedback = document.getElementById(id);
+        if (!feedback) {
+            feedback = document.createElement('div');
+            feedback.id = id;
+            feedback.className = 'field-error';
+            feedback.setAttribute('aria-live', 'polite');
+            input.closest('.form-group').append(feedback);
+            input.setAttribute('aria-describedby',
+                [input.getAttribute('aria-describedby'), id].filter(Boolean).join(' '));
+        }
+        return feedback;
+    }
+
+    function createMeter(input) {
+        const meter = document.createElement('div');
+        meter.className = 'strength-meter';
+        meter.id = `${input.id}Strength`;
+        meter.hidden = true;
+        meter.innerHTML = `
+            <div class="strength-bar" role="meter" aria-label="${I18n.t('strength.label')}" data-i18n-aria-label="strength.label" aria-valuemin="0" aria-valuemax="4" aria-valuenow="0">
+                <span class="strength-fill"></span>
+            </div>
+            <span class="strength-label" aria-live="polite"></span>`;
+        input.after(meter);
+        input.setAttribute('aria-describedby',
+            [input.getAttribute('aria-describedby'), meter.id].filter(Boolean).join(' '));
+    }
+
+    function updateMeter(input) {
+        const meter = document.getElementById(`${input.id}Strength`);
+        if (!meter) return;
+        const { score, label, hint } = passwordStrength(input.value);
+        meter.hidden = input.value === '';
+        meter.dataset.score = String(score);
+        meter.querySelector('.strength-bar').setAttribute('aria-valuenow', String(score));
+        meter.querySelector('.strength-bar').setAttribute('aria-valuetext', label);
+        meter.querySelector('.strength-label').textContent = hint ? `${label} · ${hint}` : label;
+    }
+
+    /** Re-check a field; its message only shows once it has been touched */
+    function refresh(input) {
+        input.setCustomValidity(messageFor(input));
+        updateMeter(input);
+        if (input.dataset.touched !== 'true') return;
+        const message = input.validity.valid ? '' : input.validationMessage;
+        feedbackFor(input).textContent = message;
+        if (message) input.setAttribute('aria-invalid', 'true');
+        else input.removeAttribute('aria-invalid');
+    }
+
+    /** Re-check every field, e.g. after the locale changed */
+    function refreshAll() {
+        document.querySelectorAll('[data-validate]').forEach(refresh);
+    }
+
+    function touch(input) {
+        input.dataset.touched = 'true';
+        refresh(input);
+    }
+
+    function clear(form) {
+        for (const input of form.querySelectorAll('[data-validate]')) {
+            delete input.dataset.touched;
+            input.setCustomValidity('');
+            input.removeAttribute('aria-invalid');
+            const feedback = document.getElementById(`${input.id}Feedback`);
+            if (feedback) feedback.textContent = '';
+            const meter = document.getElementById(`${input.id}Strength`);
+            if (meter) meter.hidden = true;
+        }
+    }
+
+    document.querySelectorAll('input[data-strength]').forEach(createMeter);
+    refreshAll();
+
+    document.addEventListener('input', (e) => {
+        const input = e.target;
+        if (!input.dataset || !input.dataset.validate) return;
+        refresh(input);
+        // A confirm field follows the field it repeats
+        if (input.id) {
+            document.querySelectorAll(`[data-match="${input.id}"]`).forEach(refresh);
+        }
+    });
+
+    document.addEventListener('focusout', (e) => {
+        const input = e.target;
+        if (input.dataset && input.dataset.validate && input.value !== '') touch(input);
+    });
+
+    // Submitting shows every message at once, next to its field instead of in a browser bubble
+    document.addEventListener('invalid', (e) => {
+        const input = e.target;
+        if (!input.dataset || !input.dataset.validate) return;
+        e.preventDefault();
+        touch(input);
+        if (input.form && input.form.querySelector(':invalid') === input) input.focus();
+    }, true);
+
+    document.addEventListener('reset', (e) => clear(e.target));
+
+    load();
+
+    return { email, name, password, confirm, taskTitle, passwordStrength, load, refreshAll };
+})();
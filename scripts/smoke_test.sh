@@ -96,6 +96,8 @@ echo "=== Core Endpoints ==="
 test_endpoint "Health Check" "GET" "/api/health" "" "healthy" || true
 test_endpoint "Ready Check" "GET" "/api/ready" "" "ready" || true
 test_endpoint "Metrics" "GET" "/api/metrics" "" "app_uptime_seconds" || true
+test_endpoint "Validation Rules" "GET" "/api/validation-rules" "" '"password":{"min_length":8' || true
+test_endpoint "Reset Rejects Short Password" "POST" "/api/auth/reset-password" '{"token":"none","new_password":"short"}' "at least 8 characters" || true
 
 echo ""
 echo "=== Static Files ==="
@@ -130,11 +132,16 @@ fi
 
 # 2. Me (Profile)
 test_endpoint "Get Profile" "GET" "/api/auth/me" "" "$EMAIL" "$TOKEN" || true
+test_endpoint "Update Preferences" "PUT" "/api/profile/preferences" '{"reminder_lead_minutes":60}' '"reminder_lead_minutes":60' "$TOKEN" || true
+test_endpoint "New Tasks On Top" "PUT" "/api/profile/preferences" '{"new_task_position":"top"}' '"new_task_position":"top"' "$TOKEN" || true
+test_endpoint "Locale And Timezone" "PUT" "/api/profile/preferences" '{"locale":"ro","timezone":"Europe/Bucharest"}' '"timezone":"Europe/Bucharest"' "$TOKEN" || true
+test_endpoint "Reject Unknown Locale" "PUT" "/api/profile/preferences" '{"locale":"xx"}' 'Locale must be' "$TOKEN" || true
 
 # 3. Login
 test_endpoint "Login" "POST" "/api/auth/login" \
     "{\"email\":\"$EMAIL\",\"password\":\"$PASSWORD\"}" "token" || true
 NEW_TOKEN=$(cat /tmp/last_response.json | grep -o '"token":"[^"]*"' | cut -d'"' -f4)
+REFRESH_TOKEN=$(cat /tmp/last_response.json | grep -o '"refresh_token":"[^"]*"' | cut -d'"' -f4)
 
 # 4. Tasks
 echo ""
@@ -144,17 +151,113 @@ test_endpoint "Get Tasks (Empty)" "GET" "/api/tasks" "" "\[\]" "$NEW_TOKEN" || t
 test_endpoint "Create Task" "POST" "/api/tasks" \
     "{\"title\":\"Smoke Test Task\"}" "Smoke Test Task" "$NEW_TOKEN" || true
 TASK_ID=$(cat /tmp/last_response.json | grep -o '"id":"[^"]*"' | cut -d'"' -f4)
+test_endpoint "Create Task (Blank Title)" "POST" "/api/tasks" \
+    "{\"title\":\"   \"}" "Title must be between" "$NEW_TOKEN" || true
 
 if [ ! -z "$TASK_ID" ]; then
     echo "Created Task ID: $TASK_ID"
     
     test_endpoint "Get Tasks (List)" "GET" "/api/tasks" "" "$TASK_ID" "$NEW_TOKEN" || true
+    test_endpoint "Get Tasks (Page)" "GET" "/api/tasks?limit=1" "" '"next_cursor":null' "$NEW_TOKEN" || true
+    test_endpoint "Get Tasks (Bad Limit)" "GET" "/api/tasks?limit=0" "" "limit must be between" "$NEW_TOKEN" || true
+    test_endpoint "Get Tasks (Bad Cursor)" "GET" "/api/tasks?limit=10&cursor=users%3Ax" "" "Invalid cursor" "$NEW_TOKEN" || true
     
     test_endpoint "Toggle Task" "PUT" "/api/tasks/$TASK_ID" "" "true" "$NEW_TOKEN" || true
     
+    test_endpoint "Update Task" "PATCH" "/api/tasks/$TASK_ID" \
+        "{\"title\":\"Renamed Task\",\"due_date\":null}" "Renamed Task" "$NEW_TOKEN" || true
+    test_endpoint "Update Subtasks" "PATCH" "/api/tasks/$TASK_ID" \
+        "{\"subtasks\":[{\"id\":\"step-1\",\"title\":\"First step\",\"completed\":true},{\"id\":\"step-2\",\"title\":\"Second step\"}]}" '"title":"First step"' "$NEW_TOKEN" || true
+    test_endpoint "Duplicate Subtask Ids" "PATCH" "/api/tasks/$TASK_ID" \
+        "{\"subtasks\":[{\"id\":\"a\",\"title\":\"One\"},{\"id\":\"a\",\"title\":\"Two\"}]}" "Duplicate step id" "$NEW_TOKEN" || true
+    test_endpoint "Create Recurring Task" "POST" "/api/tasks" \
+        '{"title":"Water plants","due_date":"2030-01-07T09:00","recurrence":{"freq":"weekly","days":[1,4]}}' '"freq":"weekly"' "$NEW_TOKEN" || true
+    RECURRING_ID=$(cat /tmp/last_response.json | grep -o '"id":"[^"]*"' | head -1 | cut -d'"' -f4)
+    # Completing it creates the next one, on the Thursday after
+    test_endpoint "Complete Recurring Task" "PATCH" "/api/tasks/$RECURRING_ID" \
+        '{"completed":true}' '"next_occurrence":{[^}]*"due_date":"2030-01-10T09:00:00Z"' "$NEW_TOKEN" || true
+    test_endpoint "Invalid Recurrence" "PATCH" "/api/tasks/$TASK_ID" \
+        '{"recurrence":{"freq":"monthly","day_of_month":32}}' "Invalid recurrence rule" "$NEW_TOKEN" || true
+    test_endpoint "Set Priority And Tags" "PATCH" "/api/tasks/$TASK_ID" \
+        '{"priority":"high","tags":["work","urgent"]}' '"priority":"high"' "$NEW_TOKEN" || true
+    test_endpoint "Invalid Tag" "PATCH" "/api/tasks/$TASK_ID" \
+        '{"tags":["two words"]}' "Tags must be" "$NEW_TOKEN" || true
+    test_endpoint "List Tags" "GET" "/api/tags" "" '"name":"work","color":null,"count":1' "$NEW_TOKEN" || true
+    test_endpoint "Rename Tag" "PATCH" "/api/tags" \
+        '{"name":"work","rename_to":"office","color":"#3b82f6"}' '"name":"office","color":"#3b82f6"' "$NEW_TOKEN" || true
+    
     test_endpoint "Delete Task" "DELETE" "/api/tasks/$TASK_ID" "" "success" "$NEW_TOKEN" || true
+    test_endpoint "List Trash" "GET" "/api/tasks/trash" "" "$TASK_ID" "$NEW_TOKEN" || true
+    test_endpoint "Restore Task" "POST" "/api/tasks/$TASK_ID/restore" "" "Renamed Task" "$NEW_TOKEN" || true
+
+    test_endpoint "Delete Task Again" "DELETE" "/api/tasks/$TASK_ID" "" "success" "$NEW_TOKEN" || true
+    test_endpoint "Delete Task Permanently" "DELETE" "/api/tasks/$TASK_ID/permanent" "" "success" "$NEW_TOKEN" || true
 fi
 
+# Duplicate titles in one import: the second one is skipped
+test_endpoint "Import Local Tasks" "POST" "/api/tasks/import" \
+    "{\"tasks\":[{\"title\":\"Imported Task\"},{\"title\":\"Imported Task\"}]}" "\"skipped\":1" "$NEW_TOKEN" || true
+IMPORTED_ID=$(cat /tmp/last_response.json | grep -o '"id":"[^"]*"' | head -1 | cut -d'"' -f4)
+
+if [ ! -z "$IMPORTED_ID" ]; then
+    test_endpoint "Reorder Tasks" "PUT" "/api/tasks/order" \
+        "{\"ids\":[\"$IMPORTED_ID\"]}" "success" "$NEW_TOKEN" || true
+    test_endpoint "Bulk Complete" "POST" "/api/tasks/batch" \
+        "{\"action\":\"complete\",\"ids\":[\"$IMPORTED_ID\"]}" "\"completed\":true" "$NEW_TOKEN" || true
+    test_endpoint "Bulk Delete" "POST" "/api/tasks/batch" \
+        "{\"action\":\"delete\",\"ids\":[\"$IMPORTED_ID\"]}" "\"deleted\":\[\"$IMPORTED_ID\"\]" "$NEW_TOKEN" || true
+fi
+
+# Lists: deleting one moves its tasks back to the Inbox
+test_endpoint "Create List" "POST" "/api/lists" '{"name":"Work"}' '"name":"Work"' "$NEW_TOKEN" || true
+LIST_ID=$(cat /tmp/last_response.json | grep -o '"id":"[^"]*"' | head -1 | cut -d'"' -f4)
+test_endpoint "Reserved List Name" "POST" "/api/lists" '{"name":"inbox"}' "Inbox is already a list" "$NEW_TOKEN" || true
+test_endpoint "Task In Unknown List" "POST" "/api/tasks" \
+    '{"title":"Nowhere","list_id":"lists:missing"}' "not your list" "$NEW_TOKEN" || true
+
+if [ ! -z "$LIST_ID" ]; then
+    test_endpoint "Rename List" "PATCH" "/api/lists/$LIST_ID" '{"name":"Office"}' '"name":"Office"' "$NEW_TOKEN" || true
+    test_endpoint "Create Task In List" "POST" "/api/tasks" \
+        "{\"title\":\"Listed Task\",\"list_id\":\"$LIST_ID\"}" "\"list_id\":\"$LIST_ID\"" "$NEW_TOKEN" || true
+    test_endpoint "Get Lists" "GET" "/api/lists" "" "$LIST_ID" "$NEW_TOKEN" || true
+
+    # Sharing: the invitee gets an email and accepts from their own account
+    test_endpoint "Invite With Bad Role" "POST" "/api/lists/$LIST_ID/members" \
+        '{"email":"friend@example.com","role":"admin"}' "Role must be viewer or editor" "$NEW_TOKEN" || true
+    test_endpoint "Invite Member" "POST" "/api/lists/$LIST_ID/members" \
+        '{"email":"Friend@Example.com","role":"viewer"}' '"email":"friend@example.com".*"status":"pending"' "$NEW_TOKEN" || true
+    MEMBER_ID=$(cat /tmp/last_response.json | grep -o '"id":"[^"]*"' | head -1 | cut -d'"' -f4)
+    test_endpoint "Invite Member Twice" "POST" "/api/lists/$LIST_ID/members" \
+        '{"email":"friend@example.com"}' "already shared with that email" "$NEW_TOKEN" || true
+    test_endpoint "List Shows Members" "GET" "/api/lists" "" '"members":\[{"id":"list_members:' "$NEW_TOKEN" || true
+    test_endpoint "Own Invitations" "GET" "/api/invitations" "" '^\[\]$' "$NEW_TOKEN" || true
+    if [ ! -z "$MEMBER_ID" ]; then
+        test_endpoint "Change Member Role" "PATCH" "/api/lists/$LIST_ID/members/$MEMBER_ID" \
+            '{"role":"editor"}' '"role":"editor"' "$NEW_TOKEN" || true
+        test_endpoint "Accept Someone Else's Invitation" "POST" "/api/invitations/$MEMBER_ID/accept" "" \
+            "Invitation not found" "$NEW_TOKEN" || true
+        test_endpoint "Remove Member" "DELETE" "/api/lists/$LIST_ID/members/$MEMBER_ID" "" "success" "$NEW_TOKEN" || true
+    fi
+
+    test_endpoint "Delete List" "DELETE" "/api/lists/$LIST_ID" "" "success" "$NEW_TOKEN" || true
+fi
+
+# Last, since refreshing replaces NEW_TOKEN and the rest log out
+echo ""
+echo "=== Sessions ==="
+test_endpoint "List Sessions" "GET" "/api/auth/sessions" "" '"current":true' "$NEW_TOKEN" || true
+test_endpoint "Refresh Session" "POST" "/api/auth/refresh" \
+    "{\"refresh_token\":\"$REFRESH_TOKEN\"}" '"refresh_token"' || true
+REFRESHED_TOKEN=$(cat /tmp/last_response.json | grep -o '"token":"[^"]*"' | cut -d'"' -f4)
+test_endpoint "Reuse Refresh Token" "POST" "/api/auth/refresh" \
+    "{\"refresh_token\":\"$REFRESH_TOKEN\"}" "Session expired" || true
+test_endpoint "Old Access Token Rejected" "GET" "/api/auth/me" "" "Not authenticated" "$NEW_TOKEN" || true
+test_endpoint "Log Out Other Devices" "DELETE" "/api/auth/sessions" "" "Other sessions revoked" "$REFRESHED_TOKEN" || true
+test_endpoint "Signup Session Revoked" "GET" "/api/auth/me" "" "Not authenticated" "$TOKEN" || true
+test_endpoint "Revoke Unknown Session" "DELETE" "/api/auth/sessions/sessions:nope" "" "Session not found" "$REFRESHED_TOKEN" || true
+test_endpoint "Logout" "POST" "/api/auth/logout" "" "Logged out" "$REFRESHED_TOKEN" || true
+test_endpoint "Me After Logout" "GET" "/api/auth/me" "" "Not authenticated" "$REFRESHED_TOKEN" || true
+
 echo ""
 echo "=== Path Security ==="
 # Test path traversal protection
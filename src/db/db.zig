@@ -56,6 +56,8 @@ pub const getUserByEmail = impl.getUserByEmail;
 pub const getUserById = impl.getUserById;
 pub const updateUserVerified = impl.updateUserVerified;
 pub const updateUserName = impl.updateUserName;
+pub const UserPreferences = impl.UserPreferences;
+pub const updateUserPreferences = impl.updateUserPreferences;
 pub const updateUserPassword = impl.updateUserPassword;
 pub const setResetToken = impl.setResetToken;
 pub const setVerificationToken = impl.setVerificationToken;
@@ -63,18 +65,62 @@ pub const getUserByResetToken = impl.getUserByResetToken;
 pub const getUserByVerificationToken = impl.getUserByVerificationToken;
 
 // Task operations
+pub const TaskFields = impl.TaskFields;
+pub const TaskChanges = impl.TaskChanges;
 pub const createTask = impl.createTask;
 pub const createTaskWithDueDate = impl.createTaskWithDueDate;
+pub const importTask = impl.importTask;
 pub const getTasksByUser = impl.getTasksByUser;
+pub const getTaskPageByUser = impl.getTaskPageByUser;
+pub const getDeletedTasksByUser = impl.getDeletedTasksByUser;
 pub const toggleTask = impl.toggleTask;
+pub const updateTask = impl.updateTask;
+pub const rollOverTask = impl.rollOverTask;
+pub const reorderTasks = impl.reorderTasks;
+pub const softDeleteTask = impl.softDeleteTask;
+pub const restoreTask = impl.restoreTask;
+pub const purgeExpiredTrash = impl.purgeExpiredTrash;
 pub const deleteTask = impl.deleteTask;
 pub const getTaskOwner = impl.getTaskOwner;
 pub const verifyTaskOwnership = impl.verifyTaskOwnership;
+pub const getTaskAccess = impl.getTaskAccess;
+pub const getTaskAudience = impl.getTaskAudience;
+
+// List operations
+pub const createList = impl.createList;
+pub const getListsByUser = impl.getListsByUser;
+pub const renameList = impl.renameList;
+pub const deleteList = impl.deleteList;
+pub const getListAccess = impl.getListAccess;
+
+// Sharing operations
+pub const getSharedListsByUser = impl.getSharedListsByUser;
+pub const getListMembers = impl.getListMembers;
+pub const getListMember = impl.getListMember;
+pub const createInvitation = impl.createInvitation;
+pub const getInvitationsForEmail = impl.getInvitationsForEmail;
+pub const acceptInvitation = impl.acceptInvitation;
+pub const updateMemberRole = impl.updateMemberRole;
+pub const deleteListMember = impl.deleteListMember;
+
+// Tag operations
+pub const getTaskTags = impl.getTaskTags;
+pub const getTagColors = impl.getTagColors;
+pub const setTagColor = impl.setTagColor;
+pub const renameTag = impl.renameTag;
 
 // Session operations
 pub const generateSecureToken = impl.generateSecureToken;
+pub const SessionClient = impl.SessionClient;
+pub const SessionTokens = impl.SessionTokens;
 pub const createSession = impl.createSession;
 pub const validateSession = impl.validateSession;
+pub const getSessionId = impl.getSessionId;
+pub const refreshSession = impl.refreshSession;
+pub const getUserSessions = impl.getUserSessions;
 pub const deleteSession = impl.deleteSession;
+pub const deleteSessionByRefreshToken = impl.deleteSessionByRefreshToken;
+pub const deleteSessionById = impl.deleteSessionById;
 pub const deleteUserSessions = impl.deleteUserSessions;
+pub const deleteOtherSessions = impl.deleteOtherSessions;
 pub const cleanupExpiredSessions = impl.cleanupExpiredSessions;
@@ -196,16 +196,28 @@ pub fn executeQueryWithVars(allocator: std.mem.Allocator, query_template: []cons
         } else if (@typeInfo(FieldType) == .optional) {
             // Optional: write NONE if null, otherwise unwrap
             if (value) |v| {
-                // Recursively handle the inner type - for now assume string
-                try writer.writeByte('"');
-                for (v) |c| {
-                    switch (c) {
-                        '"' => try writer.writeAll("\\\""),
-                        '\\' => try writer.writeAll("\\\\"),
-                        else => try writer.writeByte(c),
+                const InnerType = @TypeOf(v);
+                if (@typeInfo(InnerType) == .bool) {
+                    try writer.print("{s};\n", .{if (v) "true" else "false"});
+                } else if (@typeInfo(InnerType) == .int) {
+                    try writer.print("{d};\n", .{v});
+                } else if (InnerType == []const u8 or InnerType == []u8) {
+                    // Strings
+                    try writer.writeByte('"');
+                    for (v) |c| {
+                        switch (c) {
+                            '"' => try writer.writeAll("\\\""),
+                            '\\' => try writer.writeAll("\\\\"),
+                            else => try writer.writeByte(c),
+                        }
                     }
+                    try writer.writeAll("\";\n");
+                } else {
+                    // Arrays and structs, as JSON like below
+                    const json = try std.json.Stringify.valueAlloc(allocator, v, .{ .emit_null_optional_fields = false });
+                    defer allocator.free(json);
+                    try writer.print("{s};\n", .{json});
                 }
-                try writer.writeAll("\";\n");
             } else {
                 try writer.writeAll("NONE;\n");
             }
@@ -215,8 +227,11 @@ pub fn executeQueryWithVars(allocator: std.mem.Allocator, query_template: []cons
             try writer.writeAll(&value);
             try writer.writeAll("\";\n");
         } else {
-            // Unknown type - try to print as-is
-            try writer.print("{any};\n", .{value});
+            // Arrays, structs, floats: a JSON literal is valid SurrealQL.
+            // Null fields are left out, since option<T> fields only accept NONE.
+            const json = try std.json.Stringify.valueAlloc(allocator, value, .{ .emit_null_optional_fields = false });
+            defer allocator.free(json);
+            try writer.print("{s};\n", .{json});
         }
     }
     
@@ -3,6 +3,7 @@ const config = @import("../config/config.zig");
 const validation = @import("../util/validation.zig");
 const http_client = @import("http_client.zig");
 const models = @import("../domain/models.zig");
+const datetime = @import("../util/datetime.zig");
 
 // Database config struct (kept for compatibility)
 const DbConfig = struct {
@@ -52,6 +53,10 @@ pub fn initSchema(allocator: std.mem.Allocator) !void {
         \\DEFINE FIELD verification_token ON users TYPE option<string>;
         \\DEFINE FIELD reset_token ON users TYPE option<string>;
         \\DEFINE FIELD reset_expires ON users TYPE option<int>;
+        \\DEFINE FIELD reminder_lead_minutes ON users TYPE option<int>;
+        \\DEFINE FIELD new_task_position ON users TYPE option<string> ASSERT $value == NONE OR $value IN ["top", "bottom"];
+        \\DEFINE FIELD locale ON users TYPE option<string> ASSERT $value == NONE OR $value IN ["en", "ro"];
+        \\DEFINE FIELD timezone ON users TYPE option<string>;
         \\DEFINE INDEX email_idx ON users COLUMNS email UNIQUE;
     ;
 
@@ -66,6 +71,21 @@ pub fn initSchema(allocator: std.mem.Allocator) !void {
         \\DEFINE FIELD completed ON tasks TYPE bool DEFAULT false;
         \\DEFINE FIELD created_at ON tasks TYPE datetime DEFAULT time::now();
         \\DEFINE FIELD due_date ON tasks TYPE option<datetime> ASSERT $value == NONE OR $value >= created_at;
+        \\DEFINE FIELD deleted_at ON tasks TYPE option<datetime>;
+        \\DEFINE FIELD position ON tasks TYPE option<int>;
+        \\DEFINE FIELD subtasks ON tasks TYPE option<array<object>>;
+        \\DEFINE FIELD subtasks.*.id ON tasks TYPE string;
+        \\DEFINE FIELD subtasks.*.title ON tasks TYPE string;
+        \\DEFINE FIELD subtasks.*.completed ON tasks TYPE bool DEFAULT false;
+        \\DEFINE FIELD recurrence ON tasks TYPE option<object>;
+        \\DEFINE FIELD recurrence.freq ON tasks TYPE string ASSERT $value IN ["daily", "weekdays", "weekly", "monthly", "interval"];
+        \\DEFINE FIELD recurrence.days ON tasks TYPE option<array<int>>;
+        \\DEFINE FIELD recurrence.day_of_month ON tasks TYPE option<int>;
+        \\DEFINE FIELD recurrence.interval ON tasks TYPE option<int>;
+        \\DEFINE FIELD priority ON tasks TYPE option<string> ASSERT $value == NONE OR $value IN ["low", "medium", "high"];
+        \\DEFINE FIELD tags ON tasks TYPE option<array<string>>;
+        \\DEFINE FIELD list_id ON tasks TYPE option<string>;
+        \\DEFINE FIELD completed_by ON tasks TYPE option<string>;
     ;
 
     const tasks_result = try query(allocator, tasks_schema);
@@ -78,12 +98,57 @@ pub fn initSchema(allocator: std.mem.Allocator) !void {
         \\DEFINE FIELD user_id ON sessions TYPE string;
         \\DEFINE FIELD created_at ON sessions TYPE datetime DEFAULT time::now();
         \\DEFINE FIELD expires_at ON sessions TYPE datetime;
+        \\DEFINE FIELD refresh_token ON sessions TYPE option<string>;
+        \\DEFINE FIELD refresh_expires_at ON sessions TYPE option<datetime>;
+        \\DEFINE FIELD last_used_at ON sessions TYPE datetime DEFAULT time::now();
+        \\DEFINE FIELD ip ON sessions TYPE option<string>;
+        \\DEFINE FIELD user_agent ON sessions TYPE option<string>;
         \\DEFINE INDEX session_token_idx ON sessions COLUMNS token UNIQUE;
+        \\DEFINE INDEX session_refresh_idx ON sessions COLUMNS refresh_token;
+        \\DEFINE INDEX session_user_idx ON sessions COLUMNS user_id;
     ;
 
     const sessions_result = try query(allocator, sessions_schema);
     defer allocator.free(sessions_result);
 
+    // Colors picked in the tag manager; the record ID is [user_id, name]
+    const tag_colors_schema =
+        \\DEFINE TABLE tag_colors SCHEMAFULL;
+        \\DEFINE FIELD user_id ON tag_colors TYPE string;
+        \\DEFINE FIELD name ON tag_colors TYPE string;
+        \\DEFINE FIELD color ON tag_colors TYPE string;
+    ;
+
+    const tag_colors_result = try query(allocator, tag_colors_schema);
+    defer allocator.free(tag_colors_result);
+
+    // Task lists (projects); tasks point at one through list_id
+    const lists_schema =
+        \\DEFINE TABLE lists SCHEMAFULL;
+        \\DEFINE FIELD user_id ON lists TYPE string;
+        \\DEFINE FIELD name ON lists TYPE string;
+        \\DEFINE FIELD created_at ON lists TYPE datetime DEFAULT time::now();
+    ;
+
+    const lists_result = try query(allocator, lists_schema);
+    defer allocator.free(lists_result);
+
+    // People a list is shared with; a pending invitation only has the email
+    const list_members_schema =
+        \\DEFINE TABLE list_members SCHEMAFULL;
+        \\DEFINE FIELD list_id ON list_members TYPE string;
+        \\DEFINE FIELD email ON list_members TYPE string;
+        \\DEFINE FIELD user_id ON list_members TYPE option<string>;
+        \\DEFINE FIELD role ON list_members TYPE string ASSERT $value IN ["viewer", "editor"];
+        \\DEFINE FIELD status ON list_members TYPE string ASSERT $value IN ["pending", "accepted"];
+        \\DEFINE FIELD invited_by ON list_members TYPE string;
+        \\DEFINE FIELD created_at ON list_members TYPE datetime DEFAULT time::now();
+        \\DEFINE INDEX list_member_email_idx ON list_members COLUMNS list_id, email UNIQUE;
+    ;
+
+    const list_members_result = try query(allocator, list_members_schema);
+    defer allocator.free(list_members_result);
+
     std.debug.print("✅ SurrealDB schema initialized\n", .{});
 }
 
@@ -126,6 +191,27 @@ pub fn updateUserName(allocator: std.mem.Allocator, user_id: []const u8, name: [
     , .{ .record_id = user_id, .name = name });
 }
 
+/// Preferences to change; null fields keep their current value
+pub const UserPreferences = struct {
+    reminder_lead_minutes: ?i64 = null,
+    new_task_position: ?[]const u8 = null,
+    locale: ?[]const u8 = null,
+    timezone: ?[]const u8 = null,
+};
+
+pub fn updateUserPreferences(allocator: std.mem.Allocator, user_id: []const u8, prefs: UserPreferences) ![]u8 {
+    // Only overwrite the preferences that were sent
+    return queryWithVars(allocator,
+        \\UPDATE type::record($record_id) SET reminder_lead_minutes = $reminder_lead_minutes ?? reminder_lead_minutes, new_task_position = $new_task_position ?? new_task_position, locale = $locale ?? locale, timezone = $timezone ?? timezone;
+    , .{
+        .record_id = user_id,
+        .reminder_lead_minutes = prefs.reminder_lead_minutes,
+        .new_task_position = prefs.new_task_position,
+        .locale = prefs.locale,
+        .timezone = prefs.timezone,
+    });
+}
+
 pub fn updateUserPassword(allocator: std.mem.Allocator, user_id: []const u8, password_hash: []const u8) ![]u8 {
     return queryWithVars(allocator,
         \\UPDATE type::record($record_id) SET password_hash = $password_hash;
@@ -158,52 +244,349 @@ pub fn getUserByVerificationToken(allocator: std.mem.Allocator, token: []const u
 
 // ============== TASK OPERATIONS ==============
 
-pub fn createTask(allocator: std.mem.Allocator, user_id: []const u8, title: []const u8) ![]u8 {
+/// Optional fields set when a task is created
+pub const TaskFields = struct {
+    position: ?i64 = null,
+    subtasks: []const models.Subtask = &.{},
+    recurrence: ?models.Recurrence = null,
+    priority: ?[]const u8 = null,
+    tags: []const []const u8 = &.{},
+    list_id: ?[]const u8 = null,
+};
+
+pub fn createTask(allocator: std.mem.Allocator, user_id: []const u8, title: []const u8, fields: TaskFields) ![]u8 {
     return queryWithVars(allocator,
-        \\CREATE tasks SET user_id = $user_id, title = $title, completed = false, created_at = time::now();
-    , .{ .user_id = user_id, .title = title });
+        \\CREATE tasks SET user_id = $user_id, title = $title, completed = false, created_at = time::now(), position = $position, subtasks = $subtasks, recurrence = $recurrence, priority = $priority, tags = $tags, list_id = $list_id;
+    , .{
+        .user_id = user_id,
+        .title = title,
+        .position = fields.position,
+        .subtasks = fields.subtasks,
+        .recurrence = fields.recurrence,
+        .priority = fields.priority,
+        .tags = fields.tags,
+        .list_id = fields.list_id,
+    });
 }
 
-pub fn createTaskWithDueDate(allocator: std.mem.Allocator, user_id: []const u8, title: []const u8, due_date: []const u8) ![]u8 {
+pub fn createTaskWithDueDate(allocator: std.mem.Allocator, user_id: []const u8, title: []const u8, due_date: []const u8, fields: TaskFields) ![]u8 {
     // Ensure due_date has proper format (add :00Z if needed for SurrealDB)
-    // HTML datetime-local gives "2025-12-25T12:00" but SurrealDB needs "2025-12-25T12:00:00Z"
-    var formatted_date: []const u8 = due_date;
-    var needs_free = false;
-    
-    if (!std.mem.endsWith(u8, due_date, "Z")) {
-        if (std.mem.count(u8, due_date, ":") == 1) {
-            formatted_date = try std.fmt.allocPrint(allocator, "{s}:00Z", .{due_date});
-            needs_free = true;
-        } else {
-            formatted_date = try std.fmt.allocPrint(allocator, "{s}Z", .{due_date});
-            needs_free = true;
-        }
-    }
-    defer if (needs_free) allocator.free(formatted_date);
+    const formatted_date = try datetime.toSurrealDateTime(allocator, due_date);
+    defer allocator.free(formatted_date);
     
     return queryWithVars(allocator,
-        \\CREATE tasks SET user_id = $user_id, title = $title, completed = false, created_at = time::now(), due_date = <datetime>$due_date;
-    , .{ .user_id = user_id, .title = title, .due_date = formatted_date });
+        \\CREATE tasks SET user_id = $user_id, title = $title, completed = false, created_at = time::now(), due_date = <datetime>$due_date, position = $position, subtasks = $subtasks, recurrence = $recurrence, priority = $priority, tags = $tags, list_id = $list_id;
+    , .{
+        .user_id = user_id,
+        .title = title,
+        .due_date = formatted_date,
+        .position = fields.position,
+        .subtasks = fields.subtasks,
+        .recurrence = fields.recurrence,
+        .priority = fields.priority,
+        .tags = fields.tags,
+        .list_id = fields.list_id,
+    });
 }
 
+/// Create a task carrying client-side state (used when importing anonymous tasks)
+/// Keeps the original created_at when given, otherwise falls back to time::now()
+pub fn importTask(allocator: std.mem.Allocator, user_id: []const u8, title: []const u8, completed: bool, created_at: ?[]const u8, due_date: ?[]const u8, fields: TaskFields) ![]u8 {
+    const formatted_created: ?[]u8 = if (created_at) |ca| try datetime.toSurrealDateTime(allocator, ca) else null;
+    defer if (formatted_created) |fc| allocator.free(fc);
+    const formatted_due: ?[]u8 = if (due_date) |dd| try datetime.toSurrealDateTime(allocator, dd) else null;
+    defer if (formatted_due) |fd| allocator.free(fd);
+
+    return queryWithVars(allocator,
+        \\CREATE tasks SET user_id = $user_id, title = $title, completed = $completed, completed_by = IF $completed THEN $user_id END, created_at = IF $created_at THEN <datetime>$created_at ELSE time::now() END, due_date = IF $due_date THEN <datetime>$due_date END, position = $position, subtasks = $subtasks, recurrence = $recurrence, priority = $priority, tags = $tags, list_id = $list_id;
+    , .{
+        .user_id = user_id,
+        .title = title,
+        .completed = completed,
+        .created_at = formatted_created,
+        .due_date = formatted_due,
+        .position = fields.position,
+        .subtasks = fields.subtasks,
+        .recurrence = fields.recurrence,
+        .priority = fields.priority,
+        .tags = fields.tags,
+        .list_id = fields.list_id,
+    });
+}
+
+/// The user's tasks outside any list plus every task in a list they own or have accepted an
+/// invitation to. A task in a list goes with the list, as in getTaskAccess: once a member leaves,
+/// the tasks they created there are no longer theirs to see.
 pub fn getTasksByUser(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
     return queryWithVars(allocator,
-        \\SELECT * FROM tasks WHERE user_id = $user_id;
+        \\LET $lists = array::union((SELECT VALUE type::string(id) FROM lists WHERE user_id = $user_id), (SELECT VALUE list_id FROM list_members WHERE user_id = $user_id AND status = "accepted"));
+        \\SELECT * FROM tasks WHERE ((list_id = NONE AND user_id = $user_id) OR list_id IN $lists) AND deleted_at = NONE;
+    , .{ .user_id = user_id });
+}
+
+/// One page of getTasksByUser, in record ID order: the tasks after the cursor task (or from the start)
+/// Asks for limit + 1 rows so the caller can tell whether another page follows
+pub fn getTaskPageByUser(allocator: std.mem.Allocator, user_id: []const u8, cursor: ?[]const u8, limit: usize) ![]u8 {
+    const lists =
+        \\LET $lists = array::union((SELECT VALUE type::string(id) FROM lists WHERE user_id = $user_id), (SELECT VALUE list_id FROM list_members WHERE user_id = $user_id AND status = "accepted"));
+    ;
+    if (cursor) |after| {
+        return queryWithVars(allocator, lists ++
+            \\SELECT * FROM tasks WHERE ((list_id = NONE AND user_id = $user_id) OR list_id IN $lists) AND deleted_at = NONE AND id > type::record($cursor) ORDER BY id LIMIT $limit;
+        , .{ .user_id = user_id, .cursor = after, .limit = limit + 1 });
+    }
+    return queryWithVars(allocator, lists ++
+        \\SELECT * FROM tasks WHERE ((list_id = NONE AND user_id = $user_id) OR list_id IN $lists) AND deleted_at = NONE ORDER BY id LIMIT $limit;
+    , .{ .user_id = user_id, .limit = limit + 1 });
+}
+
+/// Tasks in the trash (from the same lists as getTasksByUser), most recently deleted first
+pub fn getDeletedTasksByUser(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\LET $lists = array::union((SELECT VALUE type::string(id) FROM lists WHERE user_id = $user_id), (SELECT VALUE list_id FROM list_members WHERE user_id = $user_id AND status = "accepted"));
+        \\SELECT * FROM tasks WHERE ((list_id = NONE AND user_id = $user_id) OR list_id IN $lists) AND deleted_at != NONE ORDER BY deleted_at DESC;
     , .{ .user_id = user_id });
 }
 
-pub fn toggleTask(allocator: std.mem.Allocator, task_id: []const u8) ![]u8 {
+/// completed_by is set before completed flips, so it sees the old value
+pub fn toggleTask(allocator: std.mem.Allocator, task_id: []const u8, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPDATE type::record($record_id) SET completed_by = IF completed THEN NONE ELSE $user_id END, completed = !completed;
+    , .{ .record_id = task_id, .user_id = user_id });
+}
+
+/// Partial update: null fields keep their current value, the clear_* flags remove one
+pub const TaskChanges = struct {
+    title: ?[]const u8 = null,
+    completed: ?bool = null,
+    due_date: ?[]const u8 = null,
+    clear_due_date: bool = false, // Takes precedence over due_date
+    subtasks: ?[]const models.Subtask = null, // Replaces the whole checklist
+    recurrence: ?models.Recurrence = null,
+    clear_recurrence: bool = false,
+    priority: ?[]const u8 = null,
+    clear_priority: bool = false,
+    tags: ?[]const []const u8 = null, // Replaces every tag
+    list_id: ?[]const u8 = null,
+    clear_list: bool = false, // Moves the task to the Inbox
+    completed_by: ?[]const u8 = null, // Recorded when completed is true, cleared when it is false
+};
+
+pub fn updateTask(allocator: std.mem.Allocator, task_id: []const u8, changes: TaskChanges) ![]u8 {
+    const formatted_due: ?[]u8 = if (changes.due_date) |dd| try datetime.toSurrealDateTime(allocator, dd) else null;
+    defer if (formatted_due) |fd| allocator.free(fd);
+
+    return queryWithVars(allocator,
+        \\UPDATE type::record($record_id) SET title = $title ?? title, completed = $completed ?? completed, due_date = IF $clear_due_date THEN NONE ELSE IF $due_date THEN <datetime>$due_date ELSE due_date END, subtasks = $subtasks ?? subtasks, recurrence = IF $clear_recurrence THEN NONE ELSE $recurrence ?? recurrence END, priority = IF $clear_priority THEN NONE ELSE $priority ?? priority END, tags = $tags ?? tags, list_id = IF $clear_list THEN NONE ELSE $list_id ?? list_id END, completed_by = IF $completed = true THEN $completed_by ELSE IF $completed = false THEN NONE ELSE completed_by END;
+    , .{
+        .record_id = task_id,
+        .title = changes.title,
+        .completed = changes.completed,
+        .due_date = formatted_due,
+        .clear_due_date = changes.clear_due_date,
+        .subtasks = changes.subtasks,
+        .recurrence = changes.recurrence,
+        .clear_recurrence = changes.clear_recurrence,
+        .priority = changes.priority,
+        .clear_priority = changes.clear_priority,
+        .tags = changes.tags,
+        .list_id = changes.list_id,
+        .clear_list = changes.clear_list,
+        .completed_by = changes.completed_by,
+    });
+}
+
+/// Create the next occurrence of a recurring task that was completed and stop the completed one
+/// repeating, in one transaction: both happen or neither does. Results: the new task, then the
+/// completed one.
+pub fn rollOverTask(allocator: std.mem.Allocator, task_id: []const u8, user_id: []const u8, title: []const u8, due_date: []const u8, fields: TaskFields) ![]u8 {
+    const formatted_date = try datetime.toSurrealDateTime(allocator, due_date);
+    defer allocator.free(formatted_date);
+
+    return queryWithVars(allocator,
+        \\BEGIN TRANSACTION;
+        \\CREATE tasks SET user_id = $user_id, title = $title, completed = false, created_at = time::now(), due_date = <datetime>$due_date, position = $position, subtasks = $subtasks, recurrence = $recurrence, priority = $priority, tags = $tags, list_id = $list_id;
+        \\UPDATE type::record($record_id) SET recurrence = NONE;
+        \\COMMIT TRANSACTION;
+    , .{
+        .record_id = task_id,
+        .user_id = user_id,
+        .title = title,
+        .due_date = formatted_date,
+        .position = fields.position,
+        .subtasks = fields.subtasks,
+        .recurrence = fields.recurrence,
+        .priority = fields.priority,
+        .tags = fields.tags,
+        .list_id = fields.list_id,
+    });
+}
+
+/// Store the manual order in one query: the i-th ID gets position i.
+/// The user_id guard turns IDs that belong to someone else into no-ops.
+pub fn reorderTasks(allocator: std.mem.Allocator, user_id: []const u8, ids: []const []const u8) ![]u8 {
+    const TaskPosition = struct {
+        id: []const u8,
+        position: i64,
+    };
+
+    const items = try allocator.alloc(TaskPosition, ids.len);
+    defer allocator.free(items);
+    for (ids, 0..) |id, i| {
+        items[i] = .{ .id = id, .position = @intCast(i) };
+    }
+
+    return queryWithVars(allocator,
+        \\FOR $item IN $items { UPDATE type::record($item.id) SET position = $item.position WHERE user_id = $user_id; };
+    , .{ .user_id = user_id, .items = items });
+}
+
+/// Move a task to the trash; it stays restorable until purgeExpiredTrash removes it
+pub fn softDeleteTask(allocator: std.mem.Allocator, task_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPDATE type::record($record_id) SET deleted_at = time::now();
+    , .{ .record_id = task_id });
+}
+
+pub fn restoreTask(allocator: std.mem.Allocator, task_id: []const u8) ![]u8 {
     return queryWithVars(allocator,
-        \\UPDATE type::record($record_id) SET completed = !completed;
+        \\UPDATE type::record($record_id) SET deleted_at = NONE;
     , .{ .record_id = task_id });
 }
 
+/// Permanently remove a user's tasks that have been in the trash longer than the retention period
+pub fn purgeExpiredTrash(allocator: std.mem.Allocator, user_id: []const u8) !void {
+    const result = try queryWithVars(allocator,
+        \\DELETE tasks WHERE user_id = $user_id AND deleted_at != NONE AND deleted_at < time::now() - duration::from::days($retention_days);
+    , .{ .user_id = user_id, .retention_days = models.TRASH_RETENTION_DAYS });
+    allocator.free(result);
+}
+
+/// Permanent delete (used for tasks in the trash)
 pub fn deleteTask(allocator: std.mem.Allocator, task_id: []const u8) ![]u8 {
     return queryWithVars(allocator,
         \\DELETE type::record($record_id);
     , .{ .record_id = task_id });
 }
 
+// ============== TAG OPERATIONS ==============
+
+/// The tags of every task not in the trash (counted per tag by the handler)
+pub fn getTaskTags(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\SELECT tags FROM tasks WHERE user_id = $user_id AND deleted_at = NONE;
+    , .{ .user_id = user_id });
+}
+
+pub fn getTagColors(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\SELECT name, color FROM tag_colors WHERE user_id = $user_id;
+    , .{ .user_id = user_id });
+}
+
+pub fn setTagColor(allocator: std.mem.Allocator, user_id: []const u8, name: []const u8, color: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPSERT type::thing("tag_colors", [$user_id, $name]) SET user_id = $user_id, name = $name, color = $color;
+    , .{ .user_id = user_id, .name = name, .color = color });
+}
+
+/// Rename a tag on all of the user's tasks, trash included. Renaming onto a tag that
+/// already exists merges the two; the merged tag keeps its own color if it has one.
+pub fn renameTag(allocator: std.mem.Allocator, user_id: []const u8, from: []const u8, to: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPDATE tasks SET tags = array::union(array::complement(tags, [$from]), [$to]) WHERE user_id = $user_id AND tags CONTAINS $from;
+        \\LET $old_color = (type::thing("tag_colors", [$user_id, $from])).color;
+        \\IF $old_color != NONE AND (type::thing("tag_colors", [$user_id, $to])).color == NONE {
+        \\    UPSERT type::thing("tag_colors", [$user_id, $to]) SET user_id = $user_id, name = $to, color = $old_color;
+        \\};
+        \\DELETE type::thing("tag_colors", [$user_id, $from]);
+    , .{ .user_id = user_id, .from = from, .to = to });
+}
+
+// ============== LIST OPERATIONS ==============
+
+pub fn createList(allocator: std.mem.Allocator, user_id: []const u8, name: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\CREATE lists SET user_id = $user_id, name = $name, created_at = time::now();
+    , .{ .user_id = user_id, .name = name });
+}
+
+pub fn getListsByUser(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\SELECT * FROM lists WHERE user_id = $user_id ORDER BY created_at ASC;
+    , .{ .user_id = user_id });
+}
+
+pub fn renameList(allocator: std.mem.Allocator, list_id: []const u8, name: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPDATE type::record($record_id) SET name = $name;
+    , .{ .record_id = list_id, .name = name });
+}
+
+/// Delete a list and its memberships. Its tasks (trash included) move to their creators' Inboxes.
+pub fn deleteList(allocator: std.mem.Allocator, list_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPDATE tasks SET list_id = NONE WHERE list_id = $list_id;
+        \\DELETE list_members WHERE list_id = $list_id;
+        \\DELETE type::record($list_id);
+    , .{ .list_id = list_id });
+}
+
+// ============== SHARING OPERATIONS ==============
+
+/// Lists owned by someone else that the user accepted an invitation to, oldest first
+pub fn getSharedListsByUser(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\LET $ids = (SELECT VALUE list_id FROM list_members WHERE user_id = $user_id AND status = "accepted");
+        \\SELECT *, type::record(user_id).name AS owner_name FROM lists WHERE type::string(id) IN $ids ORDER BY created_at ASC;
+    , .{ .user_id = user_id });
+}
+
+/// Members (pending ones included) of all the given lists, oldest invitation first
+pub fn getListMembers(allocator: std.mem.Allocator, list_ids: []const []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\SELECT *, IF user_id THEN type::record(user_id).name END AS name FROM list_members WHERE list_id IN $list_ids ORDER BY created_at ASC;
+    , .{ .list_ids = list_ids });
+}
+
+pub fn getListMember(allocator: std.mem.Allocator, member_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\SELECT * FROM type::record($record_id);
+    , .{ .record_id = member_id });
+}
+
+pub fn createInvitation(allocator: std.mem.Allocator, list_id: []const u8, email: []const u8, role: []const u8, invited_by: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\CREATE list_members SET list_id = $list_id, email = $email, role = $role, status = "pending", invited_by = $invited_by, created_at = time::now();
+    , .{ .list_id = list_id, .email = email, .role = role, .invited_by = invited_by });
+}
+
+/// Pending invitations sent to an email address (compared case-insensitively), newest first
+pub fn getInvitationsForEmail(allocator: std.mem.Allocator, email: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\SELECT *, type::record(list_id).name AS list_name, type::record(invited_by).name AS invited_by_name FROM list_members WHERE string::lowercase(email) = string::lowercase($email) AND status = "pending" ORDER BY created_at DESC;
+    , .{ .email = email });
+}
+
+pub fn acceptInvitation(allocator: std.mem.Allocator, member_id: []const u8, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPDATE type::record($record_id) SET status = "accepted", user_id = $user_id;
+    , .{ .record_id = member_id, .user_id = user_id });
+}
+
+pub fn updateMemberRole(allocator: std.mem.Allocator, member_id: []const u8, role: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\UPDATE type::record($record_id) SET role = $role;
+    , .{ .record_id = member_id, .role = role });
+}
+
+/// Declining an invitation, leaving a list and removing someone from it all delete the membership
+pub fn deleteListMember(allocator: std.mem.Allocator, member_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\DELETE type::record($record_id);
+    , .{ .record_id = member_id });
+}
+
 // ============== TASK OWNERSHIP ==============
 
 pub fn getTaskOwner(allocator: std.mem.Allocator, task_id: []const u8) !?[]const u8 {
@@ -235,6 +618,78 @@ pub fn verifyTaskOwnership(allocator: std.mem.Allocator, task_id: []const u8, us
     return false; // Task doesn't exist or has no owner
 }
 
+/// Ownership extended to shared lists: a task in a list gets the user's access to that list
+/// (so a member who leaves loses their own tasks there too), any other task is its creator's.
+pub fn getTaskAccess(allocator: std.mem.Allocator, task_id: []const u8, user_id: []const u8) !models.Access {
+    if (!std.mem.startsWith(u8, task_id, "tasks:")) return .none;
+
+    const result = try queryWithVars(allocator,
+        \\SELECT user_id, list_id FROM type::record($record_id);
+    , .{ .record_id = task_id });
+    defer allocator.free(result);
+
+    const TaskPlace = struct {
+        user_id: []const u8,
+        list_id: ?[]const u8 = null,
+    };
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(TaskPlace), allocator, result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) return .none;
+    const task = parsed.value[0].result[0];
+
+    if (task.list_id) |list_id| return getListAccess(allocator, list_id, user_id);
+    return if (std.mem.eql(u8, task.user_id, user_id)) .owner else .none;
+}
+
+/// Also checks that the record is a list, so a task ID can't be passed off as a list_id
+pub fn getListAccess(allocator: std.mem.Allocator, list_id: []const u8, user_id: []const u8) !models.Access {
+    if (!std.mem.startsWith(u8, list_id, "lists:")) return .none;
+
+    const result = try queryWithVars(allocator,
+        \\SELECT user_id, (SELECT VALUE role FROM list_members WHERE list_id = $list_id AND user_id = $user_id AND status = "accepted")[0] AS member_role FROM type::record($list_id);
+    , .{ .list_id = list_id, .user_id = user_id });
+    defer allocator.free(result);
+
+    const ListRole = struct {
+        user_id: []const u8,
+        member_role: ?[]const u8 = null,
+    };
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(ListRole), allocator, result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) return .none;
+    const list = parsed.value[0].result[0];
+
+    if (std.mem.eql(u8, list.user_id, user_id)) return .owner;
+    const role = list.member_role orelse return .none;
+    return std.meta.stringToEnum(models.Access, role) orelse .none;
+}
+
+/// Users who see a task: everyone in its list (owner and accepted members), or just its creator.
+/// Owned by the caller's allocator.
+pub fn getTaskAudience(allocator: std.mem.Allocator, task_id: []const u8) ![]const []const u8 {
+    const result = try queryWithVars(allocator,
+        \\LET $task = (SELECT user_id, list_id FROM type::record($record_id))[0];
+        \\LET $owner = IF $task.list_id THEN (SELECT VALUE user_id FROM type::record($task.list_id))[0] END;
+        \\LET $members = IF $task.list_id THEN (SELECT VALUE user_id FROM list_members WHERE list_id = $task.list_id AND status = "accepted") ELSE [] END;
+        \\RETURN array::complement(array::union(IF $task.list_id THEN [$owner] ELSE [$task.user_id] END, $members), [NONE]);
+    , .{ .record_id = task_id });
+    defer allocator.free(result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse([]const u8), allocator, result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0) return &.{};
+    const ids = try allocator.alloc([]const u8, parsed.value[0].result.len);
+    for (parsed.value[0].result, 0..) |id, i| {
+        ids[i] = try allocator.dupe(u8, id);
+    }
+    return ids;
+}
+
 // ============== SESSION MANAGEMENT ==============
 // Secure token-based authentication stored in database
 
@@ -254,27 +709,60 @@ pub fn generateSecureToken() [64]u8 {
     return hex_token;
 }
 
-/// Create a new session for a user, returns the session token
-/// Session expires in 7 days by default
-pub fn createSession(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+/// Where a session was started or last refreshed, shown in the sessions list
+pub const SessionClient = struct {
+    ip: ?[]const u8 = null,
+    user_agent: ?[]const u8 = null,
+};
+
+/// An access token and the refresh token that replaces it (caller must free both)
+pub const SessionTokens = struct {
+    token: []u8,
+    refresh_token: []u8,
+
+    pub fn deinit(self: SessionTokens, allocator: std.mem.Allocator) void {
+        allocator.free(self.token);
+        allocator.free(self.refresh_token);
+    }
+};
+
+fn newSessionTokens(allocator: std.mem.Allocator) !SessionTokens {
     const token = generateSecureToken();
-    
-    // Calculate expiration (7 days from now in milliseconds)
-    const expires_ms = std.time.milliTimestamp() + (7 * 24 * 60 * 60 * 1000);
-    
+    const refresh_token = generateSecureToken();
+    const owned_token = try allocator.dupe(u8, &token);
+    errdefer allocator.free(owned_token);
+    return .{ .token = owned_token, .refresh_token = try allocator.dupe(u8, &refresh_token) };
+}
+
+/// Create a new session for a user
+/// The access token expires after models.ACCESS_TOKEN_TTL_S, the session after models.SESSION_TTL_S
+pub fn createSession(allocator: std.mem.Allocator, user_id: []const u8, client: SessionClient) !SessionTokens {
+    const tokens = try newSessionTokens(allocator);
+    errdefer tokens.deinit(allocator);
+
+    const now = std.time.milliTimestamp();
     const result = try queryWithVars(allocator,
-        \\CREATE sessions SET token = $session_token, user_id = $user_id, expires_at = time::from::millis($expires_ms);
-    , .{ .session_token = token, .user_id = user_id, .expires_ms = expires_ms });
-    defer allocator.free(result);
-    
-    // Return a copy of the token
-    return try allocator.dupe(u8, &token);
+        \\CREATE sessions SET token = $session_token, refresh_token = $refresh_token, user_id = $user_id, expires_at = time::from::millis($expires_ms), refresh_expires_at = time::from::millis($refresh_expires_ms), ip = $ip, user_agent = $user_agent;
+    , .{
+        .session_token = tokens.token,
+        .refresh_token = tokens.refresh_token,
+        .user_id = user_id,
+        .expires_ms = now + models.ACCESS_TOKEN_TTL_S * 1000,
+        .refresh_expires_ms = now + models.SESSION_TTL_S * 1000,
+        .ip = client.ip,
+        .user_agent = client.user_agent,
+    });
+    allocator.free(result);
+
+    return tokens;
 }
 
 /// Validate a session token and return the user_id if valid
 /// Returns null if token is invalid or expired
 pub fn validateSession(allocator: std.mem.Allocator, token: []const u8) !?[]u8 {
+    // last_used_at is only written once a minute, not on every request
     const result = try queryWithVars(allocator,
+        \\UPDATE sessions SET last_used_at = time::now() WHERE token = $session_token AND (last_used_at ?? created_at) < time::now() - 1m;
         \\SELECT user_id, time::unix(expires_at) * 1000 as expires_ms FROM sessions WHERE token = $session_token;
     , .{ .session_token = token });
     defer allocator.free(result);
@@ -302,12 +790,87 @@ pub fn validateSession(allocator: std.mem.Allocator, token: []const u8) !?[]u8 {
     return try allocator.dupe(u8, session.user_id);
 }
 
-/// Delete a specific session (logout)
-pub fn deleteSession(allocator: std.mem.Allocator, token: []const u8) !void {
+/// The record ID of the session with this access token; it stays the same across refreshes
+pub fn getSessionId(allocator: std.mem.Allocator, token: []const u8) !?[]u8 {
     const result = try queryWithVars(allocator,
-        \\DELETE FROM sessions WHERE token = $session_token;
+        \\SELECT id FROM sessions WHERE token = $session_token;
     , .{ .session_token = token });
-    allocator.free(result);
+    defer allocator.free(result);
+    return firstSessionId(allocator, result);
+}
+
+/// The ID of the first session a query returned, if any
+fn firstSessionId(allocator: std.mem.Allocator, result: []const u8) !?[]u8 {
+    const SessionRecord = struct { id: []const u8 };
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(SessionRecord), allocator, result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) return null;
+    return try allocator.dupe(u8, parsed.value[0].result[0].id);
+}
+
+/// Trade a refresh token for new tokens; the old pair stops working (rotation)
+/// Returns null if the refresh token is unknown, already used, or its session expired
+pub fn refreshSession(allocator: std.mem.Allocator, refresh_token: []const u8, client: SessionClient) !?SessionTokens {
+    const tokens = try newSessionTokens(allocator);
+    errdefer tokens.deinit(allocator);
+
+    const now = std.time.milliTimestamp();
+    const result = try queryWithVars(allocator,
+        \\UPDATE sessions SET token = $session_token, refresh_token = $new_refresh_token, expires_at = time::from::millis($expires_ms), refresh_expires_at = time::from::millis($refresh_expires_ms), last_used_at = time::now(), ip = $ip ?? ip, user_agent = $user_agent ?? user_agent WHERE refresh_token = $refresh_token AND refresh_expires_at > time::now() RETURN user_id;
+    , .{
+        .session_token = tokens.token,
+        .new_refresh_token = tokens.refresh_token,
+        .refresh_token = refresh_token,
+        .expires_ms = now + models.ACCESS_TOKEN_TTL_S * 1000,
+        .refresh_expires_ms = now + models.SESSION_TTL_S * 1000,
+        .ip = client.ip,
+        .user_agent = client.user_agent,
+    });
+    defer allocator.free(result);
+
+    const Refreshed = struct { user_id: []const u8 };
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(Refreshed), allocator, result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        tokens.deinit(allocator);
+        return null;
+    }
+    return tokens;
+}
+
+/// A user's sessions that can still be used or refreshed, most recently used first
+pub fn getUserSessions(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\SELECT id, token, user_id, created_at, expires_at, last_used_at ?? created_at AS last_used_at, ip, user_agent FROM sessions WHERE user_id = $user_id AND (refresh_expires_at ?? expires_at) > time::now() ORDER BY last_used_at DESC;
+    , .{ .user_id = user_id });
+}
+
+/// Delete a specific session (logout); returns its ID, or null if there was none
+pub fn deleteSession(allocator: std.mem.Allocator, token: []const u8) !?[]u8 {
+    const result = try queryWithVars(allocator,
+        \\DELETE FROM sessions WHERE token = $session_token RETURN BEFORE;
+    , .{ .session_token = token });
+    defer allocator.free(result);
+    return firstSessionId(allocator, result);
+}
+
+/// Delete the session a refresh token belongs to (logout once the access token expired);
+/// returns its ID, or null if there was none
+pub fn deleteSessionByRefreshToken(allocator: std.mem.Allocator, refresh_token: []const u8) !?[]u8 {
+    const result = try queryWithVars(allocator,
+        \\DELETE FROM sessions WHERE refresh_token = $refresh_token RETURN BEFORE;
+    , .{ .refresh_token = refresh_token });
+    defer allocator.free(result);
+    return firstSessionId(allocator, result);
+}
+
+/// Revoke one of the user's sessions; the result is empty when it isn't theirs
+pub fn deleteSessionById(allocator: std.mem.Allocator, session_id: []const u8, user_id: []const u8) ![]u8 {
+    return queryWithVars(allocator,
+        \\DELETE type::record($session_id) WHERE user_id = $user_id RETURN BEFORE;
+    , .{ .session_id = session_id, .user_id = user_id });
 }
 
 /// Delete all sessions for a user (logout all devices)
@@ -318,11 +881,19 @@ pub fn deleteUserSessions(allocator: std.mem.Allocator, user_id: []const u8) !vo
     allocator.free(result);
 }
 
+/// Delete every session of the user except the one with this access token ("log out other devices")
+pub fn deleteOtherSessions(allocator: std.mem.Allocator, user_id: []const u8, keep_token: []const u8) !void {
+    const result = try queryWithVars(allocator,
+        \\DELETE FROM sessions WHERE user_id = $user_id AND token != $session_token;
+    , .{ .user_id = user_id, .session_token = keep_token });
+    allocator.free(result);
+}
+
 /// Cleanup expired sessions (should be called periodically)
 pub fn cleanupExpiredSessions(allocator: std.mem.Allocator) !void {
     const current_ms = std.time.milliTimestamp();
     const result = try queryWithVars(allocator,
-        \\DELETE FROM sessions WHERE expires_at < time::from::millis($current_ms);
+        \\DELETE FROM sessions WHERE (refresh_expires_at ?? expires_at) < time::from::millis($current_ms);
     , .{ .current_ms = current_ms });
     allocator.free(result);
 }
@@ -17,6 +17,10 @@ pub const User = struct {
     verification_expires: ?i64 = null,
     reset_token: ?[]const u8 = null,
     reset_expires: ?i64 = null,
+    reminder_lead_minutes: ?i64 = null,
+    new_task_position: ?[]const u8 = null,
+    locale: ?[]const u8 = null,
+    timezone: ?[]const u8 = null,
 };
 
 pub const Task = struct {
@@ -26,12 +30,98 @@ pub const Task = struct {
     completed: bool = false,
     created_at: []const u8, // SurrealDB returns datetime as string in JSON
     due_date: ?[]const u8 = null,
+    deleted_at: ?[]const u8 = null, // Set while the task is in the trash
+    position: ?i64 = null, // Manual order; tasks without one follow, in creation order
+    subtasks: []const Subtask = &.{},
+    recurrence: ?Recurrence = null, // Set on the open occurrence; completing it creates the next one
+    priority: ?[]const u8 = null, // "low" | "medium" | "high"; none when unset
+    tags: []const []const u8 = &.{},
+    list_id: ?[]const u8 = null, // None: the task is in the Inbox
+    completed_by: ?[]const u8 = null, // User who last completed it; none while open
 };
 
+/// One step of a task's checklist. The client picks the id, so steps can be added offline.
+pub const Subtask = struct {
+    id: []const u8,
+    title: []const u8,
+    completed: bool = false,
+};
+
+/// Most checklist steps a single task can hold
+pub const MAX_SUBTASKS: usize = 100;
+
+/// How a task repeats. Only the field that goes with freq is set.
+pub const Recurrence = struct {
+    freq: []const u8, // "daily" | "weekdays" | "weekly" | "monthly" | "interval"
+    days: ?[]const i64 = null, // weekly: 0 = Sunday ... 6 = Saturday
+    day_of_month: ?i64 = null, // monthly: 1-31, the last day in shorter months
+    interval: ?i64 = null, // interval: every N days
+};
+
+/// Most tags a single task can carry
+pub const MAX_TAGS_PER_TASK: usize = 20;
+
+/// A named list (project) of tasks. The Inbox is not stored: it holds the tasks without a list.
+pub const TaskList = struct {
+    id: []const u8,
+    user_id: []const u8, // The owner
+    name: []const u8,
+    created_at: []const u8,
+    owner_name: ?[]const u8 = null, // Joined from users for lists shared with someone else
+};
+
+/// Most lists one user can have, besides the Inbox
+pub const MAX_LISTS: usize = 100;
+
+/// What a user may do with a list and the tasks in it.
+/// Tasks outside any list are only ever reachable by their creator, who owns them.
+pub const Access = enum {
+    none,
+    viewer,
+    editor,
+    owner, // Also renames, deletes and shares the list
+
+    pub fn canEdit(self: Access) bool {
+        return self == .editor or self == .owner;
+    }
+};
+
+/// Someone a list is shared with. Invitations go out by email; user_id is set on accepting.
+pub const ListMember = struct {
+    id: []const u8,
+    list_id: []const u8,
+    email: []const u8,
+    user_id: ?[]const u8 = null,
+    role: []const u8, // "viewer" | "editor"
+    status: []const u8, // "pending" | "accepted"
+    invited_by: []const u8,
+    created_at: []const u8,
+    name: ?[]const u8 = null, // Joined from users once accepted
+    list_name: ?[]const u8 = null, // Joined from lists for the invitee
+    invited_by_name: ?[]const u8 = null, // Joined from users for the invitee
+};
+
+/// Most people (pending invitations included) one list can be shared with
+pub const MAX_LIST_MEMBERS: usize = 50;
+
+/// Days a deleted task stays restorable before it is purged
+pub const TRASH_RETENTION_DAYS: i64 = 30;
+
+/// Seconds an access token works; the client trades its refresh token for a new one before then
+pub const ACCESS_TOKEN_TTL_S: i64 = 15 * 60;
+
+/// Seconds a session lasts without being refreshed (each refresh starts the count again)
+pub const SESSION_TTL_S: i64 = 30 * 24 * 60 * 60;
+
 pub const Session = struct {
-    token: []const u8,
+    id: []const u8,
+    token: []const u8, // Access token
     user_id: []const u8,
-    expires_at: []const u8,
+    created_at: []const u8,
+    expires_at: []const u8, // When the access token stops working
+    last_used_at: ?[]const u8 = null,
+    ip: ?[]const u8 = null,
+    user_agent: ?[]const u8 = null,
 };
 
 // ==========================================
@@ -53,14 +143,48 @@ pub const SignupRequest = struct {
 
 pub const AuthResponse = struct {
     token: []const u8,
+    refresh_token: []const u8,
+    expires_in: i64 = ACCESS_TOKEN_TTL_S, // Seconds until token expires
     user: UserProfile,
 };
 
+pub const RefreshRequest = struct {
+    refresh_token: ?[]const u8 = null, // Browsers send the refresh_token cookie instead
+};
+
+pub const RefreshResponse = struct {
+    token: []const u8,
+    refresh_token: []const u8,
+    expires_in: i64 = ACCESS_TOKEN_TTL_S,
+};
+
+pub const SessionResponse = struct {
+    id: []const u8,
+    device: []const u8, // "Firefox on Windows"
+    ip: ?[]const u8,
+    created_at: []const u8,
+    last_used_at: []const u8,
+    current: bool, // The session making the request
+};
+
+/// Minutes before due_date that reminders fire, for users who never changed it
+pub const DEFAULT_REMINDER_LEAD_MINUTES: i64 = 15;
+
+/// Where tasks added from the form land in the manual order ("top" or "bottom")
+pub const DEFAULT_NEW_TASK_POSITION = "bottom";
+
+/// UI language for users who never picked one ("en" or "ro")
+pub const DEFAULT_LOCALE = "en";
+
 pub const UserProfile = struct {
     id: []const u8,
     email: []const u8,
     name: []const u8,
     email_verified: bool = false,
+    reminder_lead_minutes: i64 = DEFAULT_REMINDER_LEAD_MINUTES,
+    new_task_position: []const u8 = DEFAULT_NEW_TASK_POSITION,
+    locale: []const u8 = DEFAULT_LOCALE,
+    timezone: ?[]const u8 = null, // IANA name ("Europe/Bucharest"); null means the browser's own
 };
 
 pub const UpdateProfileRequest = struct {
@@ -68,6 +192,13 @@ pub const UpdateProfileRequest = struct {
     // avatar: ?[]const u8 = null, // Not implemented in DB yet fully?
 };
 
+pub const UpdatePreferencesRequest = struct {
+    reminder_lead_minutes: ?i64 = null,
+    new_task_position: ?[]const u8 = null,
+    locale: ?[]const u8 = null,
+    timezone: ?[]const u8 = null,
+};
+
 pub const ChangePasswordRequest = struct {
     old_password: []const u8,
     new_password: []const u8,
@@ -78,6 +209,12 @@ pub const ChangePasswordRequest = struct {
 pub const CreateTaskRequest = struct {
     title: []const u8,
     due_date: ?[]const u8 = null,
+    position: ?i64 = null, // Omitted: the task goes after every ordered task
+    subtasks: []const Subtask = &.{},
+    recurrence: ?Recurrence = null,
+    priority: ?[]const u8 = null,
+    tags: []const []const u8 = &.{},
+    list_id: ?[]const u8 = null, // Omitted: the Inbox
 };
 
 pub const TaskResponse = struct {
@@ -86,6 +223,165 @@ pub const TaskResponse = struct {
     completed: bool,
     created_at: []const u8,
     due_date: ?[]const u8 = null,
+    deleted_at: ?[]const u8 = null,
+    position: ?i64 = null,
+    subtasks: []const Subtask = &.{},
+    recurrence: ?Recurrence = null,
+    priority: ?[]const u8 = null,
+    tags: []const []const u8 = &.{},
+    list_id: ?[]const u8 = null,
+    created_by: ?[]const u8 = null, // User IDs, shown on tasks in shared lists
+    completed_by: ?[]const u8 = null,
+    next_occurrence: ?*const TaskResponse = null, // Set when the write completed a recurring task: the occurrence created in its place
+};
+
+// GET /api/tasks?limit=N[&cursor=...]: pass next_cursor back as cursor for the following page
+pub const TaskPage = struct {
+    tasks: []const TaskResponse,
+    next_cursor: ?[]const u8 = null, // null on the last page
+};
+
+// A task created anonymously in the browser (localStorage), sent on login/signup
+pub const ImportTaskItem = struct {
+    title: []const u8,
+    completed: bool = false,
+    created_at: ?[]const u8 = null,
+    due_date: ?[]const u8 = null,
+    position: ?i64 = null,
+    subtasks: []const Subtask = &.{},
+    recurrence: ?Recurrence = null,
+    priority: ?[]const u8 = null,
+    tags: []const []const u8 = &.{},
+    list_id: ?[]const u8 = null, // One of the request's lists[].id
+};
+
+// An anonymous list, identified by the browser's own ID
+pub const ImportListItem = struct {
+    id: []const u8,
+    name: []const u8,
+};
+
+pub const ImportTasksRequest = struct {
+    tasks: []ImportTaskItem,
+    lists: []ImportListItem = &.{},
+};
+
+pub const ImportFailure = struct {
+    index: usize, // Position in the request's tasks array
+    title: []const u8,
+    @"error": []const u8,
+};
+
+pub const ImportTasksResponse = struct {
+    lists: []ListResponse, // The request's lists, created or matched by name to existing ones
+    imported: []TaskResponse,
+    skipped: usize, // Duplicates (same title and due date) already in the account
+    failed: []ImportFailure,
+};
+
+pub const BatchAction = enum {
+    complete,
+    uncomplete,
+    set_due_date,
+    delete,
+    restore,
+    move,
+};
+
+// One action applied to many tasks; for set_due_date a null due_date clears it,
+// for move a null list_id moves the tasks to the Inbox
+pub const BatchTasksRequest = struct {
+    action: []const u8,
+    ids: [][]const u8,
+    due_date: ?[]const u8 = null,
+    list_id: ?[]const u8 = null,
+};
+
+// The full manual order of the active list; task i gets position i
+pub const ReorderTasksRequest = struct {
+    ids: [][]const u8,
+};
+
+pub const BatchFailure = struct {
+    id: []const u8,
+    @"error": []const u8,
+};
+
+pub const BatchTasksResponse = struct {
+    updated: []TaskResponse, // Tasks as they are after the action (complete, uncomplete, set_due_date, restore, move)
+    deleted: [][]const u8, // IDs moved to the trash
+    created: []TaskResponse, // Next occurrences of the recurring tasks it completed
+    failed: []BatchFailure,
+};
+
+// --- Lists ---
+
+pub const CreateListRequest = struct {
+    name: []const u8,
+};
+
+pub const UpdateListRequest = struct {
+    name: []const u8,
+};
+
+pub const ListResponse = struct {
+    id: []const u8,
+    name: []const u8,
+    created_at: []const u8,
+    role: []const u8 = "owner", // The caller's: "owner" | "editor" | "viewer"
+    owner_id: ?[]const u8 = null, // Set on lists shared with the caller
+    owner_name: ?[]const u8 = null,
+    member_id: ?[]const u8 = null, // The caller's membership on a shared list; deleting it leaves
+    members: []const MemberResponse = &.{}, // Everyone else the list is shared with
+};
+
+pub const MemberResponse = struct {
+    id: []const u8,
+    email: []const u8,
+    user_id: ?[]const u8 = null,
+    name: ?[]const u8 = null,
+    role: []const u8,
+    status: []const u8,
+};
+
+pub const InviteMemberRequest = struct {
+    email: []const u8,
+    role: []const u8 = "editor",
+};
+
+pub const UpdateMemberRequest = struct {
+    role: []const u8,
+};
+
+// A pending invitation, as the invitee sees it
+pub const InvitationResponse = struct {
+    id: []const u8,
+    list_id: []const u8,
+    list_name: []const u8,
+    role: []const u8,
+    invited_by_name: ?[]const u8 = null,
+    created_at: []const u8,
+};
+
+// --- Tags ---
+
+pub const TagColor = struct {
+    name: []const u8,
+    color: []const u8,
+};
+
+/// A tag in use on at least one task, or one that only has a color left
+pub const TagResponse = struct {
+    name: []const u8,
+    color: ?[]const u8 = null, // Unset: the client picks one from the name
+    count: usize, // Tasks carrying the tag, trash excluded
+};
+
+// Rename (merging into an existing tag) and/or recolor one tag
+pub const UpdateTagRequest = struct {
+    name: []const u8,
+    rename_to: ?[]const u8 = null,
+    color: ?[]const u8 = null,
 };
 
 // --- Common ---
@@ -113,6 +409,24 @@ pub const HealthResponse = struct {
     status: []const u8,
 };
 
+/// Limits the server enforces, so forms can check them before sending (GET /api/validation-rules)
+pub const ValidationRulesResponse = struct {
+    pub const Length = struct {
+        min_length: usize,
+        max_length: usize,
+    };
+    pub const Name = struct {
+        min_length: usize,
+        max_length: usize,
+        forbidden_chars: []const u8,
+    };
+
+    email: Length,
+    name: Name,
+    password: Length,
+    task_title: Length,
+};
+
 pub const ReadyResponse = struct {
     status: []const u8,
     database: []const u8,
@@ -130,3 +444,14 @@ pub fn SurrealResponse(comptime T: type) type {
         result: []T,
     };
 }
+
+// --- Real-time events ---
+
+/// Pushed to the user's WebSocket channel after every task write
+pub const TaskEvent = struct {
+    type: []const u8, // "task.created" | "task.updated" | "task.restored" | "task.deleted" | "tasks.reordered" | "tags.changed" | "lists.changed" | "invitations.changed"
+    origin: ?[]const u8 = null, // X-Client-Id of the tab that made the change
+    task: ?TaskResponse = null, // created / updated / restored
+    id: ?[]const u8 = null, // deleted
+    ids: ?[]const []const u8 = null, // reordered: the new manual order, first to last
+};
@@ -4,9 +4,11 @@ const db = @import("../db/db.zig");
 const models = @import("../domain/models.zig");
 const auth = @import("../services/auth.zig");
 const email = @import("../services/email.zig");
+const realtime = @import("../services/realtime.zig");
 const validation = @import("../util/validation.zig");
 const rate_limiter = @import("../util/rate_limiter.zig");
 const http = @import("../util/http.zig");
+const user_agent = @import("../util/user_agent.zig");
 
 pub fn handleSignup(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     // SECURITY: Rate limiting - 3 signups per minute per IP
@@ -35,7 +37,7 @@ pub fn handleSignup(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     const pwd_result = validation.validatePasswordStrength(request.password);
     if (!pwd_result.valid) {
         if (pwd_result.too_short) {
-            try http.jsonError(r, 400, "Password must be at least 8 characters");
+            try http.jsonError(r, 400, std.fmt.comptimePrint("Password must be at least {d} characters", .{validation.PASSWORD_MIN_LEN}));
         } else {
             try http.jsonError(r, 400, "Password is too long");
         }
@@ -93,17 +95,19 @@ pub fn handleSignup(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     };
 
     // Create session
-    const token = db.createSession(req_alloc, user.id) catch {
+    const session = db.createSession(req_alloc, user.id, http.getSessionClient(r)) catch {
         try http.jsonError(r, 500, "Failed to create session");
         return;
     };
+    defer session.deinit(req_alloc);
 
-    // SECURITY: Set HttpOnly cookie (prevents XSS token theft)
-    http.setAuthCookie(r, token);
+    // SECURITY: Set HttpOnly cookies (prevents XSS token theft)
+    http.setAuthCookie(r, session.token, session.refresh_token);
 
-    // Return response (still includes token for backwards compatibility)
+    // Return response (still includes the tokens for API clients)
     const response = models.AuthResponse{
-        .token = token,
+        .token = session.token,
+        .refresh_token = session.refresh_token,
         .user = .{
             .id = user.id,
             .email = user.email,
@@ -155,22 +159,28 @@ pub fn handleLogin(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     }
 
     // Create session
-    const token = db.createSession(req_alloc, user.id) catch {
+    const session = db.createSession(req_alloc, user.id, http.getSessionClient(r)) catch {
         try http.jsonError(r, 500, "Failed to create session");
         return;
     };
+    defer session.deinit(req_alloc);
 
-    // SECURITY: Set HttpOnly cookie (prevents XSS token theft)
-    http.setAuthCookie(r, token);
+    // SECURITY: Set HttpOnly cookies (prevents XSS token theft)
+    http.setAuthCookie(r, session.token, session.refresh_token);
 
-    // Return response (still includes token for backwards compatibility)
+    // Return response (still includes the tokens for API clients)
     const response = models.AuthResponse{
-        .token = token,
+        .token = session.token,
+        .refresh_token = session.refresh_token,
         .user = .{
             .id = user.id,
             .email = user.email,
             .name = user.name,
             .email_verified = user.email_verified,
+            .reminder_lead_minutes = user.reminder_lead_minutes orelse models.DEFAULT_REMINDER_LEAD_MINUTES,
+            .new_task_position = user.new_task_position orelse models.DEFAULT_NEW_TASK_POSITION,
+            .locale = user.locale orelse models.DEFAULT_LOCALE,
+            .timezone = user.timezone,
         },
     };
 
@@ -203,6 +213,10 @@ pub fn handleMe(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         .email = user.email,
         .name = user.name,
         .email_verified = user.email_verified,
+        .reminder_lead_minutes = user.reminder_lead_minutes orelse models.DEFAULT_REMINDER_LEAD_MINUTES,
+        .new_task_position = user.new_task_position orelse models.DEFAULT_NEW_TASK_POSITION,
+        .locale = user.locale orelse models.DEFAULT_LOCALE,
+        .timezone = user.timezone,
     };
 
     try http.jsonSuccess(r, response);
@@ -298,6 +312,17 @@ pub fn handleResetPassword(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         return;
     };
 
+    // Same policy as signup
+    const pwd_result = validation.validatePasswordStrength(request.new_password);
+    if (!pwd_result.valid) {
+        if (pwd_result.too_short) {
+            try http.jsonError(r, 400, std.fmt.comptimePrint("Password must be at least {d} characters", .{validation.PASSWORD_MIN_LEN}));
+        } else {
+            try http.jsonError(r, 400, "Password is too long");
+        }
+        return;
+    }
+
     const db_result = db.getUserByResetToken(req_alloc, request.token) catch {
         try http.jsonError(r, 500, "Database error");
         return;
@@ -331,6 +356,13 @@ pub fn handleResetPassword(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     // Clear reset token (optional, but good practice)
     // db.clearResetToken(req_alloc, user.id) ...
 
+    // Whoever knew the old password is logged out everywhere
+    if (db.deleteUserSessions(req_alloc, user.id)) {
+        realtime.closeUserSessions(user.id, null);
+    } else |err| {
+        std.debug.print("Failed to revoke sessions after password reset: {}\n", .{err});
+    }
+
     try http.jsonSuccess(r, models.SuccessResponse{ .status = "Password reset successfully" });
 }
 
@@ -380,3 +412,147 @@ pub fn handleResendVerification(r: zap.Request, req_alloc: std.mem.Allocator) !v
 
     try http.jsonSuccess(r, models.SuccessResponse{ .status = "Verification code sent" });
 }
+
+// ==========================================
+// SESSIONS
+// ==========================================
+
+pub fn handleRefresh(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    // Browsers send the HttpOnly cookie, API clients the body
+    r.parseCookies(false);
+    const from_cookie = r.getCookieStr(req_alloc, "refresh_token") catch null;
+    const from_body = if (http.parseBody(req_alloc, r, models.RefreshRequest)) |request| request.refresh_token else |_| null;
+    const refresh_token = from_cookie orelse from_body orelse {
+        try http.jsonError(r, 401, "Not authenticated");
+        return;
+    };
+
+    const session = db.refreshSession(req_alloc, refresh_token, http.getSessionClient(r)) catch {
+        try http.jsonError(r, 500, "Failed to refresh session");
+        return;
+    } orelse {
+        // Expired, revoked, or already exchanged
+        http.clearAuthCookie(r);
+        try http.jsonError(r, 401, "Session expired");
+        return;
+    };
+    defer session.deinit(req_alloc);
+
+    http.setAuthCookie(r, session.token, session.refresh_token);
+    try http.jsonSuccess(r, models.RefreshResponse{
+        .token = session.token,
+        .refresh_token = session.refresh_token,
+    });
+}
+
+/// Revokes the session on the server; works with an expired access token too
+pub fn handleLogout(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    if (http.getSessionToken(req_alloc, r)) |token| {
+        const session_id = db.deleteSession(req_alloc, token) catch {
+            try http.jsonError(r, 500, "Failed to log out");
+            return;
+        };
+        if (session_id) |id| realtime.closeSession(id);
+    }
+    // getSessionToken parsed the cookies
+    if (r.getCookieStr(req_alloc, "refresh_token") catch null) |refresh_token| {
+        const session_id = db.deleteSessionByRefreshToken(req_alloc, refresh_token) catch {
+            try http.jsonError(r, 500, "Failed to log out");
+            return;
+        };
+        if (session_id) |id| realtime.closeSession(id);
+    }
+
+    http.clearAuthCookie(r);
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "Logged out" });
+}
+
+pub fn handleListSessions(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Not authenticated");
+        return;
+    };
+    const current_token = http.getSessionToken(req_alloc, r) orelse "";
+
+    const db_result = db.getUserSessions(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load sessions");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.Session), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    const sessions = if (parsed.value.len > 0) parsed.value[0].result else &[_]models.Session{};
+    const response = try req_alloc.alloc(models.SessionResponse, sessions.len);
+    for (sessions, response) |session, *item| {
+        // Tokens never leave the server, only whether this is the caller's session
+        item.* = .{
+            .id = session.id,
+            .device = try user_agent.describe(req_alloc, session.user_agent),
+            .ip = session.ip,
+            .created_at = session.created_at,
+            .last_used_at = session.last_used_at orelse session.created_at,
+            .current = std.mem.eql(u8, session.token, current_token),
+        };
+    }
+
+    try http.jsonSuccess(r, response);
+}
+
+pub fn handleRevokeSession(r: zap.Request, session_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Not authenticated");
+        return;
+    };
+    if (!std.mem.startsWith(u8, session_id, "sessions:")) {
+        try http.jsonError(r, 404, "Session not found");
+        return;
+    }
+
+    const db_result = db.deleteSessionById(req_alloc, session_id, user_id) catch {
+        try http.jsonError(r, 500, "Failed to revoke session");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.Session), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    // Someone else's session looks the same as one that doesn't exist
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 404, "Session not found");
+        return;
+    }
+
+    realtime.closeSession(session_id);
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "Session revoked" });
+}
+
+/// "Log out all other devices": every session but the caller's
+pub fn handleRevokeOtherSessions(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Not authenticated");
+        return;
+    };
+    const current_token = http.getSessionToken(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Not authenticated");
+        return;
+    };
+
+    const current_session = db.getSessionId(req_alloc, current_token) catch {
+        try http.jsonError(r, 500, "Failed to revoke sessions");
+        return;
+    } orelse {
+        try http.jsonError(r, 401, "Not authenticated");
+        return;
+    };
+
+    db.deleteOtherSessions(req_alloc, user_id, current_token) catch {
+        try http.jsonError(r, 500, "Failed to revoke sessions");
+        return;
+    };
+
+    realtime.closeUserSessions(user_id, current_session);
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "Other sessions revoked" });
+}
@@ -0,0 +1,294 @@
+const std = @import("std");
+const zap = @import("zap");
+const db = @import("../db/db.zig");
+const models = @import("../domain/models.zig");
+const http = @import("../util/http.zig");
+const validation = @import("../util/validation.zig");
+const realtime = @import("../services/realtime.zig");
+
+// Tasks without a list show up under this name, so no real list may take it
+const INBOX_NAME = "Inbox";
+
+/// The user's own lists, then the lists shared with them, each oldest first.
+/// The Inbox is implied and not included.
+pub fn getLists(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const own = loadLists(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load lists");
+        return;
+    };
+    const shared = loadSharedLists(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load lists");
+        return;
+    };
+
+    const ids = try req_alloc.alloc([]const u8, own.len + shared.len);
+    for (own, 0..) |list, i| ids[i] = list.id;
+    for (shared, own.len..) |list, i| ids[i] = list.id;
+    const members = loadMembers(req_alloc, ids) catch {
+        try http.jsonError(r, 500, "Failed to load lists");
+        return;
+    };
+
+    const response = try req_alloc.alloc(models.ListResponse, ids.len);
+    for (own, 0..) |list, i| {
+        response[i] = try withMembers(req_alloc, list, members, user_id);
+    }
+    for (shared, own.len..) |list, i| {
+        response[i] = try withMembers(req_alloc, list, members, user_id);
+    }
+    try http.jsonSuccess(r, response);
+}
+
+pub fn createList(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const request = http.parseBody(req_alloc, r, models.CreateListRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    const lists = loadLists(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load lists");
+        return;
+    };
+    if (lists.len >= models.MAX_LISTS) {
+        try http.jsonError(r, 400, std.fmt.comptimePrint("You can have at most {d} lists", .{models.MAX_LISTS}));
+        return;
+    }
+
+    const name = std.mem.trim(u8, request.name, " \t\r\n");
+    if (nameError(lists, name, null)) |message| {
+        try http.jsonError(r, 400, message);
+        return;
+    }
+
+    const db_result = db.createList(req_alloc, user_id, name) catch {
+        try http.jsonError(r, 500, "Failed to create list");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.TaskList), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 500, "Failed to create list");
+        return;
+    }
+
+    realtime.publishListsChanged(req_alloc, r, user_id);
+    try http.jsonCreated(r, toResponse(parsed.value[0].result[0]));
+}
+
+pub fn updateList(r: zap.Request, list_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    if (!try hasListAccess(r, req_alloc, list_id, user_id, .owner)) return;
+
+    const request = http.parseBody(req_alloc, r, models.UpdateListRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    const lists = loadLists(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load lists");
+        return;
+    };
+
+    const name = std.mem.trim(u8, request.name, " \t\r\n");
+    if (nameError(lists, name, list_id)) |message| {
+        try http.jsonError(r, 400, message);
+        return;
+    }
+
+    const db_result = db.renameList(req_alloc, list_id, name) catch {
+        try http.jsonError(r, 500, "Failed to rename list");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.TaskList), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 500, "Failed to rename list");
+        return;
+    }
+
+    const members = loadMembers(req_alloc, &.{list_id}) catch &.{};
+    publishListChanged(req_alloc, r, user_id, members);
+    try http.jsonSuccess(r, try withMembers(req_alloc, parsed.value[0].result[0], members, user_id));
+}
+
+/// The list's tasks are kept and move to the Inbox of whoever created them
+pub fn deleteList(r: zap.Request, list_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    if (!try hasListAccess(r, req_alloc, list_id, user_id, .owner)) return;
+
+    // Loaded first: the memberships go with the list
+    const members = loadMembers(req_alloc, &.{list_id}) catch &.{};
+
+    const db_result = db.deleteList(req_alloc, list_id) catch {
+        try http.jsonError(r, 500, "Failed to delete list");
+        return;
+    };
+    req_alloc.free(db_result);
+
+    publishListChanged(req_alloc, r, user_id, members);
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "success" });
+}
+
+/// Create the lists of an anonymous import, reusing any existing list with the same name.
+/// Returns them in request order; also used by tasks.importTasks to map list IDs.
+pub fn importLists(req_alloc: std.mem.Allocator, user_id: []const u8, items: []const models.ImportListItem) ![]models.ListResponse {
+    var existing = std.ArrayListUnmanaged(models.ListResponse){};
+    for (try loadLists(req_alloc, user_id)) |list| {
+        try existing.append(req_alloc, toResponse(list));
+    }
+
+    const result = try req_alloc.alloc(models.ListResponse, items.len);
+    for (items, 0..) |item, i| {
+        const name = std.mem.trim(u8, item.name, " \t\r\n");
+        if (findByName(existing.items, name)) |list| {
+            result[i] = list;
+            continue;
+        }
+        if (!validation.validateListName(name) or std.ascii.eqlIgnoreCase(name, INBOX_NAME) or existing.items.len >= models.MAX_LISTS) {
+            return error.InvalidList;
+        }
+
+        const db_result = try db.createList(req_alloc, user_id, name);
+        const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.TaskList), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+        if (parsed.value.len == 0 or parsed.value[0].result.len == 0) return error.InvalidList;
+
+        result[i] = toResponse(parsed.value[0].result[0]);
+        try existing.append(req_alloc, result[i]);
+    }
+    return result;
+}
+
+/// Sends the error response and returns false unless the user has at least `needed` access:
+/// .editor to put tasks in the list, .owner to rename, delete or share it
+pub fn hasListAccess(r: zap.Request, req_alloc: std.mem.Allocator, list_id: []const u8, user_id: []const u8, needed: models.Access) !bool {
+    const access = db.getListAccess(req_alloc, list_id, user_id) catch {
+        try http.jsonError(r, 500, "Failed to verify ownership");
+        return false;
+    };
+    if (@intFromEnum(access) < @intFromEnum(needed)) {
+        const message = if (access == .none)
+            "Forbidden: not your list"
+        else if (needed == .owner)
+            "Forbidden: only the list's owner can do that"
+        else
+            "Forbidden: you can only view this list";
+        try http.jsonError(r, 403, message);
+        return false;
+    }
+    return true;
+}
+
+/// Tell the owner and everyone who joined the list that it changed
+pub fn publishListChanged(req_alloc: std.mem.Allocator, r: zap.Request, owner_id: []const u8, members: []const models.ListMember) void {
+    realtime.publishListsChanged(req_alloc, r, owner_id);
+    for (members) |member| {
+        if (member.user_id) |id| realtime.publishListsChanged(req_alloc, r, id);
+    }
+}
+
+/// Members (pending ones included) of the given lists. Owned by the request arena.
+pub fn loadMembers(req_alloc: std.mem.Allocator, list_ids: []const []const u8) ![]models.ListMember {
+    if (list_ids.len == 0) return &.{};
+    const db_result = try db.getListMembers(req_alloc, list_ids);
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.ListMember), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    if (parsed.value.len == 0) return &.{};
+    return parsed.value[0].result;
+}
+
+pub fn toMemberResponse(member: models.ListMember) models.MemberResponse {
+    return .{
+        .id = member.id,
+        .email = member.email,
+        .user_id = member.user_id,
+        .name = member.name,
+        .role = member.role,
+        .status = member.status,
+    };
+}
+
+// Owned by the request arena
+pub fn loadLists(req_alloc: std.mem.Allocator, user_id: []const u8) ![]models.TaskList {
+    const db_result = try db.getListsByUser(req_alloc, user_id);
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.TaskList), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    if (parsed.value.len == 0) return &.{};
+    return parsed.value[0].result;
+}
+
+// Owned by the request arena
+fn loadSharedLists(req_alloc: std.mem.Allocator, user_id: []const u8) ![]models.TaskList {
+    const db_result = try db.getSharedListsByUser(req_alloc, user_id);
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.TaskList), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    if (parsed.value.len == 0) return &.{};
+    return parsed.value[0].result;
+}
+
+/// The list as `user_id` sees it: their role, who owns it and everyone else it is shared with
+fn withMembers(req_alloc: std.mem.Allocator, list: models.TaskList, members: []const models.ListMember, user_id: []const u8) !models.ListResponse {
+    var response = toResponse(list);
+    var others = std.ArrayListUnmanaged(models.MemberResponse){};
+    for (members) |member| {
+        if (!std.mem.eql(u8, member.list_id, list.id)) continue;
+        if (member.user_id) |id| {
+            if (std.mem.eql(u8, id, user_id)) {
+                response.role = member.role;
+                response.member_id = member.id;
+                continue;
+            }
+        }
+        try others.append(req_alloc, toMemberResponse(member));
+    }
+    if (!std.mem.eql(u8, list.user_id, user_id)) {
+        response.owner_id = list.user_id;
+        response.owner_name = list.owner_name;
+    }
+    response.members = others.items;
+    return response;
+}
+
+/// Names are compared case-insensitively; `own_id` is the list being renamed
+fn nameError(lists: []const models.TaskList, name: []const u8, own_id: ?[]const u8) ?[]const u8 {
+    if (!validation.validateListName(name)) return "List names must be between 1 and 100 characters";
+    if (std.ascii.eqlIgnoreCase(name, INBOX_NAME)) return "Inbox is already a list";
+    for (lists) |list| {
+        if (own_id) |id| {
+            if (std.mem.eql(u8, list.id, id)) continue;
+        }
+        if (std.ascii.eqlIgnoreCase(list.name, name)) return "A list with that name already exists";
+    }
+    return null;
+}
+
+fn findByName(lists: []const models.ListResponse, name: []const u8) ?models.ListResponse {
+    for (lists) |list| {
+        if (std.ascii.eqlIgnoreCase(list.name, name)) return list;
+    }
+    return null;
+}
+
+fn toResponse(list: models.TaskList) models.ListResponse {
+    return .{ .id = list.id, .name = list.name, .created_at = list.created_at };
+}
@@ -32,6 +32,10 @@ pub fn getProfile(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         .email = user.email,
         .name = user.name,
         .email_verified = user.email_verified,
+        .reminder_lead_minutes = user.reminder_lead_minutes orelse models.DEFAULT_REMINDER_LEAD_MINUTES,
+        .new_task_position = user.new_task_position orelse models.DEFAULT_NEW_TASK_POSITION,
+        .locale = user.locale orelse models.DEFAULT_LOCALE,
+        .timezone = user.timezone,
     };
 
     try http.jsonSuccess(r, response);
@@ -81,6 +85,83 @@ pub fn updateProfile(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         .email = user.email,
         .name = user.name,
         .email_verified = user.email_verified,
+        .reminder_lead_minutes = user.reminder_lead_minutes orelse models.DEFAULT_REMINDER_LEAD_MINUTES,
+        .new_task_position = user.new_task_position orelse models.DEFAULT_NEW_TASK_POSITION,
+        .locale = user.locale orelse models.DEFAULT_LOCALE,
+        .timezone = user.timezone,
+    };
+
+    try http.jsonSuccess(r, response);
+}
+
+pub fn updatePreferences(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Not authenticated");
+        return;
+    };
+
+    const request = http.parseBody(req_alloc, r, models.UpdatePreferencesRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    if (request.reminder_lead_minutes) |minutes| {
+        if (!validation.validateReminderLead(minutes)) {
+            try http.jsonError(r, 400, "Reminder lead time must be between 0 and 10080 minutes");
+            return;
+        }
+    }
+
+    if (request.new_task_position) |position| {
+        if (!validation.validateNewTaskPosition(position)) {
+            try http.jsonError(r, 400, "New task position must be \"top\" or \"bottom\"");
+            return;
+        }
+    }
+
+    if (request.locale) |locale| {
+        if (!validation.validateLocale(locale)) {
+            try http.jsonError(r, 400, "Locale must be \"en\" or \"ro\"");
+            return;
+        }
+    }
+
+    if (request.timezone) |timezone| {
+        if (!validation.validateTimezone(timezone)) {
+            try http.jsonError(r, 400, "Invalid timezone");
+            return;
+        }
+    }
+
+    const db_result = db.updateUserPreferences(req_alloc, user_id, .{
+        .reminder_lead_minutes = request.reminder_lead_minutes,
+        .new_task_position = request.new_task_position,
+        .locale = request.locale,
+        .timezone = request.timezone,
+    }) catch {
+        try http.jsonError(r, 500, "Failed to update preferences");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.User), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 500, "Failed to retrieve updated profile");
+        return;
+    }
+    const user = parsed.value[0].result[0];
+
+    const response = models.UserProfile{
+        .id = user.id,
+        .email = user.email,
+        .name = user.name,
+        .email_verified = user.email_verified,
+        .reminder_lead_minutes = user.reminder_lead_minutes orelse models.DEFAULT_REMINDER_LEAD_MINUTES,
+        .new_task_position = user.new_task_position orelse models.DEFAULT_NEW_TASK_POSITION,
+        .locale = user.locale orelse models.DEFAULT_LOCALE,
+        .timezone = user.timezone,
     };
 
     try http.jsonSuccess(r, response);
@@ -130,7 +211,7 @@ pub fn changePassword(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     const pwd_result = validation.validatePasswordStrength(request.new_password);
     if (!pwd_result.valid) {
         if (pwd_result.too_short) {
-            try http.jsonError(r, 400, "New password must be at least 8 characters");
+            try http.jsonError(r, 400, std.fmt.comptimePrint("New password must be at least {d} characters", .{validation.PASSWORD_MIN_LEN}));
         } else {
             try http.jsonError(r, 400, "New password is too long");
         }
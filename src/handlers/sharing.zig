@@ -0,0 +1,319 @@
+const std = @import("std");
+const zap = @import("zap");
+const db = @import("../db/db.zig");
+const models = @import("../domain/models.zig");
+const http = @import("../util/http.zig");
+const validation = @import("../util/validation.zig");
+const email = @import("../services/email.zig");
+const realtime = @import("../services/realtime.zig");
+const lists_handler = @import("lists.zig");
+
+/// POST /api/lists/:id/members - invite someone by email. Only the owner shares a list.
+/// The invitee doesn't need an account yet: they accept after signing up with that address.
+pub fn inviteMember(r: zap.Request, list_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    if (!try lists_handler.hasListAccess(r, req_alloc, list_id, user_id, .owner)) return;
+
+    const request = http.parseBody(req_alloc, r, models.InviteMemberRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    const trimmed = std.mem.trim(u8, request.email, " \t\r\n");
+    if (!validation.validateEmail(trimmed)) {
+        try http.jsonError(r, 400, "Invalid email format");
+        return;
+    }
+    if (!validation.validateMemberRole(request.role)) {
+        try http.jsonError(r, 400, "Role must be viewer or editor");
+        return;
+    }
+    // Lowercased so the unique (list, email) index catches the same address typed differently
+    const invitee = try std.ascii.allocLowerString(req_alloc, trimmed);
+
+    const owner = (loadUser(req_alloc, user_id) catch null) orelse {
+        try http.jsonError(r, 500, "Failed to load your account");
+        return;
+    };
+    if (std.ascii.eqlIgnoreCase(owner.email, invitee)) {
+        try http.jsonError(r, 400, "You already own this list");
+        return;
+    }
+
+    const members = lists_handler.loadMembers(req_alloc, &.{list_id}) catch {
+        try http.jsonError(r, 500, "Failed to load members");
+        return;
+    };
+    for (members) |member| {
+        if (std.ascii.eqlIgnoreCase(member.email, invitee)) {
+            try http.jsonError(r, 400, "This list is already shared with that email");
+            return;
+        }
+    }
+    if (members.len >= models.MAX_LIST_MEMBERS) {
+        try http.jsonError(r, 400, std.fmt.comptimePrint("A list can be shared with at most {d} people", .{models.MAX_LIST_MEMBERS}));
+        return;
+    }
+
+    const db_result = db.createInvitation(req_alloc, list_id, invitee, request.role, user_id) catch {
+        try http.jsonError(r, 500, "Failed to create invitation");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = std.json.parseFromSlice([]models.SurrealResponse(models.ListMember), req_alloc, db_result, .{ .ignore_unknown_fields = true }) catch {
+        try http.jsonError(r, 500, "Failed to create invitation");
+        return;
+    };
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 500, "Failed to create invitation");
+        return;
+    }
+    const member = parsed.value[0].result[0];
+
+    email.sendListInvitationEmail(req_alloc, invitee, owner.name, listName(req_alloc, user_id, list_id), request.role) catch |err| {
+        std.debug.print("Failed to send invitation email: {}\n", .{err});
+    };
+    notifyInvitee(req_alloc, r, invitee);
+    realtime.publishListsChanged(req_alloc, r, user_id);
+
+    try http.jsonCreated(r, lists_handler.toMemberResponse(member));
+}
+
+/// PATCH /api/lists/:id/members/:member_id - switch someone between viewer and editor
+pub fn updateMember(r: zap.Request, list_id: []const u8, member_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    if (!try lists_handler.hasListAccess(r, req_alloc, list_id, user_id, .owner)) return;
+
+    const request = http.parseBody(req_alloc, r, models.UpdateMemberRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+    if (!validation.validateMemberRole(request.role)) {
+        try http.jsonError(r, 400, "Role must be viewer or editor");
+        return;
+    }
+
+    const member = (loadMember(req_alloc, member_id) catch null) orelse {
+        try http.jsonError(r, 404, "Member not found");
+        return;
+    };
+    if (!std.mem.eql(u8, member.list_id, list_id)) {
+        try http.jsonError(r, 404, "Member not found");
+        return;
+    }
+
+    const db_result = db.updateMemberRole(req_alloc, member_id, request.role) catch {
+        try http.jsonError(r, 500, "Failed to update member");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.ListMember), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 500, "Failed to update member");
+        return;
+    }
+
+    if (member.user_id) |id| realtime.publishListsChanged(req_alloc, r, id) else notifyInvitee(req_alloc, r, member.email);
+    realtime.publishListsChanged(req_alloc, r, user_id);
+
+    var response = lists_handler.toMemberResponse(parsed.value[0].result[0]);
+    response.name = member.name;
+    try http.jsonSuccess(r, response);
+}
+
+/// DELETE /api/lists/:id/members/:member_id - the owner removes someone (or withdraws an
+/// invitation), or a member leaves. Tasks they created in the list stay in it.
+pub fn removeMember(r: zap.Request, list_id: []const u8, member_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const member = (loadMember(req_alloc, member_id) catch null) orelse {
+        try http.jsonError(r, 404, "Member not found");
+        return;
+    };
+    if (!std.mem.eql(u8, member.list_id, list_id)) {
+        try http.jsonError(r, 404, "Member not found");
+        return;
+    }
+
+    const leaving = if (member.user_id) |id| std.mem.eql(u8, id, user_id) else false;
+    if (!leaving and !try lists_handler.hasListAccess(r, req_alloc, list_id, user_id, .owner)) return;
+
+    const db_result = db.deleteListMember(req_alloc, member_id) catch {
+        try http.jsonError(r, 500, "Failed to remove member");
+        return;
+    };
+    req_alloc.free(db_result);
+
+    // Only the owner invites, so invited_by is the list's owner
+    const remaining = lists_handler.loadMembers(req_alloc, &.{list_id}) catch &.{};
+    lists_handler.publishListChanged(req_alloc, r, member.invited_by, remaining);
+    if (member.user_id) |id| realtime.publishListsChanged(req_alloc, r, id) else notifyInvitee(req_alloc, r, member.email);
+
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "success" });
+}
+
+/// GET /api/invitations - pending invitations to the current user's email address
+pub fn getInvitations(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const user = (loadUser(req_alloc, user_id) catch null) orelse {
+        try http.jsonError(r, 404, "User not found");
+        return;
+    };
+
+    const db_result = db.getInvitationsForEmail(req_alloc, user.email) catch {
+        try http.jsonError(r, 500, "Failed to load invitations");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.ListMember), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0) {
+        try http.jsonSuccess(r, [0]models.InvitationResponse{});
+        return;
+    }
+
+    const invitations = parsed.value[0].result;
+    const response = try req_alloc.alloc(models.InvitationResponse, invitations.len);
+    for (invitations, 0..) |invitation, i| {
+        response[i] = .{
+            .id = invitation.id,
+            .list_id = invitation.list_id,
+            .list_name = invitation.list_name orelse "",
+            .role = invitation.role,
+            .invited_by_name = invitation.invited_by_name,
+            .created_at = invitation.created_at,
+        };
+    }
+    try http.jsonSuccess(r, response);
+}
+
+/// POST /api/invitations/:id/accept - join the list. The address it was sent to must be verified,
+/// so nobody can sign up with someone else's email and take their invitations.
+pub fn acceptInvitation(r: zap.Request, invitation_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const user = (loadUser(req_alloc, user_id) catch null) orelse {
+        try http.jsonError(r, 404, "User not found");
+        return;
+    };
+    const invitation = (try findInvitation(r, req_alloc, invitation_id, user)) orelse return;
+
+    if (!user.email_verified) {
+        try http.jsonError(r, 403, "Verify your email address before accepting invitations");
+        return;
+    }
+
+    const db_result = db.acceptInvitation(req_alloc, invitation_id, user_id) catch {
+        try http.jsonError(r, 500, "Failed to accept invitation");
+        return;
+    };
+    req_alloc.free(db_result);
+
+    // The new member is among them, so their other tabs pick up the list too
+    const members = lists_handler.loadMembers(req_alloc, &.{invitation.list_id}) catch &.{};
+    lists_handler.publishListChanged(req_alloc, r, invitation.invited_by, members);
+    realtime.publishInvitationsChanged(req_alloc, r, user_id);
+
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "success" });
+}
+
+/// DELETE /api/invitations/:id - decline; the owner can invite the same address again later
+pub fn declineInvitation(r: zap.Request, invitation_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const user = (loadUser(req_alloc, user_id) catch null) orelse {
+        try http.jsonError(r, 404, "User not found");
+        return;
+    };
+    const invitation = (try findInvitation(r, req_alloc, invitation_id, user)) orelse return;
+
+    const db_result = db.deleteListMember(req_alloc, invitation_id) catch {
+        try http.jsonError(r, 500, "Failed to decline invitation");
+        return;
+    };
+    req_alloc.free(db_result);
+
+    realtime.publishListsChanged(req_alloc, r, invitation.invited_by);
+    realtime.publishInvitationsChanged(req_alloc, r, user_id);
+
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "success" });
+}
+
+/// Sends a 404 and returns null unless the invitation is pending and addressed to the user.
+/// Someone else's invitation gets the same 404, so IDs can't be probed.
+fn findInvitation(r: zap.Request, req_alloc: std.mem.Allocator, invitation_id: []const u8, user: models.User) !?models.ListMember {
+    const invitation = (loadMember(req_alloc, invitation_id) catch null) orelse {
+        try http.jsonError(r, 404, "Invitation not found");
+        return null;
+    };
+    if (!std.mem.eql(u8, invitation.status, "pending") or !std.ascii.eqlIgnoreCase(invitation.email, user.email)) {
+        try http.jsonError(r, 404, "Invitation not found");
+        return null;
+    }
+    return invitation;
+}
+
+// Owned by the request arena
+fn loadMember(req_alloc: std.mem.Allocator, member_id: []const u8) !?models.ListMember {
+    // Keeps other records (a task, a user) from being read through this ID
+    if (!std.mem.startsWith(u8, member_id, "list_members:")) return null;
+
+    const db_result = try db.getListMember(req_alloc, member_id);
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.ListMember), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) return null;
+    return parsed.value[0].result[0];
+}
+
+// Owned by the request arena
+fn loadUser(req_alloc: std.mem.Allocator, user_id: []const u8) !?models.User {
+    const db_result = try db.getUserById(req_alloc, user_id);
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.User), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) return null;
+    return parsed.value[0].result[0];
+}
+
+/// For the invitation email; the caller already checked that they own the list
+fn listName(req_alloc: std.mem.Allocator, owner_id: []const u8, list_id: []const u8) []const u8 {
+    const lists = lists_handler.loadLists(req_alloc, owner_id) catch return "a list";
+    for (lists) |list| {
+        if (std.mem.eql(u8, list.id, list_id)) return list.name;
+    }
+    return "a list";
+}
+
+/// Best effort: the invitee may not have signed up yet, and then there is nobody to tell
+fn notifyInvitee(req_alloc: std.mem.Allocator, r: zap.Request, address: []const u8) void {
+    const db_result = db.getUserByEmail(req_alloc, address) catch return;
+    const parsed = std.json.parseFromSlice([]models.SurrealResponse(models.User), req_alloc, db_result, .{ .ignore_unknown_fields = true }) catch return;
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) return;
+    realtime.publishInvitationsChanged(req_alloc, r, parsed.value[0].result[0].id);
+}
@@ -4,12 +4,23 @@ const db = @import("../db/db.zig");
 const app = @import("../app.zig");
 const models = @import("../domain/models.zig");
 const http = @import("../util/http.zig");
+const validation = @import("../util/validation.zig");
 
 pub fn handleHealth(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     _ = req_alloc;
     try http.jsonSuccess(r, models.HealthResponse{ .status = "healthy" });
 }
 
+pub fn handleValidationRules(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    _ = req_alloc;
+    try http.jsonSuccess(r, models.ValidationRulesResponse{
+        .email = .{ .min_length = validation.EMAIL_MIN_LEN, .max_length = validation.EMAIL_MAX_LEN },
+        .name = .{ .min_length = 1, .max_length = validation.NAME_MAX_LEN, .forbidden_chars = validation.NAME_FORBIDDEN_CHARS },
+        .password = .{ .min_length = validation.PASSWORD_MIN_LEN, .max_length = validation.PASSWORD_MAX_LEN },
+        .task_title = .{ .min_length = 1, .max_length = validation.TASK_TITLE_MAX_LEN },
+    });
+}
+
 pub fn handleReady(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     // Check DB connectivity
     const db_ok = blk: {
@@ -0,0 +1,131 @@
+const std = @import("std");
+const zap = @import("zap");
+const db = @import("../db/db.zig");
+const models = @import("../domain/models.zig");
+const http = @import("../util/http.zig");
+const validation = @import("../util/validation.zig");
+const realtime = @import("../services/realtime.zig");
+
+/// Every tag the user has, with how many tasks carry it, sorted by name
+pub fn getTags(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const tags = loadTags(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load tags");
+        return;
+    };
+    try http.jsonSuccess(r, tags);
+}
+
+/// Rename (renaming onto an existing tag merges the two) and/or recolor a tag.
+/// Responds with the updated tag list.
+pub fn updateTag(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const request = http.parseBody(req_alloc, r, models.UpdateTagRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    if (!validation.validateTagName(request.name)) {
+        try http.jsonError(r, 400, "Invalid tag name");
+        return;
+    }
+    if (request.rename_to) |to| {
+        if (!validation.validateTagName(to)) {
+            try http.jsonError(r, 400, "Tags must be 1-32 characters without spaces, '#' or ','");
+            return;
+        }
+    }
+    if (request.color) |color| {
+        if (!validation.validateTagColor(color)) {
+            try http.jsonError(r, 400, "color must look like #rrggbb");
+            return;
+        }
+    }
+    if (request.rename_to == null and request.color == null) {
+        try http.jsonError(r, 400, "Nothing to update");
+        return;
+    }
+
+    var name = request.name;
+    if (request.rename_to) |to| {
+        if (!std.mem.eql(u8, to, name)) {
+            const db_result = db.renameTag(req_alloc, user_id, name, to) catch {
+                try http.jsonError(r, 500, "Failed to rename tag");
+                return;
+            };
+            req_alloc.free(db_result);
+            name = to;
+        }
+    }
+
+    if (request.color) |color| {
+        const db_result = db.setTagColor(req_alloc, user_id, name, color) catch {
+            try http.jsonError(r, 500, "Failed to save tag color");
+            return;
+        };
+        req_alloc.free(db_result);
+    }
+
+    realtime.publishTagsChanged(req_alloc, r, user_id);
+
+    const tags = loadTags(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load tags");
+        return;
+    };
+    try http.jsonSuccess(r, tags);
+}
+
+/// Counts are worked out here rather than in SurrealQL, since tags live in an array per task.
+/// Everything is owned by the request arena.
+fn loadTags(req_alloc: std.mem.Allocator, user_id: []const u8) ![]models.TagResponse {
+    const TaskTags = struct {
+        tags: []const []const u8 = &.{},
+    };
+
+    const tags_result = try db.getTaskTags(req_alloc, user_id);
+    const parsed_tags = try std.json.parseFromSlice([]models.SurrealResponse(TaskTags), req_alloc, tags_result, .{ .ignore_unknown_fields = true });
+
+    const colors_result = try db.getTagColors(req_alloc, user_id);
+    const parsed_colors = try std.json.parseFromSlice([]models.SurrealResponse(models.TagColor), req_alloc, colors_result, .{ .ignore_unknown_fields = true });
+
+    var by_name = std.StringArrayHashMapUnmanaged(models.TagResponse){};
+    if (parsed_tags.value.len > 0) {
+        for (parsed_tags.value[0].result) |task| {
+            for (task.tags) |tag| {
+                const entry = try by_name.getOrPut(req_alloc, tag);
+                if (entry.found_existing) {
+                    entry.value_ptr.count += 1;
+                } else {
+                    entry.value_ptr.* = .{ .name = tag, .count = 1 };
+                }
+            }
+        }
+    }
+
+    // Colored tags stay listed after their last task loses them, so the color isn't lost
+    if (parsed_colors.value.len > 0) {
+        for (parsed_colors.value[0].result) |tag_color| {
+            const entry = try by_name.getOrPut(req_alloc, tag_color.name);
+            if (!entry.found_existing) {
+                entry.value_ptr.* = .{ .name = tag_color.name, .count = 0 };
+            }
+            entry.value_ptr.color = tag_color.color;
+        }
+    }
+
+    const tags = by_name.values();
+    std.mem.sort(models.TagResponse, tags, {}, struct {
+        fn lessThan(_: void, a: models.TagResponse, b: models.TagResponse) bool {
+            return std.mem.lessThan(u8, a.name, b.name);
+        }
+    }.lessThan);
+    return tags;
+}
@@ -3,7 +3,26 @@ const zap = @import("zap");
 const db = @import("../db/db.zig");
 const models = @import("../domain/models.zig");
 const http = @import("../util/http.zig");
+const validation = @import("../util/validation.zig");
+const datetime = @import("../util/datetime.zig");
+const timezone = @import("../util/timezone.zig");
+const recurring = @import("../util/recurrence.zig");
+const realtime = @import("../services/realtime.zig");
+const lists_handler = @import("lists.zig");
 
+// Upper bound on tasks accepted by a single import request
+const MAX_IMPORT_BATCH = 500;
+
+// Upper bound on IDs accepted by a single bulk action
+const MAX_BULK_IDS = 500;
+
+// Upper bound on tasks in one manual ordering (the whole active list is sent)
+const MAX_ORDER_IDS = 5000;
+
+// Largest page GET /api/tasks?limit= returns
+const MAX_TASK_PAGE = 500;
+
+/// GET /api/tasks - every task, or one page of them with ?limit=N[&cursor=...]
 pub fn getTasks(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     const user_id = http.getCurrentUserId(req_alloc, r) orelse {
         // Return empty list if not logged in (as per original logic, though weird)
@@ -12,6 +31,11 @@ pub fn getTasks(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         return;
     };
 
+    if (try http.getQueryParam(req_alloc, r, "limit")) |limit_param| {
+        try getTaskPage(r, user_id, limit_param, req_alloc);
+        return;
+    }
+
     const db_result = db.getTasksByUser(req_alloc, user_id) catch {
         try http.jsonSuccess(r, [0]models.TaskResponse{});
         return;
@@ -26,21 +50,77 @@ pub fn getTasks(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         return;
     }
 
-    // Map to TaskResponse
-    var tasks = std.ArrayListUnmanaged(models.TaskResponse){};
-    defer tasks.deinit(req_alloc); // We pass tasks.items to jsonSuccess, which copies it to output buffer.
-    
-    for (parsed.value[0].result) |task| {
-        try tasks.append(req_alloc, .{
-            .id = task.id,
-            .title = task.title,
-            .completed = task.completed,
-            .created_at = task.created_at,
-            .due_date = task.due_date,
-        });
+    const tasks = try toTaskResponses(req_alloc, parsed.value[0].result);
+    defer req_alloc.free(tasks); // jsonSuccess copies it to the output buffer
+
+    try http.jsonSuccess(r, tasks);
+}
+
+/// Pages follow record ID order, not the order tasks are shown in: the client fetches every page,
+/// showing what has come so far, and waits for the last before reordering, selecting all or exporting
+fn getTaskPage(r: zap.Request, user_id: []const u8, limit_param: []const u8, req_alloc: std.mem.Allocator) !void {
+    const limit = std.fmt.parseInt(usize, limit_param, 10) catch 0;
+    if (limit == 0 or limit > MAX_TASK_PAGE) {
+        try http.jsonError(r, 400, "limit must be between 1 and 500");
+        return;
     }
 
-    try http.jsonSuccess(r, tasks.items);
+    const cursor = try http.getQueryParam(req_alloc, r, "cursor");
+    if (cursor) |c| {
+        if (!std.mem.startsWith(u8, c, "tasks:")) {
+            try http.jsonError(r, 400, "Invalid cursor");
+            return;
+        }
+    }
+
+    const db_result = db.getTaskPageByUser(req_alloc, user_id, cursor, limit) catch {
+        try http.jsonError(r, 500, "Failed to load tasks");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    const rows: []const models.Task = if (parsed.value.len == 0) &.{} else parsed.value[0].result;
+    // One row more than asked for means another page follows, starting after the last one sent
+    const has_more = rows.len > limit;
+    const page = if (has_more) rows[0..limit] else rows;
+
+    const tasks = try toTaskResponses(req_alloc, page);
+    defer req_alloc.free(tasks);
+
+    try http.jsonSuccess(r, models.TaskPage{
+        .tasks = tasks,
+        .next_cursor = if (has_more) page[page.len - 1].id else null,
+    });
+}
+
+/// Caller frees the slice; the strings still belong to the parsed tasks
+fn toTaskResponses(allocator: std.mem.Allocator, tasks: []const models.Task) ![]models.TaskResponse {
+    const responses = try allocator.alloc(models.TaskResponse, tasks.len);
+    for (tasks, responses) |task, *response| {
+        response.* = toTaskResponse(task);
+    }
+    return responses;
+}
+
+fn toTaskResponse(task: models.Task) models.TaskResponse {
+    return .{
+        .id = task.id,
+        .title = task.title,
+        .completed = task.completed,
+        .created_at = task.created_at,
+        .due_date = task.due_date,
+        .position = task.position,
+        .subtasks = task.subtasks,
+        .recurrence = task.recurrence,
+        .priority = task.priority,
+        .tags = task.tags,
+        .list_id = task.list_id,
+        .created_by = task.user_id,
+        .completed_by = task.completed_by,
+    };
 }
 
 pub fn createTask(r: zap.Request, req_alloc: std.mem.Allocator) !void {
@@ -60,15 +140,42 @@ pub fn createTask(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         return;
     };
 
-    if (request.title.len == 0) {
-        try http.jsonError(r, 400, "Missing title");
+    // Same rule as updateTask, and as GET /api/validation-rules tells the client
+    const title = std.mem.trim(u8, request.title, " \t\r\n");
+    if (!validation.validateTaskTitle(title)) {
+        try http.jsonError(r, 400, "Title must be between 1 and 500 characters");
+        return;
+    }
+    if (subtasksError(request.subtasks)) |message| {
+        try http.jsonError(r, 400, message);
         return;
     }
+    if (request.recurrence) |rule| {
+        if (!recurrenceValid(rule)) {
+            try http.jsonError(r, 400, "Invalid recurrence rule");
+            return;
+        }
+    }
+    if (labelsError(request.priority, request.tags)) |message| {
+        try http.jsonError(r, 400, message);
+        return;
+    }
+    if (request.list_id) |list_id| {
+        if (!try lists_handler.hasListAccess(r, req_alloc, list_id, user_id, .editor)) return;
+    }
 
+    const task_fields = db.TaskFields{
+        .position = request.position,
+        .subtasks = request.subtasks,
+        .recurrence = request.recurrence,
+        .priority = request.priority,
+        .tags = request.tags,
+        .list_id = request.list_id,
+    };
     const db_result = if (request.due_date) |dd|
-        try db.createTaskWithDueDate(req_alloc, user_id, request.title, dd)
+        try db.createTaskWithDueDate(req_alloc, user_id, title, dd, task_fields)
     else
-        try db.createTask(req_alloc, user_id, request.title);
+        try db.createTask(req_alloc, user_id, title, task_fields);
     defer req_alloc.free(db_result);
 
     const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true });
@@ -86,28 +193,210 @@ pub fn createTask(r: zap.Request, req_alloc: std.mem.Allocator) !void {
         .completed = task.completed,
         .created_at = task.created_at,
         .due_date = task.due_date,
+        .position = task.position,
+        .subtasks = task.subtasks,
+        .recurrence = task.recurrence,
+        .priority = task.priority,
+        .tags = task.tags,
+        .list_id = task.list_id,
+        .created_by = task.user_id,
+        .completed_by = task.completed_by,
     };
 
+    publishToAudience(req_alloc, r, user_id, .created, response, &.{});
     try http.jsonCreated(r, response);
 }
 
-pub fn toggleTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Allocator) !void {
+pub fn importTasks(r: zap.Request, req_alloc: std.mem.Allocator) !void {
     const user_id = http.getCurrentUserId(req_alloc, r) orelse {
         try http.jsonError(r, 401, "Unauthorized");
         return;
     };
 
-    const is_owner = db.verifyTaskOwnership(req_alloc, task_id, user_id) catch {
-        try http.jsonError(r, 500, "Failed to verify ownership");
+    const request = http.parseBody(req_alloc, r, models.ImportTasksRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    if (request.tasks.len > MAX_IMPORT_BATCH) {
+        try http.jsonError(r, 400, "Too many tasks in one import (max 500)");
+        return;
+    }
+
+    // Lists first, so the tasks can point at their server IDs
+    const lists = lists_handler.importLists(req_alloc, user_id, request.lists) catch |err| {
+        if (err == error.InvalidList) {
+            try http.jsonError(r, 400, "Invalid list name in import");
+        } else {
+            try http.jsonError(r, 500, "Failed to import lists");
+        }
         return;
     };
 
-    if (!is_owner) {
-        try http.jsonError(r, 403, "Forbidden: not your task");
+    // Load existing tasks so we can skip duplicates (same title + due date)
+    const existing_result = db.getTasksByUser(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load existing tasks");
         return;
+    };
+    defer req_alloc.free(existing_result);
+
+    const existing = try std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, existing_result, .{ .ignore_unknown_fields = true });
+    defer existing.deinit();
+
+    var seen = std.ArrayListUnmanaged(models.ImportTaskItem){};
+    defer seen.deinit(req_alloc);
+    if (existing.value.len > 0) {
+        for (existing.value[0].result) |task| {
+            try seen.append(req_alloc, .{ .title = task.title, .due_date = task.due_date });
+        }
+    }
+
+    var imported = std.ArrayListUnmanaged(models.TaskResponse){};
+    defer imported.deinit(req_alloc);
+    var failed = std.ArrayListUnmanaged(models.ImportFailure){};
+    defer failed.deinit(req_alloc);
+    var skipped: usize = 0;
+
+    for (request.tasks, 0..) |item, index| {
+        if (!validation.validateTaskTitle(item.title)) {
+            try failed.append(req_alloc, .{ .index = index, .title = item.title, .@"error" = "Invalid title" });
+            continue;
+        }
+        if (subtasksError(item.subtasks)) |message| {
+            try failed.append(req_alloc, .{ .index = index, .title = item.title, .@"error" = message });
+            continue;
+        }
+        if (item.recurrence) |rule| {
+            if (!recurrenceValid(rule)) {
+                try failed.append(req_alloc, .{ .index = index, .title = item.title, .@"error" = "Invalid recurrence rule" });
+                continue;
+            }
+        }
+        if (labelsError(item.priority, item.tags)) |message| {
+            try failed.append(req_alloc, .{ .index = index, .title = item.title, .@"error" = message });
+            continue;
+        }
+
+        if (isDuplicate(seen.items, item)) {
+            skipped += 1;
+            continue;
+        }
+
+        const db_result = db.importTask(req_alloc, user_id, item.title, item.completed, item.created_at, item.due_date, .{
+            .position = item.position,
+            .subtasks = item.subtasks,
+            .recurrence = item.recurrence,
+            .priority = item.priority,
+            .tags = item.tags,
+            .list_id = importedListId(request.lists, lists, item.list_id),
+        }) catch {
+            try failed.append(req_alloc, .{ .index = index, .title = item.title, .@"error" = "Database error" });
+            continue;
+        };
+
+        // Not deinitialized here: the task strings must outlive the loop.
+        // Everything is owned by the request arena and freed with it.
+        const parsed = std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true }) catch {
+            try failed.append(req_alloc, .{ .index = index, .title = item.title, .@"error" = "Rejected by database (check dates)" });
+            continue;
+        };
+
+        if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+            try failed.append(req_alloc, .{ .index = index, .title = item.title, .@"error" = "Failed to create task" });
+            continue;
+        }
+        const task = parsed.value[0].result[0];
+
+        try imported.append(req_alloc, .{
+            .id = task.id,
+            .title = task.title,
+            .completed = task.completed,
+            .created_at = task.created_at,
+            .due_date = task.due_date,
+            .position = task.position,
+            .subtasks = task.subtasks,
+            .recurrence = task.recurrence,
+            .priority = task.priority,
+            .tags = task.tags,
+            .list_id = task.list_id,
+            .created_by = task.user_id,
+            .completed_by = task.completed_by,
+        });
+        try seen.append(req_alloc, item);
+        publishToAudience(req_alloc, r, user_id, .created, imported.items[imported.items.len - 1], &.{});
+    }
+
+    try http.jsonSuccess(r, models.ImportTasksResponse{
+        .lists = lists,
+        .imported = imported.items,
+        .skipped = skipped,
+        .failed = failed.items,
+    });
+}
+
+/// The first problem with a client-sent checklist, or null when it is fine
+fn subtasksError(subtasks: []const models.Subtask) ?[]const u8 {
+    if (subtasks.len > models.MAX_SUBTASKS) {
+        return std.fmt.comptimePrint("A task can have at most {d} steps", .{models.MAX_SUBTASKS});
     }
+    for (subtasks, 0..) |subtask, i| {
+        if (!validation.validateSubtaskId(subtask.id)) return "Invalid step id";
+        if (!validation.validateTaskTitle(subtask.title)) return "Step titles must be between 1 and 500 characters";
+        for (subtasks[0..i]) |earlier| {
+            if (std.mem.eql(u8, earlier.id, subtask.id)) return "Duplicate step id";
+        }
+    }
+    return null;
+}
+
+fn recurrenceValid(rule: models.Recurrence) bool {
+    return validation.validateRecurrence(rule.freq, rule.days, rule.day_of_month, rule.interval);
+}
+
+/// The first problem with a task's priority or tags, or null when they are fine
+fn labelsError(priority: ?[]const u8, tags: []const []const u8) ?[]const u8 {
+    if (priority) |p| {
+        if (!validation.validatePriority(p)) return "priority must be low, medium, high or null";
+    }
+    if (tags.len > models.MAX_TAGS_PER_TASK) {
+        return std.fmt.comptimePrint("A task can have at most {d} tags", .{models.MAX_TAGS_PER_TASK});
+    }
+    for (tags, 0..) |tag, i| {
+        if (!validation.validateTagName(tag)) return "Tags must be 1-32 characters without spaces, '#' or ','";
+        for (tags[0..i]) |earlier| {
+            if (std.mem.eql(u8, earlier, tag)) return "Duplicate tag";
+        }
+    }
+    return null;
+}
+
+/// Server ID of the imported list a task pointed at; unknown IDs land in the Inbox
+fn importedListId(items: []const models.ImportListItem, lists: []const models.ListResponse, client_id: ?[]const u8) ?[]const u8 {
+    const id = client_id orelse return null;
+    for (items, 0..) |item, i| {
+        if (std.mem.eql(u8, item.id, id)) return lists[i].id;
+    }
+    return null;
+}
+
+fn isDuplicate(seen: []const models.ImportTaskItem, item: models.ImportTaskItem) bool {
+    for (seen) |other| {
+        if (std.mem.eql(u8, other.title, item.title) and datetime.sameMinute(other.due_date, item.due_date)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+pub fn toggleTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    if (!try canEditTask(r, req_alloc, task_id, user_id)) return;
 
-    const db_result = db.toggleTask(req_alloc, task_id) catch {
+    const db_result = db.toggleTask(req_alloc, task_id, user_id) catch {
         try http.jsonError(r, 500, "Failed to toggle task");
         return;
     };
@@ -124,37 +413,632 @@ pub fn toggleTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Alloca
     }
     const task = parsed.value[0].result[0];
 
+    var response = toTaskResponse(task);
+    var next: ?models.TaskResponse = null;
+    if (task.completed and task.recurrence != null) {
+        const rolled = rollOver(req_alloc, task, userZone(r, req_alloc, user_id)) catch {
+            try http.jsonError(r, 500, "Task completed, but its next occurrence could not be created");
+            return;
+        };
+        response = rolled.completed;
+        next = rolled.next;
+    }
+
+    publishToAudience(req_alloc, r, user_id, .updated, response, &.{});
+    if (next) |*occurrence| {
+        publishToAudience(req_alloc, r, user_id, .created, occurrence.*, &.{});
+        response.next_occurrence = occurrence;
+    }
+    try http.jsonSuccess(r, response);
+}
+
+/// PATCH /api/tasks/:id - partial update of title, due_date and completed
+/// Omitted fields are left alone, "due_date": null clears the due date
+/// Completing a recurring task creates its next occurrence, returned as next_occurrence
+pub fn updateTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    if (!try canEditTask(r, req_alloc, task_id, user_id)) return;
+
+    // Parsed as a generic value so we can tell a missing due_date from an explicit null
+    const body = r.body orelse {
+        try http.jsonError(r, 400, "Missing JSON body");
+        return;
+    };
+    const parsed_body = std.json.parseFromSlice(std.json.Value, req_alloc, body, .{}) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+    defer parsed_body.deinit();
+
+    const fields = switch (parsed_body.value) {
+        .object => |obj| obj,
+        else => {
+            try http.jsonError(r, 400, "Invalid JSON body");
+            return;
+        },
+    };
+
+    var title: ?[]const u8 = null;
+    var completed: ?bool = null;
+    var due_date: ?[]const u8 = null;
+    var clear_due_date = false;
+    var subtasks: ?[]const models.Subtask = null;
+    var recurrence: ?models.Recurrence = null;
+    var clear_recurrence = false;
+    var priority: ?[]const u8 = null;
+    var clear_priority = false;
+    var tags: ?[]const []const u8 = null;
+    var list_id: ?[]const u8 = null;
+    var clear_list = false;
+
+    if (fields.get("title")) |value| {
+        const raw = switch (value) {
+            .string => |str| str,
+            else => {
+                try http.jsonError(r, 400, "title must be a string");
+                return;
+            },
+        };
+        const trimmed = std.mem.trim(u8, raw, " \t\r\n");
+        if (!validation.validateTaskTitle(trimmed)) {
+            try http.jsonError(r, 400, "Title must be between 1 and 500 characters");
+            return;
+        }
+        title = trimmed;
+    }
+
+    if (fields.get("completed")) |value| {
+        switch (value) {
+            .bool => |b| completed = b,
+            else => {
+                try http.jsonError(r, 400, "completed must be a boolean");
+                return;
+            },
+        }
+    }
+
+    if (fields.get("due_date")) |value| {
+        switch (value) {
+            .null => clear_due_date = true,
+            .string => |str| {
+                if (!validation.validateDateTime(str)) {
+                    try http.jsonError(r, 400, "Invalid due date");
+                    return;
+                }
+                due_date = str;
+            },
+            else => {
+                try http.jsonError(r, 400, "due_date must be a string or null");
+                return;
+            },
+        }
+    }
+
+    // The whole checklist is sent on every change to it
+    if (fields.get("subtasks")) |value| {
+        const list = std.json.parseFromValueLeaky([]models.Subtask, req_alloc, value, .{}) catch {
+            try http.jsonError(r, 400, "subtasks must be an array of { id, title, completed }");
+            return;
+        };
+        if (subtasksError(list)) |message| {
+            try http.jsonError(r, 400, message);
+            return;
+        }
+        subtasks = list;
+    }
+
+    if (fields.get("recurrence")) |value| {
+        switch (value) {
+            .null => clear_recurrence = true,
+            else => {
+                const rule = std.json.parseFromValueLeaky(models.Recurrence, req_alloc, value, .{}) catch {
+                    try http.jsonError(r, 400, "recurrence must be a rule object or null");
+                    return;
+                };
+                if (!recurrenceValid(rule)) {
+                    try http.jsonError(r, 400, "Invalid recurrence rule");
+                    return;
+                }
+                recurrence = rule;
+            },
+        }
+    }
+
+    if (fields.get("priority")) |value| {
+        switch (value) {
+            .null => clear_priority = true,
+            .string => |str| priority = str,
+            else => {
+                try http.jsonError(r, 400, "priority must be a string or null");
+                return;
+            },
+        }
+    }
+
+    // Like subtasks, the full tag list replaces the old one
+    if (fields.get("tags")) |value| {
+        tags = std.json.parseFromValueLeaky([]const []const u8, req_alloc, value, .{}) catch {
+            try http.jsonError(r, 400, "tags must be an array of strings");
+            return;
+        };
+    }
+
+    if (labelsError(priority, tags orelse &.{})) |message| {
+        try http.jsonError(r, 400, message);
+        return;
+    }
+
+    // null moves the task to the Inbox
+    if (fields.get("list_id")) |value| {
+        switch (value) {
+            .null => clear_list = true,
+            .string => |str| {
+                if (!try lists_handler.hasListAccess(r, req_alloc, str, user_id, .editor)) return;
+                list_id = str;
+            },
+            else => {
+                try http.jsonError(r, 400, "list_id must be a string or null");
+                return;
+            },
+        }
+    }
+
+    if (title == null and completed == null and due_date == null and !clear_due_date and subtasks == null and recurrence == null and !clear_recurrence and priority == null and !clear_priority and tags == null and list_id == null and !clear_list) {
+        try http.jsonError(r, 400, "Nothing to update");
+        return;
+    }
+
+    // Who saw the task before a move, so anyone left out of the new list can drop it
+    const previous: []const []const u8 = if (list_id != null or clear_list) taskAudience(req_alloc, task_id, user_id) else &.{};
+
+    const db_result = db.updateTask(req_alloc, task_id, .{
+        .title = title,
+        .completed = completed,
+        .completed_by = user_id,
+        .due_date = due_date,
+        .clear_due_date = clear_due_date,
+        .subtasks = subtasks,
+        .recurrence = recurrence,
+        .clear_recurrence = clear_recurrence,
+        .priority = priority,
+        .clear_priority = clear_priority,
+        .tags = tags,
+        .list_id = list_id,
+        .clear_list = clear_list,
+    }) catch {
+        try http.jsonError(r, 500, "Failed to update task");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    // A schema ASSERT failure (due date before creation) comes back as an error string
+    const parsed = std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true }) catch {
+        try http.jsonError(r, 400, "Update rejected: due date must not be before the task was created");
+        return;
+    };
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 500, "Failed to update task");
+        return;
+    }
+    const task = parsed.value[0].result[0];
+
+    var response = toTaskResponse(task);
+    var next: ?models.TaskResponse = null;
+    if (completed == true and task.recurrence != null) {
+        const rolled = rollOver(req_alloc, task, userZone(r, req_alloc, user_id)) catch {
+            try http.jsonError(r, 500, "Task completed, but its next occurrence could not be created");
+            return;
+        };
+        response = rolled.completed;
+        next = rolled.next;
+    }
+
+    publishToAudience(req_alloc, r, user_id, .updated, response, previous);
+    if (next) |*occurrence| {
+        publishToAudience(req_alloc, r, user_id, .created, occurrence.*, &.{});
+        response.next_occurrence = occurrence;
+    }
+    try http.jsonSuccess(r, response);
+}
+
+pub fn deleteTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    if (!try canEditTask(r, req_alloc, task_id, user_id)) return;
+    const audience = taskAudience(req_alloc, task_id, user_id);
+
+    // Soft delete: the task moves to the trash and can be restored for TRASH_RETENTION_DAYS
+    _ = db.softDeleteTask(req_alloc, task_id) catch {
+        try http.jsonError(r, 500, "Failed to delete task");
+        return;
+    };
+
+    publishDeleted(req_alloc, r, task_id, audience);
+
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "success" });
+}
+
+/// POST /api/tasks/:id/restore - move a task out of the trash
+pub fn restoreTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const access = db.getTaskAccess(req_alloc, task_id, user_id) catch {
+        try http.jsonError(r, 500, "Failed to verify ownership");
+        return;
+    };
+
+    // Purged tasks no longer exist, so they land here too
+    if (access == .none) {
+        try http.jsonError(r, 404, "Task not found (it may have been permanently deleted)");
+        return;
+    }
+    if (!access.canEdit()) {
+        try http.jsonError(r, 403, "Forbidden: you can only view this list");
+        return;
+    }
+
+    const db_result = db.restoreTask(req_alloc, task_id) catch {
+        try http.jsonError(r, 500, "Failed to restore task");
+        return;
+    };
+    defer req_alloc.free(db_result);
+
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+        try http.jsonError(r, 500, "Failed to restore task");
+        return;
+    }
+    const task = parsed.value[0].result[0];
+
     const response = models.TaskResponse{
         .id = task.id,
         .title = task.title,
         .completed = task.completed,
         .created_at = task.created_at,
         .due_date = task.due_date,
+        .position = task.position,
+        .subtasks = task.subtasks,
+        .recurrence = task.recurrence,
+        .priority = task.priority,
+        .tags = task.tags,
+        .list_id = task.list_id,
+        .created_by = task.user_id,
+        .completed_by = task.completed_by,
     };
 
+    publishToAudience(req_alloc, r, user_id, .restored, response, &.{});
     try http.jsonSuccess(r, response);
 }
 
-pub fn deleteTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Allocator) !void {
+/// DELETE /api/tasks/:id/permanent - remove a task for good, skipping the trash
+pub fn purgeTask(r: zap.Request, task_id: []const u8, req_alloc: std.mem.Allocator) !void {
     const user_id = http.getCurrentUserId(req_alloc, r) orelse {
         try http.jsonError(r, 401, "Unauthorized");
         return;
     };
 
-    const is_owner = db.verifyTaskOwnership(req_alloc, task_id, user_id) catch {
+    if (!try canEditTask(r, req_alloc, task_id, user_id)) return;
+    // Looked up first: afterwards there is no task to look it up from
+    const audience = taskAudience(req_alloc, task_id, user_id);
+
+    _ = db.deleteTask(req_alloc, task_id) catch {
+        try http.jsonError(r, 500, "Failed to delete task");
+        return;
+    };
+
+    // Clients that still list it (not yet in their trash) drop it too
+    publishDeleted(req_alloc, r, task_id, audience);
+
+    try http.jsonSuccess(r, models.SuccessResponse{ .status = "success" });
+}
+
+/// Sends the error response and returns false unless the user may change the task:
+/// it is their own, or it is in a list they own or were invited to as an editor
+fn canEditTask(r: zap.Request, req_alloc: std.mem.Allocator, task_id: []const u8, user_id: []const u8) !bool {
+    const access = db.getTaskAccess(req_alloc, task_id, user_id) catch {
         try http.jsonError(r, 500, "Failed to verify ownership");
+        return false;
+    };
+    if (!access.canEdit()) {
+        try http.jsonError(r, 403, if (access == .viewer) "Forbidden: you can only view this list" else "Forbidden: not your task");
+        return false;
+    }
+    return true;
+}
+
+const Rollover = struct {
+    completed: models.TaskResponse, // No longer repeating
+    next: models.TaskResponse,
+};
+
+/// Create the next occurrence of a recurring task that was just completed, and stop the
+/// completed one repeating: it stays behind as done, like any other completed task. The next
+/// one is the task owner's, whoever completed it.
+fn rollOver(req_alloc: std.mem.Allocator, task: models.Task, zone: timezone.Zone) !Rollover {
+    const rule = task.recurrence.?;
+    const due = if (task.due_date) |dd| datetime.parseUnixSeconds(dd) else null;
+    const next_due = recurring.nextDueDate(.{
+        .freq = rule.freq,
+        .days = rule.days orelse &.{},
+        .day_of_month = rule.day_of_month orelse 1,
+        .interval = rule.interval orelse 1,
+    }, due, std.time.timestamp(), zone);
+    var due_buf: [20]u8 = undefined;
+
+    // The checklist starts over
+    const subtasks = try req_alloc.alloc(models.Subtask, task.subtasks.len);
+    for (task.subtasks, subtasks) |subtask, *copy| {
+        copy.* = .{ .id = subtask.id, .title = subtask.title };
+    }
+
+    const db_result = try db.rollOverTask(req_alloc, task.id, task.user_id, task.title, datetime.formatUtc(&due_buf, next_due), .{
+        .position = task.position,
+        .subtasks = subtasks,
+        .recurrence = rule,
+        .priority = task.priority,
+        .tags = task.tags,
+        .list_id = task.list_id,
+    });
+    const parsed = try std.json.parseFromSliceLeaky([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    if (parsed.len < 2 or parsed[0].result.len == 0 or parsed[1].result.len == 0) return error.TaskNotFound;
+    return .{ .completed = toTaskResponse(parsed[1].result[0]), .next = toTaskResponse(parsed[0].result[0]) };
+}
+
+/// The timezone the user's dates are in: their profile setting, else the browser's
+/// (the X-Timezone header, see applyLocale in public/app.js), else UTC
+fn userZone(r: zap.Request, req_alloc: std.mem.Allocator, user_id: []const u8) timezone.Zone {
+    const name = profileTimezone(req_alloc, user_id) orelse r.getHeader("x-timezone") orelse return timezone.Zone.utc;
+    return timezone.load(req_alloc, name) catch timezone.Zone.utc;
+}
+
+fn profileTimezone(req_alloc: std.mem.Allocator, user_id: []const u8) ?[]const u8 {
+    const db_result = db.getUserById(req_alloc, user_id) catch return null;
+    const parsed = std.json.parseFromSliceLeaky([]models.SurrealResponse(models.User), req_alloc, db_result, .{ .ignore_unknown_fields = true }) catch return null;
+    if (parsed.len == 0 or parsed[0].result.len == 0) return null;
+    return parsed[0].result[0].timezone;
+}
+
+/// Users who see the task; just the acting user when that can't be looked up
+fn taskAudience(req_alloc: std.mem.Allocator, task_id: []const u8, user_id: []const u8) []const []const u8 {
+    return db.getTaskAudience(req_alloc, task_id) catch {
+        const fallback = req_alloc.alloc([]const u8, 1) catch return &.{};
+        fallback[0] = user_id;
+        return fallback;
+    };
+}
+
+/// Tell everyone who sees the task about the write. Anyone in `previous` who no longer
+/// sees it (it moved out of a list shared with them) is told it was deleted instead.
+fn publishToAudience(req_alloc: std.mem.Allocator, r: zap.Request, user_id: []const u8, kind: realtime.EventKind, task: models.TaskResponse, previous: []const []const u8) void {
+    const audience = taskAudience(req_alloc, task.id, user_id);
+    for (audience) |id| {
+        realtime.publishTask(req_alloc, r, id, kind, task);
+    }
+    for (previous) |id| {
+        if (!containsId(audience, id)) realtime.publishDeleted(req_alloc, r, id, task.id);
+    }
+}
+
+fn publishDeleted(req_alloc: std.mem.Allocator, r: zap.Request, task_id: []const u8, audience: []const []const u8) void {
+    for (audience) |id| {
+        realtime.publishDeleted(req_alloc, r, id, task_id);
+    }
+}
+
+fn containsId(ids: []const []const u8, id: []const u8) bool {
+    for (ids) |other| {
+        if (std.mem.eql(u8, other, id)) return true;
+    }
+    return false;
+}
+
+/// GET /api/tasks/trash - deleted tasks that can still be restored
+pub fn getTrash(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    // Expired entries are purged lazily, whenever someone looks at the trash
+    db.purgeExpiredTrash(req_alloc, user_id) catch {};
+
+    const db_result = db.getDeletedTasksByUser(req_alloc, user_id) catch {
+        try http.jsonError(r, 500, "Failed to load trash");
         return;
     };
+    defer req_alloc.free(db_result);
 
-    if (!is_owner) {
-        try http.jsonError(r, 403, "Forbidden: not your task");
+    const parsed = try std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true });
+    defer parsed.deinit();
+
+    if (parsed.value.len == 0) {
+        try http.jsonSuccess(r, [0]models.TaskResponse{});
         return;
     }
 
-    _ = db.deleteTask(req_alloc, task_id) catch {
-        try http.jsonError(r, 500, "Failed to delete task");
+    var tasks = std.ArrayListUnmanaged(models.TaskResponse){};
+    defer tasks.deinit(req_alloc);
+
+    for (parsed.value[0].result) |task| {
+        try tasks.append(req_alloc, .{
+            .id = task.id,
+            .title = task.title,
+            .completed = task.completed,
+            .created_at = task.created_at,
+            .due_date = task.due_date,
+            .position = task.position,
+            .subtasks = task.subtasks,
+            .recurrence = task.recurrence,
+            .priority = task.priority,
+            .tags = task.tags,
+            .list_id = task.list_id,
+            .created_by = task.user_id,
+            .completed_by = task.completed_by,
+            .deleted_at = task.deleted_at,
+        });
+    }
+
+    try http.jsonSuccess(r, tasks.items);
+}
+
+/// POST /api/tasks/batch - apply one action to many tasks in a single request
+/// Every ID is ownership-checked before anything changes: one foreign ID rejects the whole batch
+/// Completing recurring tasks creates their next occurrences, returned in created
+pub fn batchTasks(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
         return;
     };
 
+    const request = http.parseBody(req_alloc, r, models.BatchTasksRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    const action = std.meta.stringToEnum(models.BatchAction, request.action) orelse {
+        try http.jsonError(r, 400, "Unknown action");
+        return;
+    };
+
+    if (request.ids.len == 0) {
+        try http.jsonError(r, 400, "No tasks selected");
+        return;
+    }
+    if (request.ids.len > MAX_BULK_IDS) {
+        try http.jsonError(r, 400, "Too many tasks in one batch (max 500)");
+        return;
+    }
+
+    if (action == .set_due_date) {
+        if (request.due_date) |dd| {
+            if (!validation.validateDateTime(dd)) {
+                try http.jsonError(r, 400, "Invalid due date");
+                return;
+            }
+        }
+    }
+    if (action == .move) {
+        if (request.list_id) |list_id| {
+            if (!try lists_handler.hasListAccess(r, req_alloc, list_id, user_id, .editor)) return;
+        }
+    }
+
+    for (request.ids) |task_id| {
+        if (!try canEditTask(r, req_alloc, task_id, user_id)) return;
+    }
+
+    var updated = std.ArrayListUnmanaged(models.TaskResponse){};
+    defer updated.deinit(req_alloc);
+    var deleted = std.ArrayListUnmanaged([]const u8){};
+    defer deleted.deinit(req_alloc);
+    var created = std.ArrayListUnmanaged(models.TaskResponse){};
+    defer created.deinit(req_alloc);
+    var zone: ?timezone.Zone = null; // Looked up for the first recurring task
+    var failed = std.ArrayListUnmanaged(models.BatchFailure){};
+    defer failed.deinit(req_alloc);
+
+    for (request.ids) |task_id| {
+        // Who saw the task before a move or delete; they are told even if they no longer see it
+        const previous: []const []const u8 = if (action == .delete or action == .move) taskAudience(req_alloc, task_id, user_id) else &.{};
+
+        if (action == .delete) {
+            _ = db.softDeleteTask(req_alloc, task_id) catch {
+                try failed.append(req_alloc, .{ .id = task_id, .@"error" = "Database error" });
+                continue;
+            };
+            try deleted.append(req_alloc, task_id);
+            publishDeleted(req_alloc, r, task_id, previous);
+            continue;
+        }
+
+        const db_result = switch (action) {
+            .complete => db.updateTask(req_alloc, task_id, .{ .completed = true, .completed_by = user_id }),
+            .uncomplete => db.updateTask(req_alloc, task_id, .{ .completed = false }),
+            .set_due_date => db.updateTask(req_alloc, task_id, .{ .due_date = request.due_date, .clear_due_date = request.due_date == null }),
+            .restore => db.restoreTask(req_alloc, task_id),
+            .move => db.updateTask(req_alloc, task_id, .{ .list_id = request.list_id, .clear_list = request.list_id == null }),
+            .delete => unreachable,
+        } catch {
+            try failed.append(req_alloc, .{ .id = task_id, .@"error" = "Database error" });
+            continue;
+        };
+
+        // Owned by the request arena like in importTasks: the task strings outlive the loop
+        const parsed = std.json.parseFromSlice([]models.SurrealResponse(models.Task), req_alloc, db_result, .{ .ignore_unknown_fields = true }) catch {
+            try failed.append(req_alloc, .{ .id = task_id, .@"error" = "Rejected by database (check dates)" });
+            continue;
+        };
+
+        if (parsed.value.len == 0 or parsed.value[0].result.len == 0) {
+            try failed.append(req_alloc, .{ .id = task_id, .@"error" = "Task not found" });
+            continue;
+        }
+        const task = parsed.value[0].result[0];
+
+        var response = toTaskResponse(task);
+        if (action == .complete and task.recurrence != null) {
+            if (zone == null) zone = userZone(r, req_alloc, user_id);
+            const rolled = rollOver(req_alloc, task, zone.?) catch {
+                try failed.append(req_alloc, .{ .id = task_id, .@"error" = "Completed, but its next occurrence could not be created" });
+                continue;
+            };
+            response = rolled.completed;
+            try created.append(req_alloc, rolled.next);
+            publishToAudience(req_alloc, r, user_id, .created, rolled.next, &.{});
+        }
+
+        try updated.append(req_alloc, response);
+        publishToAudience(req_alloc, r, user_id, if (action == .restore) .restored else .updated, updated.items[updated.items.len - 1], previous);
+    }
+
+    try http.jsonSuccess(r, models.BatchTasksResponse{
+        .updated = updated.items,
+        .deleted = deleted.items,
+        .created = created.items,
+        .failed = failed.items,
+    });
+}
+
+/// PUT /api/tasks/order - store the manual order of the active list in one request
+/// Body: { "ids": [...] } with every active task, first to last
+pub fn reorderTasks(r: zap.Request, req_alloc: std.mem.Allocator) !void {
+    const user_id = http.getCurrentUserId(req_alloc, r) orelse {
+        try http.jsonError(r, 401, "Unauthorized");
+        return;
+    };
+
+    const request = http.parseBody(req_alloc, r, models.ReorderTasksRequest) catch {
+        try http.jsonError(r, 400, "Invalid JSON body");
+        return;
+    };
+
+    if (request.ids.len > MAX_ORDER_IDS) {
+        try http.jsonError(r, 400, "Too many tasks in one ordering (max 5000)");
+        return;
+    }
+
+    // Ownership is enforced inside the query: IDs of other users' tasks are skipped
+    const db_result = db.reorderTasks(req_alloc, user_id, request.ids) catch {
+        try http.jsonError(r, 500, "Failed to save task order");
+        return;
+    };
+    req_alloc.free(db_result);
+
+    realtime.publishReordered(req_alloc, r, user_id, request.ids);
     try http.jsonSuccess(r, models.SuccessResponse{ .status = "success" });
 }
+
@@ -10,7 +10,11 @@ const rate_limiter = @import("util/rate_limiter.zig");
 const auth_handler = @import("handlers/auth.zig");
 const tasks_handler = @import("handlers/tasks.zig");
 const profile_handler = @import("handlers/profile.zig");
+const tags_handler = @import("handlers/tags.zig");
+const lists_handler = @import("handlers/lists.zig");
+const sharing_handler = @import("handlers/sharing.zig");
 const system_handler = @import("handlers/system.zig");
+const realtime = @import("services/realtime.zig");
 
 // Global allocator (will use GPA from app module)
 var allocator: std.mem.Allocator = undefined;
@@ -45,6 +49,7 @@ pub fn main() !void {
         .port = port,
         .interface = interface.ptr, // Convert slice to C pointer
         .on_request = handleRequest,
+        .on_upgrade = realtime.handleUpgrade,
         .log = true,
     });
     try listener.listen();
@@ -89,8 +94,8 @@ fn handleApi(r: zap.Request, path: []const u8, req_alloc: std.mem.Allocator) !vo
     // SECURITY: CORS origin from .env config (defaults to * for development)
     const cors_origin = config.getOrDefault("CORS_ORIGIN", "*");
     r.setHeader("Access-Control-Allow-Origin", cors_origin) catch {};
-    r.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS") catch {};
-    r.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization") catch {};
+    r.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS") catch {};
+    r.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Client-Id, X-Timezone") catch {};
     r.setHeader("Access-Control-Allow-Credentials", "true") catch {};
     
     // SECURITY: Additional security headers
@@ -120,6 +125,10 @@ fn handleApi(r: zap.Request, path: []const u8, req_alloc: std.mem.Allocator) !vo
         try system_handler.handleMetrics(r, req_alloc);
         return;
     }
+    if (std.mem.eql(u8, path, "/api/validation-rules")) {
+        try system_handler.handleValidationRules(r, req_alloc);
+        return;
+    }
 
     // Auth routes
     if (std.mem.eql(u8, path, "/api/auth/signup")) {
@@ -140,6 +149,43 @@ fn handleApi(r: zap.Request, path: []const u8, req_alloc: std.mem.Allocator) !vo
     } else if (std.mem.eql(u8, path, "/api/auth/resend-verification")) {
         try auth_handler.handleResendVerification(r, req_alloc);
         return;
+    } else if (std.mem.eql(u8, path, "/api/auth/refresh")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "POST")) {
+                try auth_handler.handleRefresh(r, req_alloc);
+            }
+        }
+        return;
+    } else if (std.mem.eql(u8, path, "/api/auth/logout")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "POST")) {
+                try auth_handler.handleLogout(r, req_alloc);
+            }
+        }
+        return;
+    } else if (std.mem.eql(u8, path, "/api/auth/sessions")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "GET")) {
+                try auth_handler.handleListSessions(r, req_alloc);
+            } else if (std.mem.eql(u8, method, "DELETE")) {
+                try auth_handler.handleRevokeOtherSessions(r, req_alloc);
+            }
+        }
+        return;
+    } else if (std.mem.startsWith(u8, path, "/api/auth/sessions/")) {
+        // /api/auth/sessions/:id
+        const session_id = path[19..];
+        if (session_id.len == 0 or std.mem.indexOfScalar(u8, session_id, '/') != null) {
+            r.setStatus(.bad_request);
+            try r.sendBody("{\"error\": \"Invalid ID\"}");
+            return;
+        }
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "DELETE")) {
+                try auth_handler.handleRevokeSession(r, session_id, req_alloc);
+            }
+        }
+        return;
     } else if (std.mem.startsWith(u8, path, "/api/auth/verify")) {
         try auth_handler.handleVerifyEmail(r, req_alloc);
         return;
@@ -158,6 +204,110 @@ fn handleApi(r: zap.Request, path: []const u8, req_alloc: std.mem.Allocator) !vo
     } else if (std.mem.eql(u8, path, "/api/profile/password")) {
         try profile_handler.changePassword(r, req_alloc);
         return;
+    } else if (std.mem.eql(u8, path, "/api/profile/preferences")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "PUT")) {
+                try profile_handler.updatePreferences(r, req_alloc);
+            }
+        }
+        return;
+    }
+
+    // Tag routes
+    if (std.mem.eql(u8, path, "/api/tags")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "GET")) {
+                try tags_handler.getTags(r, req_alloc);
+            } else if (std.mem.eql(u8, method, "PATCH")) {
+                try tags_handler.updateTag(r, req_alloc);
+            }
+        }
+        return;
+    }
+
+    // List routes
+    if (std.mem.eql(u8, path, "/api/lists")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "GET")) {
+                try lists_handler.getLists(r, req_alloc);
+            } else if (std.mem.eql(u8, method, "POST")) {
+                try lists_handler.createList(r, req_alloc);
+            }
+        }
+        return;
+    } else if (std.mem.startsWith(u8, path, "/api/lists/")) {
+        // /api/lists/:id, /api/lists/:id/members or /api/lists/:id/members/:member_id
+        const rest = path[11..];
+        const slash = std.mem.indexOfScalar(u8, rest, '/');
+        const list_id = if (slash) |i| rest[0..i] else rest;
+        const sub = if (slash) |i| rest[i + 1 ..] else "";
+        if (list_id.len == 0) {
+            r.setStatus(.bad_request);
+            try r.sendBody("{\"error\": \"Invalid ID\"}");
+            return;
+        }
+
+        if (sub.len > 0) {
+            const method = r.method orelse "";
+            if (std.mem.eql(u8, sub, "members") and std.mem.eql(u8, method, "POST")) {
+                try sharing_handler.inviteMember(r, list_id, req_alloc);
+            } else if (std.mem.startsWith(u8, sub, "members/") and sub.len > 8 and std.mem.indexOfScalar(u8, sub[8..], '/') == null) {
+                const member_id = sub[8..];
+                if (std.mem.eql(u8, method, "PATCH")) {
+                    try sharing_handler.updateMember(r, list_id, member_id, req_alloc);
+                } else if (std.mem.eql(u8, method, "DELETE")) {
+                    try sharing_handler.removeMember(r, list_id, member_id, req_alloc);
+                } else {
+                    r.setStatus(.not_found);
+                    try r.sendBody("{\"error\": \"Not found\"}");
+                }
+            } else {
+                r.setStatus(.not_found);
+                try r.sendBody("{\"error\": \"Not found\"}");
+            }
+            return;
+        }
+
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "PATCH")) {
+                try lists_handler.updateList(r, list_id, req_alloc);
+            } else if (std.mem.eql(u8, method, "DELETE")) {
+                try lists_handler.deleteList(r, list_id, req_alloc);
+            }
+        }
+        return;
+    }
+
+    // Invitation routes (to lists shared with the current user)
+    if (std.mem.eql(u8, path, "/api/invitations")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "GET")) {
+                try sharing_handler.getInvitations(r, req_alloc);
+            }
+        }
+        return;
+    } else if (std.mem.startsWith(u8, path, "/api/invitations/")) {
+        // /api/invitations/:id or /api/invitations/:id/accept
+        const rest = path[17..];
+        const slash = std.mem.indexOfScalar(u8, rest, '/');
+        const invitation_id = if (slash) |i| rest[0..i] else rest;
+        const action = if (slash) |i| rest[i + 1 ..] else "";
+        if (invitation_id.len == 0) {
+            r.setStatus(.bad_request);
+            try r.sendBody("{\"error\": \"Invalid ID\"}");
+            return;
+        }
+
+        const method = r.method orelse "";
+        if (std.mem.eql(u8, action, "accept") and std.mem.eql(u8, method, "POST")) {
+            try sharing_handler.acceptInvitation(r, invitation_id, req_alloc);
+        } else if (action.len == 0 and std.mem.eql(u8, method, "DELETE")) {
+            try sharing_handler.declineInvitation(r, invitation_id, req_alloc);
+        } else {
+            r.setStatus(.not_found);
+            try r.sendBody("{\"error\": \"Not found\"}");
+        }
+        return;
     }
 
     // Task routes
@@ -169,17 +319,64 @@ fn handleApi(r: zap.Request, path: []const u8, req_alloc: std.mem.Allocator) !vo
                 try tasks_handler.createTask(r, req_alloc);
             }
         }
+    } else if (std.mem.eql(u8, path, "/api/tasks/import")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "POST")) {
+                try tasks_handler.importTasks(r, req_alloc);
+            }
+        }
+    } else if (std.mem.eql(u8, path, "/api/tasks/batch")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "POST")) {
+                try tasks_handler.batchTasks(r, req_alloc);
+            }
+        }
+    } else if (std.mem.eql(u8, path, "/api/tasks/order")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "PUT")) {
+                try tasks_handler.reorderTasks(r, req_alloc);
+            }
+        }
+    } else if (std.mem.eql(u8, path, "/api/tasks/trash")) {
+        if (r.method) |method| {
+            if (std.mem.eql(u8, method, "GET")) {
+                try tasks_handler.getTrash(r, req_alloc);
+            }
+        }
+    } else if (std.mem.eql(u8, path, realtime.EVENTS_PATH)) {
+        // Upgrades are routed to realtime.handleUpgrade; plain requests end up here
+        r.setStatus(.upgrade_required);
+        try r.sendBody("{\"error\": \"WebSocket upgrade required\"}");
     } else if (std.mem.startsWith(u8, path, "/api/tasks/")) {
-        const task_id = path[11..];
+        // /api/tasks/:id or /api/tasks/:id/<action>
+        const rest = path[11..];
+        const slash = std.mem.indexOfScalar(u8, rest, '/');
+        const task_id = if (slash) |i| rest[0..i] else rest;
+        const action = if (slash) |i| rest[i + 1 ..] else "";
         if (task_id.len == 0) {
             r.setStatus(.bad_request);
             try r.sendBody("{\"error\": \"Invalid ID\"}");
             return;
         }
 
+        if (action.len > 0) {
+            const method = r.method orelse "";
+            if (std.mem.eql(u8, action, "restore") and std.mem.eql(u8, method, "POST")) {
+                try tasks_handler.restoreTask(r, task_id, req_alloc);
+            } else if (std.mem.eql(u8, action, "permanent") and std.mem.eql(u8, method, "DELETE")) {
+                try tasks_handler.purgeTask(r, task_id, req_alloc);
+            } else {
+                r.setStatus(.not_found);
+                try r.sendBody("{\"error\": \"Not found\"}");
+            }
+            return;
+        }
+
         if (r.method) |method| {
             if (std.mem.eql(u8, method, "PUT")) {
                 try tasks_handler.toggleTask(r, task_id, req_alloc);
+            } else if (std.mem.eql(u8, method, "PATCH")) {
+                try tasks_handler.updateTask(r, task_id, req_alloc);
             } else if (std.mem.eql(u8, method, "DELETE")) {
                 try tasks_handler.deleteTask(r, task_id, req_alloc);
             }
@@ -170,6 +170,30 @@ pub fn sendPasswordResetEmail(allocator: std.mem.Allocator, to_email: []const u8
     try sendEmail(allocator, to_email, "", subject, body);
 }
 
+/// The invitee accepts from the app, logged in with this address (no link token needed)
+pub fn sendListInvitationEmail(allocator: std.mem.Allocator, to_email: []const u8, inviter_name: []const u8, list_name: []const u8, role: []const u8) !void {
+    const subject = try std.fmt.allocPrint(allocator, "{s} shared \"{s}\" with you - Zig Task Manager", .{ inviter_name, list_name });
+    defer allocator.free(subject);
+
+    const access = if (std.mem.eql(u8, role, "viewer")) "see" else "see and edit";
+    const body = try std.fmt.allocPrint(allocator,
+        \\Hello,
+        \\
+        \\{s} invited you to {s} the tasks in their list "{s}".
+        \\
+        \\Log in (or sign up) with this email address to accept or decline:
+        \\http://localhost:9000/
+        \\
+        \\If you weren't expecting this, you can ignore this email.
+        \\
+        \\Best regards,
+        \\Zig Task Manager Team
+    , .{ inviter_name, access, list_name });
+    defer allocator.free(body);
+
+    try sendEmail(allocator, to_email, "", subject, body);
+}
+
 fn sendEmail(allocator: std.mem.Allocator, to_email: []const u8, to_name: []const u8, subject: []const u8, text_content: []const u8) !void {
     const email_cfg = try getEmailConfig();
 
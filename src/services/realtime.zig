@@ -0,0 +1,234 @@
+// Real-time task events for Task Manager
+// Browsers open a WebSocket on /api/tasks/events (authenticated by the session cookie)
+// and subscribe to their user's channel; task handlers publish after every successful write.
+// Each socket remembers the session it was opened under, and is closed when that session is
+// revoked (closeSession, closeUserSessions): auth is only checked on upgrade.
+const std = @import("std");
+const zap = @import("zap");
+const app = @import("../app.zig");
+const db = @import("../db/db.zig");
+const models = @import("../domain/models.zig");
+const http = @import("../util/http.zig");
+const log = @import("../util/log.zig");
+
+pub const EVENTS_PATH = "/api/tasks/events";
+
+// Longer client ids are ignored rather than echoed back
+const MAX_CLIENT_ID_LEN = 64;
+
+/// Per-connection state, allocated on upgrade and freed when the socket closes
+const Connection = struct {
+    user_id: []u8,
+    session_id: []u8,
+    channel: []u8,
+    handle: zap.WebSockets.WsHandle = null, // set once open
+    subscribe_args: WebSocketHandler.SubscribeArgs,
+    settings: WebSocketHandler.WebSocketSettings,
+};
+
+const WebSocketHandler = zap.WebSockets.Handler(Connection);
+
+// Open connections. A connection leaves in onClose, before it is freed, so one found here
+// under the lock can still be closed.
+var open_connections = std.ArrayListUnmanaged(*Connection){};
+var connections_mutex = std.Thread.Mutex{};
+
+pub const EventKind = enum {
+    created,
+    updated,
+    deleted,
+    restored,
+
+    fn name(self: EventKind) []const u8 {
+        return switch (self) {
+            .created => "task.created",
+            .updated => "task.updated",
+            .deleted => "task.deleted",
+            .restored => "task.restored",
+        };
+    }
+};
+
+fn channelFor(allocator: std.mem.Allocator, user_id: []const u8) ![]u8 {
+    return std.fmt.allocPrint(allocator, "tasks:{s}", .{user_id});
+}
+
+const Session = struct {
+    id: []const u8,
+    user_id: []const u8,
+};
+
+/// The session of the access token the upgrade request came with, if it is valid
+fn authenticate(allocator: std.mem.Allocator, r: zap.Request) ?Session {
+    const token = http.getSessionToken(allocator, r) orelse return null;
+    const user_id = (db.validateSession(allocator, token) catch return null) orelse return null;
+    const session_id = (db.getSessionId(allocator, token) catch return null) orelse return null;
+    return .{ .id = session_id, .user_id = user_id };
+}
+
+/// HttpListener on_upgrade callback
+pub fn handleUpgrade(r: zap.Request, target_protocol: []const u8) anyerror!void {
+    const path = r.path orelse "/";
+    if (!std.mem.eql(u8, target_protocol, "websocket") or !std.mem.eql(u8, path, EVENTS_PATH)) {
+        r.setStatus(.bad_request);
+        try r.sendBody("400 - Bad Request");
+        return;
+    }
+
+    var arena = app.createRequestArena();
+    defer arena.deinit();
+
+    const session = authenticate(arena.allocator(), r) orelse {
+        r.setStatus(.unauthorized);
+        try r.sendBody("401 - Not authenticated");
+        return;
+    };
+
+    const allocator = app.allocator();
+    const conn = try allocator.create(Connection);
+    errdefer allocator.destroy(conn);
+    const user_id = try allocator.dupe(u8, session.user_id);
+    errdefer allocator.free(user_id);
+    const session_id = try allocator.dupe(u8, session.id);
+    errdefer allocator.free(session_id);
+    const channel = try channelFor(allocator, user_id);
+    errdefer allocator.free(channel);
+
+    conn.* = .{
+        .user_id = user_id,
+        .session_id = session_id,
+        .channel = channel,
+        .subscribe_args = .{ .channel = channel, .force_text = true },
+        .settings = .{
+            .on_open = onOpen,
+            .on_close = onClose,
+            .context = conn,
+        },
+    };
+    try WebSocketHandler.upgrade(r.h, &conn.settings);
+}
+
+fn onOpen(context: ?*Connection, handle: zap.WebSockets.WsHandle) anyerror!void {
+    const conn = context orelse return;
+    conn.handle = handle;
+    {
+        connections_mutex.lock();
+        defer connections_mutex.unlock();
+        try open_connections.append(app.allocator(), conn);
+    }
+    _ = try WebSocketHandler.subscribe(handle, &conn.subscribe_args);
+}
+
+fn onClose(context: ?*Connection, uuid: isize) anyerror!void {
+    _ = uuid;
+    const conn = context orelse return;
+    {
+        connections_mutex.lock();
+        defer connections_mutex.unlock();
+        for (open_connections.items, 0..) |open, i| {
+            if (open == conn) {
+                _ = open_connections.swapRemove(i);
+                break;
+            }
+        }
+    }
+    const allocator = app.allocator();
+    allocator.free(conn.user_id);
+    allocator.free(conn.session_id);
+    allocator.free(conn.channel);
+    allocator.destroy(conn);
+}
+
+/// Close the sockets opened under a session that was just revoked (logout, revoke)
+pub fn closeSession(session_id: []const u8) void {
+    connections_mutex.lock();
+    defer connections_mutex.unlock();
+    for (open_connections.items) |conn| {
+        if (std.mem.eql(u8, conn.session_id, session_id)) WebSocketHandler.close(conn.handle);
+    }
+}
+
+/// Close the user's sockets after their sessions were revoked, all but keep_session_id's if given
+pub fn closeUserSessions(user_id: []const u8, keep_session_id: ?[]const u8) void {
+    connections_mutex.lock();
+    defer connections_mutex.unlock();
+    for (open_connections.items) |conn| {
+        if (!std.mem.eql(u8, conn.user_id, user_id)) continue;
+        if (keep_session_id) |keep| {
+            if (std.mem.eql(u8, conn.session_id, keep)) continue;
+        }
+        WebSocketHandler.close(conn.handle);
+    }
+}
+
+/// Tell the user's other tabs and devices that a task was created, updated or restored
+pub fn publishTask(allocator: std.mem.Allocator, r: zap.Request, user_id: []const u8, kind: EventKind, task: models.TaskResponse) void {
+    publish(allocator, user_id, .{
+        .type = kind.name(),
+        .origin = clientId(r),
+        .task = task,
+    });
+}
+
+/// Tell the user's other tabs and devices that a task was deleted (moved to the trash)
+pub fn publishDeleted(allocator: std.mem.Allocator, r: zap.Request, user_id: []const u8, task_id: []const u8) void {
+    publish(allocator, user_id, .{
+        .type = EventKind.deleted.name(),
+        .origin = clientId(r),
+        .id = task_id,
+    });
+}
+
+/// Tell the user's other tabs and devices about a new manual order
+pub fn publishReordered(allocator: std.mem.Allocator, r: zap.Request, user_id: []const u8, ids: []const []const u8) void {
+    publish(allocator, user_id, .{
+        .type = "tasks.reordered",
+        .origin = clientId(r),
+        .ids = ids,
+    });
+}
+
+/// Tell the user's other tabs and devices that a tag was renamed, merged or recolored
+pub fn publishTagsChanged(allocator: std.mem.Allocator, r: zap.Request, user_id: []const u8) void {
+    publish(allocator, user_id, .{
+        .type = "tags.changed",
+        .origin = clientId(r),
+    });
+}
+
+/// Tell the user's other tabs and devices that a list was created, renamed or deleted
+pub fn publishListsChanged(allocator: std.mem.Allocator, r: zap.Request, user_id: []const u8) void {
+    publish(allocator, user_id, .{
+        .type = "lists.changed",
+        .origin = clientId(r),
+    });
+}
+
+/// Tell a user that they were invited to a list, or that an invitation to them was withdrawn
+pub fn publishInvitationsChanged(allocator: std.mem.Allocator, r: zap.Request, user_id: []const u8) void {
+    publish(allocator, user_id, .{
+        .type = "invitations.changed",
+        .origin = clientId(r),
+    });
+}
+
+/// The X-Client-Id header identifies the tab that made the change, so it can skip its own echo
+fn clientId(r: zap.Request) ?[]const u8 {
+    const id = r.getHeader("x-client-id") orelse return null;
+    if (id.len == 0 or id.len > MAX_CLIENT_ID_LEN) return null;
+    return id;
+}
+
+// Publishing is best effort: a failure here must never fail the write that triggered it
+fn publish(allocator: std.mem.Allocator, user_id: []const u8, event: models.TaskEvent) void {
+    const channel = channelFor(allocator, user_id) catch return;
+    defer allocator.free(channel);
+
+    const message = std.json.Stringify.valueAlloc(allocator, event, .{ .emit_null_optional_fields = false }) catch |err| {
+        log.warn("Failed to serialize task event: {}", .{err});
+        return;
+    };
+    defer allocator.free(message);
+
+    WebSocketHandler.publish(.{ .channel = channel, .message = message });
+}
@@ -0,0 +1,189 @@
+// Date/Time Helpers
+// Normalizes the datetime strings exchanged between the browser and SurrealDB
+const std = @import("std");
+
+/// Convert a client datetime into the format SurrealDB accepts
+/// HTML datetime-local gives "2025-12-25T12:00" but SurrealDB needs "2025-12-25T12:00:00Z"
+/// Values that already carry a zone ("…Z" or "…+02:00") are kept as they are
+/// Returns an owned copy (caller must free)
+pub fn toSurrealDateTime(allocator: std.mem.Allocator, value: []const u8) ![]u8 {
+    if (hasZone(value)) {
+        return try allocator.dupe(u8, value);
+    }
+    if (std.mem.count(u8, value, ":") == 1) {
+        return try std.fmt.allocPrint(allocator, "{s}:00Z", .{value});
+    }
+    return try std.fmt.allocPrint(allocator, "{s}Z", .{value});
+}
+
+/// Whether a datetime ends in "Z" or a "+HH:MM" / "-HH:MM" offset after its time part
+fn hasZone(value: []const u8) bool {
+    if (std.mem.endsWith(u8, value, "Z")) return true;
+    const time_start = std.mem.indexOfScalar(u8, value, 'T') orelse return false;
+    return std.mem.indexOfAny(u8, value[time_start..], "+-") != null;
+}
+
+/// Compare two optional datetimes at minute precision ("YYYY-MM-DDTHH:MM")
+/// Lets "2025-12-25T12:00" from the browser match "2025-12-25T12:00:00Z" from SurrealDB
+pub fn sameMinute(a: ?[]const u8, b: ?[]const u8) bool {
+    const lhs = a orelse return b == null;
+    const rhs = b orelse return false;
+
+    const prefix_len = "YYYY-MM-DDTHH:MM".len;
+    if (lhs.len < prefix_len or rhs.len < prefix_len) {
+        return std.mem.eql(u8, lhs, rhs);
+    }
+    return std.mem.eql(u8, lhs[0..prefix_len], rhs[0..prefix_len]);
+}
+
+/// A calendar date; month and day count from 1
+pub const Civil = struct {
+    year: i64,
+    month: u8,
+    day: u8,
+};
+
+/// Days since 1970-01-01 of a proleptic Gregorian date (Howard Hinnant's days_from_civil)
+pub fn daysFromCivil(year: i64, month: u8, day: u8) i64 {
+    const y = if (month <= 2) year - 1 else year;
+    const era = @divFloor(y, 400);
+    const yoe = y - era * 400;
+    const m: i64 = month;
+    const doy = @divFloor(153 * (if (m > 2) m - 3 else m + 9) + 2, 5) + day - 1;
+    const doe = yoe * 365 + @divFloor(yoe, 4) - @divFloor(yoe, 100) + doy;
+    return era * 146097 + doe - 719468;
+}
+
+/// The date a number of days after 1970-01-01 falls on
+pub fn civilFromDays(days: i64) Civil {
+    const z = days + 719468;
+    const era = @divFloor(z, 146097);
+    const doe = z - era * 146097;
+    const yoe = @divFloor(doe - @divFloor(doe, 1460) + @divFloor(doe, 36524) - @divFloor(doe, 146096), 365);
+    const doy = doe - (365 * yoe + @divFloor(yoe, 4) - @divFloor(yoe, 100));
+    const mp = @divFloor(5 * doy + 2, 153);
+    const day = doy - @divFloor(153 * mp + 2, 5) + 1;
+    const month = if (mp < 10) mp + 3 else mp - 9;
+    return .{
+        .year = yoe + era * 400 + @intFromBool(month <= 2),
+        .month = @intCast(month),
+        .day = @intCast(day),
+    };
+}
+
+pub fn daysInMonth(year: i64, month: u8) u8 {
+    return switch (month) {
+        2 => if (@mod(year, 4) == 0 and (@mod(year, 100) != 0 or @mod(year, 400) == 0)) 29 else 28,
+        4, 6, 9, 11 => 30,
+        else => 31,
+    };
+}
+
+/// 0 = Sunday ... 6 = Saturday, like Date.getDay() in the browser
+pub fn weekday(days: i64) u8 {
+    return @intCast(@mod(days + 4, 7)); // 1970-01-01 was a Thursday
+}
+
+/// Seconds since the Unix epoch of a datetime from SurrealDB or the browser:
+/// "2025-12-25T12:00", "2025-12-25T12:00:30.123Z", "2025-12-25T12:00:00+02:00"
+/// No zone means UTC, as in toSurrealDateTime; fractions of a second are dropped
+pub fn parseUnixSeconds(value: []const u8) ?i64 {
+    if (value.len < "YYYY-MM-DDTHH:MM".len or value[4] != '-' or value[7] != '-' or value[10] != 'T' or value[13] != ':') return null;
+    const year = std.fmt.parseInt(i64, value[0..4], 10) catch return null;
+    const month = std.fmt.parseInt(u8, value[5..7], 10) catch return null;
+    const day = std.fmt.parseInt(u8, value[8..10], 10) catch return null;
+    const hour = std.fmt.parseInt(i64, value[11..13], 10) catch return null;
+    const minute = std.fmt.parseInt(i64, value[14..16], 10) catch return null;
+    if (month < 1 or month > 12 or day < 1 or day > daysInMonth(year, month) or hour > 23 or minute > 59) return null;
+
+    var rest = value[16..];
+    var second: i64 = 0;
+    if (rest.len >= 3 and rest[0] == ':') {
+        second = std.fmt.parseInt(i64, rest[1..3], 10) catch return null;
+        rest = rest[3..];
+    }
+    if (rest.len > 0 and rest[0] == '.') {
+        const digits = std.mem.indexOfNone(u8, rest[1..], "0123456789") orelse rest.len - 1;
+        rest = rest[1 + digits ..];
+    }
+
+    var offset: i64 = 0;
+    if (rest.len == 6 and (rest[0] == '+' or rest[0] == '-') and rest[3] == ':') {
+        const hours = std.fmt.parseInt(i64, rest[1..3], 10) catch return null;
+        const minutes = std.fmt.parseInt(i64, rest[4..6], 10) catch return null;
+        offset = (hours * 60 + minutes) * 60;
+        if (rest[0] == '-') offset = -offset;
+    } else if (!(rest.len == 0 or (rest.len == 1 and rest[0] == 'Z'))) {
+        return null;
+    }
+
+    return daysFromCivil(year, month, day) * std.time.s_per_day + hour * 3600 + minute * 60 + second - offset;
+}
+
+/// "2025-12-25T12:00:00Z", the form SurrealDB accepts
+pub fn formatUtc(buf: *[20]u8, seconds: i64) []const u8 {
+    const date = civilFromDays(@divFloor(seconds, std.time.s_per_day));
+    const time: u64 = @intCast(@mod(seconds, std.time.s_per_day));
+    return std.fmt.bufPrint(buf, "{d:0>4}-{d:0>2}-{d:0>2}T{d:0>2}:{d:0>2}:{d:0>2}Z", .{
+        @as(u64, @intCast(date.year)), date.month, date.day, time / 3600, time / 60 % 60, time % 60,
+    }) catch unreachable;
+}
+
+// Tests
+test "toSurrealDateTime" {
+    const allocator = std.testing.allocator;
+
+    const short = try toSurrealDateTime(allocator, "2025-12-25T12:00");
+    defer allocator.free(short);
+    try std.testing.expectEqualStrings("2025-12-25T12:00:00Z", short);
+
+    const seconds = try toSurrealDateTime(allocator, "2025-12-25T12:00:30");
+    defer allocator.free(seconds);
+    try std.testing.expectEqualStrings("2025-12-25T12:00:30Z", seconds);
+
+    const utc = try toSurrealDateTime(allocator, "2025-12-25T12:00:00Z");
+    defer allocator.free(utc);
+    try std.testing.expectEqualStrings("2025-12-25T12:00:00Z", utc);
+
+    const millis = try toSurrealDateTime(allocator, "2025-12-25T10:00:00.000Z");
+    defer allocator.free(millis);
+    try std.testing.expectEqualStrings("2025-12-25T10:00:00.000Z", millis);
+
+    const offset = try toSurrealDateTime(allocator, "2025-12-25T12:00:00+02:00");
+    defer allocator.free(offset);
+    try std.testing.expectEqualStrings("2025-12-25T12:00:00+02:00", offset);
+}
+
+test "sameMinute" {
+    try std.testing.expect(sameMinute(null, null));
+    try std.testing.expect(!sameMinute("2025-12-25T12:00", null));
+    try std.testing.expect(!sameMinute(null, "2025-12-25T12:00:00Z"));
+    try std.testing.expect(sameMinute("2025-12-25T12:00", "2025-12-25T12:00:00Z"));
+    try std.testing.expect(!sameMinute("2025-12-25T12:00", "2025-12-25T12:01:00Z"));
+}
+
+test "daysFromCivil and civilFromDays" {
+    try std.testing.expectEqual(@as(i64, 0), daysFromCivil(1970, 1, 1));
+    try std.testing.expectEqual(@as(i64, 11016), daysFromCivil(2000, 2, 29));
+    try std.testing.expectEqual(@as(i64, -1), daysFromCivil(1969, 12, 31));
+    try std.testing.expectEqual(Civil{ .year = 2000, .month = 2, .day = 29 }, civilFromDays(11016));
+    try std.testing.expectEqual(Civil{ .year = 2026, .month = 10, .day = 19 }, civilFromDays(daysFromCivil(2026, 10, 19)));
+    try std.testing.expectEqual(@as(u8, 1), weekday(daysFromCivil(2026, 10, 19))); // A Monday
+    try std.testing.expectEqual(@as(u8, 29), daysInMonth(2024, 2));
+    try std.testing.expectEqual(@as(u8, 28), daysInMonth(2100, 2));
+}
+
+test "parseUnixSeconds" {
+    try std.testing.expectEqual(@as(?i64, 1766664000), parseUnixSeconds("2025-12-25T12:00"));
+    try std.testing.expectEqual(@as(?i64, 1766664030), parseUnixSeconds("2025-12-25T12:00:30Z"));
+    try std.testing.expectEqual(@as(?i64, 1766664000), parseUnixSeconds("2025-12-25T12:00:00.123456Z"));
+    try std.testing.expectEqual(@as(?i64, 1766656800), parseUnixSeconds("2025-12-25T12:00:00+02:00"));
+    try std.testing.expectEqual(@as(?i64, null), parseUnixSeconds("2025-02-30T12:00"));
+    try std.testing.expectEqual(@as(?i64, null), parseUnixSeconds("tomorrow"));
+}
+
+test "formatUtc" {
+    var buf: [20]u8 = undefined;
+    try std.testing.expectEqualStrings("2025-12-25T12:00:30Z", formatUtc(&buf, 1766664030));
+    try std.testing.expectEqualStrings("1970-01-01T00:00:00Z", formatUtc(&buf, 0));
+}
@@ -24,41 +24,57 @@ pub fn getClientIp(r: zap.Request) []const u8 {
     return "127.0.0.1";
 }
 
-/// Get current user ID from session cookie or Authorization header
+/// Get the access token from the session cookie or Authorization header
 /// Priority: Cookie (more secure) > Authorization header (backwards compatible)
-pub fn getCurrentUserId(allocator: std.mem.Allocator, r: zap.Request) ?[]const u8 {
+pub fn getSessionToken(allocator: std.mem.Allocator, r: zap.Request) ?[]const u8 {
     // First try HttpOnly cookie (preferred, more secure)
     r.parseCookies(false);
     if (r.getCookieStr(allocator, "session_token")) |maybe_cookie| {
-        if (maybe_cookie) |token| {
-            const user_id = db.validateSession(allocator, token) catch return null;
-            return user_id;
-        }
+        if (maybe_cookie) |token| return token;
     } else |_| {}
 
     // Fallback to Authorization header (backwards compatible)
     const auth_header = r.getHeader("authorization") orelse return null;
     if (!std.mem.startsWith(u8, auth_header, "Bearer ")) return null;
-    const token = auth_header[7..];
-    
+    return auth_header[7..];
+}
+
+/// Get current user ID from the session's access token
+pub fn getCurrentUserId(allocator: std.mem.Allocator, r: zap.Request) ?[]const u8 {
+    const token = getSessionToken(allocator, r) orelse return null;
     const user_id = db.validateSession(allocator, token) catch return null;
     return user_id;
 }
 
-/// Set HttpOnly session cookie (secure against XSS)
-pub fn setAuthCookie(r: zap.Request, token: []const u8) void {
+/// IP and User-Agent to record on a session
+pub fn getSessionClient(r: zap.Request) db.SessionClient {
+    return .{ .ip = getClientIp(r), .user_agent = r.getHeader("user-agent") };
+}
+
+/// Set HttpOnly session cookies (secure against XSS)
+/// The refresh token is only sent to /api/auth, where it's exchanged
+pub fn setAuthCookie(r: zap.Request, token: []const u8, refresh_token: []const u8) void {
     r.setCookie(.{
         .name = "session_token",
         .value = token,
         .http_only = true,
         .secure = false, // Set to true in production with HTTPS
         .same_site = .Strict,
-        .max_age_s = 7 * 24 * 60 * 60, // 7 days in seconds
+        .max_age_s = @intCast(models.ACCESS_TOKEN_TTL_S),
         .path = "/",
     }) catch {};
+    r.setCookie(.{
+        .name = "refresh_token",
+        .value = refresh_token,
+        .http_only = true,
+        .secure = false, // Set to true in production with HTTPS
+        .same_site = .Strict,
+        .max_age_s = @intCast(models.SESSION_TTL_S),
+        .path = "/api/auth",
+    }) catch {};
 }
 
-/// Clear session cookie (for logout)
+/// Clear session cookies (for logout)
 pub fn clearAuthCookie(r: zap.Request) void {
     r.setCookie(.{
         .name = "session_token",
@@ -67,6 +83,13 @@ pub fn clearAuthCookie(r: zap.Request) void {
         .max_age_s = 0, // Expire immediately
         .path = "/",
     }) catch {};
+    r.setCookie(.{
+        .name = "refresh_token",
+        .value = "",
+        .http_only = true,
+        .max_age_s = 0,
+        .path = "/api/auth",
+    }) catch {};
 }
 
 /// Parse JSON body into a struct
@@ -100,6 +123,24 @@ pub fn parseBody(allocator: std.mem.Allocator, r: zap.Request, comptime T: type)
     return parsed.value;
 }
 
+/// Value of a query string parameter, percent-decoded (caller owns it)
+/// null when the parameter is missing; "?a&b=" gives "" for both
+pub fn getQueryParam(allocator: std.mem.Allocator, r: zap.Request, name: []const u8) !?[]u8 {
+    return queryParam(allocator, r.query, name);
+}
+
+fn queryParam(allocator: std.mem.Allocator, query: ?[]const u8, name: []const u8) !?[]u8 {
+    var pairs = std.mem.splitScalar(u8, query orelse return null, '&');
+    while (pairs.next()) |pair| {
+        const eq = std.mem.indexOfScalar(u8, pair, '=') orelse pair.len;
+        if (!std.mem.eql(u8, pair[0..eq], name)) continue;
+        const value = try allocator.dupe(u8, if (eq < pair.len) pair[eq + 1 ..] else "");
+        defer allocator.free(value);
+        return try allocator.dupe(u8, std.Uri.percentDecodeInPlace(value));
+    }
+    return null;
+}
+
 // ==========================================
 // RESPONSE HELPERS
 // ==========================================
@@ -150,3 +191,23 @@ pub fn jsonError(r: zap.Request, status: u32, message: []const u8) !void {
     try adapter.new_interface.flush();
     try r.sendBody(list.items);
 }
+
+// Tests
+test "queryParam" {
+    const allocator = std.testing.allocator;
+
+    const limit = (try queryParam(allocator, "limit=50&cursor=tasks%3Aabc", "limit")).?;
+    defer allocator.free(limit);
+    try std.testing.expectEqualStrings("50", limit);
+
+    const cursor = (try queryParam(allocator, "limit=50&cursor=tasks%3Aabc", "cursor")).?;
+    defer allocator.free(cursor);
+    try std.testing.expectEqualStrings("tasks:abc", cursor);
+
+    const empty = (try queryParam(allocator, "flag&cursor=", "flag")).?;
+    defer allocator.free(empty);
+    try std.testing.expectEqualStrings("", empty);
+
+    try std.testing.expect((try queryParam(allocator, "limit=50", "cursor")) == null);
+    try std.testing.expect((try queryParam(allocator, null, "limit")) == null);
+}
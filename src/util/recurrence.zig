@@ -0,0 +1,129 @@
+// Recurring tasks
+// Completing a recurring task creates its next occurrence (handlers/tasks.zig). The dates are
+// worked out on the user's wall clock, so "every day at 9:00" stays at 9:00 across DST changes.
+// Same rules as firstOccurrence/nextOccurrence in public/quickadd.js.
+const std = @import("std");
+const datetime = @import("datetime.zig");
+const timezone = @import("timezone.zig");
+
+const S_PER_DAY = std.time.s_per_day;
+
+/// Time of day for an occurrence of a task that had no due date, as in the browser
+const DEFAULT_DUE_HOUR = 9;
+
+/// A rule that passed validation.validateRecurrence; the fields its freq doesn't use are ignored
+pub const Rule = struct {
+    freq: []const u8, // "daily" | "weekdays" | "weekly" | "monthly" | "interval"
+    days: []const i64 = &.{}, // weekly: 0 = Sunday ... 6 = Saturday
+    day_of_month: i64 = 1, // monthly: 1-31, the last day in shorter months
+    interval: i64 = 1, // interval: every N days
+};
+
+/// Due date of the occurrence that follows one completed at `now`. Calendar rules count from
+/// now when the task is overdue, so a missed chore isn't followed by a string of overdue copies;
+/// "every N days" keeps its rhythm from the due date. Instants are Unix seconds.
+pub fn nextDueDate(rule: Rule, due: ?i64, now: i64, zone: timezone.Zone) i64 {
+    const wall_now = zone.toWallClock(now);
+    const wall_due = zone.toWallClock(due orelse {
+        return zone.fromWallClock(firstOccurrence(rule, wall_now, DEFAULT_DUE_HOUR * 3600));
+    });
+
+    if (std.mem.eql(u8, rule.freq, "interval")) {
+        var next = nextOccurrence(rule, wall_due);
+        while (next <= wall_now) next = nextOccurrence(rule, next);
+        return zone.fromWallClock(next);
+    }
+    const next = if (wall_due > wall_now)
+        nextOccurrence(rule, wall_due)
+    else
+        firstOccurrence(rule, wall_now, @mod(wall_due, S_PER_DAY));
+    return zone.fromWallClock(next);
+}
+
+/// First wall-clock time matching the rule at time_of_day (seconds after midnight), after `after`
+fn firstOccurrence(rule: Rule, after: i64, time_of_day: i64) i64 {
+    const today = @divFloor(after, S_PER_DAY);
+
+    if (std.mem.eql(u8, rule.freq, "monthly")) {
+        const date = datetime.civilFromDays(today);
+        for (0..13) |offset| {
+            const months = @as(i64, date.month) - 1 + @as(i64, @intCast(offset));
+            const year = date.year + @divFloor(months, 12);
+            const month: u8 = @intCast(@mod(months, 12) + 1);
+            const day: u8 = @intCast(@min(rule.day_of_month, datetime.daysInMonth(year, month)));
+            const candidate = datetime.daysFromCivil(year, month, day) * S_PER_DAY + time_of_day;
+            if (candidate > after) return candidate;
+        }
+    }
+
+    for (0..8) |offset| {
+        const day = today + @as(i64, @intCast(offset));
+        const candidate = day * S_PER_DAY + time_of_day;
+        if (candidate <= after) continue;
+
+        const dow = datetime.weekday(day);
+        if (std.mem.eql(u8, rule.freq, "weekdays") and (dow == 0 or dow == 6)) continue;
+        if (std.mem.eql(u8, rule.freq, "weekly") and std.mem.indexOfScalar(i64, rule.days, dow) == null) continue;
+        return candidate;
+    }
+    return (today + 1) * S_PER_DAY + time_of_day;
+}
+
+/// The occurrence after a wall-clock time, at the same time of day
+fn nextOccurrence(rule: Rule, after: i64) i64 {
+    if (std.mem.eql(u8, rule.freq, "interval")) return after + rule.interval * S_PER_DAY;
+    return firstOccurrence(rule, after, @mod(after, S_PER_DAY));
+}
+
+// Tests
+fn utcSeconds(year: i64, month: u8, day: u8, hour: i64, minute: i64) i64 {
+    return datetime.daysFromCivil(year, month, day) * S_PER_DAY + hour * 3600 + minute * 60;
+}
+
+// Monday 19 October 2026, 10:00 UTC
+const NOW = utcSeconds(2026, 10, 19, 10, 0);
+
+test "daily and weekdays" {
+    const daily = Rule{ .freq = "daily" };
+    try std.testing.expectEqual(utcSeconds(2026, 10, 20, 9, 0), nextDueDate(daily, utcSeconds(2026, 10, 19, 9, 0), NOW, timezone.Zone.utc));
+    // Due later today: the next one is tomorrow
+    try std.testing.expectEqual(utcSeconds(2026, 10, 20, 18, 0), nextDueDate(daily, utcSeconds(2026, 10, 19, 18, 0), NOW, timezone.Zone.utc));
+    // Overdue by days: counted from now
+    try std.testing.expectEqual(utcSeconds(2026, 10, 20, 8, 0), nextDueDate(daily, utcSeconds(2026, 10, 12, 8, 0), NOW, timezone.Zone.utc));
+
+    const weekdays = Rule{ .freq = "weekdays" };
+    const friday = utcSeconds(2026, 10, 23, 9, 0);
+    try std.testing.expectEqual(utcSeconds(2026, 10, 26, 9, 0), nextDueDate(weekdays, friday, utcSeconds(2026, 10, 23, 10, 0), timezone.Zone.utc));
+}
+
+test "weekly and monthly" {
+    const weekly = Rule{ .freq = "weekly", .days = &.{ 1, 4 } };
+    try std.testing.expectEqual(utcSeconds(2026, 10, 22, 9, 0), nextDueDate(weekly, utcSeconds(2026, 10, 19, 9, 0), NOW, timezone.Zone.utc));
+
+    const monthly = Rule{ .freq = "monthly", .day_of_month = 31 };
+    try std.testing.expectEqual(utcSeconds(2026, 11, 30, 9, 0), nextDueDate(monthly, utcSeconds(2026, 10, 31, 9, 0), NOW, timezone.Zone.utc));
+    try std.testing.expectEqual(utcSeconds(2027, 2, 28, 9, 0), nextDueDate(monthly, utcSeconds(2027, 1, 31, 9, 0), NOW, timezone.Zone.utc));
+}
+
+test "interval keeps its rhythm" {
+    const every_three = Rule{ .freq = "interval", .interval = 3 };
+    try std.testing.expectEqual(utcSeconds(2026, 10, 22, 9, 0), nextDueDate(every_three, utcSeconds(2026, 10, 19, 9, 0), NOW, timezone.Zone.utc));
+    // Overdue: skips the occurrences already past
+    try std.testing.expectEqual(utcSeconds(2026, 10, 20, 9, 0), nextDueDate(every_three, utcSeconds(2026, 10, 11, 9, 0), NOW, timezone.Zone.utc));
+}
+
+test "no due date starts at 9:00" {
+    try std.testing.expectEqual(utcSeconds(2026, 10, 20, 9, 0), nextDueDate(.{ .freq = "daily" }, null, NOW, timezone.Zone.utc));
+}
+
+test "wall clock across a DST change" {
+    const bucharest = timezone.Zone{ .rule = timezone.parseRule("EET-2EEST,M3.5.0/3,M10.5.0/4") };
+    // Saturday 24 October 2026 09:00 EEST; summer time ends overnight, so Sunday 09:00 is EET
+    const saturday = utcSeconds(2026, 10, 24, 6, 0);
+    const friday = utcSeconds(2026, 10, 23, 12, 0);
+    try std.testing.expectEqual(utcSeconds(2026, 10, 25, 7, 0), nextDueDate(.{ .freq = "daily" }, saturday, friday, bucharest));
+
+    // 22:30 UTC on Monday is 01:30 on Tuesday there, so 09:00 that morning comes next
+    const monday_late = utcSeconds(2026, 10, 19, 22, 30);
+    try std.testing.expectEqual(utcSeconds(2026, 10, 20, 6, 0), nextDueDate(.{ .freq = "daily" }, null, monday_late, bucharest));
+}
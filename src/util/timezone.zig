@@ -0,0 +1,359 @@
+// Timezones
+// UTC offsets of IANA zones, read from the system's tz database. Dates the server works out
+// itself (the next occurrence of a recurring task) land on the user's wall clock through these.
+const std = @import("std");
+const datetime = @import("datetime.zig");
+const validation = @import("validation.zig");
+
+const ZONEINFO_DIR = "/usr/share/zoneinfo";
+const MAX_TZIF_BYTES = 256 * 1024;
+const TZIF_HEADER_LEN = 44;
+
+/// A zone's offsets: the transitions listed in its TZif file, then the POSIX rule
+/// from the file's footer for every instant after the last one
+pub const Zone = struct {
+    transitions: []const i64 = &.{}, // Instants the offset changes at, ascending
+    offsets: []const i32 = &.{}, // Seconds east of UTC from the matching transition on
+    initial_offset: i32 = 0, // Before the first transition
+    rule: ?Rule = null,
+
+    pub const utc = Zone{};
+
+    /// Seconds the zone is ahead of UTC at an instant
+    pub fn offsetAt(self: Zone, instant: i64) i32 {
+        const count = self.transitions.len;
+        if (count == 0 or instant >= self.transitions[count - 1]) {
+            if (self.rule) |rule| return rule.offsetAt(instant);
+            return if (count == 0) self.initial_offset else self.offsets[count - 1];
+        }
+        if (instant < self.transitions[0]) return self.initial_offset;
+
+        // transitions[low] <= instant < transitions[high]
+        var low: usize = 0;
+        var high: usize = count - 1;
+        while (high - low > 1) {
+            const mid = low + (high - low) / 2;
+            if (self.transitions[mid] <= instant) low = mid else high = mid;
+        }
+        return self.offsets[low];
+    }
+
+    /// The wall-clock time at an instant, in seconds since the epoch as if the zone were UTC
+    pub fn toWallClock(self: Zone, instant: i64) i64 {
+        return instant + self.offsetAt(instant);
+    }
+
+    /// The instant a wall-clock time happens at. A time skipped by a DST change moves forward,
+    /// one that happens twice takes the first, as I18n.inputToUtc does in the browser.
+    pub fn fromWallClock(self: Zone, wall: i64) i64 {
+        // The offsets a day either side bracket any DST change at that time
+        const before = wall - self.offsetAt(wall - std.time.s_per_day);
+        const after = wall - self.offsetAt(wall + std.time.s_per_day);
+        const before_valid = self.toWallClock(before) == wall;
+        const after_valid = self.toWallClock(after) == wall;
+        if (before_valid and after_valid) return @min(before, after);
+        if (after_valid) return after;
+        // In a gap neither is valid, and the offset from before the gap lands after it
+        return before;
+    }
+};
+
+/// Daylight saving time from a POSIX TZ string ("EET-2EEST,M3.5.0/3,M10.5.0/4")
+pub const Rule = struct {
+    std_offset: i32, // Seconds east of UTC (POSIX counts west)
+    dst: ?Dst = null,
+
+    pub const Dst = struct {
+        offset: i32,
+        start: Change, // In standard time
+        end: Change, // In daylight saving time
+    };
+
+    /// "Mm.w.d/time": weekday d (0 = Sunday) of week w of month m, 5 meaning the last one
+    pub const Change = struct {
+        month: u8,
+        week: u8,
+        weekday: u8,
+        time: i32 = 2 * 3600, // Local seconds after midnight; may be negative or past 24h
+
+        /// When the change happens in a year, as wall-clock seconds
+        fn wallClock(self: Change, year: i64) i64 {
+            const first = datetime.daysFromCivil(year, self.month, 1);
+            var day = first + @mod(@as(i64, self.weekday) - datetime.weekday(first), 7) + (@as(i64, self.week) - 1) * 7;
+            if (day >= first + datetime.daysInMonth(year, self.month)) day -= 7;
+            return day * std.time.s_per_day + self.time;
+        }
+    };
+
+    fn offsetAt(self: Rule, instant: i64) i32 {
+        const dst = self.dst orelse return self.std_offset;
+        const year = datetime.civilFromDays(@divFloor(instant + self.std_offset, std.time.s_per_day)).year;
+        const start = dst.start.wallClock(year) - self.std_offset;
+        const end = dst.end.wallClock(year) - dst.offset;
+        // South of the equator daylight saving time spans the new year
+        const in_dst = if (start < end) instant >= start and instant < end else instant >= start or instant < end;
+        return if (in_dst) dst.offset else self.std_offset;
+    }
+};
+
+/// Load a zone ("Europe/Bucharest") from the system's tz database; the caller owns the memory
+pub fn load(allocator: std.mem.Allocator, name: []const u8) !Zone {
+    if (!validation.validateTimezone(name)) return error.InvalidTimezone;
+    const path = try std.fmt.allocPrint(allocator, ZONEINFO_DIR ++ "/{s}", .{name});
+    defer allocator.free(path);
+    const file = try std.fs.cwd().openFile(path, .{});
+    defer file.close();
+    const data = try file.readToEndAlloc(allocator, MAX_TZIF_BYTES);
+    defer allocator.free(data);
+    return parseTzif(allocator, data);
+}
+
+const TzifHeader = struct {
+    version: u8,
+    isutcnt: usize,
+    isstdcnt: usize,
+    leapcnt: usize,
+    timecnt: usize,
+    typecnt: usize,
+    charcnt: usize,
+
+    fn read(data: []const u8) !TzifHeader {
+        if (data.len < TZIF_HEADER_LEN or !std.mem.eql(u8, data[0..4], "TZif")) return error.InvalidTzif;
+        const count = struct {
+            fn at(bytes: []const u8, index: usize) usize {
+                const start = 20 + index * 4;
+                return std.mem.readInt(u32, bytes[start..][0..4], .big);
+            }
+        }.at;
+        return .{
+            .version = data[4],
+            .isutcnt = count(data, 0),
+            .isstdcnt = count(data, 1),
+            .leapcnt = count(data, 2),
+            .timecnt = count(data, 3),
+            .typecnt = count(data, 4),
+            .charcnt = count(data, 5),
+        };
+    }
+
+    /// Length of the data block after the header, for transition times of time_size bytes
+    fn dataLen(self: TzifHeader, time_size: usize) usize {
+        return self.timecnt * time_size + self.timecnt + self.typecnt * 6 + self.charcnt +
+            self.leapcnt * (time_size + 4) + self.isstdcnt + self.isutcnt;
+    }
+};
+
+/// Read a TZif file (RFC 8536). Only the 64-bit data of version 2 and later is used.
+pub fn parseTzif(allocator: std.mem.Allocator, data: []const u8) !Zone {
+    const v1 = try TzifHeader.read(data);
+    if (v1.version < '2') return error.UnsupportedTzif;
+    const v2_start = TZIF_HEADER_LEN + v1.dataLen(4);
+    if (data.len < v2_start) return error.InvalidTzif;
+
+    const header = try TzifHeader.read(data[v2_start..]);
+    const times_start = v2_start + TZIF_HEADER_LEN;
+    const indexes_start = times_start + header.timecnt * 8;
+    const types_start = indexes_start + header.timecnt;
+    const footer_start = times_start + header.dataLen(8);
+    if (header.typecnt == 0 or data.len < footer_start) return error.InvalidTzif;
+
+    const transitions = try allocator.alloc(i64, header.timecnt);
+    errdefer allocator.free(transitions);
+    const offsets = try allocator.alloc(i32, header.timecnt);
+    errdefer allocator.free(offsets);
+
+    const typeOffset = struct {
+        fn at(bytes: []const u8, types: usize, index: usize) i32 {
+            const start = types + index * 6;
+            return std.mem.readInt(i32, bytes[start..][0..4], .big);
+        }
+    }.at;
+
+    for (transitions, offsets, 0..) |*transition, *offset, i| {
+        transition.* = std.mem.readInt(i64, data[times_start + i * 8 ..][0..8], .big);
+        const type_index = data[indexes_start + i];
+        if (type_index >= header.typecnt) return error.InvalidTzif;
+        offset.* = typeOffset(data, types_start, type_index);
+    }
+
+    // The footer is the TZ string between two newlines; empty when there is no rule
+    var rule: ?Rule = null;
+    const footer = data[footer_start..];
+    if (footer.len >= 2 and footer[0] == '\n') {
+        if (std.mem.indexOfScalarPos(u8, footer, 1, '\n')) |end| rule = parseRule(footer[1..end]);
+    }
+
+    return .{
+        .transitions = transitions,
+        .offsets = offsets,
+        .initial_offset = typeOffset(data, types_start, 0),
+        .rule = rule,
+    };
+}
+
+/// Parse a POSIX TZ string. Null for forms tzdata doesn't use ("Jn" and "n" day rules).
+pub fn parseRule(text: []const u8) ?Rule {
+    var parser = RuleParser{ .text = text };
+    if (!parser.name()) return null;
+    const std_offset = -(parser.offset() orelse return null);
+    if (parser.done()) return .{ .std_offset = std_offset };
+
+    if (!parser.name()) return null;
+    const dst_offset = if (parser.peek() == ',') std_offset + 3600 else -(parser.offset() orelse return null);
+    if (!parser.eat(',')) return null;
+    const start = parser.change() orelse return null;
+    if (!parser.eat(',')) return null;
+    const end = parser.change() orelse return null;
+    if (!parser.done()) return null;
+
+    return .{
+        .std_offset = std_offset,
+        .dst = .{ .offset = dst_offset, .start = start, .end = end },
+    };
+}
+
+const RuleParser = struct {
+    text: []const u8,
+    pos: usize = 0,
+
+    fn peek(self: *RuleParser) u8 {
+        return if (self.pos < self.text.len) self.text[self.pos] else 0;
+    }
+
+    fn done(self: *RuleParser) bool {
+        return self.pos == self.text.len;
+    }
+
+    fn eat(self: *RuleParser, c: u8) bool {
+        if (self.peek() != c) return false;
+        self.pos += 1;
+        return true;
+    }
+
+    // "EET" or a quoted "<+03>"
+    fn name(self: *RuleParser) bool {
+        if (self.eat('<')) {
+            const end = std.mem.indexOfScalarPos(u8, self.text, self.pos, '>') orelse return false;
+            self.pos = end + 1;
+            return true;
+        }
+        const start = self.pos;
+        while (std.ascii.isAlphabetic(self.peek())) self.pos += 1;
+        return self.pos - start >= 3;
+    }
+
+    fn number(self: *RuleParser) ?i32 {
+        const start = self.pos;
+        while (std.ascii.isDigit(self.peek())) self.pos += 1;
+        if (self.pos == start or self.pos - start > 3) return null;
+        return std.fmt.parseInt(i32, self.text[start..self.pos], 10) catch null;
+    }
+
+    // [+-]hh[:mm[:ss]] in seconds, positive west of Greenwich as POSIX has it
+    fn offset(self: *RuleParser) ?i32 {
+        const negative = self.eat('-');
+        if (!negative) _ = self.eat('+');
+        var seconds = (self.number() orelse return null) * 3600;
+        if (self.eat(':')) seconds += (self.number() orelse return null) * 60;
+        if (self.eat(':')) seconds += self.number() orelse return null;
+        return if (negative) -seconds else seconds;
+    }
+
+    // "Mm.w.d[/time]"
+    fn change(self: *RuleParser) ?Rule.Change {
+        if (!self.eat('M')) return null;
+        const month = self.number() orelse return null;
+        if (!self.eat('.')) return null;
+        const week = self.number() orelse return null;
+        if (!self.eat('.')) return null;
+        const weekday = self.number() orelse return null;
+        if (month < 1 or month > 12 or week < 1 or week > 5 or weekday > 6) return null;
+
+        var result = Rule.Change{ .month = @intCast(month), .week = @intCast(week), .weekday = @intCast(weekday) };
+        if (self.eat('/')) result.time = self.offset() orelse return null;
+        return result;
+    }
+};
+
+// Tests
+const BUCHAREST = "EET-2EEST,M3.5.0/3,M10.5.0/4";
+
+fn utcSeconds(year: i64, month: u8, day: u8, hour: i64, minute: i64) i64 {
+    return datetime.daysFromCivil(year, month, day) * std.time.s_per_day + hour * 3600 + minute * 60;
+}
+
+test "parseRule" {
+    const bucharest = parseRule(BUCHAREST).?;
+    try std.testing.expectEqual(@as(i32, 7200), bucharest.std_offset);
+    try std.testing.expectEqual(@as(i32, 10800), bucharest.dst.?.offset);
+    try std.testing.expectEqual(Rule.Change{ .month = 3, .week = 5, .weekday = 0, .time = 3 * 3600 }, bucharest.dst.?.start);
+
+    const new_york = parseRule("EST5EDT,M3.2.0,M11.1.0").?;
+    try std.testing.expectEqual(@as(i32, -5 * 3600), new_york.std_offset);
+    try std.testing.expectEqual(@as(i32, -4 * 3600), new_york.dst.?.offset);
+    try std.testing.expectEqual(@as(i32, 2 * 3600), new_york.dst.?.end.time);
+
+    const fixed = parseRule("<+0530>-5:30").?;
+    try std.testing.expectEqual(@as(i32, 19800), fixed.std_offset);
+    try std.testing.expectEqual(@as(?Rule.Dst, null), fixed.dst);
+
+    try std.testing.expectEqual(@as(?Rule, null), parseRule("EST5EDT,J60,J300"));
+    try std.testing.expectEqual(@as(?Rule, null), parseRule(""));
+}
+
+test "offsetAt follows the rule after the last transition" {
+    const zone = Zone{ .rule = parseRule(BUCHAREST) };
+    try std.testing.expectEqual(@as(i32, 7200), zone.offsetAt(utcSeconds(2026, 1, 15, 12, 0)));
+    try std.testing.expectEqual(@as(i32, 10800), zone.offsetAt(utcSeconds(2026, 7, 15, 12, 0)));
+    // Summer time ends on the last Sunday of October (25 October 2026) at 04:00 EEST, 01:00 UTC
+    try std.testing.expectEqual(@as(i32, 10800), zone.offsetAt(utcSeconds(2026, 10, 25, 0, 59)));
+    try std.testing.expectEqual(@as(i32, 7200), zone.offsetAt(utcSeconds(2026, 10, 25, 1, 0)));
+
+    const sydney = Zone{ .rule = parseRule("AEST-10AEDT,M10.1.0,M4.1.0/3") };
+    try std.testing.expectEqual(@as(i32, 11 * 3600), sydney.offsetAt(utcSeconds(2026, 1, 15, 12, 0)));
+    try std.testing.expectEqual(@as(i32, 10 * 3600), sydney.offsetAt(utcSeconds(2026, 7, 15, 12, 0)));
+}
+
+test "offsetAt looks up listed transitions" {
+    const zone = Zone{
+        .transitions = &.{ 100, 200, 300 },
+        .offsets = &.{ 3600, 7200, 3600 },
+        .initial_offset = 60,
+    };
+    try std.testing.expectEqual(@as(i32, 60), zone.offsetAt(99));
+    try std.testing.expectEqual(@as(i32, 3600), zone.offsetAt(100));
+    try std.testing.expectEqual(@as(i32, 7200), zone.offsetAt(299));
+    try std.testing.expectEqual(@as(i32, 3600), zone.offsetAt(1_000_000));
+}
+
+test "fromWallClock" {
+    const zone = Zone{ .rule = parseRule(BUCHAREST) };
+    // 09:00 in summer and in winter
+    try std.testing.expectEqual(utcSeconds(2026, 10, 19, 6, 0), zone.fromWallClock(utcSeconds(2026, 10, 19, 9, 0)));
+    try std.testing.expectEqual(utcSeconds(2026, 10, 26, 7, 0), zone.fromWallClock(utcSeconds(2026, 10, 26, 9, 0)));
+    // 03:30 happens twice on 25 October: the first one, in summer time
+    try std.testing.expectEqual(utcSeconds(2026, 10, 25, 0, 30), zone.fromWallClock(utcSeconds(2026, 10, 25, 3, 30)));
+    // 03:30 on 29 March doesn't exist: it moves an hour forward
+    try std.testing.expectEqual(utcSeconds(2026, 3, 29, 1, 30), zone.fromWallClock(utcSeconds(2026, 3, 29, 3, 30)));
+}
+
+test "parseTzif" {
+    const allocator = std.testing.allocator;
+    // Version 2 file with an empty v1 block, one transition to +02:00 at t=1000 and a rule footer
+    const data = "TZif2" ++ [_]u8{0} ** 15 ++ [_]u8{0} ** 24 ++
+        "TZif2" ++ [_]u8{0} ** 15 ++
+        [_]u8{ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 4 } ++
+        [_]u8{ 0, 0, 0, 0, 0, 0, 0x03, 0xe8 } ++ [_]u8{1} ++
+        [_]u8{ 0, 0, 0x0e, 0x10, 0, 0 } ++ [_]u8{ 0, 0, 0x1c, 0x20, 0, 0 } ++ "LMT\x00" ++
+        "\n" ++ BUCHAREST ++ "\n";
+
+    const zone = try parseTzif(allocator, data);
+    defer allocator.free(zone.transitions);
+    defer allocator.free(zone.offsets);
+    try std.testing.expectEqual(@as(i32, 3600), zone.offsetAt(999));
+    try std.testing.expectEqual(@as(i32, 7200), zone.offsetAt(1000));
+    try std.testing.expectEqual(@as(i32, 10800), zone.offsetAt(utcSeconds(2026, 7, 15, 12, 0)));
+
+    try std.testing.expectError(error.InvalidTzif, parseTzif(allocator, "TZif2"));
+    try std.testing.expectError(error.InvalidTzif, parseTzif(allocator, data[0 .. data.len - 40]));
+}
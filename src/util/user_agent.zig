@@ -0,0 +1,68 @@
+// User-Agent Helpers
+// Turns a User-Agent header into the short device name shown in the sessions list
+const std = @import("std");
+
+const Rule = struct { needle: []const u8, name: []const u8 };
+
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const browsers = [_]Rule{
+    .{ .needle = "Edg/", .name = "Edge" },
+    .{ .needle = "OPR/", .name = "Opera" },
+    .{ .needle = "Firefox/", .name = "Firefox" },
+    .{ .needle = "FxiOS/", .name = "Firefox" },
+    .{ .needle = "CriOS/", .name = "Chrome" },
+    .{ .needle = "Chrome/", .name = "Chrome" },
+    .{ .needle = "Safari/", .name = "Safari" },
+    .{ .needle = "curl/", .name = "curl" },
+};
+
+// Android before Linux, iPhone/iPad before Mac OS X (their UAs contain both)
+const systems = [_]Rule{
+    .{ .needle = "Windows", .name = "Windows" },
+    .{ .needle = "Android", .name = "Android" },
+    .{ .needle = "iPhone", .name = "iOS" },
+    .{ .needle = "iPad", .name = "iPadOS" },
+    .{ .needle = "Mac OS X", .name = "macOS" },
+    .{ .needle = "CrOS", .name = "ChromeOS" },
+    .{ .needle = "Linux", .name = "Linux" },
+};
+
+fn find(rules: []const Rule, user_agent: []const u8) ?[]const u8 {
+    for (rules) |rule| {
+        if (std.mem.indexOf(u8, user_agent, rule.needle) != null) return rule.name;
+    }
+    return null;
+}
+
+/// "Firefox on Windows", "Safari on iOS", "Chrome", or "Unknown device"
+/// Returns an owned string (caller must free)
+pub fn describe(allocator: std.mem.Allocator, user_agent: ?[]const u8) ![]u8 {
+    const ua = user_agent orelse return allocator.dupe(u8, "Unknown device");
+    const browser = find(&browsers, ua);
+    const system = find(&systems, ua);
+
+    if (browser != null and system != null) {
+        return std.fmt.allocPrint(allocator, "{s} on {s}", .{ browser.?, system.? });
+    }
+    return allocator.dupe(u8, browser orelse system orelse "Unknown device");
+}
+
+// Tests
+test "describe" {
+    const allocator = std.testing.allocator;
+    const cases = [_]struct { ua: ?[]const u8, expected: []const u8 }{
+        .{ .ua = "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0", .expected = "Firefox on Windows" },
+        .{ .ua = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36", .expected = "Chrome on macOS" },
+        .{ .ua = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0", .expected = "Edge on Windows" },
+        .{ .ua = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1", .expected = "Safari on iOS" },
+        .{ .ua = "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36", .expected = "Chrome on Android" },
+        .{ .ua = "curl/8.5.0", .expected = "curl" },
+        .{ .ua = null, .expected = "Unknown device" },
+        .{ .ua = "", .expected = "Unknown device" },
+    };
+    for (cases) |case| {
+        const name = try describe(allocator, case.ua);
+        defer allocator.free(name);
+        try std.testing.expectEqualStrings(case.expected, name);
+    }
+}
@@ -2,9 +2,18 @@
 // SECURITY: Validates and sanitizes all user input to prevent injection attacks
 const std = @import("std");
 
+// Limits shared with the browser through GET /api/validation-rules (public/validation.js)
+pub const EMAIL_MIN_LEN: usize = 5;
+pub const EMAIL_MAX_LEN: usize = 254;
+pub const PASSWORD_MIN_LEN: usize = 8;
+pub const PASSWORD_MAX_LEN: usize = 128;
+pub const NAME_MAX_LEN: usize = 100;
+pub const NAME_FORBIDDEN_CHARS = "<>\"'\\;&";
+pub const TASK_TITLE_MAX_LEN: usize = 500;
+
 /// Validate email format (basic validation)
 pub fn validateEmail(email: []const u8) bool {
-    if (email.len < 5 or email.len > 254) return false;
+    if (email.len < EMAIL_MIN_LEN or email.len > EMAIL_MAX_LEN) return false;
     
     // Must contain exactly one @
     var at_count: usize = 0;
@@ -36,10 +45,10 @@ pub fn validateEmail(email: []const u8) bool {
 pub fn validatePasswordStrength(password: []const u8) PasswordValidationResult {
     var result = PasswordValidationResult{};
     
-    if (password.len < 8) {
+    if (password.len < PASSWORD_MIN_LEN) {
         result.too_short = true;
     }
-    if (password.len > 128) {
+    if (password.len > PASSWORD_MAX_LEN) {
         result.too_long = true;
     }
     
@@ -108,25 +117,140 @@ pub fn sanitizeForSurrealQL(allocator: std.mem.Allocator, input: []const u8) ![]
 
 /// Validate name (no special SQL characters, reasonable length)
 pub fn validateName(name: []const u8) bool {
-    if (name.len < 1 or name.len > 100) return false;
+    if (name.len < 1 or name.len > NAME_MAX_LEN) return false;
     
     // Block dangerous characters
-    for (name) |c| {
-        switch (c) {
-            '<', '>', '"', '\'', '\\', ';', '&' => return false,
-            else => {},
-        }
-    }
+    if (std.mem.indexOfAny(u8, name, NAME_FORBIDDEN_CHARS) != null) return false;
     
     return true;
 }
 
 /// Validate task title
 pub fn validateTaskTitle(title: []const u8) bool {
-    if (title.len < 1 or title.len > 500) return false;
+    if (title.len < 1 or title.len > TASK_TITLE_MAX_LEN) return false;
+    return true;
+}
+
+/// Validate a client datetime ("YYYY-MM-DDTHH:MM", optionally with seconds / Z)
+/// Only checks the shape - SurrealDB still rejects impossible dates
+pub fn validateDateTime(value: []const u8) bool {
+    const pattern = "dddd-dd-ddTdd:dd";
+    if (value.len < pattern.len or value.len > 40) return false;
+
+    for (pattern, 0..) |p, i| {
+        const c = value[i];
+        switch (p) {
+            'd' => if (!std.ascii.isDigit(c)) return false,
+            else => if (c != p) return false,
+        }
+    }
+
+    // Rest may only contain seconds, fractions and a timezone designator
+    for (value[pattern.len..]) |c| {
+        switch (c) {
+            '0'...'9', ':', '.', 'Z', '+', '-' => {},
+            else => return false,
+        }
+    }
+
+    return true;
+}
+
+/// Validate reminder lead time: from "at due time" (0) up to one week before
+pub fn validateReminderLead(minutes: i64) bool {
+    return minutes >= 0 and minutes <= 7 * 24 * 60;
+}
+
+/// Validate where new tasks are inserted in the manual order
+pub fn validateNewTaskPosition(position: []const u8) bool {
+    return std.mem.eql(u8, position, "top") or std.mem.eql(u8, position, "bottom");
+}
+
+/// Validate a UI language we have translations for
+pub fn validateLocale(locale: []const u8) bool {
+    return std.mem.eql(u8, locale, "en") or std.mem.eql(u8, locale, "ro");
+}
+
+/// Validate the shape of an IANA timezone name ("Europe/Bucharest", "Etc/GMT+2", "UTC")
+/// Whether the zone exists is left to the browser, which falls back to its own zone
+pub fn validateTimezone(timezone: []const u8) bool {
+    if (timezone.len < 1 or timezone.len > 64) return false;
+    if (timezone[0] == '/' or timezone[timezone.len - 1] == '/') return false;
+    if (std.mem.indexOf(u8, timezone, "..") != null) return false;
+    for (timezone) |c| {
+        if (!std.ascii.isAlphanumeric(c) and c != '/' and c != '_' and c != '+' and c != '-') return false;
+    }
+    return true;
+}
+
+/// Validate a checklist step ID (made by the client, e.g. a UUID)
+pub fn validateSubtaskId(id: []const u8) bool {
+    if (id.len < 1 or id.len > 64) return false;
+    for (id) |c| {
+        if (!std.ascii.isAlphanumeric(c) and c != '-' and c != '_') return false;
+    }
     return true;
 }
 
+/// Validate a recurrence rule (models.Recurrence): freq plus the field that goes with it
+pub fn validateRecurrence(freq: []const u8, days: ?[]const i64, day_of_month: ?i64, interval: ?i64) bool {
+    if (std.mem.eql(u8, freq, "daily") or std.mem.eql(u8, freq, "weekdays")) return true;
+    if (std.mem.eql(u8, freq, "weekly")) {
+        const list = days orelse return false;
+        if (list.len == 0 or list.len > 7) return false;
+        for (list) |day| {
+            if (day < 0 or day > 6) return false;
+        }
+        return true;
+    }
+    if (std.mem.eql(u8, freq, "monthly")) {
+        const day = day_of_month orelse return false;
+        return day >= 1 and day <= 31;
+    }
+    if (std.mem.eql(u8, freq, "interval")) {
+        const every = interval orelse return false;
+        return every >= 1 and every <= 365;
+    }
+    return false;
+}
+
+/// Validate a task priority; no priority is sent as null instead
+pub fn validatePriority(priority: []const u8) bool {
+    return std.mem.eql(u8, priority, "low") or std.mem.eql(u8, priority, "medium") or std.mem.eql(u8, priority, "high");
+}
+
+/// Validate a tag name: 1-32 bytes, no whitespace, control characters, '#' or ','
+pub fn validateTagName(name: []const u8) bool {
+    if (name.len < 1 or name.len > 32) return false;
+    for (name) |c| {
+        if (c <= ' ' or c == 0x7f or c == '#' or c == ',') return false;
+    }
+    return true;
+}
+
+/// Validate a tag color as #rrggbb
+pub fn validateTagColor(color: []const u8) bool {
+    if (color.len != 7 or color[0] != '#') return false;
+    for (color[1..]) |c| {
+        if (!std.ascii.isHex(c)) return false;
+    }
+    return true;
+}
+
+/// Validate a list name (already trimmed): 1-100 bytes, no control characters
+pub fn validateListName(name: []const u8) bool {
+    if (name.len < 1 or name.len > 100) return false;
+    for (name) |c| {
+        if (c < ' ' or c == 0x7f) return false;
+    }
+    return true;
+}
+
+/// Validate a role given to someone a list is shared with
+pub fn validateMemberRole(role: []const u8) bool {
+    return std.mem.eql(u8, role, "viewer") or std.mem.eql(u8, role, "editor");
+}
+
 // Tests
 test "validateEmail" {
     try std.testing.expect(validateEmail("test@example.com"));
@@ -145,3 +269,115 @@ test "validatePasswordStrength" {
     const result2 = validatePasswordStrength("password123");
     try std.testing.expect(result2.valid);
 }
+
+test "validateName" {
+    try std.testing.expect(validateName("Ana Popescu"));
+    try std.testing.expect(validateName("a" ** NAME_MAX_LEN));
+    try std.testing.expect(!validateName(""));
+    try std.testing.expect(!validateName("a" ** (NAME_MAX_LEN + 1)));
+    try std.testing.expect(!validateName("<script>"));
+    try std.testing.expect(!validateName("O'Brien"));
+    try std.testing.expect(!validateName("Tom & Jerry"));
+}
+
+test "validateDateTime" {
+    try std.testing.expect(validateDateTime("2025-12-25T12:00"));
+    try std.testing.expect(validateDateTime("2025-12-25T12:00:00Z"));
+    try std.testing.expect(validateDateTime("2025-12-25T12:00:00.000+02:00"));
+    try std.testing.expect(!validateDateTime("2025-12-25"));
+    try std.testing.expect(!validateDateTime("tomorrow 9am"));
+    try std.testing.expect(!validateDateTime("2025-12-25T12:00; DELETE tasks"));
+}
+
+test "validateReminderLead" {
+    try std.testing.expect(validateReminderLead(0));
+    try std.testing.expect(validateReminderLead(15));
+    try std.testing.expect(validateReminderLead(10080));
+    try std.testing.expect(!validateReminderLead(-1));
+    try std.testing.expect(!validateReminderLead(10081));
+}
+
+test "validateNewTaskPosition" {
+    try std.testing.expect(validateNewTaskPosition("top"));
+    try std.testing.expect(validateNewTaskPosition("bottom"));
+    try std.testing.expect(!validateNewTaskPosition("middle"));
+    try std.testing.expect(!validateNewTaskPosition(""));
+}
+
+test "validateLocale" {
+    try std.testing.expect(validateLocale("en"));
+    try std.testing.expect(validateLocale("ro"));
+    try std.testing.expect(!validateLocale("ro-RO"));
+    try std.testing.expect(!validateLocale(""));
+}
+
+test "validateTimezone" {
+    try std.testing.expect(validateTimezone("UTC"));
+    try std.testing.expect(validateTimezone("Europe/Bucharest"));
+    try std.testing.expect(validateTimezone("America/Argentina/Buenos_Aires"));
+    try std.testing.expect(validateTimezone("Etc/GMT+2"));
+    try std.testing.expect(!validateTimezone(""));
+    try std.testing.expect(!validateTimezone("/Europe"));
+    try std.testing.expect(!validateTimezone("Europe/"));
+    try std.testing.expect(!validateTimezone("../etc/passwd"));
+    try std.testing.expect(!validateTimezone("Europe Bucharest"));
+}
+
+test "validateSubtaskId" {
+    try std.testing.expect(validateSubtaskId("3f2b8c1e-9d4a-4f6b-8e2d-1a5c7b9e0f12"));
+    try std.testing.expect(validateSubtaskId("step_1"));
+    try std.testing.expect(!validateSubtaskId(""));
+    try std.testing.expect(!validateSubtaskId("a b"));
+    try std.testing.expect(!validateSubtaskId("x\"; DELETE tasks"));
+}
+
+test "validateRecurrence" {
+    try std.testing.expect(validateRecurrence("daily", null, null, null));
+    try std.testing.expect(validateRecurrence("weekly", &[_]i64{ 1, 4 }, null, null));
+    try std.testing.expect(validateRecurrence("monthly", null, 31, null));
+    try std.testing.expect(validateRecurrence("interval", null, null, 3));
+    try std.testing.expect(!validateRecurrence("weekly", null, null, null));
+    try std.testing.expect(!validateRecurrence("weekly", &[_]i64{7}, null, null));
+    try std.testing.expect(!validateRecurrence("monthly", null, 0, null));
+    try std.testing.expect(!validateRecurrence("interval", null, null, 0));
+    try std.testing.expect(!validateRecurrence("yearly", null, null, null));
+}
+
+test "validatePriority" {
+    try std.testing.expect(validatePriority("low"));
+    try std.testing.expect(validatePriority("high"));
+    try std.testing.expect(!validatePriority("urgent"));
+    try std.testing.expect(!validatePriority(""));
+}
+
+test "validateTagName" {
+    try std.testing.expect(validateTagName("work"));
+    try std.testing.expect(validateTagName("café"));
+    try std.testing.expect(!validateTagName(""));
+    try std.testing.expect(!validateTagName("two words"));
+    try std.testing.expect(!validateTagName("#work"));
+    try std.testing.expect(!validateTagName("a,b"));
+    try std.testing.expect(!validateTagName("abcdefghijklmnopqrstuvwxyz1234567"));
+}
+
+test "validateTagColor" {
+    try std.testing.expect(validateTagColor("#3b82f6"));
+    try std.testing.expect(validateTagColor("#ABCDEF"));
+    try std.testing.expect(!validateTagColor("3b82f6"));
+    try std.testing.expect(!validateTagColor("#fff"));
+    try std.testing.expect(!validateTagColor("#ggg000"));
+}
+
+test "validateListName" {
+    try std.testing.expect(validateListName("Work"));
+    try std.testing.expect(validateListName("Home & garden"));
+    try std.testing.expect(!validateListName(""));
+    try std.testing.expect(!validateListName("Line\nbreak"));
+}
+
+test "validateMemberRole" {
+    try std.testing.expect(validateMemberRole("viewer"));
+    try std.testing.expect(validateMemberRole("editor"));
+    try std.testing.expect(!validateMemberRole("owner"));
+    try std.testing.expect(!validateMemberRole("Editor"));
+}
@@ -0,0 +1,57 @@
+// Accessibility of the dialogs in public/index.html (axe-core under jsdom)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const axe = require('axe-core');
+
+const html = fs.readFileSync(path.join(__dirname, '../public/index.html'), 'utf8');
+
+function loadPage() {
+    // The page's own scripts don't run: this is about the markup. The silent console drops jsdom's
+    // "not implemented" notices for layout, so checks that need one (color contrast) come back
+    // incomplete rather than as violations.
+    const dom = new JSDOM(html, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+    });
+    dom.window.eval(axe.source);
+    return dom.window;
+}
+
+function describeViolations(violations) {
+    return violations
+        .map(v => `${v.id}: ${v.help}\n${v.nodes.map(n => `  ${n.target.join(' ')}`).join('\n')}`)
+        .join('\n');
+}
+
+async function audit(window, element) {
+    const results = await window.axe.run(element, { resultTypes: ['violations'] });
+    return results.violations;
+}
+
+test('every dialog passes axe', async () => {
+    const window = loadPage();
+    const dialogs = [...window.document.querySelectorAll('.modal')];
+    assert.ok(dialogs.length > 0, 'index.html has dialogs');
+
+    for (const dialog of dialogs) {
+        // Shown the way Dialog.open shows it
+        dialog.classList.add('active');
+        const violations = await audit(window, dialog);
+        assert.equal(violations.length, 0, `#${dialog.id}\n${describeViolations(violations)}`);
+    }
+});
+
+test('the verification code boxes pass axe', async () => {
+    const window = loadPage();
+    const group = window.document.getElementById('codeInputGroup');
+    const inputs = group.querySelectorAll('.code-input');
+    assert.equal(inputs.length, 6);
+    assert.equal(inputs[0].getAttribute('autocomplete'), 'one-time-code');
+
+    const violations = await audit(window, group);
+    assert.equal(violations.length, 0, describeViolations(violations));
+});
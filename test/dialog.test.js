@@ -0,0 +1,213 @@
+// Dialog focus handling (public/dialog.js) and the verification code boxes (public/codeinput.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const publicDir = path.join(__dirname, '../public');
+const html = fs.readFileSync(path.join(publicDir, 'index.html'), 'utf8');
+const scripts = ['i18n.js', 'dialog.js', 'codeinput.js']
+    .map(name => new vm.Script(fs.readFileSync(path.join(publicDir, name), 'utf8'), { filename: name }));
+
+function loadPage() {
+    const dom = new JSDOM(html, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+    });
+    const { window } = dom;
+    // jsdom has no layout, so every element would look unrendered to Dialog. Treat anything
+    // inside .hidden or a closed dialog as not rendered and everything else as rendered.
+    window.Element.prototype.getClientRects = function () {
+        return this.closest('.hidden, .modal:not(.active)') ? [] : [{}];
+    };
+    // Run as classic scripts, so top-level consts (Dialog, CodeInput) are globals like in the page
+    const context = dom.getInternalVMContext();
+    for (const script of scripts) script.runInContext(context);
+    return window;
+}
+
+function press(window, target, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+function paste(window, target, text) {
+    const event = new window.Event('paste', { bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'clipboardData', { value: { getData: () => text } });
+    target.dispatchEvent(event);
+    return event;
+}
+
+// The verify dialog with its close button wired the way the page's onclick does it
+function openVerifyDialog(window) {
+    const { document } = window;
+    const Dialog = window.eval('Dialog');
+    const modal = document.getElementById('verifyModal');
+    modal.querySelector('.modal-close').addEventListener('click', () => Dialog.close(modal));
+    Dialog.open(modal);
+    return { Dialog, modal };
+}
+
+function codeBoxes(window) {
+    const { document } = window;
+    const code = window.eval('CodeInput').create(
+        document.getElementById('codeInputGroup'),
+        document.getElementById('codeStatus')
+    );
+    return { code, inputs: [...document.querySelectorAll('#codeInputGroup .code-input')] };
+}
+
+test('opening a dialog focuses its first field and locks page scrolling', () => {
+    const window = loadPage();
+    const { Dialog, modal } = openVerifyDialog(window);
+
+    assert.ok(Dialog.isOpen(modal));
+    assert.ok(modal.classList.contains('active'));
+    assert.equal(window.document.activeElement, modal.querySelector('.code-input'));
+    assert.ok(window.document.body.classList.contains('modal-open'));
+});
+
+test('Tab and Shift+Tab wrap around inside the dialog', () => {
+    const window = loadPage();
+    const { modal } = openVerifyDialog(window);
+    const close = modal.querySelector('.modal-close');
+    const resend = window.document.getElementById('resendLink');
+
+    resend.focus();
+    assert.ok(press(window, resend, 'Tab').defaultPrevented);
+    assert.equal(window.document.activeElement, close);
+
+    assert.ok(press(window, close, 'Tab', { shiftKey: true }).defaultPrevented);
+    assert.equal(window.document.activeElement, resend);
+
+    // In the middle, the browser moves focus itself
+    const field = modal.querySelector('.code-input');
+    field.focus();
+    assert.equal(press(window, field, 'Tab').defaultPrevented, false);
+});
+
+test('focus that leaves the dialog is pulled back in', () => {
+    const window = loadPage();
+    const { modal } = openVerifyDialog(window);
+
+    window.document.querySelector('.navbar .btn-nav').focus();
+    assert.ok(modal.contains(window.document.activeElement));
+});
+
+test('Escape closes the dialog, unlocks scrolling and returns focus to the opener', () => {
+    const window = loadPage();
+    const { document } = window;
+    const opener = document.querySelector('.navbar .btn-nav');
+    opener.focus();
+
+    const { Dialog, modal } = openVerifyDialog(window);
+    assert.ok(press(window, document.activeElement, 'Escape').defaultPrevented);
+
+    assert.equal(Dialog.isOpen(modal), false);
+    assert.equal(modal.classList.contains('active'), false);
+    assert.equal(document.body.classList.contains('modal-open'), false);
+    assert.equal(document.activeElement, opener);
+});
+
+test('a dialog opened from another returns focus to it and keeps scrolling locked', () => {
+    const window = loadPage();
+    const { document } = window;
+    const { Dialog, modal } = openVerifyDialog(window);
+    const inner = document.getElementById('shortcutsModal');
+    const field = modal.querySelector('.code-input');
+
+    field.focus();
+    Dialog.open(inner);
+    assert.ok(inner.contains(document.activeElement));
+
+    Dialog.close(inner);
+    assert.ok(document.body.classList.contains('modal-open'));
+    assert.equal(document.activeElement, field);
+
+    Dialog.close(modal);
+    assert.equal(document.body.classList.contains('modal-open'), false);
+});
+
+test('a pasted code is spread over the boxes and announced', () => {
+    const window = loadPage();
+    const { code, inputs } = codeBoxes(window);
+
+    // Pasted anywhere, a whole code goes in from the first box; non-digits are dropped
+    const event = paste(window, inputs[3], '12 34-56');
+    assert.ok(event.defaultPrevented);
+    assert.equal(code.value(), '123456');
+    assert.ok(inputs.every(input => input.classList.contains('filled')));
+    assert.equal(window.document.activeElement, inputs[5]);
+    assert.equal(window.document.getElementById('codeStatus').textContent,
+        'Code complete. Press Verify Account to continue.');
+});
+
+test('a partial paste fills from the box it was pasted into', () => {
+    const window = loadPage();
+    const { code, inputs } = codeBoxes(window);
+
+    paste(window, inputs[1], '78');
+    assert.deepEqual(inputs.map(input => input.value), ['', '7', '8', '', '', '']);
+    assert.equal(code.value(), '78');
+    assert.equal(window.document.activeElement, inputs[3]);
+    assert.equal(window.document.getElementById('codeStatus').textContent, '2 of 6 digits entered');
+});
+
+test('the announcement follows the page language', () => {
+    const window = loadPage();
+    window.I18n.configure({ locale: 'ro' });
+    const { inputs } = codeBoxes(window);
+
+    paste(window, inputs[0], '1');
+    assert.equal(window.document.getElementById('codeStatus').textContent, '1 din 6 cifre introduse');
+});
+
+test('typing a digit moves to the next box', () => {
+    const window = loadPage();
+    const { inputs } = codeBoxes(window);
+
+    inputs[0].focus();
+    inputs[0].value = '4';
+    inputs[0].dispatchEvent(new window.Event('input', { bubbles: true }));
+    assert.ok(inputs[0].classList.contains('filled'));
+    assert.equal(window.document.activeElement, inputs[1]);
+
+    // Letters don't count
+    inputs[1].value = 'x';
+    inputs[1].dispatchEvent(new window.Event('input', { bubbles: true }));
+    assert.equal(inputs[1].value, '');
+    assert.equal(window.document.activeElement, inputs[1]);
+});
+
+test('arrows, Home, End and Backspace move between boxes', () => {
+    const window = loadPage();
+    const { document } = window;
+    const { inputs } = codeBoxes(window);
+
+    inputs[2].focus();
+    assert.ok(press(window, inputs[2], 'ArrowLeft').defaultPrevented);
+    assert.equal(document.activeElement, inputs[1]);
+    press(window, inputs[1], 'ArrowRight');
+    assert.equal(document.activeElement, inputs[2]);
+    press(window, inputs[2], 'End');
+    assert.equal(document.activeElement, inputs[5]);
+    press(window, inputs[5], 'Home');
+    assert.equal(document.activeElement, inputs[0]);
+
+    // Nothing to the left of the first box: the key is left alone
+    assert.equal(press(window, inputs[0], 'ArrowLeft').defaultPrevented, false);
+    assert.equal(document.activeElement, inputs[0]);
+
+    // Backspace in an empty box clears the one before it and moves there
+    paste(window, inputs[0], '12');
+    assert.equal(document.activeElement, inputs[2]);
+    press(window, inputs[2], 'Backspace');
+    assert.equal(document.activeElement, inputs[1]);
+    assert.equal(inputs[1].value, '');
+    assert.equal(inputs[1].classList.contains('filled'), false);
+    assert.equal(inputs[0].value, '1');
+});
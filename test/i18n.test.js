@@ -0,0 +1,36 @@
+// UI strings (public/i18n.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../public/i18n.js');
+
+test.afterEach(() => I18n.configure({ locale: I18n.DEFAULT_LOCALE }));
+
+test('every locale has every English key', () => {
+    const english = Object.keys(I18n.MESSAGES.en);
+    for (const locale of I18n.supportedLocales()) {
+        const missing = english.filter(key => !(key in I18n.MESSAGES[locale]));
+        assert.deepEqual(missing, [], `${locale} is missing keys`);
+    }
+});
+
+test('plural messages have every form their locale uses', () => {
+    for (const locale of I18n.supportedLocales()) {
+        const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+        for (const [key, message] of Object.entries(I18n.MESSAGES[locale])) {
+            if (typeof message !== 'object') continue;
+            const missing = categories.filter(category => !(category in message));
+            assert.deepEqual(missing, [], `${locale} ${key}`);
+        }
+    }
+});
+
+test('the count picks the plural form', () => {
+    assert.equal(I18n.t('bulk.deleted', { count: 1 }), 'Deleted 1 task');
+    assert.equal(I18n.t('bulk.deleted', { count: 3 }), 'Deleted 3 tasks');
+
+    I18n.configure({ locale: 'ro' });
+    assert.equal(I18n.t('bulk.deleted', { count: 1 }), 'Ai șters 1 sarcină');
+    assert.equal(I18n.t('bulk.deleted', { count: 3 }), 'Ai șters 3 sarcini');
+    assert.equal(I18n.t('bulk.deleted', { count: 20 }), 'Ai șters 20 de sarcini');
+    assert.equal(I18n.t('bulk.failed', { count: 2, error: 'Not found' }), 'Nu s-au putut modifica 2 sarcini: Not found');
+});
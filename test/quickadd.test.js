@@ -0,0 +1,86 @@
+// Quick-add parser (public/quickadd.js). Dates are local time, so these hold in any timezone.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QuickAdd = require('../public/quickadd.js');
+
+// Monday 19 October 2026, 10:00
+const MONDAY_10AM = new Date(2026, 9, 19, 10, 0);
+
+function parse(text, now = MONDAY_10AM) {
+    return QuickAdd.parseQuickAdd(text, { now });
+}
+
+function local(month, day, hour, minute = 0) {
+    return new Date(2026, month - 1, day, hour, minute);
+}
+
+test('a weekday whose default time has passed today means next week', () => {
+    assert.deepEqual(parse('Meeting on Monday').dueDate, local(10, 26, 9));
+    assert.deepEqual(parse('Review mon').dueDate, local(10, 26, 9));
+    assert.equal(parse('Review mon').title, 'Review');
+});
+
+test('a weekday later today stays today', () => {
+    assert.deepEqual(parse('Meeting on Monday at 3pm').dueDate, local(10, 19, 15));
+    assert.deepEqual(parse('Standup monday 9:00', new Date(2026, 9, 19, 8, 0)).dueDate, local(10, 19, 9));
+});
+
+test('a weekday later this week', () => {
+    assert.deepEqual(parse('Pay rent friday').dueDate, local(10, 23, 9));
+    assert.deepEqual(parse('Plătește chiria vineri').dueDate, local(10, 23, 9));
+});
+
+test('"next" in English: the coming day, a week ahead on that same day', () => {
+    assert.deepEqual(parse('Call mom next friday').dueDate, local(10, 23, 9));
+    assert.deepEqual(parse('Call mom next monday').dueDate, local(10, 26, 9));
+});
+
+test('"vinerea viitoare" is Friday of next week', () => {
+    const result = parse('Sună la bancă vinerea viitoare');
+    assert.deepEqual(result.dueDate, local(10, 30, 9));
+    assert.equal(result.title, 'Sună la bancă');
+    // From a Saturday, next week starts in two days
+    assert.deepEqual(parse('Predă raportul vinerea viitoare', new Date(2026, 9, 24, 10, 0)).dueDate, local(10, 30, 9));
+    // From a Sunday, tomorrow is already next week
+    assert.deepEqual(parse('Ședință lunea viitoare', new Date(2026, 9, 25, 10, 0)).dueDate, local(10, 26, 9));
+});
+
+test('relative days and times', () => {
+    assert.deepEqual(parse('Pay rent tomorrow 9am').dueDate, local(10, 20, 9));
+    assert.deepEqual(parse('Dentist mâine la 14:30').dueDate, local(10, 20, 14, 30));
+    assert.deepEqual(parse('Follow up in 3 days').dueDate, local(10, 22, 9));
+    // A time already past today means tomorrow
+    assert.deepEqual(parse('Water plants at 8').dueDate, local(10, 20, 8));
+});
+
+test('recurrence starts on the first matching day', () => {
+    const result = parse('Standup every weekday at 9:30');
+    assert.deepEqual(result.recurrence, { freq: 'weekdays' });
+    assert.deepEqual(result.dueDate, local(10, 20, 9, 30));
+});
+
+test('numeric dates', () => {
+    assert.deepEqual(parse('Pay bills 25.12').dueDate, local(12, 25, 9));
+    assert.deepEqual(parse('Trip 1/11/2027').dueDate, new Date(2027, 10, 1, 9, 0));
+    // Past this year: next year's
+    assert.deepEqual(parse('Renew passport 01.03').dueDate, new Date(2027, 2, 1, 9, 0));
+});
+
+test('numbers that are not dates or times stay in the title', () => {
+    for (const text of ['Buy 2.5 kg of apples', 'Read chapter 3/4', 'Meeting at 25', 'Party 31.02']) {
+        assert.deepEqual(parse(text), { title: text, dueDate: null, recurrence: null, matches: [] }, text);
+    }
+    // Passed over for a date later on
+    const result = parse('Buy 2.5 kg on 25.12');
+    assert.equal(result.title, 'Buy 2.5 kg');
+    assert.deepEqual(result.dueDate, local(12, 25, 9));
+});
+
+test('labels', () => {
+    assert.deepEqual(QuickAdd.parseLabels('Call the bank #finance !high #Finance'), {
+        title: 'Call the bank',
+        tags: ['finance'],
+        priority: 'high',
+        matches: ['#finance', '#Finance', '!high']
+    });
+});
@@ -0,0 +1,199 @@
+// Task import / export (public/transfer.js). Due dates come back as local wall-clock times.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TaskTransfer = require('../public/transfer.js');
+
+const NOW = new Date(Date.UTC(2026, 9, 19, 10, 0));
+
+const TASKS = [
+    { id: 'task:1', title: 'Buy milk', completed: false, due_date: '2026-10-20T07:00:00.000Z', created_at: '2026-10-01T08:30:00.000Z' },
+    { id: 'task:2', title: 'Call "Ana", then Bob; maybe \\ later', completed: true, due_date: null, created_at: '2026-10-02T09:00:00.000Z' },
+    { id: 'task:3', title: 'Plătește chiria 🏠', completed: false, due_date: null, created_at: null }
+];
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// What the import makes of a UTC due date: the same instant as local "YYYY-MM-DDTHH:MM"
+function localDue(iso) {
+    const d = new Date(iso);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function expected(tasks) {
+    return tasks.map(t => ({
+        title: t.title,
+        completed: t.completed,
+        due_date: t.due_date ? localDue(t.due_date) : null,
+        created_at: t.created_at
+    }));
+}
+
+function roundTrip(tasks, format) {
+    const { content, filename } = TaskTransfer.exportTasks(tasks, format, NOW);
+    return TaskTransfer.parseImport(content, filename);
+}
+
+for (const format of ['json', 'csv', 'ics']) {
+    test(`${format} export reads back as the same tasks`, () => {
+        const result = roundTrip(TASKS, format);
+        assert.equal(result.format, format);
+        assert.deepEqual(result.errors, []);
+        assert.deepEqual(result.tasks, expected(TASKS));
+    });
+}
+
+test('export names the file after the day and format', () => {
+    const { filename, mime } = TaskTransfer.exportTasks(TASKS, 'ics', NOW);
+    assert.match(filename, /^tasks-2026-10-(19|20)\.ics$/);
+    assert.equal(mime, 'text/calendar');
+    assert.throws(() => TaskTransfer.exportTasks(TASKS, 'xlsx', NOW), /Unknown export format/);
+});
+
+test('csv fields a spreadsheet would run as formulas are kept as text', () => {
+    const titles = ['=HYPERLINK("http://evil.example","x")', '+1 555 0100', '-2 days', '@home', '\tindented'];
+    const tasks = titles.map(title => ({ title, completed: false }));
+    const csv = TaskTransfer.toCSV(tasks);
+
+    const cells = csv.split('\r\n').slice(1, -1).map(row => row.split(',')[0]);
+    for (const cell of cells) assert.match(cell, /^"?'/, cell);
+
+    // The ' comes off again on import (the tab is whitespace, so the title is trimmed)
+    const { tasks: imported } = TaskTransfer.parseImport(csv, 'tasks.csv');
+    assert.deepEqual(imported.map(t => t.title), [...titles.slice(0, 4), 'indented']);
+});
+
+test('csv titles that only look like formulas after a quote are left alone', () => {
+    const csv = TaskTransfer.toCSV([{ title: "'quoted'", completed: false }, { title: 'a = b', completed: false }]);
+    assert.equal(csv.split('\r\n')[1], "'quoted',false,,");
+    assert.deepEqual(TaskTransfer.parseImport(csv, 'tasks.csv').tasks.map(t => t.title), ["'quoted'", 'a = b']);
+});
+
+test('quoted csv from other tools: aliases, escaped quotes, commas, line breaks and a BOM', () => {
+    const csv = '\uFEFFName,Done,Deadline\r\n' +
+        '"Say ""hi"", then leave",yes,2026-10-20 09:30\r\n' +
+        '"Two\nlines",no,\n' +
+        '\r\n' +
+        'Plain,x,\n';
+    const { format, tasks, errors } = TaskTransfer.parseImport(csv, 'export.csv');
+
+    assert.equal(format, 'csv');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(tasks.map(t => [t.title, t.completed, t.due_date]), [
+        ['Say "hi", then leave', true, '2026-10-20T09:30'],
+        ['Two lines', false, null],
+        ['Plain', true, null]
+    ]);
+});
+
+test('csv without a recognizable header is read as title, completed, due date', () => {
+    const { tasks } = TaskTransfer.parseImport('Water plants,true\nFeed cat,,2026-10-21T18:00\n', 'list.csv');
+    assert.deepEqual(tasks.map(t => [t.title, t.completed, t.due_date]), [
+        ['Water plants', true, null],
+        ['Feed cat', false, '2026-10-21T18:00']
+    ]);
+});
+
+test('long ics lines are folded at 75 octets without splitting a character', () => {
+    const title = `Renovează bucătăria — ${'ăîșț🏠 '.repeat(12)}final`.trim();
+    const ics = TaskTransfer.toICS([{ id: 'task:9', title, completed: false }], NOW);
+    const lines = ics.split('\r\n');
+
+    const summary = lines.findIndex(line => line.startsWith('SUMMARY:'));
+    assert.ok(lines[summary + 1].startsWith(' '), 'the summary continues on the next line');
+    for (const line of lines) {
+        assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`);
+        assert.ok(!line.includes('�'));
+    }
+
+    assert.equal(TaskTransfer.parseImport(ics, 'tasks.ics').tasks[0].title, title);
+});
+
+test('ics from other calendars: folded lines, escapes, parameters and events', () => {
+    const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTODO',
+        'SUMMARY:Pack\\, label\\; and',
+        '  ship',
+        'DUE;VALUE=DATE:20261024',
+        'STATUS:NEEDS-ACTION',
+        'END:VTODO',
+        'BEGIN:VEVENT',
+        'SUMMARY:Dentist',
+        'DTSTART;TZID=Europe/Bucharest:20261022T143000',
+        'END:VEVENT',
+        'BEGIN:VTODO',
+        'SUMMARY:Filed',
+        'COMPLETED:20261001T120000Z',
+        'END:VTODO',
+        'END:VCALENDAR'
+    ].join('\n');
+    const { format, tasks, errors } = TaskTransfer.parseImport(ics);
+
+    assert.equal(format, 'ics');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(tasks.map(t => [t.title, t.completed, t.due_date]), [
+        ['Pack, label; and ship', false, '2026-10-24T00:00'],
+        ['Dentist', false, '2026-10-22T14:30'],
+        ['Filed', true, null]
+    ]);
+});
+
+test('the format is sniffed from the content when the name does not say', () => {
+    assert.equal(TaskTransfer.parseImport('[{"title":"a"}]', 'notes.txt').format, 'json');
+    assert.equal(TaskTransfer.parseImport('BEGIN:VCALENDAR\nEND:VCALENDAR\n').format, 'ics');
+    assert.equal(TaskTransfer.parseImport('title\na\n').format, 'csv');
+});
+
+test('a file that cannot be read at all throws', () => {
+    assert.throws(() => TaskTransfer.parseImport('{"tasks": [', 'tasks.json'), SyntaxError);
+    assert.throws(() => TaskTransfer.parseImport('{"items": []}', 'tasks.json'), /"tasks" array/);
+});
+
+test('bad rows are reported by row number and the rest still import', () => {
+    const json = JSON.stringify({
+        tasks: [
+            { title: 'Fine' },
+            { title: '   ' },
+            { title: 'Soon', due_date: 'next blue moon' },
+            { title: 'x'.repeat(501) },
+            { title: 'ă'.repeat(251) },
+            'Just a string'
+        ]
+    });
+    const { tasks, errors } = TaskTransfer.parseImport(json, 'tasks.json');
+
+    assert.deepEqual(tasks.map(t => t.title), ['Fine', 'Just a string']);
+    assert.deepEqual(errors, [
+        { row: 2, error: 'Missing title' },
+        { row: 3, error: 'Unrecognized due date "next blue moon"' },
+        { row: 4, error: 'Title longer than 500 bytes' },
+        { row: 5, error: 'Title longer than 500 bytes' }
+    ]);
+});
+
+test('malformed csv and ics still yield what can be read', () => {
+    // An unclosed quote runs to the end of the file
+    const csv = TaskTransfer.parseImport('title,done\n"Open quote,yes\nNext,no\n', 'tasks.csv');
+    assert.deepEqual(csv.tasks.map(t => t.title), ['Open quote,yes Next,no']);
+
+    // A VTODO that never ends is dropped; a missing summary or an unreadable date is an error row
+    const ics = TaskTransfer.parseImport([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTODO',
+        'STATUS:COMPLETED',
+        'END:VTODO',
+        'BEGIN:VTODO',
+        'SUMMARY:Bad date',
+        'DUE:not-a-date',
+        'END:VTODO',
+        'BEGIN:VTODO',
+        'SUMMARY:Lost'
+    ].join('\r\n'), 'tasks.ics');
+    assert.deepEqual(ics.tasks, []);
+    assert.deepEqual(ics.errors, [
+        { row: 1, error: 'Missing title' },
+        { row: 2, error: 'Unrecognized due date "not-a-date"' }
+    ]);
+});